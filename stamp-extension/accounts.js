@@ -0,0 +1,161 @@
+// stamp-extension/accounts.js
+/* global chrome */
+
+/**
+ * Per-Gmail-account installation records.
+ * Someone signed into several Gmail accounts installs Stamp once per account, so each
+ * installation ({installationId, userEmail, installationComplete, installationDate}) is stored
+ * under its own `stampAccount:<email>` key. Tabs for different accounts then never overwrite
+ * each other's record. Every Gmail tab runs its own content script, which records the account
+ * it belongs to with setCurrentAccount; reads without an explicit email resolve to that account.
+ * The accounts with a record are listed under one more key, so listing installations reads
+ * only those records rather than all of storage.
+ */
+
+export const ACCOUNT_KEY_PREFIX = 'stampAccount:';
+const ACCOUNT_INDEX_KEY = 'stampAccounts';
+
+// Global keys used before installations were kept per account
+const LEGACY_INSTALLATION_KEYS = ['installationId', 'userEmail', 'installationComplete', 'installationDate'];
+
+let currentAccount = null;
+
+/**
+ * @param {string} email
+ * @returns {string|null} The lower-cased email, or null if there is none
+ */
+export function normalizeAccountEmail(email) {
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+/**
+ * @param {string} email
+ * @returns {string} The storage key of the account's installation record
+ */
+export function accountKey(email) {
+  return `${ACCOUNT_KEY_PREFIX}${normalizeAccountEmail(email)}`;
+}
+
+/**
+ * Records the Gmail account this script runs for (one per tab).
+ * @param {string} email - From InboxSDK's User.getEmailAddress()
+ * @returns {string|null} The normalized email
+ */
+export function setCurrentAccount(email) {
+  currentAccount = normalizeAccountEmail(email);
+  return currentAccount;
+}
+
+/**
+ * @returns {string|null} The Gmail account this script runs for, once known
+ */
+export function getCurrentAccount() {
+  return currentAccount;
+}
+
+/**
+ * Moves an installation stored in the old global keys under its account, once.
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyInstallation() {
+  const legacy = await chrome.storage.local.get(LEGACY_INSTALLATION_KEYS);
+  const email = normalizeAccountEmail(legacy.userEmail);
+  if (!legacy.installationId || !email) return;
+
+  const key = accountKey(email);
+  const existing = await chrome.storage.local.get([key]);
+  if (!existing[key]) {
+    await chrome.storage.local.set({
+      [key]: {
+        accountEmail: email,
+        installationId: legacy.installationId,
+        userEmail: legacy.userEmail,
+        installationComplete: !!legacy.installationComplete,
+        installationDate: legacy.installationDate || null
+      }
+    });
+    await updateAccountIndex(email, true);
+  }
+  await chrome.storage.local.remove(LEGACY_INSTALLATION_KEYS);
+  console.log('[ACCOUNTS] Moved the existing installation under', email);
+}
+
+/**
+ * @param {string} [email] - Defaults to the current account
+ * @returns {Promise<Object|null>} The account's installation record
+ */
+export async function getInstallation(email = currentAccount) {
+  const account = normalizeAccountEmail(email);
+  if (!account) return null;
+  await migrateLegacyInstallation();
+  const key = accountKey(account);
+  const result = await chrome.storage.local.get([key]);
+  return result[key] || null;
+}
+
+/**
+ * @param {string} email - The Gmail account the installation belongs to
+ * @param {Object} installation - {installationId, userEmail, installationComplete, installationDate}
+ * @returns {Promise<Object>} The stored record
+ */
+export async function saveInstallation(email, installation) {
+  const account = normalizeAccountEmail(email);
+  if (!account) {
+    throw new Error('Cannot save an installation without the Gmail account it belongs to.');
+  }
+  const record = { ...installation, accountEmail: account, userEmail: installation.userEmail || account };
+  await chrome.storage.local.set({ [accountKey(account)]: record });
+  await updateAccountIndex(account, true);
+  return record;
+}
+
+/**
+ * @param {string} [email] - Defaults to the current account
+ * @returns {Promise<void>}
+ */
+export async function removeInstallation(email = currentAccount) {
+  const account = normalizeAccountEmail(email);
+  if (!account) return;
+  await chrome.storage.local.remove([accountKey(account)]);
+  await updateAccountIndex(account, false);
+}
+
+/**
+ * @returns {Promise<Object[]>} Every account's installation record, sorted by email
+ */
+export async function listInstallations() {
+  await migrateLegacyInstallation();
+  const accounts = await loadAccountIndex();
+  const records = accounts.length ? await chrome.storage.local.get(accounts.map(accountKey)) : {};
+  return Object.values(records || {})
+    .filter(record => record?.installationId)
+    .sort((a, b) => a.accountEmail.localeCompare(b.accountEmail));
+}
+
+/**
+ * @param {Object} changes - From chrome.storage.onChanged
+ * @param {string} [email] - Defaults to the current account
+ * @returns {boolean} Whether the changes touch the account's installation
+ */
+export function installationChanged(changes, email = currentAccount) {
+  const account = normalizeAccountEmail(email);
+  return !!account && Object.prototype.hasOwnProperty.call(changes || {}, accountKey(account));
+}
+
+// Installations saved before the index existed are found by one scan of storage, the first time
+async function loadAccountIndex() {
+  const index = (await chrome.storage.local.get([ACCOUNT_INDEX_KEY]))?.[ACCOUNT_INDEX_KEY];
+  if (Array.isArray(index)) return index;
+
+  const accounts = Object.keys((await chrome.storage.local.get(null)) || {})
+    .filter(key => key.startsWith(ACCOUNT_KEY_PREFIX))
+    .map(key => key.slice(ACCOUNT_KEY_PREFIX.length));
+  await chrome.storage.local.set({ [ACCOUNT_INDEX_KEY]: accounts });
+  return accounts;
+}
+
+async function updateAccountIndex(account, present) {
+  const index = await loadAccountIndex();
+  if (index.includes(account) === present) return;
+  await chrome.storage.local.set({ [ACCOUNT_INDEX_KEY]: present ? [...index, account] : index.filter(item => item !== account) });
+}
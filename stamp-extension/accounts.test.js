@@ -0,0 +1,67 @@
+// Unit tests for per-Gmail-account installation records in accounts.js
+import {
+  accountKey,
+  getInstallation,
+  installationChanged,
+  listInstallations,
+  removeInstallation,
+  saveInstallation,
+  setCurrentAccount,
+} from './accounts.js';
+import { installFakeChromeStorage } from './fake-chrome-storage.js';
+
+describe('accounts', () => {
+  let store;
+
+  beforeEach(() => {
+    store = installFakeChromeStorage().local.items;
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    setCurrentAccount(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('keeps one installation per account and reads the current account by default', async () => {
+    await saveInstallation('AP@Work.com', { installationId: 'inst_work', installationComplete: true });
+    await saveInstallation('me@home.com', { installationId: 'inst_home', userEmail: 'me@home.com' });
+
+    expect(await getInstallation()).toBeNull();
+    setCurrentAccount('ap@work.com');
+    expect(await getInstallation()).toMatchObject({ accountEmail: 'ap@work.com', installationId: 'inst_work', userEmail: 'ap@work.com' });
+    expect(await getInstallation('me@home.com')).toMatchObject({ installationId: 'inst_home' });
+
+    await removeInstallation();
+    expect((await listInstallations()).map(record => record.accountEmail)).toEqual(['me@home.com']);
+  });
+
+  test('moves an installation from the old global keys under its account', async () => {
+    Object.assign(store, { installationId: 'inst_1', userEmail: 'ap@work.com', installationComplete: true, installationDate: '2025-01-02', otherSetting: true });
+
+    expect(await getInstallation('ap@work.com')).toEqual({
+      accountEmail: 'ap@work.com', installationId: 'inst_1', userEmail: 'ap@work.com', installationComplete: true, installationDate: '2025-01-02',
+    });
+    expect(Object.keys(store).sort()).toEqual(['otherSetting', accountKey('ap@work.com'), 'stampAccounts']);
+    expect(store.stampAccounts).toEqual(['ap@work.com']);
+  });
+
+  test('lists installations from the account index without reading all of storage', async () => {
+    // Saved before the index existed: found by one scan
+    Object.assign(store, { [accountKey('ap@work.com')]: { accountEmail: 'ap@work.com', installationId: 'inst_work' }, otherSetting: true });
+    expect((await listInstallations()).map(record => record.installationId)).toEqual(['inst_work']);
+
+    await saveInstallation('me@home.com', { installationId: 'inst_home' });
+    global.chrome.storage.local.get.mockClear();
+    expect((await listInstallations()).map(record => record.accountEmail)).toEqual(['ap@work.com', 'me@home.com']);
+    await removeInstallation('ap@work.com');
+    expect((await listInstallations()).map(record => record.accountEmail)).toEqual(['me@home.com']);
+    expect(global.chrome.storage.local.get).not.toHaveBeenCalledWith(null);
+    expect(store.stampAccounts).toEqual(['me@home.com']);
+  });
+
+  test('tells whether storage changes touch the current account', () => {
+    setCurrentAccount('ap@work.com');
+
+    expect(installationChanged({ [accountKey('ap@work.com')]: { newValue: null } })).toBe(true);
+    expect(installationChanged({ [accountKey('me@home.com')]: { newValue: {} } })).toBe(false);
+  });
+});
@@ -225,6 +225,7 @@ export function showAIStyleLoading(container) {
   // Return control object
   return {
     updateStep: (stepName, status) => updateStep(container, stepName, status),
+    updateDescription: (stepName, text) => updateStepDescription(container, stepName, text),
     showError: (error) => showErrorState(container, error),
     hide: () => hideLoading(container)
   };
@@ -272,6 +273,21 @@ function updateStep(container, stepName, status) {
   console.log(`[AI LOADING] ✅ Step '${stepName}' updated to '${status}'`);
 }
 
+/**
+ * Replaces the description line of a step, e.g. to report real progress
+ * @param {HTMLElement} container - The container element
+ * @param {string} stepName - Name of the step to update
+ * @param {string} text - New description text
+ */
+function updateStepDescription(container, stepName, text) {
+  const descriptionElement = container.querySelector(`[data-step="${stepName}"] .ai-step-description`);
+  if (!descriptionElement) {
+    console.warn(`[AI LOADING] ⚠️ Step '${stepName}' not found`);
+    return;
+  }
+  descriptionElement.textContent = text;
+}
+
 /**
  * Shows an error state
  * @param {HTMLElement} container - The container element
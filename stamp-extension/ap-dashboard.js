@@ -0,0 +1,310 @@
+// stamp-extension/ap-dashboard.js
+
+/**
+ * Accounts-payable dashboard shown on the "ap-dashboard-view" route.
+ * Summarizes documents by aging bucket, status and vendor. Amounts are always grouped
+ * per currency, never added across currencies. Every figure links back to the invoice
+ * tracker, filtered with the same predicates saved views use (see saved-views.js).
+ */
+
+import { toLocalDateString } from './dates.js';
+import { escapeHtml } from './safe-html.js';
+
+// Statuses that no longer need to be paid
+export const CLOSED_STATUSES = ['paid', 'rejected', 'duplicate'];
+
+// Days past dueDate; null means unbounded
+export const AGING_BUCKETS = [
+  { id: 'current', label: 'Current', minDays: null, maxDays: 0 },
+  { id: '1-30', label: '1–30 days', minDays: 1, maxDays: 30 },
+  { id: '31-60', label: '31–60 days', minDays: 31, maxDays: 60 },
+  { id: '61-90', label: '61–90 days', minDays: 61, maxDays: 90 },
+  { id: '90+', label: '90+ days', minDays: 91, maxDays: null }
+];
+
+const UPCOMING_DAYS = 7;
+const TOP_VENDORS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the fields the dashboard needs, resolved the same way as the tracker's columns
+ * so tracker filters built from them match the same rows.
+ * @param {Object} invoice - Document from /api/finops/documents/detailed
+ * @returns {{invoiceNumber: string, vendor: string, vendorEmail: string, amount: number|null, currency: string, issueDate: string, dueDate: string, status: string}}
+ */
+export function getDocumentFields(invoice) {
+  const details = invoice.document?.details || {};
+  const isReceipt = invoice.documentType === 'receipt';
+  return {
+    invoiceNumber: isReceipt ? (invoice.receiptNumber || 'N/A') : (details.invoiceNumber || 'N/A'),
+    vendor: details.vendor?.name || invoice.vendor?.name || 'N/A',
+    vendorEmail: (details.vendor?.email || invoice.vendor?.email || '').trim().toLowerCase(),
+    amount: toAmount(details.amount || invoice.amount),
+    currency: details.currency || invoice.currency || 'USD',
+    issueDate: toDateString(isReceipt ? details.date : details.issueDate),
+    dueDate: toDateString(details.dueDate),
+    status: String(details.status || invoice.status || 'unknown').toLowerCase()
+  };
+}
+
+/**
+ * @param {number} daysPastDue - Negative when the due date is still ahead
+ * @returns {Object} The matching entry of AGING_BUCKETS
+ */
+export function getAgingBucket(daysPastDue) {
+  return AGING_BUCKETS.find(bucket =>
+    (bucket.minDays === null || daysPastDue >= bucket.minDays) &&
+    (bucket.maxDays === null || daysPastDue <= bucket.maxDays)
+  );
+}
+
+/**
+ * Builds every figure shown on the dashboard.
+ * @param {Object[]} invoices - Documents from /api/finops/documents/detailed
+ * @param {Object} [options]
+ * @param {Date|string} [options.now] - Reference time (defaults to now)
+ * @returns {Object} { currencies, aging, byStatus, byVendor, upcoming, openTotals, openWithoutDueDate }
+ */
+export function buildApSummary(invoices, { now = new Date() } = {}) {
+  const today = toLocalDateString(new Date(now));
+  const aging = {};
+  const openTotals = {};
+  const statusTotals = new Map();
+  const vendorTotals = new Map();
+  const upcoming = [];
+  let openWithoutDueDate = 0;
+
+  (invoices || []).forEach(invoice => {
+    const fields = getDocumentFields(invoice);
+    const amount = fields.amount || 0;
+    addTo(statusTotals, `${fields.status}|${fields.currency}`, { status: fields.status, currency: fields.currency }, amount);
+
+    if (CLOSED_STATUSES.includes(fields.status)) return;
+
+    addTo(vendorTotals, `${fields.vendor}|${fields.currency}`, { vendor: fields.vendor, currency: fields.currency }, amount);
+    openTotals[fields.currency] = openTotals[fields.currency] || { count: 0, total: 0 };
+    openTotals[fields.currency].count++;
+    openTotals[fields.currency].total += amount;
+
+    if (!fields.dueDate) {
+      openWithoutDueDate++;
+      return;
+    }
+
+    const daysPastDue = daysBetween(fields.dueDate, today);
+    const bucket = getAgingBucket(daysPastDue);
+    aging[fields.currency] = aging[fields.currency] || Object.fromEntries(AGING_BUCKETS.map(item => [item.id, { count: 0, total: 0 }]));
+    aging[fields.currency][bucket.id].count++;
+    aging[fields.currency][bucket.id].total += amount;
+
+    if (daysPastDue <= 0 && daysPastDue >= -UPCOMING_DAYS) {
+      upcoming.push({ ...fields, daysUntilDue: daysBetween(today, fields.dueDate) });
+    }
+  });
+
+  const byTotal = (a, b) => b.total - a.total || b.count - a.count;
+  return {
+    currencies: Object.keys(openTotals).sort(),
+    aging,
+    openTotals,
+    openWithoutDueDate,
+    byStatus: Array.from(statusTotals.values()).sort(byTotal),
+    byVendor: Array.from(vendorTotals.values()).sort(byTotal).slice(0, TOP_VENDORS),
+    upcoming: upcoming.sort((a, b) => a.daysUntilDue - b.daysUntilDue || (b.amount || 0) - (a.amount || 0))
+  };
+}
+
+/**
+ * Tracker filters for one aging bucket in one currency.
+ * @param {Object} bucket - Entry of AGING_BUCKETS
+ * @param {string} currency
+ * @returns {{name: string, filters: Object[], sort: Object}}
+ */
+export function agingBucketFilter(bucket, currency) {
+  const filters = [
+    { field: 'currency', op: 'eq', value: currency },
+    { field: 'status', op: 'not_in', value: CLOSED_STATUSES }
+  ];
+  // dueDate lies between maxDays and minDays days before today ('after'/'before' are exclusive)
+  if (bucket.maxDays !== null) filters.push({ field: 'dueDate', op: 'after', value: relativeDay(-(bucket.maxDays + 1)) });
+  if (bucket.minDays !== null) filters.push({ field: 'dueDate', op: 'before', value: relativeDay(-(bucket.minDays - 1)) });
+  return { name: `Aging: ${bucket.label} (${currency})`, filters, sort: { key: 'dueDate', direction: 'asc' } };
+}
+
+export function statusFilter(status, currency) {
+  return {
+    name: `Status: ${status} (${currency})`,
+    filters: [
+      { field: 'currency', op: 'eq', value: currency },
+      { field: 'status', op: 'eq', value: status }
+    ],
+    sort: { key: 'dueDate', direction: 'asc' }
+  };
+}
+
+export function vendorFilter(vendor, currency) {
+  return {
+    name: `Open: ${vendor} (${currency})`,
+    filters: [
+      { field: 'currency', op: 'eq', value: currency },
+      { field: 'vendor.name', op: 'eq', value: vendor },
+      { field: 'status', op: 'not_in', value: CLOSED_STATUSES }
+    ],
+    sort: { key: 'dueDate', direction: 'asc' }
+  };
+}
+
+export function upcomingFilter() {
+  return {
+    name: `Due in the next ${UPCOMING_DAYS} days`,
+    filters: [
+      { field: 'status', op: 'not_in', value: CLOSED_STATUSES },
+      { field: 'dueDate', op: 'after', value: relativeDay(-1) },
+      { field: 'dueDate', op: 'before', value: relativeDay(UPCOMING_DAYS + 1) }
+    ],
+    sort: { key: 'dueDate', direction: 'asc' }
+  };
+}
+
+/**
+ * Renders the dashboard into `container`.
+ * @param {HTMLElement} container
+ * @param {Object} summary - Result of buildApSummary
+ * @param {Object} [options]
+ * @param {Object} [options.statusColors] - INVOICE_STATUS_COLORS from content.js
+ * @param {Function} [options.onOpenTracker] - Called with { name, filters, sort } when a figure is clicked
+ * @param {boolean} [options.partial] - Not every document could be loaded, so the figures are too low
+ */
+export function renderApDashboard(container, summary, { statusColors = {}, onOpenTracker, partial = false } = {}) {
+  const targets = [];
+  const link = (filterView, html, style = '') => {
+    targets.push(filterView);
+    return `<button class="stamp-dashboard-link" data-target="${targets.length - 1}" style="border:none; background:none; padding:0; cursor:pointer; font:inherit; color:inherit; text-align:inherit; ${style}">${html}</button>`;
+  };
+  const card = (title, body) => `
+    <section style="background:#fff; border:1px solid #e5e7eb; border-radius:8px; padding:16px; margin-bottom:16px;">
+      <h3 style="margin:0 0 12px 0; font-size:15px; font-weight:600; color:#1a1a1a;">${title}</h3>
+      ${body}
+    </section>
+  `;
+  const cellStyle = 'padding:6px 10px; border-bottom:1px solid #f1f3f4; text-align:right; white-space:nowrap;';
+  const headStyle = 'padding:6px 10px; border-bottom:1px solid #e5e7eb; text-align:right; color:#5f6368; font-weight:500; white-space:nowrap;';
+
+  const openTotals = summary.currencies.length
+    ? summary.currencies.map(currency => `
+        <div style="min-width:160px;">
+          <div style="font-size:22px; font-weight:600; color:#1a1a1a;">${escapeHtml(formatAmount(summary.openTotals[currency].total, currency))}</div>
+          <div style="color:#5f6368;">${summary.openTotals[currency].count} open ${escapeHtml(currency)} document${summary.openTotals[currency].count === 1 ? '' : 's'}</div>
+        </div>
+      `).join('')
+    : '<div style="color:#5f6368;">Nothing outstanding 🎉</div>';
+
+  const agingRows = Object.keys(summary.aging).sort().map(currency => `
+    <tr>
+      <td style="${cellStyle} text-align:left; font-weight:600;">${escapeHtml(currency)}</td>
+      ${AGING_BUCKETS.map(bucket => {
+        const { count, total } = summary.aging[currency][bucket.id];
+        const color = bucket.id === 'current' ? '#1a73e8' : bucket.minDays > 60 ? '#d93025' : '#e37400';
+        return `<td style="${cellStyle}">${count
+          ? link(agingBucketFilter(bucket, currency), `<span style="color:${color}; font-weight:600;">${escapeHtml(formatAmount(total, currency))}</span><br><span style="color:#5f6368; font-size:11px;">${count} doc${count === 1 ? '' : 's'}</span>`)
+          : '<span style="color:#c0c0c0;">—</span>'}</td>`;
+      }).join('')}
+    </tr>
+  `).join('');
+
+  const statusRows = summary.byStatus.map(({ status, currency, count, total }) => {
+    const colors = statusColors[status] || { backgroundColor: '#E0E0E0', textColor: '#000000', description: status };
+    return `
+      <tr>
+        <td style="${cellStyle} text-align:left;">${link(statusFilter(status, currency), `<span title="${escapeHtml(colors.description)}" style="background:${colors.backgroundColor}; color:${colors.textColor}; border-radius:10px; padding:2px 8px; font-size:11px;">${escapeHtml(status)}</span>`)}</td>
+        <td style="${cellStyle}">${count}</td>
+        <td style="${cellStyle}">${link(statusFilter(status, currency), escapeHtml(formatAmount(total, currency)))}</td>
+      </tr>
+    `;
+  }).join('');
+
+  const vendorRows = summary.byVendor.map(({ vendor, currency, count, total }) => `
+    <tr>
+      <td style="${cellStyle} text-align:left;">${link(vendorFilter(vendor, currency), escapeHtml(vendor), 'color:#1a73e8;')}</td>
+      <td style="${cellStyle}">${count}</td>
+      <td style="${cellStyle}">${escapeHtml(formatAmount(total, currency))}</td>
+    </tr>
+  `).join('');
+
+  const upcomingRows = summary.upcoming.map(item => `
+    <tr>
+      <td style="${cellStyle} text-align:left;">${escapeHtml(item.invoiceNumber)}</td>
+      <td style="${cellStyle} text-align:left;">${escapeHtml(item.vendor)}</td>
+      <td style="${cellStyle}">${escapeHtml(item.dueDate)}${item.daysUntilDue === 0 ? ' <span style="color:#d93025;">(today)</span>' : ''}</td>
+      <td style="${cellStyle}">${escapeHtml(formatAmount(item.amount || 0, item.currency))}</td>
+    </tr>
+  `).join('');
+
+  const table = (headers, rows, emptyText) => rows
+    ? `<table style="border-collapse:collapse; width:100%; font-size:13px;">
+        <thead><tr>${headers.map((header, index) => `<th style="${headStyle}${index === 0 ? ' text-align:left;' : ''}">${header}</th>`).join('')}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`
+    : `<div style="color:#5f6368;">${emptyText}</div>`;
+
+  container.innerHTML = `
+    <div class="stamp-ap-dashboard" style="padding:24px; background:#f8f9fa; min-height:100%; box-sizing:border-box; font-family:-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size:13px; color:#3c4043;">
+      <h2 style="margin:0 0 16px 0; font-size:22px; font-weight:600; color:#1a1a1a;">AP Dashboard</h2>
+      ${partial ? '<div class="stamp-dashboard-partial" style="background:#fef7e0; border:1px solid #fde68a; color:#92400e; border-radius:8px; padding:10px 14px; margin-bottom:16px;">⚠️ Some documents could not be loaded, so these figures are incomplete. Reload the dashboard to try again.</div>' : ''}
+      ${card('Outstanding', `<div style="display:flex; gap:32px; flex-wrap:wrap;">${openTotals}</div>`)}
+      ${card('Aging (days past due)', table(['Currency', ...AGING_BUCKETS.map(bucket => bucket.label)], agingRows, 'No open documents with a due date.') +
+        (summary.openWithoutDueDate ? `<div style="margin-top:8px; color:#5f6368; font-size:12px;">${summary.openWithoutDueDate} open document${summary.openWithoutDueDate === 1 ? ' has' : 's have'} no due date.</div>` : ''))}
+      ${card(`${link(upcomingFilter(), `Due in the next ${UPCOMING_DAYS} days`, 'color:#1a73e8;')}`, table(['Invoice #', 'Vendor', 'Due', 'Amount'], upcomingRows, 'Nothing due this week.'))}
+      <div style="display:flex; gap:16px; flex-wrap:wrap;">
+        <div style="flex:1; min-width:320px;">${card('By status', table(['Status', 'Documents', 'Total'], statusRows, 'No documents yet.'))}</div>
+        <div style="flex:1; min-width:320px;">${card('Outstanding by vendor', table(['Vendor', 'Open', 'Total'], vendorRows, 'No open documents.'))}</div>
+      </div>
+    </div>
+  `;
+
+  container.addEventListener('click', (e) => {
+    const target = e.target.closest('.stamp-dashboard-link');
+    if (!target || !onOpenTracker) return;
+    const filterView = targets[parseInt(target.getAttribute('data-target'))];
+    console.log(`[DASHBOARD] Opening tracker filtered to "${filterView.name}"`);
+    onOpenTracker(filterView);
+  });
+}
+
+function addTo(totals, key, identity, amount) {
+  const entry = totals.get(key) || { ...identity, count: 0, total: 0 };
+  entry.count++;
+  entry.total += amount;
+  totals.set(key, entry);
+}
+
+// Whole days from `fromDate` to `toDate` (both YYYY-MM-DD)
+export function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+function relativeDay(offset) {
+  if (offset === 0) return '@today';
+  return `@today${offset > 0 ? '+' : ''}${offset}d`;
+}
+
+function toDateString(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value || ''));
+  return match ? match[1] : '';
+}
+
+function toAmount(value) {
+  if (typeof value === 'number') return value;
+  const number = parseFloat(String(value ?? '').replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+export function formatAmount(amount, currency) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    // Not an ISO 4217 code
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
+
@@ -0,0 +1,68 @@
+// Unit tests for the AP dashboard summary in ap-dashboard.js
+import { AGING_BUCKETS, agingBucketFilter, buildApSummary, getAgingBucket, renderApDashboard } from './ap-dashboard.js';
+import { matchesFilters } from './saved-views.js';
+
+const now = '2025-06-15T12:00:00Z';
+const doc = (details, extra = {}) => ({ documentType: 'invoice', document: { details }, ...extra });
+
+describe('AP dashboard', () => {
+  test('places days past due into aging buckets', () => {
+    expect([-5, 0, 1, 30, 31, 60, 61, 90, 91, 400].map(days => getAgingBucket(days).id))
+      .toEqual(['current', 'current', '1-30', '1-30', '31-60', '31-60', '61-90', '61-90', '90+', '90+']);
+  });
+
+  test('keeps totals per currency and leaves closed documents out of aging', () => {
+    const summary = buildApSummary([
+      doc({ amount: 100, currency: 'USD', dueDate: '2025-06-20', status: 'pending', vendor: { name: 'Acme' } }),
+      doc({ amount: '2,000.50', currency: 'USD', dueDate: '2025-05-01', status: 'approved', vendor: { name: 'Acme' } }),
+      doc({ amount: 300, currency: 'EUR', dueDate: '2025-01-01', status: 'pending', vendor: { name: 'Globex' } }),
+      doc({ amount: 999, currency: 'USD', dueDate: '2025-01-01', status: 'paid', vendor: { name: 'Acme' } }),
+      doc({ amount: 50, currency: 'USD', status: 'pending', vendor: { name: 'Initech' } }),
+    ], { now });
+
+    expect(summary.currencies).toEqual(['EUR', 'USD']);
+    expect(summary.openTotals.USD).toEqual({ count: 3, total: 2150.5 });
+    expect(summary.aging.USD.current).toEqual({ count: 1, total: 100 });
+    expect(summary.aging.USD['31-60']).toEqual({ count: 1, total: 2000.5 });
+    expect(summary.aging.EUR['90+']).toEqual({ count: 1, total: 300 });
+    expect(summary.openWithoutDueDate).toBe(1);
+    expect(summary.byStatus.find(entry => entry.status === 'paid')).toEqual({ status: 'paid', currency: 'USD', count: 1, total: 999 });
+    expect(summary.byVendor[0]).toEqual({ vendor: 'Acme', currency: 'USD', count: 2, total: 2100.5 });
+    expect(summary.upcoming.map(item => item.daysUntilDue)).toEqual([5]);
+  });
+
+  test('bucket filters select the same rows in the tracker', () => {
+    const context = { now };
+    const row = (dueDate, status = 'pending') => ({ currency: 'USD', status, dueDate });
+    const filtersFor = (id) => agingBucketFilter(AGING_BUCKETS.find(bucket => bucket.id === id), 'USD').filters;
+
+    expect(matchesFilters(filtersFor('current'), row('2025-06-15'), context)).toBe(true);
+    expect(matchesFilters(filtersFor('current'), row('2025-06-14'), context)).toBe(false);
+    expect(matchesFilters(filtersFor('1-30'), row('2025-06-14'), context)).toBe(true);
+    expect(matchesFilters(filtersFor('1-30'), row('2025-05-16'), context)).toBe(true);
+    expect(matchesFilters(filtersFor('31-60'), row('2025-05-15'), context)).toBe(true);
+    expect(matchesFilters(filtersFor('90+'), row('2025-03-16'), context)).toBe(true);
+    expect(matchesFilters(filtersFor('90+'), row('2025-03-17'), context)).toBe(false);
+    expect(matchesFilters(filtersFor('90+'), row('2025-03-16', 'paid'), context)).toBe(false);
+  });
+
+  test('warns when not every document could be loaded', () => {
+    const summary = buildApSummary([doc({ amount: 100, currency: 'USD', dueDate: '2025-06-20', status: 'pending' })], { now });
+    const container = document.createElement('div');
+
+    renderApDashboard(container, summary);
+    expect(container.querySelector('.stamp-dashboard-partial')).toBeNull();
+    renderApDashboard(container, summary, { partial: true });
+    expect(container.querySelector('.stamp-dashboard-partial').textContent).toContain('Some documents could not be loaded');
+  });
+
+  test('counts days from the user\'s local date', () => {
+    const invoices = [doc({ amount: 100, currency: 'USD', dueDate: '2025-06-15', status: 'pending' })];
+
+    [new Date(2025, 5, 15, 23, 30), new Date(2025, 5, 15, 0, 30)].forEach(localNow => {
+      const summary = buildApSummary(invoices, { now: localNow });
+      expect(summary.upcoming.map(item => item.daysUntilDue)).toEqual([0]);
+      expect(summary.aging.USD.current).toEqual({ count: 1, total: 100 });
+    });
+  });
+});
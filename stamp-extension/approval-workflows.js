@@ -0,0 +1,331 @@
+// stamp-extension/approval-workflows.js
+/* global chrome */
+
+/**
+ * Multi-step approval chains. Chains come from business rules with
+ * rule_category 'approval_workflow' (GET /api/business-rules/rules):
+ *
+ *   {
+ *     id, name, status: 'active', rule_category: 'approval_workflow', priority?,
+ *     config: {
+ *       conditions: { min_amount?, max_amount?, currency?, vendors?: [], entities?: [] },
+ *       approvers: ['cfo@acme.com', { email, name }, ...],   // in order
+ *       reminder_after_hours?: 48
+ *     }
+ *   }
+ *
+ * The first active rule (by priority, then list order) whose conditions all hold decides
+ * the chain. Progress is read from the backend's involvementHistory: an "approved"/"rejected"
+ * entry by an approver completes their step, and a "requested" entry for them marks when they
+ * were asked. Sidebar approvals and requests reach that history as status corrections carrying
+ * the entry (see setDocumentStatus in content.js), so every approver's browser sees the same
+ * chain; until a correction is synced, its entry is re-applied over refreshed data. Only the
+ * current step's approver may approve.
+ */
+
+import { getCurrentAccount } from './accounts.js';
+import { CLOSED_STATUSES, formatAmount, getDocumentFields } from './ap-dashboard.js';
+import { escapeHtml } from './safe-html.js';
+
+export const APPROVAL_RULE_CATEGORY = 'approval_workflow';
+export const APPROVAL_REMINDER_INTERVAL_MS = 60 * 60 * 1000; // how often overdue approvals are checked
+
+const DEFAULT_REMINDER_HOURS = 48;
+const HOUR_MS = 60 * 60 * 1000;
+// Followed by `:<email>`; the bare key is from before nudges were kept per account and is no longer read
+const NUDGES_STORAGE_KEY = 'stampApprovalNudges';
+
+/**
+ * Picks the approval workflow rules out of the business rules list.
+ * Rules without approvers are ignored.
+ * @param {Object[]} rules - Rules from /api/business-rules/rules
+ * @returns {Object[]} Normalized rules sorted by priority:
+ *   { id, name, priority, conditions: { minAmount, maxAmount, currency, vendors, entities },
+ *     approvers: [{ email, name }], reminderAfterHours }
+ */
+export function parseApprovalRules(rules) {
+  return (rules || [])
+    .filter(rule => rule.rule_category === APPROVAL_RULE_CATEGORY && rule.status === 'active')
+    .map((rule, index) => {
+      const config = rule.config || rule;
+      const conditions = config.conditions || {};
+      return {
+        id: rule.id,
+        name: rule.name || rule.rule_name || 'Approval workflow',
+        priority: Number.isFinite(Number(rule.priority)) ? Number(rule.priority) : index,
+        conditions: {
+          minAmount: toNumberOrNull(conditions.min_amount),
+          maxAmount: toNumberOrNull(conditions.max_amount),
+          currency: conditions.currency ? String(conditions.currency).toUpperCase() : null,
+          vendors: toLowerList(conditions.vendors),
+          entities: toLowerList(conditions.entities)
+        },
+        approvers: (config.approvers || []).map(toApprover).filter(approver => approver.email),
+        reminderAfterHours: toNumberOrNull(config.reminder_after_hours) ?? DEFAULT_REMINDER_HOURS
+      };
+    })
+    .filter(rule => rule.approvers.length > 0)
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * @param {Object[]} approvalRules - Result of parseApprovalRules
+ * @param {Object} invoice - Document or sidebar entity with `document.details`
+ * @returns {Object|null} The rule that applies to the document
+ */
+export function findApprovalRule(approvalRules, invoice) {
+  const fields = getDocumentFields(invoice);
+  const entity = String(invoice.document?.details?.entityName || '').toLowerCase();
+  return (approvalRules || []).find(({ conditions }) => {
+    if (conditions.currency && conditions.currency !== fields.currency.toUpperCase()) return false;
+    if (conditions.minAmount !== null && !(fields.amount >= conditions.minAmount)) return false;
+    if (conditions.maxAmount !== null && !(fields.amount < conditions.maxAmount)) return false;
+    if (conditions.vendors.length && !conditions.vendors.includes(fields.vendor.toLowerCase())) return false;
+    if (conditions.entities.length && !conditions.entities.includes(entity)) return false;
+    return true;
+  }) || null;
+}
+
+/**
+ * Works out where a document is in its approval chain.
+ * @param {Object} rule - Rule from findApprovalRule
+ * @param {Object} invoice - Document or sidebar entity
+ * @param {Object} [options]
+ * @param {Date|string} [options.now]
+ * @returns {{rule: Object, steps: Object[], current: Object|null, complete: boolean, rejected: boolean}}
+ *   Each step is { approver, state: 'approved'|'rejected'|'pending'|'waiting', actedAt,
+ *   requestedAt, waitingSince, waitingHours, reminderDue }
+ */
+export function buildApprovalChain(rule, invoice, { now = new Date() } = {}) {
+  const history = [...(invoice.involvementHistory || [])]
+    .filter(entry => entry.timestamp)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const entriesFor = (email) => history.filter(entry => String(entry.actor?.email || '').toLowerCase() === email);
+  const closed = CLOSED_STATUSES.includes(getDocumentFields(invoice).status);
+
+  let previousActedAt = invoice.document?.created_at || invoice.created_at || null;
+  let blocked = false;
+  const steps = rule.approvers.map(approver => {
+    const entries = entriesFor(approver.email);
+    const decision = [...entries].reverse().find(entry => /^(approved|rejected)$/i.test(entry.action_type || ''));
+    const requestedEntry = [...entries].reverse().find(entry => /^requested$/i.test(entry.action_type || ''));
+    const requestedAt = requestedEntry?.timestamp || null;
+
+    let state = 'waiting';
+    if (decision && !blocked) {
+      state = decision.action_type.toLowerCase();
+    } else if (!blocked && !closed) {
+      state = 'pending';
+    }
+    if (state !== 'approved') blocked = true;
+
+    const step = { approver, state, actedAt: decision?.timestamp || null, requestedAt, waitingSince: null, waitingHours: null, reminderDue: false };
+    if (state === 'pending') {
+      step.waitingSince = requestedAt || previousActedAt;
+      if (step.waitingSince) {
+        step.waitingHours = Math.floor((new Date(now) - new Date(step.waitingSince)) / HOUR_MS);
+        // Only nudge once the approver has actually been asked
+        step.reminderDue = !!requestedAt && step.waitingHours >= rule.reminderAfterHours;
+      }
+    }
+    previousActedAt = decision?.timestamp || previousActedAt;
+    return step;
+  });
+
+  return {
+    rule,
+    steps,
+    current: steps.find(step => step.state === 'pending') || null,
+    complete: steps.every(step => step.state === 'approved'),
+    rejected: steps.some(step => step.state === 'rejected')
+  };
+}
+
+/**
+ * Whether `email` may approve now: anyone without a workflow, otherwise only the approver of
+ * the current step.
+ * @param {Object|null} chain - Result of buildApprovalChain, or null without a workflow
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function canApprove(chain, email) {
+  if (!chain) return true;
+  return !!chain.current && chain.current.approver.email === String(email || '').toLowerCase();
+}
+
+/**
+ * Status to set when `approverEmail` approves: "approved" once every step is done,
+ * "partially_approved" while later approvers remain.
+ * @param {Object|null} chain - Result of buildApprovalChain, or null without a workflow
+ * @param {string} approverEmail
+ * @returns {string}
+ */
+export function statusAfterApproval(chain, approverEmail) {
+  if (!chain) return 'approved';
+  const email = String(approverEmail || '').toLowerCase();
+  const remaining = chain.steps.filter(step => step.state !== 'approved' && step.approver.email !== email);
+  return remaining.length === 0 ? 'approved' : 'partially_approved';
+}
+
+/**
+ * involvementHistory entry for an approval request. The approver is the actor, matching
+ * what the backend writes (the "Awaiting my approval" view filters on "<email> | requested").
+ * @param {Object} approver - { email, name }
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy] - Email of the user asking
+ * @param {Date|string} [options.now]
+ * @returns {Object}
+ */
+export function createApprovalRequestEntry(approver, { requestedBy = null, now = new Date() } = {}) {
+  return {
+    action_type: 'requested',
+    actor: { email: approver.email, name: approver.name },
+    requested_by: requestedBy,
+    timestamp: new Date(now).toISOString(),
+    source: 'gmail_sidebar'
+  };
+}
+
+/**
+ * Compose contents asking the current approver to review a document.
+ * @param {Object} invoice - Document or sidebar entity
+ * @param {Object} chain - Result of buildApprovalChain with a current step
+ * @param {Object} [options]
+ * @param {boolean} [options.reminder=false] - Word it as a follow-up
+ * @param {string} [options.threadLink] - Link to the Gmail thread holding the document
+ * @returns {{to: string[], subject: string, bodyHtml: string}}
+ */
+export function buildApprovalRequestDraft(invoice, chain, { reminder = false, threadLink = null } = {}) {
+  const fields = getDocumentFields(invoice);
+  const step = chain.current;
+  const position = chain.steps.indexOf(step) + 1;
+  const label = fields.invoiceNumber !== 'N/A' ? `invoice ${fields.invoiceNumber}` : 'an invoice';
+  const greeting = step.approver.name ? step.approver.name.split(' ')[0] : 'there';
+  const summaryRows = [
+    ['Vendor', fields.vendor],
+    ['Amount', fields.amount === null ? 'N/A' : formatAmount(fields.amount, fields.currency)],
+    ['Issue date', fields.issueDate || 'N/A'],
+    ['Due date', fields.dueDate || 'N/A'],
+    ['Approval step', `${position} of ${chain.steps.length} (${chain.rule.name})`]
+  ];
+
+  return {
+    to: [step.approver.email],
+    subject: `${reminder ? 'Reminder: ' : ''}Approval needed for ${label} from ${fields.vendor}`,
+    bodyHtml: `
+      <p>Hi ${escapeHtml(greeting)},</p>
+      <p>${reminder ? `Following up: ${escapeHtml(label)} is still waiting for your approval.` : `Could you review and approve ${escapeHtml(label)}?`}</p>
+      <table style="border-collapse:collapse;">
+        ${summaryRows.map(([name, value]) => `<tr><td style="padding:2px 12px 2px 0; color:#5f6368;">${name}</td><td style="padding:2px 0;">${escapeHtml(value)}</td></tr>`).join('')}
+      </table>
+      ${threadLink ? `<p><a href="${escapeHtml(threadLink)}">Open the invoice thread</a></p>` : ''}
+      <p>Thanks!</p>
+    `
+  };
+}
+
+/**
+ * Renders the approval chain panel for a sidebar invoice card.
+ * @param {string} cardId - The card's data-card-id
+ * @param {Object} chain - Result of buildApprovalChain
+ * @returns {string} HTML
+ */
+export function renderApprovalChain(cardId, chain) {
+  const stateStyles = {
+    approved: { icon: '✓', color: '#2E7D32', text: 'Approved' },
+    rejected: { icon: '✕', color: '#C62828', text: 'Rejected' },
+    pending: { icon: '●', color: '#E65100', text: 'Pending' },
+    waiting: { icon: '○', color: '#9aa0a6', text: 'Waiting' }
+  };
+  const current = chain.current;
+
+  return `
+    <div class="stamp-approval-chain" data-card-id="${escapeHtml(cardId)}" style="margin-top: 10px; border: 1px solid #e5e7eb; border-radius: 10px; padding: 10px 12px; background: #fcfcfd;">
+      <div style="font-size: 12px; font-weight: 600; color: #374151; margin-bottom: 6px;">Approval · ${escapeHtml(chain.rule.name)}</div>
+      <ol style="margin: 0; padding: 0; list-style: none; display: flex; flex-direction: column; gap: 4px;">
+        ${chain.steps.map(step => {
+          const style = stateStyles[step.state];
+          const detail = step.state === 'pending' && step.waitingHours !== null
+            ? ` · ${step.requestedAt ? 'asked' : 'waiting'} ${formatWaiting(step.waitingHours)} ago`
+            : (step.actedAt ? ` · ${new Date(step.actedAt).toISOString().slice(0, 10)}` : '');
+          return `<li style="display:flex; align-items:center; gap:6px; font-size:12px; color:#3c4043;">
+            <span style="color:${style.color}; width:12px; text-align:center;">${style.icon}</span>
+            <span title="${escapeHtml(step.approver.email)}" style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(step.approver.name || step.approver.email)}</span>
+            <span style="color:${step.reminderDue ? '#C62828' : '#80868b'}; white-space:nowrap;">${style.text}${detail}</span>
+          </li>`;
+        }).join('')}
+      </ol>
+      ${current ? `
+        <div style="margin-top: 8px; display:flex; gap:6px; flex-wrap:wrap;">
+          <button class="${current.requestedAt ? 'stamp-send-reminder' : 'stamp-request-approval'}" style="border: 1px solid #1a73e8; background: ${current.reminderDue ? '#1a73e8' : '#fff'}; color: ${current.reminderDue ? '#fff' : '#1a73e8'}; border-radius: 999px; padding: 4px 10px; font-size: 12px; font-weight: 600; cursor: pointer;">
+            ${current.requestedAt ? 'Send reminder' : 'Request approval'}
+          </button>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Lists pending steps that have waited longer than their rule allows.
+ * @param {Object[]} invoices - All documents
+ * @param {Object[]} approvalRules - Result of parseApprovalRules
+ * @param {Object} [options]
+ * @param {Date|string} [options.now]
+ * @returns {Object[]} [{ invoice, chain, step }]
+ */
+export function getDueReminders(invoices, approvalRules, { now = new Date() } = {}) {
+  if (!approvalRules || approvalRules.length === 0) return [];
+  return (invoices || []).flatMap(invoice => {
+    const rule = findApprovalRule(approvalRules, invoice);
+    if (!rule) return [];
+    const chain = buildApprovalChain(rule, invoice, { now });
+    return chain.current?.reminderDue ? [{ invoice, chain, step: chain.current }] : [];
+  });
+}
+
+/**
+ * Drops reminders that were already shown within the rule's reminder window and records
+ * the rest as shown, so each overdue approval nudges at most once per window.
+ * @param {Object[]} reminders - Result of getDueReminders
+ * @param {Date|string} [now]
+ * @returns {Promise<Object[]>} Reminders to show now
+ */
+export async function takeUnseenReminders(reminders, now = new Date()) {
+  const key = accountStorageKey(NUDGES_STORAGE_KEY);
+  const nudges = (await chrome.storage.local.get([key]))[key] || {};
+  const time = new Date(now).getTime();
+
+  const unseen = reminders.filter(({ invoice, chain, step }) => {
+    const key = `${invoice.document?.details?.id || invoice.document?.id}|${step.approver.email}`;
+    if (nudges[key] && time - nudges[key] < chain.rule.reminderAfterHours * HOUR_MS) return false;
+    nudges[key] = time;
+    return true;
+  });
+
+  await chrome.storage.local.set({ [key]: nudges });
+  return unseen;
+}
+
+function accountStorageKey(baseKey) {
+  return `${baseKey}:${getCurrentAccount() || ''}`;
+}
+
+function toApprover(value) {
+  if (typeof value === 'string') return { email: value.trim().toLowerCase(), name: null };
+  return { email: String(value?.email || '').trim().toLowerCase(), name: value?.name || null };
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toLowerList(value) {
+  return (Array.isArray(value) ? value : (value ? [value] : [])).map(item => String(item).trim().toLowerCase());
+}
+
+function formatWaiting(hours) {
+  return hours < 48 ? `${hours}h` : `${Math.floor(hours / 24)}d`;
+}
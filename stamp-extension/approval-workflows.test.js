@@ -0,0 +1,116 @@
+// Unit tests for approval chains in approval-workflows.js
+import { buildApprovalChain, buildApprovalRequestDraft, canApprove, findApprovalRule, getDueReminders, parseApprovalRules, statusAfterApproval, takeUnseenReminders } from './approval-workflows.js';
+import { setCurrentAccount } from './accounts.js';
+import { installFakeChromeStorage } from './fake-chrome-storage.js';
+
+const rules = parseApprovalRules([
+  { id: 1, name: 'Small invoices', rule_category: 'approval_workflow', status: 'active', priority: 2, config: { conditions: { max_amount: 5000 }, approvers: ['lead@acme.com'] } },
+  {
+    id: 2, name: 'Large invoices', rule_category: 'approval_workflow', status: 'active', priority: 1,
+    config: { conditions: { min_amount: 5000, currency: 'usd' }, approvers: [{ email: 'Lead@acme.com', name: 'Lee Ead' }, 'cfo@acme.com'], reminder_after_hours: 24 }
+  },
+  { id: 3, name: 'Acme EU', rule_category: 'approval_workflow', status: 'active', priority: 0, config: { conditions: { entities: ['Acme EU GmbH'] }, approvers: ['eu@acme.com'] } },
+  { id: 4, rule_category: 'approval_workflow', status: 'inactive', config: { approvers: ['nobody@acme.com'] } },
+  { id: 5, rule_category: 'document_storage', status: 'active' },
+]);
+
+const invoice = (details, involvementHistory = [], extra = {}) => ({
+  document: { details: { id: 'doc_1', invoiceNumber: 'INV-9', vendor: { name: 'Globex' }, currency: 'USD', status: 'pending', ...details } },
+  involvementHistory,
+  ...extra,
+});
+
+describe('approval workflows', () => {
+  test('picks the highest priority rule whose conditions hold', () => {
+    expect(rules.map(rule => rule.id)).toEqual([3, 2, 1]);
+    expect(findApprovalRule(rules, invoice({ amount: 12000 })).id).toBe(2);
+    expect(findApprovalRule(rules, invoice({ amount: 12000, currency: 'EUR' }))).toBeNull();
+    expect(findApprovalRule(rules, invoice({ amount: 800 })).id).toBe(1);
+    expect(findApprovalRule(rules, invoice({ amount: 12000, entityName: 'ACME EU GmbH' })).id).toBe(3);
+  });
+
+  test('walks the chain in order from involvement history', () => {
+    const rule = rules.find(item => item.id === 2);
+    const now = '2025-06-10T12:00:00Z';
+
+    const fresh = buildApprovalChain(rule, invoice({ amount: 12000 }), { now });
+    expect(fresh.steps.map(step => step.state)).toEqual(['pending', 'waiting']);
+    expect(fresh.current.approver.email).toBe('lead@acme.com');
+
+    const halfway = buildApprovalChain(rule, invoice({ amount: 12000 }, [
+      { action_type: 'approved', actor: { email: 'lead@acme.com' }, timestamp: '2025-06-08T09:00:00Z' },
+      { action_type: 'requested', actor: { email: 'cfo@acme.com' }, timestamp: '2025-06-09T10:00:00Z' },
+    ]), { now });
+    expect(halfway.steps.map(step => step.state)).toEqual(['approved', 'pending']);
+    expect(halfway.current).toMatchObject({ requestedAt: '2025-06-09T10:00:00Z', waitingHours: 26, reminderDue: true });
+    expect(statusAfterApproval(fresh, 'lead@acme.com')).toBe('partially_approved');
+    expect(statusAfterApproval(halfway, 'cfo@acme.com')).toBe('approved');
+    expect(statusAfterApproval(null, 'anyone@acme.com')).toBe('approved');
+  });
+
+  test('an approval out of turn does not skip earlier approvers', () => {
+    const rule = rules.find(item => item.id === 2);
+    const chain = buildApprovalChain(rule, invoice({ amount: 12000 }, [
+      { action_type: 'approved', actor: { email: 'cfo@acme.com' }, timestamp: '2025-06-08T09:00:00Z' },
+    ]));
+
+    expect(chain.steps.map(step => step.state)).toEqual(['pending', 'waiting']);
+  });
+
+  test('only the current step\'s approver may approve', () => {
+    const rule = rules.find(item => item.id === 2);
+    const fresh = buildApprovalChain(rule, invoice({ amount: 12000 }));
+    const done = buildApprovalChain(rule, invoice({ amount: 12000, status: 'approved' }, [
+      { action_type: 'approved', actor: { email: 'lead@acme.com' }, timestamp: '2025-06-08T09:00:00Z' },
+      { action_type: 'approved', actor: { email: 'cfo@acme.com' }, timestamp: '2025-06-09T09:00:00Z' },
+    ]));
+
+    expect(canApprove(fresh, 'Lead@acme.com')).toBe(true);
+    expect(canApprove(fresh, 'cfo@acme.com')).toBe(false);
+    expect(canApprove(fresh, 'intern@acme.com')).toBe(false);
+    expect(canApprove(done, 'cfo@acme.com')).toBe(false);
+    expect(canApprove(null, 'anyone@acme.com')).toBe(true);
+  });
+
+  test('reminds only about requests older than the rule allows', () => {
+    const now = '2025-06-10T12:00:00Z';
+    const requested = (timestamp) => [{ action_type: 'requested', actor: { email: 'lead@acme.com' }, timestamp }];
+    const invoices = [
+      invoice({ id: 'doc_1', amount: 12000 }, requested('2025-06-08T12:00:00Z')),
+      invoice({ id: 'doc_2', amount: 12000 }, requested('2025-06-10T08:00:00Z')),
+      invoice({ id: 'doc_3', amount: 12000, status: 'paid' }, requested('2025-06-01T08:00:00Z')),
+      invoice({ id: 'doc_4', amount: 12000, created_at: '2025-05-01T00:00:00Z' }),
+    ];
+
+    const due = getDueReminders(invoices, rules, { now });
+
+    expect(due.map(({ invoice: item }) => item.document.details.id)).toEqual(['doc_1']);
+  });
+
+  test('drafts a request to the current approver with the invoice summary', () => {
+    const rule = rules.find(item => item.id === 2);
+    const document = invoice({ amount: 12000, dueDate: '2025-07-01' });
+    const draft = buildApprovalRequestDraft(document, buildApprovalChain(rule, document), { reminder: true, threadLink: 'https://mail.google.com/mail/u/0/#inbox/abc' });
+
+    expect(draft.to).toEqual(['lead@acme.com']);
+    expect(draft.subject).toBe('Reminder: Approval needed for invoice INV-9 from Globex');
+    expect(draft.bodyHtml).toContain('Hi Lee,');
+    expect(draft.bodyHtml).toContain('1 of 2 (Large invoices)');
+    expect(draft.bodyHtml).toContain('2025-07-01');
+  });
+
+  test('keeps nudges per Gmail account', async () => {
+    const store = installFakeChromeStorage().local.items;
+    const reminder = { invoice: invoice({}), chain: { rule: { reminderAfterHours: 24 } }, step: { approver: { email: 'lead@acme.com' } } };
+
+    setCurrentAccount('ap@work.com');
+    expect(await takeUnseenReminders([reminder])).toHaveLength(1);
+    expect(await takeUnseenReminders([reminder])).toHaveLength(0);
+
+    setCurrentAccount('me@home.com');
+    expect(await takeUnseenReminders([reminder])).toHaveLength(1);
+    setCurrentAccount(null);
+
+    expect(Object.keys(store).sort()).toEqual(['stampApprovalNudges:ap@work.com', 'stampApprovalNudges:me@home.com']);
+  });
+});
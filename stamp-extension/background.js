@@ -1,5 +1,8 @@
 /* global chrome */
 
+import { addCorrection, flushCorrectionsQueue, getCorrectionsQueue, countUnsynced, removeRejectedCorrection } from './corrections-queue.js';
+import { ACCOUNT_KEY_PREFIX, listInstallations, normalizeAccountEmail } from './accounts.js';
+
 // --- CONFIGURATION ---
 // These values are injected by the build script (build.sh) as a global CONFIG object.
 console.log('[Background] Starting in PRODUCTION mode');
@@ -7,6 +10,12 @@ console.log('[Background] Starting in PRODUCTION mode');
 // Get AUTH_ENDPOINT from CONFIG (injected by build script)
 const AUTH_ENDPOINT = CONFIG?.AUTH_ENDPOINT || 'https://trystamp.ai/email-poller';
 
+// Get API_ENDPOINT from CONFIG (used to flush the corrections queue)
+const API_ENDPOINT = CONFIG?.API_ENDPOINT || 'http://localhost:8000';
+
+// Alarm used to retry failed correction flushes with exponential backoff
+const CORRECTIONS_RETRY_ALARM = 'stamp-corrections-retry';
+
 // Map to track Web OAuth flows by tab ID
 const webOAuthFlows = new Map();
 
@@ -227,11 +236,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message.result.success) {
           console.log('[Background] OAuth flow completed successfully');
           
-          // Store user email if available
-          if (message.result.userEmail) {
-            console.log('[Background] Storing user email:', message.result.userEmail);
-            chrome.storage.local.set({ userEmail: message.result.userEmail });
-          } else {
+          // The installing tab stores the installation under its Gmail account
+          if (!message.result.userEmail) {
             console.warn('[Background] No user email found in OAuth result');
           }
           
@@ -396,14 +402,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   // --- Message Handler 5: Get Installation State ---
+  // Lists every installed Gmail account; the state fields describe `message.accountEmail`,
+  // or the first installed account when none is given
   if (message.type === 'GET_INSTALLATION_STATE') {
     const promise = new Promise(async (resolve) => {
       try {
-        const result = await chrome.storage.local.get(['installationId', 'userEmail']);
+        const accounts = await listInstallations();
+        const wanted = normalizeAccountEmail(message.accountEmail);
+        const result = wanted ? accounts.find(account => account.accountEmail === wanted) || {} : accounts[0] || {};
         resolve({
+          accounts,
+          accountEmail: wanted || result.accountEmail || null,
           isInstalled: !!result.installationId,
           userEmail: result.userEmail || null,
-          installationId: result.installationId || null
+          installationId: result.installationId || null,
+          installationDate: result.installationDate || null
         });
       } catch (error) {
         console.error('[Background] Error getting installation state:', error);
@@ -415,6 +428,31 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // --- Message Handler 6: Flush Corrections Queue ---
+  if (message.type === 'FLUSH_CORRECTIONS') {
+    flushCorrections('message', message.account)
+      .then(sendResponse)
+      .catch(error => sendResponse({ sent: 0, error: error.message }));
+    return true; // Indicates an async response
+  }
+
+  // --- Message Handler 7: Enqueue Correction ---
+  // Every tab's corrections are queued here, so changes to the queue never interleave
+  if (message.type === 'ENQUEUE_CORRECTION') {
+    addCorrection(message.edit)
+      .then(count => sendResponse({ count }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Indicates an async response
+  }
+
+  // --- Message Handler 8: Dismiss Refused Correction ---
+  if (message.type === 'DISMISS_REJECTED_CORRECTION') {
+    removeRejectedCorrection(message.key)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Indicates an async response
+  }
+
   // Log unhandled message types
   console.warn('[Background] Unhandled message type:', message.type);
   return false;
@@ -429,4 +467,69 @@ chrome.tabs.onRemoved.addListener((tabId) => {
     webOAuthFlows.delete(tabId);
     flowState.reject(new Error('OAuth tab was closed'));
   }
-});
\ No newline at end of file
+});
+
+// --- CORRECTIONS QUEUE ---
+
+// Single in-flight flush so messages from several tabs and the retry alarm don't double-send
+let correctionsFlushPromise = null;
+
+/**
+ * @param {string} trigger - What asked for the flush, for the logs
+ * @param {string} [account] - Gmail account whose edits go out now even while it is backing off
+ */
+function flushCorrections(trigger, account) {
+  if (correctionsFlushPromise) {
+    console.log(`[Background] Corrections flush already in progress (trigger: ${trigger})`);
+    return correctionsFlushPromise;
+  }
+
+  console.log(`[Background] Flushing corrections queue (trigger: ${trigger})`);
+  correctionsFlushPromise = (async () => {
+    try {
+      const result = await flushCorrectionsQueue(API_ENDPOINT, { retryAccount: account });
+      // Each account backs off on its own; the alarm fires for the one due first
+      if (result.retryInMs != null) {
+        chrome.alarms.create(CORRECTIONS_RETRY_ALARM, { when: Date.now() + result.retryInMs });
+      } else {
+        chrome.alarms.clear(CORRECTIONS_RETRY_ALARM);
+      }
+      if (result.ready > 0) {
+        // Edits arrived while the request was in flight; send them right away
+        setTimeout(() => flushCorrections('follow-up').catch(logFlushError), 0);
+      }
+      return result;
+    } finally {
+      correctionsFlushPromise = null;
+    }
+  })();
+  return correctionsFlushPromise;
+}
+
+// Flushes nobody waits on; the queue can't be read or written when storage fails
+function logFlushError(error) {
+  console.error('[Background] ❌ Corrections flush failed:', error);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CORRECTIONS_RETRY_ALARM) {
+    flushCorrections('retry-alarm').catch(logFlushError);
+  }
+});
+
+// Send the corrections parked for an account once it signs in to Stamp
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== 'local') return;
+  const signedIn = Object.entries(changes).some(([key, change]) =>
+    key.startsWith(ACCOUNT_KEY_PREFIX) && change.newValue?.installationId && !change.oldValue?.installationId);
+  if (signedIn) {
+    flushCorrections('signed-in').catch(logFlushError);
+  }
+});
+
+// Resume any corrections left over from a previous browser session
+chrome.runtime.onStartup.addListener(() => {
+  getCorrectionsQueue()
+    .then(queue => countUnsynced(queue) > 0 ? flushCorrections('startup') : null)
+    .catch(logFlushError);
+});
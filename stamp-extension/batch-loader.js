@@ -0,0 +1,113 @@
+// stamp-extension/batch-loader.js
+
+/**
+ * Coalesces lookups by ID into batched backend requests. IDs asked for within the same tick are
+ * sent together (at most `maxBatchSize` per request), an ID that is already queued or in flight
+ * is never requested twice, and high priority IDs (the open thread) go out before low priority
+ * ones (thread list rows). Low priority batches never take the last request slot, so a high
+ * priority lookup doesn't wait behind a page of list rows.
+ */
+
+/**
+ * @param {Object} options
+ * @param {Function} options.loadBatch - (ids) => Promise<Object>, id => value; IDs missing from the result resolve to undefined
+ * @param {number} [options.maxBatchSize=50]
+ * @param {number} [options.maxConcurrent=2] - Requests in flight at once
+ * @param {number} [options.delayMs=0] - How long IDs are collected before a batch is sent
+ * @returns {{load: Function, getMetrics: Function}}
+ */
+export function createBatchLoader({ loadBatch, maxBatchSize = 50, maxConcurrent = 2, delayMs = 0 }) {
+  const queued = new Map(); // id => { priority, promise, resolve, reject }, in request order
+  const inFlight = new Map(); // id => the same, once sent
+  const metrics = { batches: 0, idsRequested: 0, deduplicated: 0 };
+  let timer = null;
+  let running = 0;
+
+  const nextBatch = () => {
+    const entries = [...queued.entries()];
+    const batch = [
+      ...entries.filter(([, entry]) => entry.priority === 'high'),
+      ...entries.filter(([, entry]) => entry.priority !== 'high')
+    ].slice(0, maxBatchSize);
+    batch.forEach(([id, entry]) => {
+      queued.delete(id);
+      inFlight.set(id, entry);
+    });
+    return batch;
+  };
+
+  const drain = () => {
+    while (queued.size && running < maxConcurrent) {
+      const hasHighPriority = [...queued.values()].some(entry => entry.priority === 'high');
+      if (!hasHighPriority && running >= Math.max(1, maxConcurrent - 1)) break;
+
+      const batch = nextBatch();
+      running++;
+      metrics.batches++;
+      metrics.idsRequested += batch.length;
+      console.log(`[LOADER] Requesting ${batch.length} IDs (${queued.size} still queued)`);
+      Promise.resolve()
+        .then(() => loadBatch(batch.map(([id]) => id)))
+        .then(
+          results => batch.forEach(([id, entry]) => entry.resolve(results ? results[id] : undefined)),
+          error => batch.forEach(([, entry]) => entry.reject(error))
+        )
+        .finally(() => {
+          batch.forEach(([id]) => inFlight.delete(id));
+          running--;
+          drain();
+        });
+    }
+  };
+
+  const schedule = () => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      drain();
+    }, delayMs);
+  };
+
+  const request = (id, priority) => {
+    const existing = queued.get(id) || inFlight.get(id);
+    if (existing) {
+      metrics.deduplicated++;
+      // Still queued: a high priority caller moves it to the front
+      if (priority === 'high' && queued.has(id)) existing.priority = 'high';
+      return existing.promise;
+    }
+    const entry = { priority };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    queued.set(id, entry);
+    schedule();
+    return entry.promise;
+  };
+
+  return {
+    /**
+     * @param {string[]} ids
+     * @param {Object} [options]
+     * @param {'high'|'low'} [options.priority='low']
+     * @returns {Promise<Object>} id => value, for the IDs the backend returned
+     */
+    async load(ids, { priority = 'low' } = {}) {
+      const unique = [...new Set(ids)];
+      const values = await Promise.all(unique.map(id => request(id, priority)));
+      const results = {};
+      unique.forEach((id, index) => {
+        if (values[index] !== undefined) results[id] = values[index];
+      });
+      return results;
+    },
+
+    /**
+     * @returns {Object} Requests sent and IDs coalesced since the page loaded, plus what is waiting
+     */
+    getMetrics() {
+      return { ...metrics, queued: queued.size, inFlight: inFlight.size };
+    }
+  };
+}
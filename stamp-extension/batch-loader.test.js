@@ -0,0 +1,87 @@
+// Unit tests for request coalescing and prioritization in batch-loader.js
+import { createBatchLoader } from './batch-loader.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// A backend whose requests stay open until released, answering id => `value-<id>`
+const createBackend = () => {
+  const requests = [];
+  const loadBatch = jest.fn(ids => new Promise((resolve, reject) => {
+    requests.push({ ids, release: () => resolve(Object.fromEntries(ids.map(id => [id, `value-${id}`]))), fail: reject });
+  }));
+  return { requests, loadBatch };
+};
+
+describe('createBatchLoader', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('merges callers within a tick and never requests an ID twice', async () => {
+    const backend = createBackend();
+    const loader = createBatchLoader({ loadBatch: backend.loadBatch });
+
+    const rows = loader.load(['a', 'b', 'b']);
+    const thread = loader.load(['b']);
+    await flush();
+    const again = loader.load(['a', 'c']);
+    await flush();
+    expect(backend.requests.map(request => request.ids)).toEqual([['a', 'b']]);
+
+    backend.requests[0].release();
+    await expect(rows).resolves.toEqual({ a: 'value-a', b: 'value-b' });
+    await expect(thread).resolves.toEqual({ b: 'value-b' });
+    await flush();
+    expect(backend.requests.map(request => request.ids)).toEqual([['a', 'b'], ['c']]);
+    backend.requests[1].release();
+    await expect(again).resolves.toEqual({ a: 'value-a', c: 'value-c' });
+    expect(loader.getMetrics()).toMatchObject({ batches: 2, idsRequested: 3, deduplicated: 2, queued: 0, inFlight: 0 });
+  });
+
+  test('splits large requests into batches of the maximum size', async () => {
+    const backend = createBackend();
+    const loader = createBatchLoader({ loadBatch: backend.loadBatch, maxBatchSize: 2, maxConcurrent: 5 });
+
+    loader.load(['a', 'b', 'c', 'd', 'e']);
+    await flush();
+
+    expect(backend.requests.map(request => request.ids)).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+  });
+
+  test('sends high priority IDs first and keeps a slot free for them', async () => {
+    const backend = createBackend();
+    const loader = createBatchLoader({ loadBatch: backend.loadBatch, maxBatchSize: 2, maxConcurrent: 2 });
+
+    loader.load(['r1', 'r2', 'r3', 'r4', 'r5']);
+    loader.load(['r5'], { priority: 'high' });
+    await flush();
+    // r5 was promoted; the second slot is kept for high priority work
+    expect(backend.requests.map(request => request.ids)).toEqual([['r5', 'r1']]);
+
+    const open = loader.load(['open'], { priority: 'high' });
+    await flush();
+    expect(backend.requests.map(request => request.ids)).toEqual([['r5', 'r1'], ['open', 'r2']]);
+
+    backend.requests[1].release();
+    await expect(open).resolves.toEqual({ open: 'value-open' });
+    await flush();
+    expect(backend.requests).toHaveLength(2);
+
+    backend.requests[0].release();
+    await flush();
+    expect(backend.requests.map(request => request.ids)[2]).toEqual(['r3', 'r4']);
+  });
+
+  test('rejects every caller of a failed batch and leaves out IDs the backend skipped', async () => {
+    const loader = createBatchLoader({
+      loadBatch: jest.fn()
+        .mockRejectedValueOnce(new Error('502'))
+        .mockResolvedValueOnce({ a: 1 })
+    });
+
+    await expect(loader.load(['a'])).rejects.toThrow('502');
+    await expect(loader.load(['a', 'missing'])).resolves.toEqual({ a: 1 });
+  });
+});
@@ -66,6 +66,7 @@ npx esbuild content.js --bundle --outfile=dist/content.js --platform=browser --s
 echo "=> Building background.js..."
 npx esbuild background.js --bundle --outfile=dist/background.js --platform=browser --sourcemap \
   --minify=false \
+  --define:"CONFIG.API_ENDPOINT='${API_ENDPOINT}'" \
   --define:"CONFIG.AUTH_ENDPOINT='${AUTH_ENDPOINT}'"
 
 # Build OAuth callback detector
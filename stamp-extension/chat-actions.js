@@ -0,0 +1,118 @@
+// stamp-extension/chat-actions.js
+
+/**
+ * The actions under chat messages, the same in the sidebar chat and the floating chat: Stop
+ * while an answer streams, Retry on a failed or stopped answer, Regenerate on the last answer
+ * and Edit on the last question, which resends it in place of the old one.
+ */
+
+const BUTTON_STYLE = 'margin:6px 6px 0 0; border:1px solid #dadce0; background:#fff; color:#3c4043; border-radius:999px; padding:3px 10px; font-size:12px; font-weight:600; cursor:pointer;';
+
+function createActionButton(className, label, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = label;
+  button.title = title;
+  button.style.cssText = BUTTON_STYLE;
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Creates the inline editor for resending a question.
+ * @param {Object} options
+ * @param {string} options.text - The question being edited
+ * @param {Function} options.onSend - Called with the edited question
+ * @param {Function} options.onCancel
+ * @returns {HTMLElement}
+ */
+export function createQuestionEditor({ text, onSend, onCancel }) {
+  const editor = document.createElement('div');
+  editor.className = 'stamp-chat-question-editor';
+  editor.style.cssText = 'margin-top:6px; display:flex; flex-direction:column; align-items:flex-end;';
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.rows = Math.min(6, Math.max(2, text.split('\n').length));
+  textarea.style.cssText = 'width:100%; min-width:200px; box-sizing:border-box; border:1px solid #dadce0; border-radius:8px; padding:6px 8px; font:inherit; font-size:13px; color:#202124; background:#fff; resize:vertical;';
+
+  const send = () => {
+    const question = textarea.value.trim();
+    if (question) onSend(question);
+  };
+  textarea.addEventListener('keydown', (event) => {
+    event.stopPropagation(); // keep Gmail shortcuts out of the editor
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      send();
+    } else if (event.key === 'Escape') {
+      onCancel();
+    }
+  });
+
+  const buttons = document.createElement('div');
+  buttons.appendChild(createActionButton('stamp-chat-edit-cancel', 'Cancel', 'Keep the question', onCancel));
+  buttons.appendChild(createActionButton('stamp-chat-edit-send', 'Send', 'Ask the edited question instead', send));
+
+  editor.appendChild(textarea);
+  editor.appendChild(buttons);
+  setTimeout(() => textarea.focus());
+  return editor;
+}
+
+/**
+ * Fills a message's action area for its current state.
+ * @param {HTMLElement} container - Emptied first
+ * @param {Object} message - Chat engine message
+ * @param {Object} state - { isBusy, isLastQuestion, isLastAnswer } from createChatView
+ * @param {Object} handlers
+ * @param {Function} handlers.onStop
+ * @param {Function} handlers.onRetry - Asks the last question again
+ * @param {Function} handlers.onEdit - Called with the edited question
+ * @param {Function} [handlers.addDraftAction] - (container, text); adds "Draft reply"
+ */
+export function renderChatMessageActions(container, message, state, { onStop, onRetry, onEdit, addDraftAction = null }) {
+  container.innerHTML = '';
+  const { isBusy, isLastQuestion, isLastAnswer } = state;
+
+  if (message.role === 'user') {
+    if (!isLastQuestion || isBusy) return;
+    container.appendChild(createActionButton('stamp-chat-edit', '✎ Edit', 'Edit and resend this question', () => {
+      container.innerHTML = '';
+      container.appendChild(createQuestionEditor({
+        text: message.content,
+        onSend: onEdit,
+        onCancel: () => renderChatMessageActions(container, message, state, { onStop, onRetry, onEdit, addDraftAction })
+      }));
+    }));
+    return;
+  }
+
+  if (message.status === 'pending' || message.status === 'streaming') {
+    container.appendChild(createActionButton('stamp-chat-stop', '■ Stop', 'Stop this answer', onStop));
+    return;
+  }
+
+  if (message.status === 'error' || message.status === 'cancelled') {
+    const note = document.createElement('div');
+    note.className = 'stamp-chat-note';
+    note.style.cssText = message.status === 'error'
+      ? 'margin-top:8px; color:#d32f2f; font-weight:600;'
+      : 'margin-top:8px; font-style:italic; opacity:0.8;';
+    note.textContent = message.status === 'error' ? `❌ Error: ${message.error}` : 'Stopped';
+    container.appendChild(note);
+  } else if (message.content && addDraftAction) {
+    addDraftAction(container, message.content);
+  }
+
+  if (isLastAnswer && !isBusy) {
+    const failed = message.status === 'error' || message.status === 'cancelled';
+    container.appendChild(failed
+      ? createActionButton('stamp-chat-retry', '↻ Retry', 'Ask this question again', onRetry)
+      : createActionButton('stamp-chat-regenerate', '↻ Regenerate', 'Get a new answer to this question', onRetry));
+  }
+}
@@ -0,0 +1,60 @@
+// Unit tests for the chat message actions in chat-actions.js
+import { renderChatMessageActions } from './chat-actions.js';
+
+const message = (role, status = 'done', extra = {}) => ({ id: 'm1', role, content: 'Globex balance?', status, error: null, ...extra });
+const idle = { isBusy: false, isLastQuestion: true, isLastAnswer: true };
+
+describe('chat actions', () => {
+  let container;
+  let handlers;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="actions"></div>';
+    container = document.getElementById('actions');
+    handlers = { onStop: jest.fn(), onRetry: jest.fn(), onEdit: jest.fn(), addDraftAction: jest.fn() };
+  });
+
+  const labels = () => Array.from(container.querySelectorAll('button')).map(button => button.textContent);
+
+  test('a streaming answer can be stopped', () => {
+    renderChatMessageActions(container, message('assistant', 'streaming'), { ...idle, isBusy: true }, handlers);
+    expect(labels()).toEqual(['■ Stop']);
+    container.querySelector('.stamp-chat-stop').click();
+    expect(handlers.onStop).toHaveBeenCalled();
+  });
+
+  test('the last answer can be regenerated, a failed one retried', () => {
+    renderChatMessageActions(container, message('assistant'), idle, handlers);
+    expect(labels()).toEqual(['↻ Regenerate']);
+    expect(handlers.addDraftAction).toHaveBeenCalledWith(container, 'Globex balance?');
+
+    renderChatMessageActions(container, message('assistant'), { ...idle, isLastAnswer: false }, handlers);
+    expect(labels()).toEqual([]);
+
+    renderChatMessageActions(container, message('assistant', 'error', { error: 'Timed out' }), idle, handlers);
+    expect(container.querySelector('.stamp-chat-note').textContent).toBe('❌ Error: Timed out');
+    container.querySelector('.stamp-chat-retry').click();
+    expect(handlers.onRetry).toHaveBeenCalled();
+
+    renderChatMessageActions(container, message('assistant', 'cancelled'), idle, handlers);
+    expect(container.querySelector('.stamp-chat-note').textContent).toBe('Stopped');
+  });
+
+  test('the last question can be edited and resent', () => {
+    renderChatMessageActions(container, message('user'), { ...idle, isBusy: true }, handlers);
+    expect(labels()).toEqual([]);
+
+    renderChatMessageActions(container, message('user'), idle, handlers);
+    container.querySelector('.stamp-chat-edit').click();
+    const textarea = container.querySelector('textarea');
+    expect(textarea.value).toBe('Globex balance?');
+
+    container.querySelector('.stamp-chat-edit-cancel').click();
+    expect(labels()).toEqual(['✎ Edit']);
+
+    container.querySelector('.stamp-chat-edit').click();
+    container.querySelector('textarea').value = 'Acme balance?';
+    container.querySelector('textarea').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(handlers.onEdit).toHaveBeenCalledWith('Acme balance?');
+  });
+});
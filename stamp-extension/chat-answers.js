@@ -0,0 +1,203 @@
+// stamp-extension/chat-answers.js
+
+/**
+ * Renders assistant answers for both chats: the answer's markdown (escaped first, so nothing in
+ * an answer becomes live HTML), the tool calls behind it as collapsible steps and the documents
+ * those tools returned, which the chats show as source capsules linking to their Gmail threads.
+ */
+
+import { escapeHtml, safeUrl } from './safe-html.js';
+
+const MAX_SOURCES = 8;
+const MAX_STEP_DETAIL_LENGTH = 2000;
+
+const CODE_STYLE = 'font-family:monospace; font-size:12px; background:rgba(127,127,127,0.15); border-radius:4px;';
+const CELL_STYLE = 'border:1px solid rgba(127,127,127,0.35); padding:4px 8px; text-align:left; vertical-align:top;';
+
+const emphasize = (html) => html
+  .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+  .replace(/(^|[^*\w])\*(?!\s)([^*]+?)\*(?![*\w])/g, '$1<i>$2</i>')
+  .replace(/(^|\W)_(?!\s)([^_]+?)_(?!\w)/g, '$1<i>$2</i>');
+
+/**
+ * Inline markdown on one escaped line: `code`, **bold**, *italic* and [links](https://…).
+ * Only http(s) and mailto links are kept. Links are swapped for placeholders while bold and
+ * italic are formatted, so a `*` or `_` in a URL never ends up as markup inside its href.
+ */
+function renderInline(text) {
+  return text.split(/(`[^`]+`)/).map((part, index) => {
+    if (index % 2 === 1) return `<code style="${CODE_STYLE} padding:1px 4px;">${escapeHtml(part.slice(1, -1))}</code>`;
+    const links = [];
+    const withPlaceholders = escapeHtml(part).replace(/\uE000/g, '').replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      links.push(safeUrl(url)
+        ? `<a href="${url}" target="_blank" rel="noopener noreferrer" style="color:inherit; text-decoration:underline;">${emphasize(label)}</a>`
+        : emphasize(label));
+      return `\uE000${links.length - 1}\uE000`;
+    });
+    return emphasize(withPlaceholders).replace(/\uE000(\d+)\uE000/g, (match, linkIndex) => links[linkIndex]);
+  }).join('');
+}
+
+const splitTableRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+const isTableSeparator = (line) => /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line || '');
+
+function renderTable(rows) {
+  const [header, ...body] = rows.map(splitTableRow);
+  return `<div style="overflow-x:auto; margin:6px 0;"><table style="border-collapse:collapse; font-size:13px;">
+    <thead><tr>${header.map(cell => `<th style="${CELL_STYLE} font-weight:600;">${renderInline(cell)}</th>`).join('')}</tr></thead>
+    <tbody>${body.map(row => `<tr>${header.map((_, index) => `<td style="${CELL_STYLE}">${renderInline(row[index] || '')}</td>`).join('')}</tr>`).join('')}</tbody>
+  </table></div>`;
+}
+
+/**
+ * Renders an answer's markdown as HTML: paragraphs, headings, bulleted and numbered lists,
+ * tables, code blocks and inline code, bold, italic and links. Everything is escaped before it
+ * is formatted, so the result is safe to assign to innerHTML.
+ * @param {string} text
+ * @returns {string}
+ */
+export function renderMarkdown(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null; // { ordered, items }
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p style="margin:0 0 8px;">${paragraph.map(renderInline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) {
+      const tag = list.ordered ? 'ol' : 'ul';
+      blocks.push(`<${tag} style="margin:0 0 8px; padding-left:20px;">${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`);
+    }
+    list = null;
+  };
+  const flush = () => {
+    flushParagraph();
+    flushList();
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (/^\s*```/.test(line)) {
+      flush();
+      const code = [];
+      while (++index < lines.length && !/^\s*```/.test(lines[index])) code.push(lines[index]);
+      blocks.push(`<pre style="${CODE_STYLE} margin:0 0 8px; padding:8px; overflow-x:auto; white-space:pre;"><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (line.includes('|') && isTableSeparator(lines[index + 1])) {
+      flush();
+      const rows = [line];
+      index++; // the separator
+      while (index + 1 < lines.length && lines[index + 1].includes('|') && lines[index + 1].trim()) rows.push(lines[++index]);
+      blocks.push(renderTable(rows));
+      continue;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flush();
+      blocks.push(`<div style="font-weight:600; font-size:${heading[1].length <= 2 ? 15 : 14}px; margin:4px 0 6px;">${renderInline(heading[2])}</div>`);
+      continue;
+    }
+
+    const item = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+    if (item) {
+      flushParagraph();
+      const ordered = Boolean(item[2]);
+      if (list && list.ordered !== ordered) flushList();
+      if (!list) list = { ordered, items: [] };
+      list.items.push(item[3]);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    flushList();
+    paragraph.push(line);
+  }
+  flush();
+  return blocks.join('');
+}
+
+const pick = (object, ...keys) => keys.map(key => object?.[key]).find(value => value !== undefined && value !== null && value !== '');
+
+/**
+ * Finds the documents in tool results: any object carrying a Gmail thread ID, labelled by its
+ * invoice number, vendor or subject.
+ * @param {Object[]} toolCalls - message.toolCalls from the chat engine
+ * @returns {Object[]} { threadId, messageId, label }, at most MAX_SOURCES, without duplicates
+ */
+export function findSourceDocuments(toolCalls) {
+  const sources = new Map();
+
+  const visit = (value, depth) => {
+    if (sources.size >= MAX_SOURCES || depth > 6 || !value || typeof value !== 'object') return;
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, depth + 1));
+      return;
+    }
+    const threadId = pick(value, 'thread_id', 'threadId', 'doc_thread_id', 'docThreadId');
+    if (typeof threadId === 'string') {
+      const messageId = pick(value, 'message_id', 'messageId', 'doc_message_id', 'docMessageId') || null;
+      const details = value.details || {};
+      const invoiceNumber = pick(details, 'invoiceNumber', 'invoice_number') || pick(value, 'invoiceNumber', 'invoice_number');
+      const vendor = pick(details.vendor || {}, 'name') || pick(value, 'vendor_name', 'vendorName');
+      const label = invoiceNumber ? `Invoice ${invoiceNumber}` : (vendor || pick(value, 'subject', 'title') || 'Document');
+      const key = `${threadId}/${messageId || ''}`;
+      if (!sources.has(key)) sources.set(key, { threadId, messageId: typeof messageId === 'string' ? messageId : null, label: String(label) });
+    }
+    Object.values(value).forEach(item => visit(item, depth + 1));
+  };
+
+  (toolCalls || []).forEach(call => visit(parseResult(call.result), 0));
+  return [...sources.values()];
+}
+
+// Tool results often arrive as JSON text
+function parseResult(result) {
+  if (typeof result !== 'string') return result;
+  try {
+    return JSON.parse(result);
+  } catch {
+    return result;
+  }
+}
+
+const toolLabel = (name) => {
+  const words = String(name || 'tool').replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+function formatStepDetail(value) {
+  const parsed = parseResult(value);
+  const text = typeof parsed === 'string' ? parsed : JSON.stringify(parsed, null, 2);
+  return text.length > MAX_STEP_DETAIL_LENGTH ? `${text.slice(0, MAX_STEP_DETAIL_LENGTH)}…` : text;
+}
+
+/**
+ * Renders the tool calls behind an answer as collapsible steps.
+ * @param {Object[]} toolCalls - { name, input, result }
+ * @param {Object} [options]
+ * @param {number[]} [options.open] - Indexes of steps shown expanded
+ * @returns {string} HTML, empty without tool calls
+ */
+export function renderToolSteps(toolCalls, { open = [] } = {}) {
+  if (!toolCalls?.length) return '';
+  const steps = toolCalls.map((call, index) => {
+    const done = call.result !== null && call.result !== undefined;
+    return `
+      <details class="stamp-chat-step" ${open.includes(index) ? 'open' : ''} style="margin-bottom:4px;">
+        <summary style="cursor:pointer; font-size:12px; opacity:0.85;">${done ? '✓' : '…'} ${escapeHtml(toolLabel(call.name))}</summary>
+        ${call.input !== null && call.input !== undefined ? `<div style="font-size:11px; opacity:0.7; margin:4px 0 2px;">Input</div><pre style="${CODE_STYLE} margin:0; padding:6px; max-height:160px; overflow:auto; white-space:pre-wrap;">${escapeHtml(formatStepDetail(call.input))}</pre>` : ''}
+        ${done ? `<div style="font-size:11px; opacity:0.7; margin:4px 0 2px;">Result</div><pre style="${CODE_STYLE} margin:0; padding:6px; max-height:160px; overflow:auto; white-space:pre-wrap;">${escapeHtml(formatStepDetail(call.result))}</pre>` : ''}
+      </details>`;
+  }).join('');
+  return `<div class="stamp-chat-steps" style="margin-bottom:8px;">${steps}</div>`;
+}
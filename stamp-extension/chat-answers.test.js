@@ -0,0 +1,91 @@
+// Unit tests for answer markdown, tool steps and source documents in chat-answers.js
+import { findSourceDocuments, renderMarkdown, renderToolSteps } from './chat-answers.js';
+
+const render = (html) => {
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div;
+};
+
+describe('chat answers', () => {
+  test('markdown renders lists, tables and code', () => {
+    const div = render(renderMarkdown([
+      '## Open invoices',
+      'Globex has **two** open *invoices*:',
+      '- INV-1 for `$500`',
+      '- INV-2',
+      '',
+      '| Invoice | Amount |',
+      '| --- | ---: |',
+      '| INV-1 | $500 |',
+      '| INV-2 | $250 |',
+      '',
+      '1. Approve',
+      '2. Pay',
+      '```',
+      'total = 750 **not bold**',
+      '```',
+    ].join('\n')));
+
+    expect(div.querySelector('div').textContent).toBe('Open invoices');
+    expect(div.querySelector('p b').textContent).toBe('two');
+    expect(div.querySelector('p i').textContent).toBe('invoices');
+    expect(Array.from(div.querySelectorAll('ul li')).map(li => li.textContent)).toEqual(['INV-1 for $500', 'INV-2']);
+    expect(Array.from(div.querySelectorAll('tbody tr')).map(row => Array.from(row.cells).map(cell => cell.textContent))).toEqual([['INV-1', '$500'], ['INV-2', '$250']]);
+    expect(div.querySelectorAll('ol li')).toHaveLength(2);
+    expect(div.querySelector('pre').textContent).toBe('total = 750 **not bold**');
+  });
+
+  test('markdown never produces live HTML', () => {
+    const div = render(renderMarkdown('<img src=x onerror="alert(1)"> [pay here](javascript:alert(1)) [portal](https://pay.example.com/?a=1&b=2) `<b>`'));
+
+    expect(div.querySelector('img')).toBeNull();
+    expect(div.querySelectorAll('a')).toHaveLength(1);
+    expect(div.querySelector('a').getAttribute('href')).toBe('https://pay.example.com/?a=1&b=2');
+    expect(div.querySelector('a').rel).toBe('noopener noreferrer');
+    expect(div.textContent).toContain('<img src=x onerror="alert(1)">');
+    expect(div.querySelector('code').textContent).toBe('<b>');
+  });
+
+  test('bold and italic leave link URLs alone', () => {
+    const div = render(renderMarkdown('**Pay** [the *first* invoice](https://pay.example.com/a_b_c/**x**) and [this one](https://pay.example.com/*id*) _today_ \uE0000\uE000'));
+    const links = div.querySelectorAll('a');
+
+    expect(Array.from(links).map(link => link.getAttribute('href'))).toEqual(['https://pay.example.com/a_b_c/**x**', 'https://pay.example.com/*id*']);
+    expect(links[0].querySelector('i').textContent).toBe('first');
+    expect(div.querySelector('p > b').textContent).toBe('Pay');
+    expect(div.querySelector('p > i').textContent).toBe('today');
+    expect(div.textContent).not.toContain('undefined');
+  });
+
+  test('source documents are found in tool results', () => {
+    const toolCalls = [
+      { name: 'search_invoices', input: {}, result: JSON.stringify({ results: [
+        { document: { thread_id: 't1', message_id: 'm1', details: { invoiceNumber: 'INV-1', vendor: { name: 'Globex' } } } },
+        { thread_id: 't2', vendor_name: 'Acme' },
+      ] }) },
+      { name: 'get_invoice', input: {}, result: { thread_id: 't1', message_id: 'm1', invoice_number: 'INV-1' } },
+      { name: 'pending', input: {}, result: null },
+    ];
+
+    expect(findSourceDocuments(toolCalls)).toEqual([
+      { threadId: 't1', messageId: 'm1', label: 'Invoice INV-1' },
+      { threadId: 't2', messageId: null, label: 'Acme' },
+    ]);
+    expect(findSourceDocuments([{ name: 'x', result: 'not json' }])).toEqual([]);
+  });
+
+  test('tool calls render as collapsible steps', () => {
+    const div = render(renderToolSteps([
+      { name: 'search_invoices', input: { vendor: '<Globex>' }, result: [1] },
+      { name: 'get_vendor', input: null, result: null },
+    ], { open: [0] }));
+
+    const steps = div.querySelectorAll('details.stamp-chat-step');
+    expect(Array.from(steps).map(step => step.querySelector('summary').textContent.trim())).toEqual(['✓ Search invoices', '… Get vendor']);
+    expect(steps[0].open).toBe(true);
+    expect(steps[1].open).toBe(false);
+    expect(steps[0].querySelector('pre').textContent).toContain('"vendor": "<Globex>"');
+    expect(renderToolSteps([])).toBe('');
+  });
+});
@@ -0,0 +1,343 @@
+// stamp-extension/chat-context.js
+
+/**
+ * Context sent with chat questions. While a thread is open, questions carry the thread, its
+ * visible messages and the sidebar's document cards (a "Context: this thread" chip turns this
+ * off). Vendors and invoice numbers can be @-mentioned to pin their documents as well; pins
+ * stay on the chat until their chip is removed.
+ */
+
+import { getDocumentFields } from './ap-dashboard.js';
+import { escapeHtml } from './safe-html.js';
+import { getDocumentId, normalizeInvoiceNumber } from './duplicate-detection.js';
+import { vendorKey } from './vendor-directory.js';
+
+const MAX_SUGGESTIONS = 6;
+const MAX_PINNED_VENDOR_DOCUMENTS = 25;
+const CHIP_STYLE = 'display:inline-flex; align-items:center; gap:4px; border-radius:999px; padding:2px 8px; font-size:12px; line-height:18px; cursor:pointer;';
+
+/**
+ * Builds the `threadContext` sent with /api/finops/stream questions.
+ * @param {Object} options
+ * @param {string|null} options.threadId - Gmail thread ID of the open thread
+ * @param {string} [options.subject] - Thread subject
+ * @param {string[]} [options.messageIds] - Messages visible in the thread
+ * @param {Object[]} [options.cards] - Sidebar card data (UIManager._currentCardData)
+ * @returns {Object|null} { threadId, subject, messageIds, cards[] }, or null when no thread is open
+ */
+export function buildChatThreadContext({ threadId, subject = '', messageIds = [], cards = [] }) {
+  if (!threadId) return null;
+  return {
+    threadId,
+    subject: subject || null,
+    messageIds: (messageIds || []).filter(Boolean),
+    cards: (cards || []).map(card => ({
+      cardType: card.cardType,
+      title: card.title || null,
+      messageId: card.messageId || null,
+      ...(card.hasDetails
+        ? summarizeDocument(card.fullDetails, card.status)
+        : { documentId: getDocumentId(card.fullDetails), status: card.status ? String(card.status).toLowerCase() : null })
+    }))
+  };
+}
+
+/**
+ * Returns the @-mention being typed at the caret, for suggestions.
+ * @param {string} text - Input value
+ * @param {number} caret - Caret position
+ * @returns {{query: string, start: number}|null} `start` is the index of the "@"
+ */
+export function findMentionQuery(text, caret) {
+  const match = String(text || '').slice(0, caret).match(/(^|\s)@([^\s@"]*)$/);
+  if (!match) return null;
+  return { query: match[2], start: caret - match[2].length - 1 };
+}
+
+/**
+ * Lists the @-mentions written in a question: `@Globex`, `@INV-1001` or `@"Acme Corp"`.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractMentions(text) {
+  const mentions = [];
+  const pattern = /(^|\s)@(?:"([^"]+)"|([^\s@"]+))/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    const mention = (match[2] || match[3].replace(/[.,;:!?)]+$/, '')).trim();
+    if (mention && !mentions.includes(mention)) mentions.push(mention);
+  }
+  return mentions;
+}
+
+/**
+ * Vendors and invoices matching a partial mention.
+ * @param {Object} sources
+ * @param {Object[]} sources.directory - Result of buildVendorDirectory
+ * @param {Object[]} sources.invoices - Documents from /api/finops/documents/detailed
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Object[]} Pins: { kind: 'vendor'|'invoice', key, label, detail, mention }
+ */
+export function searchMentionTargets({ directory = [], invoices = [] }, query, { limit = MAX_SUGGESTIONS } = {}) {
+  const text = vendorKey(query);
+  const number = normalizeInvoiceNumber(query);
+
+  const vendors = directory
+    .filter(vendor => !text || vendor.key.includes(text))
+    .sort((a, b) => Number(b.key.startsWith(text)) - Number(a.key.startsWith(text)))
+    .map(toVendorPin);
+  const matchingInvoices = !number ? [] : invoices
+    .filter(invoice => getDocumentId(invoice) && normalizeInvoiceNumber(getDocumentFields(invoice).invoiceNumber).includes(number))
+    .map(toInvoicePin);
+
+  // Something that looks like an invoice number lists invoices first
+  const ordered = /\d/.test(query) ? [...matchingInvoices, ...vendors] : [...vendors, ...matchingInvoices];
+  return ordered.slice(0, limit);
+}
+
+/**
+ * Finds the vendor or invoice a written mention refers to. Invoice numbers must match exactly
+ * (after normalization); vendors match by name.
+ * @param {Object} sources - { directory, invoices }, see searchMentionTargets
+ * @param {string} mention - Entry of extractMentions
+ * @returns {Object|null} Pin
+ */
+export function resolveMention({ directory = [], invoices = [] }, mention) {
+  const number = normalizeInvoiceNumber(mention);
+  const invoice = number && invoices.find(item => getDocumentId(item) && normalizeInvoiceNumber(getDocumentFields(item).invoiceNumber) === number);
+  if (invoice) return toInvoicePin(invoice);
+  const vendor = directory.find(item => item.key === vendorKey(mention));
+  return vendor ? toVendorPin(vendor) : null;
+}
+
+/**
+ * Builds the `pinnedContext` sent with questions from the current documents.
+ * @param {Object} sources - { directory, invoices }, see searchMentionTargets
+ * @param {Object[]} pins
+ * @returns {Object[]} Vendor summaries with their latest documents, and invoice summaries
+ */
+export function buildPinnedContext({ directory = [], invoices = [] }, pins) {
+  return (pins || []).map(pin => {
+    if (pin.kind === 'vendor') {
+      const vendor = directory.find(item => item.key === pin.key);
+      return vendor && {
+        kind: 'vendor',
+        name: vendor.name,
+        emails: vendor.emails,
+        openBalance: vendor.openBalance,
+        openCount: vendor.openCount,
+        averageDaysToPay: vendor.averageDaysToPay,
+        documents: vendor.documents.slice(0, MAX_PINNED_VENDOR_DOCUMENTS)
+      };
+    }
+    const invoice = invoices.find(item => getDocumentId(item) === pin.key);
+    return invoice && { kind: 'invoice', ...summarizeDocument(invoice) };
+  }).filter(Boolean);
+}
+
+/**
+ * Renders the context chips: the thread chip (when a thread is open) and one chip per pin.
+ * @param {HTMLElement} container
+ * @param {Object} state
+ * @param {boolean} state.threadOpen
+ * @param {boolean} state.includeThread
+ * @param {Object[]} state.pins
+ * @param {Object} handlers
+ * @param {Function} handlers.onToggleThread
+ * @param {Function} handlers.onRemovePin - Called with the pin's index
+ */
+export function renderChatContextChips(container, { threadOpen, includeThread, pins }, { onToggleThread, onRemovePin }) {
+  const threadChip = !threadOpen ? '' : includeThread
+    ? `<button type="button" class="stamp-context-thread" title="Questions include this thread. Click to leave it out." style="${CHIP_STYLE} border:1px solid #1a73e8; background:#e8f0fe; color:#1a73e8;">📎 Context: this thread ✕</button>`
+    : `<button type="button" class="stamp-context-thread" title="Include this thread in questions" style="${CHIP_STYLE} border:1px dashed #9aa0a6; background:#fff; color:#5f6368;">📎 Context: off</button>`;
+  const pinChips = pins.map((pin, index) => `
+    <button type="button" class="stamp-context-pin" data-index="${index}" title="Remove ${escapeHtml(pin.label)} from the context" style="${CHIP_STYLE} border:1px solid #dadce0; background:#f1f3f4; color:#3c4043;">
+      ${pin.kind === 'vendor' ? '🏢' : '🧾'} ${escapeHtml(pin.label)} ✕
+    </button>
+  `).join('');
+
+  container.style.display = threadChip || pinChips ? 'flex' : 'none';
+  container.innerHTML = threadChip + pinChips;
+  container.querySelector('.stamp-context-thread')?.addEventListener('click', onToggleThread);
+  container.querySelectorAll('.stamp-context-pin').forEach(chip => {
+    chip.addEventListener('click', () => onRemovePin(parseInt(chip.dataset.index, 10)));
+  });
+}
+
+/**
+ * Wires the context chips and @-mention suggestions to a chat input.
+ * @param {Object} options
+ * @param {HTMLInputElement|HTMLTextAreaElement} options.input
+ * @param {HTMLElement} options.container - Element above the input; chips and suggestions go here
+ * @param {Function} options.isThreadOpen - Returns whether a thread is open
+ * @param {Function} options.getThreadContext - Async; result of buildChatThreadContext
+ * @param {Function} options.loadSources - Async; resolves to { directory, invoices }
+ * @returns {{refresh: Function, getRequestContext: Function, getPins: Function}}
+ */
+export function createChatContextController({ input, container, isThreadOpen, getThreadContext, loadSources }) {
+  const state = { includeThread: true, pins: [] };
+  let suggestions = [];
+  let activeIndex = 0;
+  let mention = null;
+
+  container.innerHTML = `
+    <div class="stamp-mention-suggestions" style="display:none; margin-bottom:6px; border:1px solid #dadce0; border-radius:8px; background:#fff; box-shadow:0 2px 6px rgba(60,64,67,0.15); overflow:hidden;"></div>
+    <div class="stamp-context-chips" style="display:none; flex-wrap:wrap; gap:6px; margin-bottom:6px;"></div>
+  `;
+  const suggestionList = container.querySelector('.stamp-mention-suggestions');
+  const chips = container.querySelector('.stamp-context-chips');
+
+  const refresh = () => {
+    renderChatContextChips(chips, { threadOpen: isThreadOpen(), includeThread: state.includeThread, pins: state.pins }, {
+      onToggleThread: () => {
+        state.includeThread = !state.includeThread;
+        refresh();
+      },
+      onRemovePin: (index) => {
+        state.pins.splice(index, 1);
+        refresh();
+      }
+    });
+  };
+
+  const addPin = (pin) => {
+    if (!state.pins.some(existing => existing.kind === pin.kind && existing.key === pin.key)) {
+      state.pins.push(pin);
+    }
+  };
+
+  const closeSuggestions = () => {
+    suggestions = [];
+    mention = null;
+    suggestionList.style.display = 'none';
+    suggestionList.innerHTML = '';
+  };
+
+  const renderSuggestions = () => {
+    if (!suggestions.length) {
+      closeSuggestions();
+      return;
+    }
+    suggestionList.style.display = 'block';
+    suggestionList.innerHTML = suggestions.map((pin, index) => `
+      <div class="stamp-mention-suggestion" data-index="${index}" style="display:flex; justify-content:space-between; gap:8px; padding:6px 10px; font-size:13px; cursor:pointer; background:${index === activeIndex ? '#e8f0fe' : '#fff'};">
+        <span>${pin.kind === 'vendor' ? '🏢' : '🧾'} ${escapeHtml(pin.label)}</span>
+        <span style="color:#5f6368; font-size:12px;">${escapeHtml(pin.detail)}</span>
+      </div>
+    `).join('');
+  };
+
+  const pickSuggestion = (pin) => {
+    const caret = input.selectionStart ?? input.value.length;
+    const written = /\s/.test(pin.mention) ? `@"${pin.mention}" ` : `@${pin.mention} `;
+    input.value = input.value.slice(0, mention.start) + written + input.value.slice(caret);
+    const position = mention.start + written.length;
+    input.setSelectionRange(position, position);
+    addPin(pin);
+    closeSuggestions();
+    refresh();
+    input.focus();
+  };
+
+  input.addEventListener('input', async () => {
+    const typed = findMentionQuery(input.value, input.selectionStart ?? input.value.length);
+    if (!typed) {
+      closeSuggestions();
+      return;
+    }
+    const sources = await loadSources();
+    // The input may have changed while the documents loaded
+    if (findMentionQuery(input.value, input.selectionStart ?? input.value.length)?.query !== typed.query) return;
+    mention = typed;
+    suggestions = searchMentionTargets(sources, typed.query);
+    activeIndex = 0;
+    renderSuggestions();
+  });
+
+  // keydown runs before the chats' Enter-to-send keypress handlers; preventing it stops the send
+  input.addEventListener('keydown', (event) => {
+    if (!suggestions.length) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      activeIndex = (activeIndex + (event.key === 'ArrowDown' ? 1 : suggestions.length - 1)) % suggestions.length;
+      renderSuggestions();
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      pickSuggestion(suggestions[activeIndex]);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      closeSuggestions();
+    }
+  });
+
+  suggestionList.addEventListener('mousedown', (event) => {
+    const row = event.target.closest('.stamp-mention-suggestion');
+    if (!row) return;
+    event.preventDefault(); // keep focus in the input
+    pickSuggestion(suggestions[parseInt(row.dataset.index, 10)]);
+  });
+
+  /**
+   * Context fields for the stream request body. Mentions written without picking a
+   * suggestion are resolved and pinned here.
+   * @param {string} question
+   * @returns {Promise<{threadContext: Object|null, pinnedContext: Object[]}>}
+   */
+  const getRequestContext = async (question) => {
+    closeSuggestions();
+    const mentions = extractMentions(question);
+    const sources = mentions.length || state.pins.length ? await loadSources() : { directory: [], invoices: [] };
+    mentions.forEach(written => {
+      const pin = resolveMention(sources, written);
+      if (pin) addPin(pin);
+    });
+    refresh();
+
+    return {
+      threadContext: state.includeThread && isThreadOpen() ? await getThreadContext() : null,
+      pinnedContext: buildPinnedContext(sources, state.pins)
+    };
+  };
+
+  refresh();
+  return { refresh, getRequestContext, getPins: () => [...state.pins] };
+}
+
+function summarizeDocument(invoice, statusOverride = null) {
+  const fields = getDocumentFields(invoice);
+  return {
+    documentId: getDocumentId(invoice),
+    invoiceNumber: fields.invoiceNumber,
+    vendor: fields.vendor,
+    vendorEmail: fields.vendorEmail || null,
+    amount: fields.amount,
+    currency: fields.currency,
+    issueDate: fields.issueDate || null,
+    dueDate: fields.dueDate || null,
+    status: String(statusOverride || invoice.document?.final_status || fields.status).toLowerCase(),
+    threadId: invoice.document?.thread_id || null
+  };
+}
+
+function toVendorPin(vendor) {
+  return {
+    kind: 'vendor',
+    key: vendor.key,
+    label: vendor.name,
+    detail: vendor.openCount ? `${vendor.openCount} open` : `${vendor.documents.length} documents`,
+    mention: vendor.name
+  };
+}
+
+function toInvoicePin(invoice) {
+  const fields = getDocumentFields(invoice);
+  return {
+    kind: 'invoice',
+    key: getDocumentId(invoice),
+    label: `Invoice ${fields.invoiceNumber}`,
+    detail: fields.vendor,
+    mention: fields.invoiceNumber
+  };
+}
@@ -0,0 +1,110 @@
+// Unit tests for chat context and @-mentions in chat-context.js
+import { buildChatThreadContext, buildPinnedContext, createChatContextController, extractMentions, findMentionQuery, resolveMention, searchMentionTargets } from './chat-context.js';
+import { buildVendorDirectory } from './vendor-directory.js';
+
+const doc = (id, invoiceNumber, vendor, extra = {}) => ({
+  document: { thread_id: `t-${id}`, details: { id, invoiceNumber, amount: 100, vendor: { name: vendor, email: `ap@${vendor.toLowerCase().replace(/\s/g, '')}.com` }, ...extra } }
+});
+
+describe('chat context', () => {
+  const invoices = [doc('d1', 'INV-1001', 'Globex'), doc('d2', 'INV-2002', 'Acme Corp'), doc('d3', 'A-77', 'Acme Corp', { status: 'paid' })];
+  const sources = { directory: buildVendorDirectory(invoices, { now: '2025-06-01' }), invoices };
+
+  test('thread context carries messages and sidebar cards', () => {
+    const context = buildChatThreadContext({
+      threadId: 't1',
+      subject: 'Invoice INV-1001',
+      messageIds: ['m1', null, 'm2'],
+      cards: [
+        { cardType: 'inv', title: 'Invoice INV-1001', status: 'Approved', messageId: 'm1', hasDetails: true, fullDetails: { ...doc('d1', 'INV-1001', 'Globex'), type: 'inv' } },
+        { cardType: 'po', title: 'Purchase Order 7', status: null, messageId: 'm2', hasDetails: false, fullDetails: { type: 'po', document: { details: {} } } },
+      ],
+    });
+
+    expect(context.messageIds).toEqual(['m1', 'm2']);
+    expect(context.cards).toEqual([
+      expect.objectContaining({ cardType: 'inv', documentId: 'd1', invoiceNumber: 'INV-1001', vendor: 'Globex', amount: 100, status: 'approved', dueDate: null }),
+      { cardType: 'po', title: 'Purchase Order 7', messageId: 'm2', documentId: null, status: null },
+    ]);
+    expect(buildChatThreadContext({ threadId: null })).toBeNull();
+  });
+
+  test('finds the mention being typed and the mentions written', () => {
+    expect(findMentionQuery('total for @glo', 14)).toEqual({ query: 'glo', start: 10 });
+    expect(findMentionQuery('mail me@acme.com', 16)).toBeNull();
+    expect(extractMentions('Compare @INV-1001, @"Acme Corp" and @Globex? Also @Globex.')).toEqual(['INV-1001', 'Acme Corp', 'Globex']);
+  });
+
+  test('suggests vendors and invoices, invoices first for numbers', () => {
+    expect(searchMentionTargets(sources, 'ac').map(pin => pin.label)).toEqual(['Acme Corp']);
+    expect(searchMentionTargets(sources, '1001').map(pin => [pin.kind, pin.label])).toEqual([['invoice', 'Invoice INV-1001']]);
+    expect(searchMentionTargets(sources, 'inv-2').map(pin => pin.label)[0]).toBe('Invoice INV-2002');
+  });
+
+  test('resolves written mentions to exact invoices or vendors', () => {
+    expect(resolveMention(sources, 'inv 1001')).toEqual(expect.objectContaining({ kind: 'invoice', key: 'd1' }));
+    expect(resolveMention(sources, 'acme corp')).toEqual(expect.objectContaining({ kind: 'vendor', key: 'acme corp' }));
+    expect(resolveMention(sources, 'INV-1')).toBeNull();
+  });
+
+  test('pinned context summarizes vendors and invoices', () => {
+    const pinned = buildPinnedContext(sources, [
+      { kind: 'vendor', key: 'acme corp' },
+      { kind: 'invoice', key: 'd1' },
+      { kind: 'invoice', key: 'gone' },
+    ]);
+
+    expect(pinned[0]).toEqual(expect.objectContaining({ kind: 'vendor', name: 'Acme Corp', openCount: 1, emails: ['ap@acmecorp.com'] }));
+    expect(pinned[0].documents).toHaveLength(2);
+    expect(pinned[1]).toEqual(expect.objectContaining({ kind: 'invoice', invoiceNumber: 'INV-1001', threadId: 't-d1' }));
+    expect(pinned).toHaveLength(2);
+  });
+
+  describe('controller', () => {
+    const setup = (threadOpen = true) => {
+      document.body.innerHTML = '<div id="bar"></div><textarea id="input"></textarea>';
+      const input = document.getElementById('input');
+      const container = document.getElementById('bar');
+      const controller = createChatContextController({
+        input,
+        container,
+        isThreadOpen: () => threadOpen,
+        getThreadContext: async () => ({ threadId: 't1' }),
+        loadSources: async () => sources,
+      });
+      return { input, container, controller };
+    };
+
+    test('the thread chip toggles the thread context off', async () => {
+      const { container, controller } = setup();
+
+      expect((await controller.getRequestContext('total?')).threadContext).toEqual({ threadId: 't1' });
+      container.querySelector('.stamp-context-thread').click();
+      expect(container.querySelector('.stamp-context-thread').textContent).toContain('Context: off');
+      expect((await controller.getRequestContext('total?')).threadContext).toBeNull();
+    });
+
+    test('no thread chip outside a thread', () => {
+      const { container } = setup(false);
+      expect(container.querySelector('.stamp-context-thread')).toBeNull();
+    });
+
+    test('picking a suggestion pins it until its chip is removed', async () => {
+      const { input, container, controller } = setup();
+      input.value = 'open balance for @acm';
+      input.setSelectionRange(input.value.length, input.value.length);
+      input.dispatchEvent(new Event('input'));
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+      expect(input.value).toBe('open balance for @"Acme Corp" ');
+      expect(controller.getPins().map(pin => pin.key)).toEqual(['acme corp']);
+
+      const { pinnedContext } = await controller.getRequestContext('and @INV-1001?');
+      expect(pinnedContext.map(item => item.kind)).toEqual(['vendor', 'invoice']);
+
+      container.querySelector('.stamp-context-pin').click();
+      expect(controller.getPins().map(pin => pin.key)).toEqual(['d1']);
+    });
+  });
+});
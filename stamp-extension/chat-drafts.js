@@ -0,0 +1,69 @@
+// stamp-extension/chat-drafts.js
+
+/**
+ * Turns chat answers into vendor replies. Questions carry the open thread as context (see
+ * chat-context.js), so the backend can ground a draft in that conversation; the "Draft reply"
+ * action under an answer then puts the text into a reply compose.
+ */
+
+import { escapeHtml } from './safe-html.js';
+
+/**
+ * Converts an answer into email body HTML: blank lines separate paragraphs, single newlines
+ * become line breaks, **bold** is kept and everything else is escaped.
+ * @param {string} text
+ * @returns {string}
+ */
+export function draftTextToHtml(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .trim()
+    .split(/\n\s*\n/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeHtml(paragraph.trim())
+      .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+      .replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+/**
+ * Picks who a fallback reply goes to: the sender of the latest message not sent by the user.
+ * @param {Object[]} senders - Message senders, oldest first ({ emailAddress, name })
+ * @param {string} [userEmail]
+ * @returns {Object|null}
+ */
+export function pickReplyRecipient(senders, userEmail = '') {
+  const own = String(userEmail || '').toLowerCase();
+  return [...(senders || [])].reverse()
+    .find(sender => sender?.emailAddress && sender.emailAddress.toLowerCase() !== own) || null;
+}
+
+/**
+ * Creates the "Draft reply" button shown under an assistant answer.
+ * @param {Function} onDraft - Async; opens or fills the compose
+ * @returns {HTMLButtonElement}
+ */
+export function createDraftReplyButton(onDraft) {
+  const label = '✉️ Draft reply';
+  const button = document.createElement('button');
+  button.className = 'stamp-draft-reply';
+  button.type = 'button';
+  button.textContent = label;
+  button.style.cssText = 'margin-top:8px; border:1px solid #1a73e8; background:#fff; color:#1a73e8; border-radius:999px; padding:4px 12px; font-size:12px; font-weight:600; cursor:pointer;';
+
+  button.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    button.disabled = true;
+    button.textContent = 'Opening draft…';
+    try {
+      await onDraft();
+      button.textContent = label;
+    } catch (error) {
+      console.error('[CHAT DRAFT] Failed to open draft:', error);
+      button.textContent = 'Could not open a draft. Try again';
+    } finally {
+      button.disabled = false;
+    }
+  });
+  return button;
+}
@@ -0,0 +1,36 @@
+// Unit tests for chat reply drafts in chat-drafts.js
+import { createDraftReplyButton, draftTextToHtml, pickReplyRecipient } from './chat-drafts.js';
+
+describe('chat drafts', () => {
+  test('answer text becomes escaped paragraphs', () => {
+    expect(draftTextToHtml('Hi Globex team,\n\nInvoice **INV-7** is <approved>.\nPayment goes out Friday.\n\n\nThanks'))
+      .toBe('<p>Hi Globex team,</p><p>Invoice <b>INV-7</b> is &lt;approved&gt;.<br>Payment goes out Friday.</p><p>Thanks</p>');
+    expect(draftTextToHtml('')).toBe('');
+  });
+
+  test('fallback reply goes to the latest sender who is not the user', () => {
+    const senders = [{ emailAddress: 'ap@globex.com' }, { emailAddress: 'Me@acme.com' }];
+
+    expect(pickReplyRecipient(senders, 'me@acme.com')).toEqual({ emailAddress: 'ap@globex.com' });
+    expect(pickReplyRecipient([{ emailAddress: 'me@acme.com' }], 'me@acme.com')).toBeNull();
+  });
+
+  test('draft button reports a failed draft and can be retried', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    const onDraft = jest.fn().mockRejectedValueOnce(new Error('no compose')).mockResolvedValueOnce();
+    const button = createDraftReplyButton(onDraft);
+
+    button.click();
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(button.textContent).toBe('Could not open a draft. Try again');
+    expect(button.disabled).toBe(false);
+
+    button.click();
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(button.textContent).toBe('✉️ Draft reply');
+    expect(onDraft).toHaveBeenCalledTimes(2);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,458 @@
+// stamp-extension/chat-engine.js
+
+/**
+ * The chat engine behind both the sidebar chat and the floating chat. A ChatSession owns one
+ * conversation: its messages, the answer streaming from /api/finops/stream, cancelling and
+ * retrying it, and saving it to the chat history. The ChatEngine hands out one session per
+ * conversation, so both chat surfaces render from the same session and a conversation can be
+ * continued in either one (an answer streaming in one shows in the other too).
+ */
+
+import { appendToConversation, createConversationRecord } from './chat-history.js';
+
+export const STREAM_ENDPOINT = '/api/finops/stream';
+
+const NO_ANSWER_TEXT = 'I received your question but no response was provided.';
+
+let messageCounter = 0;
+
+/**
+ * Splits a server-sent event stream into parsed `data:` events.
+ * @param {Function} onEvent - Called with each event object ({ type, data })
+ * @returns {{push: Function, end: Function}} Feed decoded text with push(); end() flushes
+ *   the last line
+ */
+export function createSseParser(onEvent) {
+  let buffer = '';
+  const processLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+    try {
+      onEvent(JSON.parse(payload));
+    } catch (error) {
+      console.error('[CHAT ENGINE] Failed to parse stream event:', payload, error);
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop(); // keep the last partial line
+      lines.forEach(processLine);
+    },
+    end() {
+      if (buffer) processLine(buffer);
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} [content]
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'pending' (waiting for the first event), 'streaming',
+ *   'done', 'error' or 'cancelled'
+ * @param {Date|string} [options.createdAt]
+ * @returns {Object} { id, role, content, reasoning, toolCalls, status, error, createdAt }
+ */
+export function createChatMessage(role, content = '', { status = 'done', createdAt = new Date() } = {}) {
+  return {
+    id: `msg_${++messageCounter}`,
+    role,
+    content,
+    reasoning: '',
+    toolCalls: [],
+    status,
+    error: null,
+    createdAt: new Date(createdAt).toISOString()
+  };
+}
+
+/**
+ * Applies one stream event to the assistant message being answered, in place.
+ * `content` appends (or replaces, when `is_final`), `reasoning` accumulates, `tool_call` and
+ * `tool_result` are paired by tool name, `error` fails the message. Other events (workflow
+ * and agent progress) don't change the message.
+ * @param {Object} message - From createChatMessage
+ * @param {Object} event - { type, data }
+ * @returns {boolean} Whether the message changed
+ */
+export function applyStreamEvent(message, event) {
+  const data = event?.data || {};
+  switch (event?.type) {
+    case 'content':
+      message.content = data.is_final ? (data.content || '') : message.content + (data.content || '');
+      break;
+    case 'reasoning':
+      message.reasoning += `${message.reasoning ? '\n' : ''}${data.content || ''}`;
+      break;
+    case 'tool_call':
+      message.toolCalls.push({ name: data.tool_name || 'tool', input: data.tool_input ?? data.arguments ?? null, result: null });
+      break;
+    case 'tool_result': {
+      const call = [...message.toolCalls].reverse().find(item => item.name === data.tool_name && item.result === null);
+      const result = data.result ?? data.output ?? data.content ?? null;
+      if (call) call.result = result;
+      else message.toolCalls.push({ name: data.tool_name || 'tool', input: null, result });
+      break;
+    }
+    case 'error':
+      message.status = 'error';
+      message.error = data.error || data.message || 'The assistant ran into an error.';
+      return true;
+    default:
+      return false;
+  }
+  if (message.status === 'pending') message.status = 'streaming';
+  return true;
+}
+
+/**
+ * @param {Object} data - A JSON (non-streaming) answer
+ * @returns {string|null}
+ */
+export function getAnswerText(data) {
+  return data?.response || data?.AGENT_OUTPUT || data?.answer || null;
+}
+
+/**
+ * One conversation and its streaming answers.
+ * Subscribers get { type: 'update', message } when a message is added or changes,
+ * { type: 'remove', message } when a failed answer is retried and { type: 'conversation' }
+ * when the stored conversation (ID, title) changes.
+ */
+export class ChatSession {
+  /**
+   * @param {Object} options
+   * @param {Function} options.request - (body, signal) => Promise<Response>
+   * @param {Object} options.store - ChatHistoryStore
+   * @param {Object} [options.conversation] - Stored conversation to continue
+   * @param {number} [options.maxAttempts] - Tries per answer when nothing was received yet
+   * @param {number} [options.retryDelayMs]
+   * @param {Function} [options.onConversationCreated] - Called once the session has an ID
+   */
+  constructor({ request, store, conversation = null, maxAttempts = 2, retryDelayMs = 1000, onConversationCreated = null }) {
+    this.request = request;
+    this.store = store;
+    this.conversation = conversation;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.onConversationCreated = onConversationCreated;
+    this.messages = (conversation?.messages || []).map(message => createChatMessage(message.role, message.content, { createdAt: message.createdAt }));
+    this.listeners = new Set();
+    this._abortController = null;
+  }
+
+  get conversationId() {
+    return this.conversation?.id || null;
+  }
+
+  get isBusy() {
+    return Boolean(this._abortController);
+  }
+
+  /**
+   * @param {Function} listener
+   * @returns {Function} Unsubscribes
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Asks a question and streams the answer.
+   * @param {string} question
+   * @param {Object} [options]
+   * @param {Function} [options.getContext] - Async; extra request fields (thread context, pins),
+   *   read again on every attempt
+   * @returns {Promise<Object>} The answer message once it finished, failed or was cancelled
+   */
+  async send(question, { getContext = null } = {}) {
+    if (this.isBusy) throw new Error('An answer is still streaming');
+    this._addMessage(createChatMessage('user', question));
+    await this._record('user', question);
+    return this._answer(question, getContext);
+  }
+
+  /**
+   * Asks the last question again, replacing its answer (failed, stopped or not).
+   * @param {Object} [options] - See send
+   * @returns {Promise<Object|null>} The new answer, or null when there is nothing to retry
+   */
+  async retry({ getContext = null } = {}) {
+    const question = this.getLastQuestion();
+    if (this.isBusy || !question) return null;
+    await this._removeFrom(this.messages.indexOf(question) + 1);
+    return this._answer(question.content, getContext);
+  }
+
+  /**
+   * Replaces the last question (and its answer) with an edited one and asks it.
+   * @param {string} question
+   * @param {Object} [options] - See send
+   * @returns {Promise<Object>} The answer
+   */
+  async edit(question, options = {}) {
+    if (this.isBusy) throw new Error('An answer is still streaming');
+    const last = this.getLastQuestion();
+    if (last) await this._removeFrom(this.messages.indexOf(last));
+    return this.send(question, options);
+  }
+
+  /**
+   * Stops the answer being streamed; what arrived so far is kept.
+   */
+  cancel() {
+    this._abortController?.abort();
+  }
+
+  async _answer(question, getContext) {
+    const message = createChatMessage('assistant', '', { status: 'pending' });
+    const abortController = new AbortController();
+    this._abortController = abortController;
+    this._addMessage(message);
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const context = getContext ? await getContext(question) : {};
+          const response = await this.request({ question, conversationId: this.conversationId, ...context }, abortController.signal);
+          await this._readAnswer(response, message, abortController.signal);
+          break;
+        } catch (error) {
+          // Only retry when nothing was shown yet, so an answer never restarts halfway
+          if (abortController.signal.aborted || message.status !== 'pending' || attempt >= this.maxAttempts) throw error;
+          console.warn(`[CHAT ENGINE] Answer failed (attempt ${attempt}), retrying:`, error.message);
+          await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+        }
+      }
+      if (message.status !== 'error') message.status = 'done';
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        message.status = 'cancelled';
+      } else {
+        console.error('[CHAT ENGINE] Failed to get an answer:', error);
+        message.status = 'error';
+        message.error = error.message;
+      }
+    } finally {
+      this._abortController = null;
+    }
+
+    this._emit({ type: 'update', message });
+    if (message.content) await this._record('assistant', message.content);
+    return message;
+  }
+
+  async _readAnswer(response, message, signal) {
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('text/event-stream')) {
+      message.content = getAnswerText(await response.json()) || NO_ANSWER_TEXT;
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parser = createSseParser(event => {
+      if (applyStreamEvent(message, event)) this._emit({ type: 'update', message });
+    });
+    let chunk = await reader.read();
+    while (!chunk.done) {
+      // Events already read are dropped once the answer is cancelled
+      if (signal.aborted) throw new Error('Cancelled');
+      parser.push(decoder.decode(chunk.value, { stream: true }));
+      chunk = await reader.read();
+    }
+    parser.end();
+  }
+
+  /**
+   * @returns {Object|null} The last user message
+   */
+  getLastQuestion() {
+    return [...this.messages].reverse().find(message => message.role === 'user') || null;
+  }
+
+  /**
+   * Drops the messages from an index on, here and in the stored conversation.
+   */
+  async _removeFrom(index) {
+    const removed = this.messages.splice(index);
+    if (!removed.length) return;
+    removed.forEach(message => this._emit({ type: 'remove', message }));
+    if (!this.conversation) return;
+
+    // Messages with content are the ones that were stored
+    const kept = this.messages.filter(message => message.content).length;
+    try {
+      this.conversation = await this.store.truncateConversation(this.conversation.id, kept) || this.conversation;
+    } catch (error) {
+      console.error('[CHAT ENGINE] Failed to remove messages:', error);
+      this.conversation = { ...this.conversation, messages: this.conversation.messages.slice(0, kept) };
+    }
+    this._emit({ type: 'conversation' });
+  }
+
+  _addMessage(message) {
+    this.messages.push(message);
+    this._emit({ type: 'update', message });
+  }
+
+  async _record(role, content) {
+    if (!this.conversation) {
+      try {
+        this.conversation = await this.store.createConversation();
+      } catch (error) {
+        // Without IndexedDB the chat still works; the conversation just isn't kept
+        console.error('[CHAT ENGINE] Failed to create conversation:', error);
+        this.conversation = createConversationRecord();
+      }
+      this.onConversationCreated?.(this);
+    }
+    try {
+      this.conversation = await this.store.appendMessage(this.conversation.id, { role, content });
+    } catch (error) {
+      console.error('[CHAT ENGINE] Failed to save message:', error);
+      this.conversation = appendToConversation(this.conversation, { role, content });
+    }
+    this._emit({ type: 'conversation' });
+  }
+
+  _emit(event) {
+    this.listeners.forEach(listener => listener(event, this));
+  }
+}
+
+/**
+ * Hands out one ChatSession per conversation.
+ */
+export class ChatEngine {
+  /**
+   * @param {Object} options - `request` and `store`, plus ChatSession options
+   */
+  constructor(options) {
+    this.options = options;
+    this.sessions = new Map(); // conversationId => ChatSession
+  }
+
+  /**
+   * @param {string|null} conversationId - Stored conversation, or null for a new one
+   * @returns {Promise<ChatSession>}
+   */
+  async openSession(conversationId = null) {
+    if (conversationId && this.sessions.has(conversationId)) return this.sessions.get(conversationId);
+
+    let conversation = null;
+    if (conversationId) {
+      try {
+        conversation = await this.options.store.getConversation(conversationId);
+      } catch (error) {
+        console.error('[CHAT ENGINE] Failed to load conversation:', error);
+      }
+    }
+    // Another surface may have opened it while it loaded
+    if (conversation && this.sessions.has(conversation.id)) return this.sessions.get(conversation.id);
+
+    const session = new ChatSession({
+      ...this.options,
+      conversation,
+      onConversationCreated: (created) => this.sessions.set(created.conversationId, created)
+    });
+    if (conversation) this.sessions.set(conversation.id, session);
+    return session;
+  }
+}
+
+/**
+ * Connects a chat surface to the engine: shows a conversation's session through the
+ * surface's renderer and follows it as messages change.
+ * The renderer gets each message with the state its actions depend on:
+ * { isBusy, isLastQuestion, isLastAnswer }.
+ * @param {Object} options
+ * @param {ChatEngine} options.engine
+ * @param {Object} options.renderer - { reset(messages), update(message, state), remove(message) };
+ *   reset clears the surface, the messages are then passed to update
+ * @param {Function} [options.onConversationChange] - Called with the stored conversation
+ * @returns {{show: Function, send: Function, retry: Function, edit: Function, cancel: Function,
+ *   getSession: Function, detach: Function}}
+ */
+export function createChatView({ engine, renderer, onConversationChange = null }) {
+  let session = null;
+  let unsubscribe = null;
+  let showing = Promise.resolve();
+  let rendered = { count: 0, isBusy: false };
+
+  const getState = (message) => {
+    const { messages } = session;
+    const last = messages[messages.length - 1];
+    return {
+      isBusy: session.isBusy,
+      isLastQuestion: message === session.getLastQuestion(),
+      isLastAnswer: message === last && message.role === 'assistant'
+    };
+  };
+
+  const render = (message) => renderer.update(message, getState(message));
+
+  // Which message is last, and whether an answer is streaming, changes the actions of the
+  // last few messages too
+  const refreshActions = (changed) => {
+    const { messages, isBusy } = session;
+    if (messages.length !== rendered.count || isBusy !== rendered.isBusy) {
+      messages.slice(-4).filter(message => message !== changed).forEach(render);
+    }
+    rendered = { count: messages.length, isBusy };
+  };
+
+  /**
+   * @param {Object|null} conversation - Stored conversation, or null for an empty chat
+   * @returns {Promise<void>}
+   */
+  const show = (conversation) => {
+    showing = (async () => {
+      const next = await engine.openSession(conversation?.id || null);
+      unsubscribe?.();
+      session = next;
+      renderer.reset(session.messages);
+      session.messages.forEach(render);
+      rendered = { count: session.messages.length, isBusy: session.isBusy };
+      unsubscribe = session.subscribe(event => {
+        if (event.type === 'conversation') {
+          onConversationChange?.(session.conversation);
+          return;
+        }
+        if (event.type === 'remove') renderer.remove(event.message);
+        else render(event.message);
+        refreshActions(event.message);
+      });
+    })();
+    return showing;
+  };
+
+  const send = async (question, options) => {
+    await showing;
+    return session.send(question, options);
+  };
+
+  return {
+    show,
+    send,
+    retry: (options) => session?.retry(options),
+    edit: async (question, options) => {
+      await showing;
+      return session.edit(question, options);
+    },
+    cancel: () => session?.cancel(),
+    getSession: () => session,
+    // Stops rendering; the session keeps answering for the other surface
+    detach: () => {
+      unsubscribe?.();
+      unsubscribe = null;
+    }
+  };
+}
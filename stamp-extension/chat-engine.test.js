@@ -0,0 +1,210 @@
+// Unit tests for the shared chat engine in chat-engine.js
+import { TextEncoder, TextDecoder } from 'util';
+import { ChatEngine, ChatSession, applyStreamEvent, createChatMessage, createChatView, createSseParser } from './chat-engine.js';
+import { appendToConversation, createConversationRecord } from './chat-history.js';
+
+// jsdom does not provide TextEncoder/TextDecoder
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const sse = (...events) => events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('');
+
+// A fetch Response streaming the given chunks of text
+const streamResponse = (chunks, { readDelay = null } = {}) => ({
+  headers: { get: () => 'text/event-stream' },
+  body: {
+    getReader: () => {
+      const queue = [...chunks];
+      return {
+        read: async () => {
+          if (readDelay) await readDelay();
+          return queue.length ? { done: false, value: new TextEncoder().encode(queue.shift()) } : { done: true };
+        }
+      };
+    }
+  }
+});
+
+const jsonResponse = (data) => ({ headers: { get: () => 'application/json' }, json: async () => data });
+
+// ChatHistoryStore, kept in memory
+function createMemoryStore() {
+  const conversations = new Map();
+  return {
+    conversations,
+    createConversation: async () => {
+      const conversation = createConversationRecord();
+      conversations.set(conversation.id, conversation);
+      return conversation;
+    },
+    getConversation: async (id) => conversations.get(id) || null,
+    appendMessage: async (id, message) => {
+      const conversation = appendToConversation(conversations.get(id), message);
+      conversations.set(id, conversation);
+      return conversation;
+    },
+    truncateConversation: async (id, length) => {
+      const conversation = { ...conversations.get(id), messages: conversations.get(id).messages.slice(0, length) };
+      conversations.set(id, conversation);
+      return conversation;
+    }
+  };
+}
+
+describe('chat engine', () => {
+  test('the SSE parser joins events split across chunks', () => {
+    const events = [];
+    const parser = createSseParser(event => events.push(event));
+    const text = sse({ type: 'content', data: { content: 'Hel' } }, { type: 'content', data: { content: 'lo' } }) + 'data: [DONE]\n';
+
+    parser.push(text.slice(0, 20));
+    parser.push(text.slice(20, 45));
+    parser.push(text.slice(45));
+    parser.end();
+    expect(events.map(event => event.data.content)).toEqual(['Hel', 'lo']);
+  });
+
+  test('stream events build up the answer message', () => {
+    const message = createChatMessage('assistant', '', { status: 'pending' });
+
+    expect(applyStreamEvent(message, { type: 'workflow_start', data: {} })).toBe(false);
+    expect(message.status).toBe('pending');
+    applyStreamEvent(message, { type: 'reasoning', data: { content: 'Looking up Globex' } });
+    applyStreamEvent(message, { type: 'tool_call', data: { tool_name: 'search_invoices', tool_input: { vendor: 'Globex' } } });
+    applyStreamEvent(message, { type: 'tool_result', data: { tool_name: 'search_invoices', result: [1, 2] } });
+    applyStreamEvent(message, { type: 'content', data: { content: 'Two ' } });
+    applyStreamEvent(message, { type: 'content', data: { content: 'invoices' } });
+    expect(message).toEqual(expect.objectContaining({
+      status: 'streaming',
+      reasoning: 'Looking up Globex',
+      content: 'Two invoices',
+      toolCalls: [{ name: 'search_invoices', input: { vendor: 'Globex' }, result: [1, 2] }]
+    }));
+
+    applyStreamEvent(message, { type: 'content', data: { content: 'Two open invoices.', is_final: true } });
+    expect(message.content).toBe('Two open invoices.');
+    applyStreamEvent(message, { type: 'error', data: { error: 'Timed out' } });
+    expect(message).toEqual(expect.objectContaining({ status: 'error', error: 'Timed out' }));
+  });
+
+  test('a session streams the answer and saves both messages', async () => {
+    const store = createMemoryStore();
+    const request = jest.fn(async () => streamResponse([
+      sse({ type: 'reasoning', data: { content: 'Checking' } }, { type: 'content', data: { content: 'INV-1 is ' } }),
+      sse({ type: 'content', data: { content: 'due Friday.' } })
+    ]));
+    const session = new ChatSession({ request, store });
+    const statuses = [];
+    session.subscribe(event => event.type === 'update' && statuses.push(`${event.message.role}:${event.message.status}`));
+
+    const answer = await session.send('When is INV-1 due?', { getContext: async () => ({ threadContext: { threadId: 't1' } }) });
+
+    expect(answer).toEqual(expect.objectContaining({ status: 'done', content: 'INV-1 is due Friday.', reasoning: 'Checking' }));
+    expect(statuses).toEqual(['user:done', 'assistant:pending', 'assistant:streaming', 'assistant:streaming', 'assistant:streaming', 'assistant:done']);
+    expect(request.mock.calls[0][0]).toEqual({ question: 'When is INV-1 due?', conversationId: session.conversationId, threadContext: { threadId: 't1' } });
+    expect(store.conversations.get(session.conversationId).messages.map(message => message.content)).toEqual(['When is INV-1 due?', 'INV-1 is due Friday.']);
+  });
+
+  test('a failed request is retried, and a failed answer can be asked again', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    const request = jest.fn()
+      .mockRejectedValueOnce(new Error('Network down'))
+      .mockResolvedValueOnce(jsonResponse({ response: 'Paid.' }))
+      .mockRejectedValueOnce(new Error('Network down'))
+      .mockRejectedValueOnce(new Error('Still down'))
+      .mockResolvedValueOnce(jsonResponse({ answer: 'Paid on June 2.' }));
+    const session = new ChatSession({ request, store: createMemoryStore(), retryDelayMs: 0 });
+
+    expect((await session.send('Is INV-1 paid?')).content).toBe('Paid.');
+    const failed = await session.send('When?');
+    expect(failed).toEqual(expect.objectContaining({ status: 'error', error: 'Still down' }));
+
+    const removed = [];
+    session.subscribe(event => event.type === 'remove' && removed.push(event.message));
+    const retried = await session.retry();
+    expect(removed).toEqual([failed]);
+    expect(retried.content).toBe('Paid on June 2.');
+    expect(session.messages.map(message => message.content)).toEqual(['Is INV-1 paid?', 'Paid.', 'When?', 'Paid on June 2.']);
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('regenerating and editing replace the stored answer and question', async () => {
+    const store = createMemoryStore();
+    const answers = ['Net 30.', 'Net 30 days.', 'Net 45.'];
+    const request = jest.fn(async () => jsonResponse({ response: answers.shift() }));
+    const session = new ChatSession({ request, store });
+    const stored = () => store.conversations.get(session.conversationId).messages.map(message => message.content);
+
+    await session.send('Globex terms?');
+    await session.retry();
+    expect(stored()).toEqual(['Globex terms?', 'Net 30 days.']);
+
+    await session.edit('Acme terms?');
+    expect(stored()).toEqual(['Acme terms?', 'Net 45.']);
+    expect(session.messages.map(message => message.content)).toEqual(['Acme terms?', 'Net 45.']);
+    expect(request.mock.calls.map(([body]) => body.question)).toEqual(['Globex terms?', 'Globex terms?', 'Acme terms?']);
+  });
+
+  test('cancelling keeps what arrived so far', async () => {
+    let session = null;
+    const request = jest.fn(async (body, signal) => streamResponse([
+      sse({ type: 'content', data: { content: 'Globex owes' } }),
+      sse({ type: 'content', data: { content: ' $500.' } })
+    ], {
+      readDelay: async () => {
+        if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
+        if (session.messages[1].content) session.cancel();
+      }
+    }));
+    session = new ChatSession({ request, store: createMemoryStore() });
+
+    const answer = await session.send('Globex balance?');
+    expect(answer).toEqual(expect.objectContaining({ status: 'cancelled', content: 'Globex owes' }));
+    expect(session.isBusy).toBe(false);
+  });
+
+  test('a conversation is kept in memory when it cannot be stored', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    const store = { createConversation: jest.fn().mockRejectedValue(new Error('No IndexedDB')), appendMessage: jest.fn().mockRejectedValue(new Error('No IndexedDB')) };
+    const session = new ChatSession({ request: async () => jsonResponse({ response: 'Hi!' }), store });
+
+    await session.send('Hi');
+    expect(session.conversationId).toEqual(expect.any(String));
+    expect(session.conversation.title).toBe('Hi');
+    console.error.mockRestore();
+  });
+
+  test('both chats share the session of a conversation', async () => {
+    const store = createMemoryStore();
+    const engine = new ChatEngine({ store, request: async () => jsonResponse({ response: 'Three.' }) });
+    const renderer = () => ({ reset: jest.fn(), update: jest.fn(), remove: jest.fn() });
+    const sidebar = renderer();
+    const floating = renderer();
+    const sidebarConversations = [];
+    const sidebarView = createChatView({ engine, renderer: sidebar, onConversationChange: conversation => sidebarConversations.push(conversation) });
+    const floatingView = createChatView({ engine, renderer: floating });
+
+    await sidebarView.show(null);
+    await sidebarView.send('How many open invoices?');
+    const { id } = sidebarConversations[sidebarConversations.length - 1];
+    expect(engine.sessions.get(id)).toBe(sidebarView.getSession());
+
+    await floatingView.show(await store.getConversation(id));
+    expect(floatingView.getSession()).toBe(sidebarView.getSession());
+    expect(floating.reset.mock.calls[0][0].map(message => message.content)).toEqual(['How many open invoices?', 'Three.']);
+
+    await floatingView.send('And overdue?');
+    expect(sidebar.update.mock.calls.map(([message]) => message.content)).toContain('And overdue?');
+
+    // The actions of the earlier messages follow the new last question and answer
+    const lastState = (content) => sidebar.update.mock.calls.filter(([message]) => message.content === content).pop()[1];
+    expect(lastState('How many open invoices?')).toEqual({ isBusy: false, isLastQuestion: false, isLastAnswer: false });
+    expect(lastState('And overdue?')).toEqual({ isBusy: false, isLastQuestion: true, isLastAnswer: false });
+
+    floatingView.detach();
+    await sidebarView.send('Thanks');
+    expect(floating.update.mock.calls.map(([message]) => message.content)).not.toContain('Thanks');
+  });
+});
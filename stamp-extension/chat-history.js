@@ -0,0 +1,442 @@
+// stamp-extension/chat-history.js
+/* global chrome */
+
+/**
+ * Chat conversations kept in IndexedDB, so the sidebar chat and the floating chat survive
+ * reloads and re-renders. Each chat surface remembers the conversation it last showed (in
+ * chrome.storage.local); the conversation ID is sent with questions so the backend can keep
+ * multi-turn context. Messages are added by the chat engine (chat-engine.js).
+ * Both are kept per Gmail account (`stamp-chat-history:<email>`), so a tab never lists or
+ * continues another account's conversations. Conversations from before that were kept per
+ * account stay in the unscoped database, since the account they belong to isn't known.
+ */
+
+import { getCurrentAccount } from './accounts.js';
+import { escapeHtml } from './safe-html.js';
+
+const DB_NAME = 'stamp-chat-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'conversations';
+const ACTIVE_CONVERSATIONS_KEY = 'stampActiveChatConversations';
+const DEFAULT_TITLE = 'New conversation';
+const MAX_TITLE_LENGTH = 60;
+const SNIPPET_RADIUS = 40;
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @param {Date|string} [options.now]
+ * @returns {Object} { id, title, createdAt, updatedAt, messages: [] }
+ */
+export function createConversationRecord({ title = null, now = new Date() } = {}) {
+  const timestamp = new Date(now).toISOString();
+  return { id: createId(), title: title || null, createdAt: timestamp, updatedAt: timestamp, messages: [] };
+}
+
+/**
+ * Adds a message to a conversation. An untitled conversation is named after its first question.
+ * @param {Object} conversation
+ * @param {Object} message
+ * @param {string} message.role - 'user' or 'assistant'
+ * @param {string} message.content
+ * @param {Date|string} [message.now]
+ * @returns {Object} The updated copy
+ */
+export function appendToConversation(conversation, { role, content, now = new Date() }) {
+  const createdAt = new Date(now).toISOString();
+  return {
+    ...conversation,
+    title: conversation.title || (role === 'user' ? titleFromText(content) : null),
+    updatedAt: createdAt,
+    messages: [...conversation.messages, { role, content, createdAt }]
+  };
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The first line, shortened to fit a conversation list
+ */
+export function titleFromText(text) {
+  const line = String(text || '').trim().split('\n')[0].replace(/\s+/g, ' ');
+  return line.length > MAX_TITLE_LENGTH ? `${line.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…` : line;
+}
+
+/**
+ * @param {Object} conversation
+ * @returns {string}
+ */
+export function conversationTitle(conversation) {
+  return conversation?.title || DEFAULT_TITLE;
+}
+
+/**
+ * Finds conversations whose title or messages contain every word of the query.
+ * @param {Object[]} conversations - Most recent first
+ * @param {string} query
+ * @returns {Object[]} [{ conversation, snippet }]; the snippet is from the first matching
+ *   message, or null when only the title matches
+ */
+export function searchConversations(conversations, query) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return conversations.map(conversation => ({ conversation, snippet: null }));
+
+  const containsAll = (text) => words.every(word => text.toLowerCase().includes(word));
+  return conversations.flatMap(conversation => {
+    const message = conversation.messages.find(item => containsAll(item.content));
+    const allText = [conversationTitle(conversation), ...conversation.messages.map(item => item.content)].join('\n');
+    if (!message && !containsAll(allText)) return [];
+    return [{ conversation, snippet: message ? snippetAround(message.content, words[0]) : null }];
+  });
+}
+
+/**
+ * IndexedDB storage for one Gmail account's conversations.
+ */
+export class ChatHistoryStore {
+  /**
+   * @param {IDBFactory} [idbFactory] - Defaults to the page's indexedDB
+   * @param {Object} [options]
+   * @param {string} [options.account] - Defaults to the current account when the database is opened
+   */
+  constructor(idbFactory = globalThis.indexedDB, { account = null } = {}) {
+    this.idbFactory = idbFactory;
+    this._account = account;
+    this._db = null;
+  }
+
+  /**
+   * @returns {string|null} The Gmail account whose conversations this store keeps
+   */
+  get account() {
+    return this._account || getCurrentAccount();
+  }
+
+  /**
+   * @returns {Promise<Object[]>} All conversations, most recently updated first
+   */
+  async listConversations() {
+    const conversations = await this._run('readonly', store => store.getAll());
+    return (conversations || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async getConversation(id) {
+    return (await this._run('readonly', store => store.get(id))) || null;
+  }
+
+  /**
+   * @param {Object} [options] - See createConversationRecord
+   * @returns {Promise<Object>} The new conversation
+   */
+  async createConversation(options) {
+    const conversation = createConversationRecord(options);
+    await this.saveConversation(conversation);
+    return conversation;
+  }
+
+  /**
+   * @param {Object} conversation
+   * @returns {Promise<void>}
+   */
+  async saveConversation(conversation) {
+    await this._run('readwrite', store => store.put(conversation));
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} message - See appendToConversation
+   * @returns {Promise<Object>} The updated conversation
+   */
+  async appendMessage(id, message) {
+    const conversation = await this.getConversation(id);
+    if (!conversation) throw new Error(`Conversation ${id} not found`);
+    const updated = appendToConversation(conversation, message);
+    await this.saveConversation(updated);
+    return updated;
+  }
+
+  /**
+   * Keeps the first messages of a conversation, for answers asked again and edited questions.
+   * @param {string} id
+   * @param {number} length - Messages to keep
+   * @returns {Promise<Object|null>} The updated conversation
+   */
+  async truncateConversation(id, length) {
+    const conversation = await this.getConversation(id);
+    if (!conversation) return null;
+    const updated = { ...conversation, updatedAt: new Date().toISOString(), messages: conversation.messages.slice(0, length) };
+    await this.saveConversation(updated);
+    return updated;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} title
+   * @returns {Promise<Object|null>} The renamed conversation
+   */
+  async renameConversation(id, title) {
+    const conversation = await this.getConversation(id);
+    if (!conversation) return null;
+    const renamed = { ...conversation, title: titleFromText(title) || null };
+    await this.saveConversation(renamed);
+    return renamed;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async deleteConversation(id) {
+    await this._run('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * @param {string} query
+   * @returns {Promise<Object[]>} See searchConversations
+   */
+  async search(query) {
+    return searchConversations(await this.listConversations(), query);
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        if (!this.idbFactory) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = this.idbFactory.open(this.account ? `${DB_NAME}:${this.account}` : DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        this._db = null; // allow a retry on the next call
+        throw error;
+      });
+    }
+    return this._db;
+  }
+
+  async _run(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * Adds the conversation bar (title, New, History) to a chat.
+ * @param {Object} options
+ * @param {ChatHistoryStore} options.store
+ * @param {string} options.surface - 'sidebar' or 'floating'; each remembers its own conversation
+ * @param {HTMLElement} options.container - Element above the chat's messages
+ * @param {Function} options.onShowConversation - Shows a conversation in the chat (null: empty chat)
+ * @returns {{ready: Promise, setConversation: Function, startNew: Function, open: Function}}
+ */
+export function createChatHistoryController({ store, surface, container, onShowConversation }) {
+  let conversation = null;
+  let searchSequence = 0;
+
+  container.innerHTML = `
+    <div class="stamp-chat-history-bar" style="display:flex; align-items:center; gap:6px; padding:6px 0;">
+      <button type="button" class="stamp-chat-title" title="Rename this conversation" style="flex:1; min-width:0; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; text-align:left; border:0; background:none; color:inherit; font-size:13px; font-weight:600; cursor:text; padding:4px;"></button>
+      <button type="button" class="stamp-chat-new" title="Start a new conversation" style="border:1px solid #dadce0; background:#fff; color:#3c4043; border-radius:999px; padding:3px 10px; font-size:12px; cursor:pointer;">＋ New</button>
+      <button type="button" class="stamp-chat-history-toggle" title="Past conversations" style="border:1px solid #dadce0; background:#fff; color:#3c4043; border-radius:999px; padding:3px 10px; font-size:12px; cursor:pointer;">🕘 History</button>
+    </div>
+    <div class="stamp-chat-history-panel" style="display:none; margin-bottom:6px; border:1px solid #dadce0; border-radius:8px; background:#fff; color:#202124; overflow:hidden;">
+      <input type="search" class="stamp-chat-history-search" placeholder="Search conversations" style="width:100%; box-sizing:border-box; border:0; border-bottom:1px solid #e0e0e0; padding:8px 10px; font-size:13px; outline:none;">
+      <div class="stamp-chat-history-list" style="max-height:240px; overflow:auto;"></div>
+    </div>
+  `;
+  const titleButton = container.querySelector('.stamp-chat-title');
+  const panel = container.querySelector('.stamp-chat-history-panel');
+  const searchInput = container.querySelector('.stamp-chat-history-search');
+  const list = container.querySelector('.stamp-chat-history-list');
+
+  const renderTitle = () => {
+    titleButton.textContent = conversationTitle(conversation);
+    titleButton.disabled = !conversation;
+  };
+
+  const show = (next) => {
+    conversation = next;
+    saveActiveConversationId(store.account, surface, conversation?.id || null);
+    renderTitle();
+    onShowConversation(conversation);
+  };
+
+  const renderList = async () => {
+    const sequence = ++searchSequence;
+    let results;
+    try {
+      results = await store.search(searchInput.value);
+    } catch (error) {
+      console.error('[CHAT HISTORY] Failed to search conversations:', error);
+      results = [];
+    }
+    if (sequence !== searchSequence) return; // a newer search is running
+    list.innerHTML = results.length === 0
+      ? `<div style="padding:10px; font-size:12px; color:#5f6368;">${searchInput.value.trim() ? 'No conversations match.' : 'No past conversations yet.'}</div>`
+      : results.map(({ conversation: item, snippet }) => `
+        <div class="stamp-chat-history-item" data-id="${escapeHtml(item.id)}" style="display:flex; gap:8px; align-items:flex-start; padding:8px 10px; border-bottom:1px solid #f1f3f4; cursor:pointer; background:${item.id === conversation?.id ? '#e8f0fe' : '#fff'};">
+          <div style="flex:1; min-width:0;">
+            <div style="font-size:13px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(conversationTitle(item))}</div>
+            <div style="font-size:11px; color:#5f6368;">${escapeHtml(item.updatedAt.slice(0, 10))} · ${item.messages.length} messages</div>
+            ${snippet ? `<div style="font-size:12px; color:#3c4043; margin-top:2px;">${escapeHtml(snippet)}</div>` : ''}
+          </div>
+          <button type="button" class="stamp-chat-history-delete" title="Delete conversation" style="border:0; background:none; color:#5f6368; cursor:pointer; font-size:13px;">✕</button>
+        </div>
+      `).join('');
+  };
+
+  const togglePanel = (open = panel.style.display === 'none') => {
+    panel.style.display = open ? 'block' : 'none';
+    if (open) {
+      searchInput.value = '';
+      renderList();
+      searchInput.focus();
+    }
+  };
+
+  /**
+   * Opens a stored conversation in this chat.
+   * @param {string} id
+   */
+  const open = async (id) => {
+    try {
+      show(await store.getConversation(id));
+    } catch (error) {
+      console.error('[CHAT HISTORY] Failed to open conversation:', error);
+    }
+  };
+
+  /**
+   * Shows an empty chat; the conversation is created with its first message.
+   */
+  const startNew = () => show(null);
+
+  /**
+   * Follows changes to the conversation shown (created by its first message, renamed, ...).
+   * @param {Object|null} next - Stored conversation
+   */
+  const setConversation = (next) => {
+    if (next?.id !== conversation?.id) saveActiveConversationId(store.account, surface, next?.id || null);
+    conversation = next;
+    renderTitle();
+  };
+
+  titleButton.addEventListener('click', () => {
+    if (!conversation) return;
+    const input = document.createElement('input');
+    input.value = conversationTitle(conversation);
+    input.style.cssText = 'flex:1; min-width:0; font-size:13px; padding:3px 6px; border:1px solid #1a73e8; border-radius:4px;';
+    titleButton.style.display = 'none';
+    titleButton.insertAdjacentElement('afterend', input);
+    input.select();
+
+    let done = false;
+    const finish = async (save) => {
+      if (done) return;
+      done = true;
+      input.remove();
+      titleButton.style.display = '';
+      if (save && input.value.trim()) {
+        try {
+          conversation = (await store.renameConversation(conversation.id, input.value)) || { ...conversation, title: titleFromText(input.value) };
+        } catch (error) {
+          console.error('[CHAT HISTORY] Failed to rename conversation:', error);
+        }
+      }
+      renderTitle();
+    };
+    input.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter') finish(true);
+      if (event.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  });
+
+  container.querySelector('.stamp-chat-new').addEventListener('click', () => {
+    togglePanel(false);
+    startNew();
+  });
+  container.querySelector('.stamp-chat-history-toggle').addEventListener('click', () => togglePanel());
+  searchInput.addEventListener('input', renderList);
+  searchInput.addEventListener('keydown', (event) => event.stopPropagation());
+
+  list.addEventListener('click', async (event) => {
+    const item = event.target.closest('.stamp-chat-history-item');
+    if (!item) return;
+    if (event.target.closest('.stamp-chat-history-delete')) {
+      try {
+        await store.deleteConversation(item.dataset.id);
+      } catch (error) {
+        console.error('[CHAT HISTORY] Failed to delete conversation:', error);
+      }
+      if (item.dataset.id === conversation?.id) startNew();
+      renderList();
+      return;
+    }
+    togglePanel(false);
+    open(item.dataset.id);
+  });
+
+  const ready = (async () => {
+    let restored = null;
+    try {
+      const id = await loadActiveConversationId(store.account, surface);
+      restored = id ? await store.getConversation(id) : null;
+    } catch (error) {
+      console.error('[CHAT HISTORY] Failed to restore conversation:', error);
+    }
+    show(restored);
+  })();
+
+  return { ready, setConversation, startNew, open };
+}
+
+// Each account's chats remember their own conversations
+function activeConversationsKey(account) {
+  return account ? `${ACTIVE_CONVERSATIONS_KEY}:${account}` : ACTIVE_CONVERSATIONS_KEY;
+}
+
+async function loadActiveConversationId(account, surface) {
+  const key = activeConversationsKey(account);
+  const result = await chrome.storage.local.get(key);
+  return result[key]?.[surface] || null;
+}
+
+async function saveActiveConversationId(account, surface, id) {
+  const key = activeConversationsKey(account);
+  try {
+    const result = await chrome.storage.local.get(key);
+    await chrome.storage.local.set({ [key]: { ...result[key], [surface]: id } });
+  } catch (error) {
+    console.error('[CHAT HISTORY] Failed to remember the open conversation:', error);
+  }
+}
+
+function createId() {
+  return globalThis.crypto?.randomUUID ? globalThis.crypto.randomUUID() : `conv_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function snippetAround(text, word) {
+  const flat = String(text).replace(/\s+/g, ' ');
+  const index = flat.toLowerCase().indexOf(word);
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, index + word.length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+}
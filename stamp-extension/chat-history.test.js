@@ -0,0 +1,164 @@
+// Unit tests for ChatHistoryStore and the conversation bar in chat-history.js
+import { ChatHistoryStore, appendToConversation, createChatHistoryController, createConversationRecord, searchConversations, titleFromText } from './chat-history.js';
+import { setCurrentAccount } from './accounts.js';
+import { installFakeChromeStorage } from './fake-chrome-storage.js';
+
+// Just enough of IndexedDB for one key-path object store
+function createFakeIndexedDb() {
+  const databases = {};
+  const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  return {
+    open(name) {
+      const request = {};
+      setTimeout(() => {
+        const isNew = !databases[name];
+        const stores = databases[name] || (databases[name] = {});
+        request.result = {
+          objectStoreNames: { contains: (storeName) => storeName in stores },
+          createObjectStore: (storeName, { keyPath }) => { stores[storeName] = { keyPath, rows: new Map() }; },
+          transaction: (storeName) => {
+            const { keyPath, rows } = stores[storeName];
+            const transaction = {};
+            const done = (result) => {
+              setTimeout(() => transaction.oncomplete());
+              return { result };
+            };
+            transaction.objectStore = () => ({
+              get: (key) => done(clone(rows.get(key))),
+              getAll: () => done(Array.from(rows.values()).map(clone)),
+              put: (value) => done(rows.set(value[keyPath], clone(value)) && value[keyPath]),
+              delete: (key) => done(rows.delete(key) && undefined),
+            });
+            return transaction;
+          },
+        };
+        if (isNew) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('chat history', () => {
+  test('a conversation is named after its first question', () => {
+    let conversation = createConversationRecord({ now: '2025-06-01T10:00:00Z' });
+    conversation = appendToConversation(conversation, { role: 'assistant', content: 'Hello!', now: '2025-06-01T10:00:01Z' });
+    conversation = appendToConversation(conversation, { role: 'user', content: 'Which Globex invoices\nare overdue?', now: '2025-06-01T10:01:00Z' });
+    conversation = appendToConversation(conversation, { role: 'user', content: 'And Acme?', now: '2025-06-01T10:02:00Z' });
+
+    expect(conversation.title).toBe('Which Globex invoices');
+    expect(conversation.updatedAt).toBe('2025-06-01T10:02:00.000Z');
+    expect(conversation.messages.map(message => message.role)).toEqual(['assistant', 'user', 'user']);
+    expect(titleFromText('x'.repeat(80))).toHaveLength(60);
+  });
+
+  test('search matches every word and shows a snippet', () => {
+    const conversations = [
+      { ...createConversationRecord({ title: 'Globex follow-up' }), messages: [{ role: 'user', content: 'When is invoice INV-1001 due?' }] },
+      { ...createConversationRecord({ title: 'Acme' }), messages: [{ role: 'assistant', content: 'Acme has two open invoices.' }] },
+    ];
+
+    expect(searchConversations(conversations, 'inv-1001 due').map(result => result.snippet)).toEqual(['When is invoice INV-1001 due?']);
+    expect(searchConversations(conversations, 'globex')).toEqual([{ conversation: conversations[0], snippet: null }]);
+    expect(searchConversations(conversations, 'open acme')[0].conversation.title).toBe('Acme');
+    expect(searchConversations(conversations, '')).toHaveLength(2);
+  });
+
+  test('the store keeps, renames and deletes conversations', async () => {
+    const store = new ChatHistoryStore(createFakeIndexedDb());
+    const first = await store.createConversation();
+    const second = await store.createConversation({ title: 'Acme', now: '2020-01-01' });
+    await store.appendMessage(first.id, { role: 'user', content: 'Total owed to Globex?' });
+
+    expect((await store.listConversations()).map(conversation => conversation.title)).toEqual(['Total owed to Globex?', 'Acme']);
+    expect((await store.renameConversation(second.id, '  Acme payments ')).title).toBe('Acme payments');
+    expect((await store.search('globex')).map(result => result.conversation.id)).toEqual([first.id]);
+
+    await store.appendMessage(first.id, { role: 'assistant', content: '$500' });
+    expect((await store.truncateConversation(first.id, 1)).messages.map(message => message.content)).toEqual(['Total owed to Globex?']);
+
+    await store.deleteConversation(first.id);
+    expect(await store.getConversation(first.id)).toBeNull();
+    await expect(store.appendMessage(first.id, { role: 'user', content: 'x' })).rejects.toThrow('not found');
+  });
+
+  describe('controller', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = installFakeChromeStorage().local.items;
+      document.body.innerHTML = '<div id="bar"></div>';
+    });
+
+    const attach = (store, shown) => createChatHistoryController({
+      store,
+      surface: 'sidebar',
+      container: document.getElementById('bar'),
+      onShowConversation: (conversation) => shown.push(conversation),
+    });
+
+    test('the conversation a chat moves to is restored on reload', async () => {
+      const store = new ChatHistoryStore(createFakeIndexedDb());
+      const shown = [];
+      const controller = attach(store, shown);
+      await controller.ready;
+      expect(shown).toEqual([null]);
+
+      const { id } = await store.createConversation();
+      await store.appendMessage(id, { role: 'user', content: 'Which invoices are due this week?' });
+      controller.setConversation(await store.appendMessage(id, { role: 'assistant', content: 'Two: INV-1 and INV-2.' }));
+      await flush();
+      expect(storage.stampActiveChatConversations).toEqual({ sidebar: id });
+      expect(document.querySelector('.stamp-chat-title').textContent).toBe('Which invoices are due this week?');
+
+      const restored = [];
+      await attach(store, restored).ready;
+      expect(restored[0].id).toBe(id);
+      expect(restored[0].messages.map(message => message.content)).toEqual(['Which invoices are due this week?', 'Two: INV-1 and INV-2.']);
+    });
+
+    test('New starts an empty chat and History opens past conversations', async () => {
+      const store = new ChatHistoryStore(createFakeIndexedDb());
+      const past = await store.createConversation({ title: 'Globex' });
+      const shown = [];
+      const controller = attach(store, shown);
+      await controller.ready;
+
+      document.querySelector('.stamp-chat-history-toggle').click();
+      await flush();
+      await flush();
+      document.querySelector(`.stamp-chat-history-item[data-id="${past.id}"]`).click();
+      await flush();
+      await flush();
+      expect(shown[shown.length - 1].id).toBe(past.id);
+
+      document.querySelector('.stamp-chat-new').click();
+      expect(shown[shown.length - 1]).toBeNull();
+    });
+
+    test('each Gmail account lists and restores only its own conversations', async () => {
+      const indexedDb = createFakeIndexedDb();
+      setCurrentAccount('ap@work.com');
+      const work = new ChatHistoryStore(indexedDb);
+      const controller = attach(work, []);
+      await controller.ready;
+      const conversation = await work.createConversation({ title: 'Work invoices' });
+      controller.setConversation(conversation);
+      await flush();
+
+      setCurrentAccount('me@home.com');
+      const home = new ChatHistoryStore(indexedDb);
+      const shown = [];
+      await attach(home, shown).ready;
+      setCurrentAccount(null);
+
+      expect(shown).toEqual([null]);
+      expect(await home.listConversations()).toEqual([]);
+      expect((await new ChatHistoryStore(indexedDb, { account: 'ap@work.com' }).listConversations()).map(item => item.id)).toEqual([conversation.id]);
+      expect(storage).toEqual({ 'stampActiveChatConversations:ap@work.com': { sidebar: conversation.id }, 'stampActiveChatConversations:me@home.com': { sidebar: null } });
+    });
+  });
+});
@@ -0,0 +1,214 @@
+// stamp-extension/compose-templates.js
+
+/**
+ * Reply templates and the invoice summary table offered from the Stamp button in Gmail's
+ * compose toolbar. Templates are filled from the invoices Stamp found in the thread
+ * (its processedEntities); anything Stamp doesn't know is left as a [bracketed] placeholder
+ * for the sender to complete.
+ */
+
+import { formatAmount, getDocumentFields } from './ap-dashboard.js';
+import { escapeHtml } from './safe-html.js';
+
+const PAYMENT_SCHEDULED_STATUSES = ['approved', 'ready_for_payment'];
+
+/**
+ * Reads the invoices of a thread into the fields the templates use.
+ * @param {Object[]} processedEntities - Thread entities from ThreadDataManager.getThreadData
+ * @returns {Object[]} [{ id, invoiceNumber, vendor, vendorEmail, amount, currency, issueDate,
+ *   dueDate, status, paidDate, paymentMethod, paymentReference, poNumber }]
+ */
+export function getComposeInvoices(processedEntities) {
+  return (processedEntities || [])
+    .filter(entity => entity.type === 'inv' && entity.document?.details && Object.keys(entity.document.details).length > 0)
+    .map(entity => toComposeInvoice(entity, entity.document.final_status));
+}
+
+/**
+ * Same fields for documents from /api/finops/documents/detailed.
+ * @param {Object[]} invoices
+ * @returns {Object[]}
+ */
+export function getComposeInvoicesFromDocuments(invoices) {
+  return (invoices || []).map(invoice => toComposeInvoice(invoice, null));
+}
+
+export const REPLY_TEMPLATES = [
+  {
+    id: 'payment_status',
+    label: 'Payment status',
+    description: 'Where each invoice is in the payment process',
+    build: (invoices) => `
+      <p>Hi ${greetingName(invoices)},</p>
+      <p>Thanks for checking in. Here is where ${invoices.length === 1 ? 'your invoice stands' : 'your invoices stand'}:</p>
+      <ul>${invoices.map(invoice => `<li>${invoiceLabel(invoice)}: ${paymentStatusSentence(invoice)}</li>`).join('')}</ul>
+      <p>Let me know if you have any other questions.</p>
+    `
+  },
+  {
+    id: 'remittance',
+    label: 'Remittance details',
+    description: 'Payment date, method and reference',
+    build: (invoices) => `
+      <p>Hi ${greetingName(invoices)},</p>
+      <p>Please find the remittance details below.</p>
+      ${buildInvoiceTableHtml(invoices, { columns: ['invoiceNumber', 'amount', 'paidDate', 'paymentMethod', 'paymentReference'] })}
+      <p>Please allow a few business days for the funds to arrive.</p>
+    `
+  },
+  {
+    id: 'missing_po',
+    label: 'Request missing PO',
+    description: 'Ask the vendor for a purchase order number',
+    build: (invoices) => `
+      <p>Hi ${greetingName(invoices)},</p>
+      <p>We can't process ${invoices.length === 1 ? invoiceLabel(invoices[0]) : 'the invoices below'} without a purchase order number.
+      Could you send a corrected invoice, or reply with the PO number it should be billed against?</p>
+      ${invoices.length > 1 ? `<ul>${invoices.map(invoice => `<li>${invoiceLabel(invoice)}</li>`).join('')}</ul>` : ''}
+      <p>Thank you!</p>
+    `
+  },
+  {
+    id: 'w9_request',
+    label: 'Request W-9',
+    description: 'Ask the vendor for a completed W-9',
+    build: (invoices) => `
+      <p>Hi ${greetingName(invoices)},</p>
+      <p>Before we can release payment${invoices.length ? ` for ${invoices.length === 1 ? invoiceLabel(invoices[0]) : `${invoices.length} invoices`}` : ''},
+      we need a completed and signed IRS Form W-9 for ${escapeHtml(invoices[0]?.vendor || '[vendor name]')} on file.</p>
+      <p>You can download the form at <a href="https://www.irs.gov/pub/irs-pdf/fw9.pdf">irs.gov/pub/irs-pdf/fw9.pdf</a>. Please reply with the completed form attached.</p>
+      <p>Thank you!</p>
+    `
+  }
+];
+
+const TABLE_COLUMNS = {
+  invoiceNumber: { title: 'Invoice #', value: invoice => invoice.invoiceNumber },
+  vendor: { title: 'Vendor', value: invoice => invoice.vendor },
+  issueDate: { title: 'Issue date', value: invoice => invoice.issueDate },
+  dueDate: { title: 'Due date', value: invoice => invoice.dueDate },
+  amount: { title: 'Amount', value: invoice => (invoice.amount === null ? '' : formatAmount(invoice.amount, invoice.currency)), align: 'right' },
+  status: { title: 'Status', value: invoice => invoice.status.replace(/_/g, ' ') },
+  paidDate: { title: 'Paid on', value: invoice => invoice.paidDate || '[payment date]' },
+  paymentMethod: { title: 'Method', value: invoice => invoice.paymentMethod || '[payment method]' },
+  paymentReference: { title: 'Reference', value: invoice => invoice.paymentReference || '[reference]' }
+};
+
+/**
+ * Formats invoices as an HTML table with inline styles (email clients drop stylesheets).
+ * @param {Object[]} invoices - Result of getComposeInvoices
+ * @param {Object} [options]
+ * @param {string[]} [options.columns] - Keys of TABLE_COLUMNS
+ * @returns {string}
+ */
+export function buildInvoiceTableHtml(invoices, { columns = ['invoiceNumber', 'vendor', 'issueDate', 'dueDate', 'amount', 'status'] } = {}) {
+  const cell = 'border:1px solid #dadce0; padding:6px 10px; font-size:13px;';
+  const definitions = columns.map(key => TABLE_COLUMNS[key]).filter(Boolean);
+  return `
+    <table style="border-collapse:collapse; margin:8px 0;">
+      <thead><tr>${definitions.map(column => `<th style="${cell} background:#f1f3f4; text-align:${column.align || 'left'};">${column.title}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${invoices.map(invoice => `<tr>${definitions.map(column => `<td style="${cell} text-align:${column.align || 'left'};">${escapeHtml(column.value(invoice) || '—')}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Fills the compose button's dropdown with the reply templates and the invoice table picker.
+ * @param {HTMLElement} container - The dropdown element
+ * @param {Object} options
+ * @param {Object[]} options.invoices - Result of getComposeInvoices
+ * @param {string} options.sourceLabel - Where the invoices came from, e.g. "this thread"
+ * @param {boolean} options.isReply - Templates are only offered on replies
+ * @param {Function} options.onInsert - Called with the HTML to insert
+ */
+export function renderComposeMenu(container, { invoices, sourceLabel, isReply, onInsert }) {
+  const itemStyle = 'display:block; width:100%; text-align:left; border:0; background:none; padding:8px 14px; cursor:pointer; font-size:13px; color:#202124;';
+  container.innerHTML = `
+    <div class="stamp-compose-menu" style="min-width:280px; max-width:360px; padding:6px 0; font-family:-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+      ${invoices.length === 0 ? `
+        <div style="padding:10px 14px; font-size:13px; color:#5f6368;">Stamp found no invoices in ${escapeHtml(sourceLabel)}.</div>
+      ` : `
+        ${isReply ? `
+          <div style="padding:4px 14px; font-size:11px; font-weight:600; color:#5f6368; text-transform:uppercase;">Reply with</div>
+          ${REPLY_TEMPLATES.map(template => `
+            <button class="stamp-compose-template" data-template-id="${template.id}" style="${itemStyle}">
+              ${escapeHtml(template.label)}
+              <div style="font-size:11px; color:#5f6368;">${escapeHtml(template.description)}</div>
+            </button>
+          `).join('')}
+          <div style="border-top:1px solid #e0e0e0; margin:6px 0;"></div>
+        ` : ''}
+        <div style="padding:4px 14px; font-size:11px; font-weight:600; color:#5f6368; text-transform:uppercase;">Insert invoice table · ${escapeHtml(sourceLabel)}</div>
+        <div style="max-height:200px; overflow:auto;">
+          ${invoices.map((invoice, index) => `
+            <label style="display:flex; gap:8px; align-items:center; padding:4px 14px; font-size:13px; cursor:pointer;">
+              <input type="checkbox" class="stamp-compose-invoice" data-index="${index}" checked>
+              <span style="flex:1; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(invoice.invoiceNumber)} · ${escapeHtml(invoice.vendor)}</span>
+              <span style="color:#5f6368; white-space:nowrap;">${invoice.amount === null ? '' : escapeHtml(formatAmount(invoice.amount, invoice.currency))}</span>
+            </label>
+          `).join('')}
+        </div>
+        <div style="padding:6px 14px;">
+          <button class="stamp-compose-insert-table" style="border:1px solid #1a73e8; background:#1a73e8; color:#fff; border-radius:4px; padding:6px 12px; font-size:12px; cursor:pointer;">Insert table</button>
+        </div>
+      `}
+    </div>
+  `;
+
+  const selectedInvoices = () => Array.from(container.querySelectorAll('.stamp-compose-invoice:checked'))
+    .map(checkbox => invoices[parseInt(checkbox.dataset.index, 10)]);
+
+  container.querySelectorAll('.stamp-compose-template').forEach(button => {
+    button.addEventListener('click', () => {
+      const template = REPLY_TEMPLATES.find(item => item.id === button.dataset.templateId);
+      const chosen = selectedInvoices();
+      onInsert(template.build(chosen.length ? chosen : invoices));
+    });
+  });
+  container.querySelector('.stamp-compose-insert-table')?.addEventListener('click', () => {
+    const chosen = selectedInvoices();
+    if (chosen.length) onInsert(buildInvoiceTableHtml(chosen));
+  });
+}
+
+function toComposeInvoice(invoice, statusOverride) {
+  const fields = getDocumentFields(invoice);
+  const details = invoice.document?.details || {};
+  return {
+    id: details.id || invoice.document?.id || null,
+    ...fields,
+    status: String(statusOverride || fields.status).toLowerCase(),
+    paidDate: String(details.paidDate || details.paymentDate || details.paid_at || '').slice(0, 10) || null,
+    paymentMethod: details.paymentMethod || details.payment_method || null,
+    paymentReference: details.paymentReference || details.payment_reference || null,
+    poNumber: details.poNumber || details.purchaseOrderNumber || null
+  };
+}
+
+function greetingName(invoices) {
+  const vendors = new Set(invoices.map(invoice => invoice.vendor).filter(vendor => vendor && vendor !== 'N/A'));
+  return vendors.size === 1 ? `${escapeHtml([...vendors][0])} team` : 'there';
+}
+
+function invoiceLabel(invoice) {
+  const amount = invoice.amount === null ? '' : ` (${formatAmount(invoice.amount, invoice.currency)})`;
+  return escapeHtml(invoice.invoiceNumber !== 'N/A' ? `Invoice ${invoice.invoiceNumber}${amount}` : `Your invoice${amount}`);
+}
+
+function paymentStatusSentence(invoice) {
+  if (invoice.status === 'paid') {
+    return invoice.paidDate ? `paid on ${escapeHtml(invoice.paidDate)}.` : 'paid.';
+  }
+  if (PAYMENT_SCHEDULED_STATUSES.includes(invoice.status)) {
+    return invoice.dueDate ? `approved and scheduled for payment by ${escapeHtml(invoice.dueDate)}.` : 'approved and scheduled for payment.';
+  }
+  if (invoice.status === 'rejected') {
+    return 'not approved. We will follow up separately with the details.';
+  }
+  if (invoice.status === 'on_hold' || invoice.status === 'requires_review') {
+    return 'on hold while we review it. We will reach out if we need anything from you.';
+  }
+  return invoice.dueDate ? `received and in review; it is due ${escapeHtml(invoice.dueDate)}.` : 'received and in review.';
+}
@@ -0,0 +1,58 @@
+// Unit tests for compose reply templates in compose-templates.js
+import { REPLY_TEMPLATES, buildInvoiceTableHtml, getComposeInvoices, renderComposeMenu } from './compose-templates.js';
+
+const entity = (details, finalStatus) => ({ type: 'inv', document: { final_status: finalStatus, details: { vendor: { name: 'Globex' }, currency: 'USD', ...details } } });
+const template = (id) => REPLY_TEMPLATES.find(item => item.id === id);
+
+describe('compose templates', () => {
+  const invoices = getComposeInvoices([
+    entity({ id: 'd1', invoiceNumber: 'INV-1', amount: 1200, paidDate: '2025-06-02T10:00:00Z', paymentReference: 'ACH-77' }, 'paid'),
+    entity({ id: 'd2', invoiceNumber: 'INV-2', amount: 300, dueDate: '2025-07-01' }, 'approved'),
+    { type: 'quote', document: { details: { id: 'q1' } } },
+    { type: 'inv', document: { details: {} } },
+  ]);
+
+  test('reads thread invoices with the sidebar status', () => {
+    expect(invoices.map(invoice => [invoice.id, invoice.status, invoice.paidDate])).toEqual([
+      ['d1', 'paid', '2025-06-02'],
+      ['d2', 'approved', null],
+    ]);
+  });
+
+  test('payment status explains each invoice', () => {
+    const html = template('payment_status').build(invoices);
+
+    expect(html).toContain('Hi Globex team,');
+    expect(html).toContain('Invoice INV-1 ($1,200.00): paid on 2025-06-02.');
+    expect(html).toContain('Invoice INV-2 ($300.00): approved and scheduled for payment by 2025-07-01.');
+  });
+
+  test('remittance leaves unknown details as placeholders', () => {
+    const html = template('remittance').build(invoices);
+
+    expect(html).toContain('ACH-77');
+    expect(html).toContain('[payment method]');
+  });
+
+  test('escapes extracted values in the invoice table', () => {
+    const [invoice] = getComposeInvoices([entity({ invoiceNumber: '<b>INV</b>', vendor: { name: 'A & B' }, amount: 5 }, 'pending')]);
+
+    const html = buildInvoiceTableHtml([invoice]);
+
+    expect(html).toContain('&lt;b&gt;INV&lt;/b&gt;');
+    expect(html).toContain('A &amp; B');
+  });
+
+  test('inserts a table of the selected invoices only', () => {
+    const container = document.createElement('div');
+    const onInsert = jest.fn();
+    renderComposeMenu(container, { invoices, sourceLabel: 'this thread', isReply: false, onInsert });
+
+    expect(container.querySelector('.stamp-compose-template')).toBeNull();
+    container.querySelector('.stamp-compose-invoice[data-index="0"]').checked = false;
+    container.querySelector('.stamp-compose-insert-table').click();
+
+    expect(onInsert.mock.calls[0][0]).toContain('INV-2');
+    expect(onInsert.mock.calls[0][0]).not.toContain('INV-1');
+  });
+});
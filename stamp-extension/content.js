@@ -5,7 +5,30 @@ import 'jspreadsheet-ce/dist/jspreadsheet.css';
 import 'jsuites/dist/jsuites.css';
 import { buildSpreadsheet } from './spreadsheet-builder.js';
 import { ThreadDataManager } from './thread-data-manager.js';
+import { getCurrentAccount, getInstallation, installationChanged, removeInstallation, saveInstallation, setCurrentAccount } from './accounts.js';
 import { createLoadingController } from './ai-loading-component.js';
+import { buildApSummary, renderApDashboard } from './ap-dashboard.js';
+import { escapeHtml, gmailThreadUrl } from './safe-html.js';
+import { createDetailsSidebarContent, createEntityCard, createStorageConfirmationContent, renderDuplicateBadge } from './entity-cards.js';
+import { decodeTrackerFilter, encodeTrackerFilter } from './saved-views.js';
+import { buildDuplicateIndex, createDuplicateComparison, getDocumentId } from './duplicate-detection.js';
+import { enqueueCorrection } from './corrections-queue.js';
+import { EditHistory } from './edit-history.js';
+import { applyStatusToDocument, createInvolvementEntry, getInvoiceAction, promptForActionNote, renderInvoiceActions, replaceStatusLabel } from './invoice-actions.js';
+import { createThreadRowLabels } from './thread-row-labels.js';
+import { createThreadViewLabels } from './thread-view-labels.js';
+import { DEFAULT_LABEL_TAXONOMY, createLabelMatcher, loadLabelTaxonomy, onLabelTaxonomyChanged, resetLabelTaxonomy, saveLabelTaxonomy } from './label-taxonomy.js';
+import { renderLabelSettings } from './label-settings.js';
+import { createLabelThreadLists } from './label-thread-lists.js';
+import { getComposeInvoices, getComposeInvoicesFromDocuments, renderComposeMenu } from './compose-templates.js';
+import { buildChatThreadContext, createChatContextController } from './chat-context.js';
+import { ChatHistoryStore, createChatHistoryController } from './chat-history.js';
+import { ChatEngine, STREAM_ENDPOINT, createChatView } from './chat-engine.js';
+import { findSourceDocuments, renderMarkdown, renderToolSteps } from './chat-answers.js';
+import { renderChatMessageActions } from './chat-actions.js';
+import { createDraftReplyButton, draftTextToHtml, pickReplyRecipient } from './chat-drafts.js';
+import { APPROVAL_REMINDER_INTERVAL_MS, buildApprovalChain, buildApprovalRequestDraft, canApprove, createApprovalRequestEntry, findApprovalRule, getDueReminders, parseApprovalRules, renderApprovalChain, statusAfterApproval, takeUnseenReminders } from './approval-workflows.js';
+import { createVendorDirectoryCache, findVendorByEmail, renderVendorDetail, renderVendorList, showVendorHoverCard } from './vendor-directory.js';
 // Simple debounce utility function
 function debounce(func, wait) {
   let timeout;
@@ -78,7 +101,7 @@ function getGmailUrlFromCell(cellAddress) {
   const meta = currentWorksheet.getMeta(cellAddress);
   if (meta?.threadId) {
     const accountPath = getCurrentGmailAccount();
-    return `https://mail.google.com/mail${accountPath}/#inbox/${meta.threadId}`;
+    return gmailThreadUrl(accountPath, meta.threadId);
   }
   return null;
   }
@@ -211,16 +234,17 @@ class ApiClient {
       return Promise.reject(new Error('Extension context invalidated.'));
     }
 
-    const { installationId, userEmail } = await chrome.storage.local.get(['installationId', 'userEmail']);
+    // The installation of the Gmail account this tab is signed into
+    const { installationId, userEmail } = (await getInstallation()) || {};
     
-    console.log('[DEBUG] Chrome storage values:', { installationId, userEmail });
+    console.log('[DEBUG] Installation for', getCurrentAccount(), { installationId, userEmail });
     
     if (!installationId) {
       throw new Error('User not authenticated. Please sign in first.');
     }
     
     if (!userEmail) {
-      console.warn('[DEBUG] userEmail is missing from Chrome storage');
+      console.warn('[DEBUG] userEmail is missing from the installation record');
     }
 
     const url = `${this.baseUrl}${endpoint}`;
@@ -277,12 +301,11 @@ class ApiClient {
   }
 
   /**
-   * Checks business rules table for document storage rules.
-   * @returns {Promise<object|null>} The document storage rule if found, null otherwise
+   * Lists the user's business rules (document storage, approval workflows, ...).
+   * @returns {Promise<object[]>} The rules, or an empty array if they can't be loaded
    */
-  async getDocumentStorageRule() {
+  async getBusinessRules() {
     try {
-      console.log('[API] Checking for document storage business rules...');
       console.log('[API] Calling endpoint: /api/business-rules/rules');
       console.log('[API] Base URL:', this.baseUrl);
       
@@ -293,11 +316,29 @@ class ApiClient {
       
       if (!data.success || !data.rules || !Array.isArray(data.rules)) {
         console.log('[API] Invalid business rules response format');
-        return null;
+        return [];
       }
+      return data.rules;
+    } catch (error) {
+      console.error('[API] Error fetching business rules:', error);
+      console.log('[API] This is expected if the business rules endpoint is not implemented yet');
+      console.log('[API] Cards will display without storage buttons or approval chains until the endpoint is available');
+      return [];
+    }
+  }
+
+  /**
+   * Checks business rules table for document storage rules.
+   * @param {object[]} [rules] - Already loaded rules; fetched when omitted
+   * @returns {Promise<object|null>} The document storage rule if found, null otherwise
+   */
+  async getDocumentStorageRule(rules = null) {
+    try {
+      console.log('[API] Checking for document storage business rules...');
+      const allRules = rules || await this.getBusinessRules();
       
       // Find rule with rule_category = 'document_storage'
-      const storageRule = data.rules.find(rule => 
+      const storageRule = allRules.find(rule => 
         rule.rule_category === 'document_storage' && 
         rule.status === 'active'
       );
@@ -429,6 +470,65 @@ class ApiClient {
     return jsonData;
   }
 
+  /**
+   * Gets one page of detailed documents using cursor-based paging.
+   * Older backends ignore the paging parameters and return a plain array; that is
+   * treated as a single, final page.
+   * @param {object} [params]
+   * @param {string|null} [params.cursor] - Cursor returned by the previous page (null for the first page)
+   * @param {number} [params.limit=200] - Maximum number of documents to return
+   * @param {AbortSignal} [params.signal] - Cancels the request (e.g. the route was left)
+   * @returns {Promise<{documents: Array<object>, nextCursor: string|null, total: number|null}>}
+   */
+  async getDetailedDocumentsPage({ cursor = null, limit = 200, signal } = {}) {
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (cursor) {
+      query.set('cursor', cursor);
+    }
+
+    console.log(`[API] 📄 Requesting detailed documents page (cursor: ${cursor || 'start'}, limit: ${limit})`);
+    const response = await this.makeAuthenticatedRequest(`/api/finops/documents/detailed?${query.toString()}`, { signal });
+    const jsonData = await response.json();
+
+    if (Array.isArray(jsonData)) {
+      return { documents: jsonData, nextCursor: null, total: jsonData.length };
+    }
+
+    const documents = jsonData?.documents || jsonData?.items || jsonData?.data || [];
+    const nextCursor = jsonData?.next_cursor || jsonData?.nextCursor || null;
+    const total = jsonData?.total ?? jsonData?.total_count ?? null;
+    console.log(`[API] ✅ Page received: ${documents.length} documents, total: ${total ?? 'unknown'}, more: ${!!nextCursor}`);
+
+    return { documents, nextCursor, total };
+  }
+
+  /**
+   * Counts the threads carrying each backend thread label.
+   * @returns {Promise<Object>} Backend label => number of threads
+   */
+  async getThreadLabelCounts() {
+    const response = await this.makeAuthenticatedRequest('/api/finops/threads/label-counts');
+    const jsonData = await response.json();
+    return jsonData?.counts || jsonData || {};
+  }
+
+  /**
+   * Gets one page of the Gmail threads carrying any of the given backend thread labels, newest first.
+   * @param {object} params
+   * @param {string[]} params.labels - Backend thread labels
+   * @param {number} [params.offset=0]
+   * @param {number} [params.limit=50]
+   * @returns {Promise<{threadIds: string[], total: number|null}>}
+   */
+  async getThreadIdsByLabels({ labels, offset = 0, limit = 50 }) {
+    const query = new URLSearchParams({ offset: String(offset), limit: String(limit) });
+    labels.forEach(label => query.append('label', label));
+    const response = await this.makeAuthenticatedRequest(`/api/finops/threads?${query.toString()}`);
+    const jsonData = await response.json();
+    const threadIds = jsonData?.thread_ids || jsonData?.threadIds || [];
+    return { threadIds, total: jsonData?.total ?? jsonData?.total_count ?? null };
+  }
+
   /**
    * Fetches a Gmail attachment PDF by calling the backend, which then uses its own
    * server-side OAuth tokens to access the Gmail API.
@@ -476,7 +576,7 @@ class ApiClient {
     
     try {
       // Get installation data for headers
-      const { installationId, userEmail } = await chrome.storage.local.get(['installationId', 'userEmail']);
+      const { installationId, userEmail } = (await getInstallation()) || {};
       
       if (!installationId) {
         throw new Error('User not authenticated. Please sign in first.');
@@ -574,14 +674,25 @@ class AuthService {
     console.log('[AUTH] Starting dual OAuth sign-in flow');
     
     try {
+      // The installation belongs to the Gmail account this tab is signed into
+      const accountEmail = getCurrentAccount();
+      if (!accountEmail) {
+        throw new Error('Could not tell which Gmail account this tab is signed into. Please refresh Gmail and try again.');
+      }
+
       // Step 1: Initiate Web OAuth flow for backend refresh tokens
-      console.log('[AUTH] Step 1: Starting Web OAuth flow');
+      console.log('[AUTH] Step 1: Starting Web OAuth flow for', accountEmail);
       
       const webOAuthResult = await this._initiateWebClientOAuth();
       
       if (!webOAuthResult.success) {
         throw new Error(`Web OAuth flow failed: ${webOAuthResult.error}`);
       }
+
+      const authorizedEmail = webOAuthResult.result?.userEmail;
+      if (authorizedEmail && authorizedEmail.toLowerCase() !== accountEmail) {
+        throw new Error(`Stamp was authorized for ${authorizedEmail}, but this Gmail tab is signed into ${accountEmail}. Please choose ${accountEmail} when Google asks.`);
+      }
       
       console.log('[AUTH] Web OAuth completed successfully');
       
@@ -594,9 +705,8 @@ class AuthService {
       console.log('[AUTH] Step 3: Getting Chrome extension access token');
       
       const chromeTokenResult = await this._getChromeExtensionAccessToken();
-      const userEmail = chromeTokenResult.userEmail;
       
-      if (!userEmail) {
+      if (!chromeTokenResult.userEmail) {
         const errorMsg = chromeTokenResult.error || 'Unknown error';
         console.error('[AUTH] Chrome extension OAuth failed:', {
           error: errorMsg,
@@ -606,7 +716,12 @@ class AuthService {
         throw new Error(`Could not retrieve user email from Chrome extension OAuth: ${errorMsg}`);
       }
       
-      console.log('[AUTH] User email obtained:', userEmail);
+      console.log('[AUTH] User email obtained:', chromeTokenResult.userEmail);
+      if (chromeTokenResult.userEmail.toLowerCase() !== accountEmail) {
+        // Chrome's identity is the browser profile's account; the installation still belongs to this Gmail account
+        console.log('[AUTH] Chrome profile account differs from this Gmail account:', accountEmail);
+      }
+      const userEmail = accountEmail;
       
       // Step 4: Call backend install endpoint with dual OAuth mode
       console.log('[AUTH] Step 4: Calling backend install endpoint');
@@ -635,7 +750,7 @@ class AuthService {
       console.log('[AUTH] Installation successful, ID:', installationId);
       
       // Step 4: Store installation success state
-      await chrome.storage.local.set({ 
+      await saveInstallation(accountEmail, {
         installationId, 
         userEmail,
         installationComplete: true,
@@ -664,17 +779,7 @@ class AuthService {
     } catch (error) {
       console.error('[AUTH] Dual OAuth sign-in flow failed:', error.message);
       
-      // Try to get the user email from Chrome storage for error context
-      try {
-        const { userEmail } = await chrome.storage.local.get(['userEmail']);
-        if (userEmail) {
-          console.error('[AUTH] Sign-up failed for email:', userEmail);
-        } else {
-          console.error('[AUTH] Sign-up failed - no user email found in storage');
-        }
-      } catch (storageError) {
-        console.error('[AUTH] Sign-up failed - could not retrieve user email from storage');
-      }
+      console.error('[AUTH] Sign-up failed for Gmail account:', getCurrentAccount() || 'unknown');
       
       // Clean up partial installation state on failure
       await this._cleanupPartialInstallation();
@@ -725,9 +830,8 @@ class AuthService {
   async _getChromeExtensionAccessToken() {
     console.log('[AUTH] Getting Chrome extension access token for direct API access...');
     
-    // Log the user email being used for OAuth
-    const { userEmail } = await chrome.storage.local.get(['userEmail']);
-    console.log('[AUTH] 🔍 Attempting OAuth for user email:', userEmail || 'NOT_FOUND');
+    // Log the Gmail account being installed
+    console.log('[AUTH] 🔍 Attempting OAuth for Gmail account:', getCurrentAccount() || 'NOT_FOUND');
     
     return new Promise((resolve, reject) => {
       chrome.runtime.sendMessage({ type: 'GET_CHROME_ACCESS_TOKEN' }, (response) => {
@@ -757,9 +861,9 @@ class AuthService {
     console.log('[AUTH] Clearing Chrome identity cache and storage for fresh sign-up...');
     
     try {
-      // Clear Chrome storage first (removes old userEmail)
-      console.log('[AUTH] Clearing Chrome storage...');
-      await chrome.storage.local.remove(['installationId', 'userEmail', 'installationComplete']);
+      // Clear this account's installation first; other Gmail accounts keep theirs
+      console.log('[AUTH] Clearing installation for', getCurrentAccount());
+      await removeInstallation();
       console.log('[AUTH] Chrome storage cleared successfully');
       
       // Then clear Chrome identity cache
@@ -792,12 +896,7 @@ class AuthService {
   async _cleanupPartialInstallation() {
     try {
       console.log('[AUTH] Cleaning up partial installation state...');
-      await chrome.storage.local.remove([
-        'installationId', 
-        'userEmail', 
-        'installationComplete', 
-        'installationDate'
-      ]);
+      await removeInstallation();
       console.log('[AUTH] Partial installation cleanup completed');
     } catch (error) {
       console.error('[AUTH] Failed to cleanup partial installation:', error);
@@ -806,14 +905,10 @@ class AuthService {
 
   /**
    * Checks local storage for installation state and authentication status.
+   * Reads the installation of the Gmail account this tab is signed into.
    */
   async getAuthState() {
-    const result = await chrome.storage.local.get([
-      'installationId', 
-      'userEmail', 
-      'installationComplete', 
-      'installationDate'
-    ]);
+    const result = (await getInstallation()) || {};
     
     return {
       isLoggedIn: !!result.installationId,
@@ -828,16 +923,26 @@ class AuthService {
    * Gets the user email from local storage.
    */
   async getUserEmail() {
-    const { userEmail } = await chrome.storage.local.get(['userEmail']);
-    return userEmail || null;
+    const installation = await getInstallation();
+    return installation?.userEmail || null;
   }
 
   /**
    * Gets the installation ID from local storage.
    */
   async getInstallationId() {
-    const { installationId } = await chrome.storage.local.get(['installationId']);
-    return installationId || null;
+    const installation = await getInstallation();
+    return installation?.installationId || null;
+  }
+
+  /**
+   * Calls back when this Gmail account's installation is added or removed, from any tab.
+   * @param {Function} callback - () => void
+   */
+  onAuthStateChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && installationChanged(changes)) callback();
+    });
   }
 
   /**
@@ -847,7 +952,7 @@ class AuthService {
   async signOut() {
     try {
       console.log('[AUTH] Starting standard sign-out...');
-      const { installationId } = await chrome.storage.local.get('installationId');
+      const installationId = await this.getInstallationId();
       
       // Notify backend about sign out if we have an installation
       if (installationId) {
@@ -862,14 +967,9 @@ class AuthService {
         });
       }
 
-      // Clear local storage
+      // Clear this account's installation; other Gmail accounts stay signed in
       console.log('[AUTH] Clearing local storage...');
-      await chrome.storage.local.remove([
-        'installationId', 
-        'userEmail', 
-        'installationComplete', 
-        'installationDate'
-      ]);
+      await removeInstallation();
       console.log('[AUTH] Sign-out complete.');
       
     } catch (error) {
@@ -887,7 +987,7 @@ class AuthService {
       console.log('[AUTH] Starting hard reset...');
       
       // Get current installation ID for backend notification
-      const { installationId } = await chrome.storage.local.get(['installationId']);
+      const installationId = await this.getInstallationId();
       
       // Notify backend to revoke all tokens if we have an installation
       if (installationId) {
@@ -982,125 +1082,14 @@ function getThreadStage(threadId) {
   return THREAD_STAGE_ASSIGNMENTS[threadId] || INVOICE_STAGES.PENDING_APPROVAL;
 }
 
-// Define the invoice status colors
-const INVOICE_STATUS_COLORS = {
-  // Core statuses
-  pending: { backgroundColor: '#FFC107', textColor: '#000000', description: 'Awaiting approval' },
-  approved: { backgroundColor: '#4CAF50', textColor: '#FFFFFF', description: 'Approved' },
-  rejected: { backgroundColor: '#F44336', textColor: '#FFFFFF', description: 'Rejected' },
-  paid: { backgroundColor: '#2196F3', textColor: '#FFFFFF', description: 'Payment confirmed' },
-
-  // Extended statuses
-  on_hold: { backgroundColor: '#9E9E9E', textColor: '#FFFFFF', description: 'On hold' },
-  requires_review: { backgroundColor: '#FF9800', textColor: '#000000', description: 'Requires review' },
-  partially_approved: { backgroundColor: '#81C784', textColor: '#FFFFFF', description: 'Partially approved' },
-  ready_for_payment: { backgroundColor: '#26A69A', textColor: '#FFFFFF', description: 'Ready for payment' },
-  duplicate: { backgroundColor: '#607D8B', textColor: '#FFFFFF', description: 'Duplicate detected' },
-
-  // Legacy/optional
-  submitted: { backgroundColor: '#90CAF9', textColor: '#000000', description: 'Invoice initially detected' }
-};
+// Label names, colors and matching come from the team's label taxonomy (see label-taxonomy.js);
+// replaced when it is loaded or edited on the label settings page
+let labelMatcher = createLabelMatcher(DEFAULT_LABEL_TAXONOMY);
 
-// Define the primary intent colors
-const PRIMARY_INTENT_COLORS = {
-  // Financial Intents - Blues
-  'payment_status_inquiry': {
-    backgroundColor: '#E3F2FD',
-    textColor: '#1565C0'
-  },
-  'payment_confirmation': {
-    backgroundColor: '#BBDEFB',
-    textColor: '#1565C0'
-  },
-  'refund_request': {
-    backgroundColor: '#90CAF9',
-    textColor: '#000000'
-  },
-
-  // Document Processing - Greens
-  'invoice_submission': {
-    backgroundColor: '#E8F5E9',
-    textColor: '#2E7D32'
-  },
-  'expense_report': {
-    backgroundColor: '#C8E6C9',
-    textColor: '#2E7D32'
-  },
-  'tax_documentation': {
-    backgroundColor: '#A5D6A7',
-    textColor: '#000000'
-  },
-
-  // Inquiries - Purples
-  'billing_inquiry': {
-    backgroundColor: '#F3E5F5',
-    textColor: '#6A1B9A'
-  },
-  'status_request': {
-    backgroundColor: '#E1BEE7',
-    textColor: '#6A1B9A'
-  },
-  'information_sharing': {
-    backgroundColor: '#CE93D8',
-    textColor: '#000000'
-  },
-
-  // Action Items - Warm Colors
-  'approval_request': {
-    backgroundColor: '#FFF3E0',
-    textColor: '#E65100'
-  },
-  'urgent_request': {
-    backgroundColor: '#FFE0B2',
-    textColor: '#E65100'
-  },
-  'task_assignment': {
-    backgroundColor: '#FFCC80',
-    textColor: '#000000'
-  },
-
-  // Issues & Resolution - Reds
-  'quality_issue': {
-    backgroundColor: '#FFEBEE',
-    textColor: '#C62828'
-  },
-  'dispute_resolution': {
-    backgroundColor: '#FFCDD2',
-    textColor: '#C62828'
-  },
-  'escalation': {
-    backgroundColor: '#EF9A9A',
-    textColor: '#000000'
-  },
-
-  // Administrative - Grays
-  'vendor_onboarding': {
-    backgroundColor: '#FAFAFA',
-    textColor: '#424242'
-  },
-  'account_setup': {
-    backgroundColor: '#F5F5F5',
-    textColor: '#424242'
-  },
-  'system_access': {
-    backgroundColor: '#EEEEEE',
-    textColor: '#000000'
-  },
-
-  // Communication - Teals
-  'follow_up': {
-    backgroundColor: '#E0F2F1',
-    textColor: '#00695C'
-  },
-  'routine_update': {
-    backgroundColor: '#B2DFDB',
-    textColor: '#00695C'
-  },
-  'general_communication': {
-    backgroundColor: '#80CBC4',
-    textColor: '#000000'
-  }
-};
+// Backend labels that map to the same taxonomy label share a key, so they show as one pill
+function labelKeyOf(labelText) {
+  return labelMatcher.match(labelText)?.key ?? labelText;
+}
 
 /**
  * Creates a label object for InboxSDK from a thread label string.
@@ -1113,46 +1102,12 @@ function createLabelFromThreadLabel(labelText) {
     return null;
   }
 
-  const normalizedText = labelText.toLowerCase();
-  console.log(`[LABEL_CREATION] Processing label text: "${labelText}"`);
-
-  // Hide labels when backend explicitly says nothing definitive
-  if (normalizedText.includes('no definitive label found')) {
-    console.log('[LABEL_CREATION] Skipping label creation for "No definitive label found"');
-    return null;
-  }
-
-  // Check for invoice status keywords (exact match preferred)
-  for (const status of Object.keys(INVOICE_STATUS_COLORS)) {
-    if (normalizedText.includes(status)) {
-      const colorConfig = INVOICE_STATUS_COLORS[status];
-      console.log(`[LABEL_CREATION] Found invoice status keyword "${status}" in: "${normalizedText}"`, colorConfig);
-      return {
-        title: labelText,
-        backgroundColor: colorConfig.backgroundColor,
-        textColor: colorConfig.textColor,
-        iconUrl: 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'
-      };
-    }
-  }
-
-  // Check for primary intent keywords
-  for (const intent of Object.keys(PRIMARY_INTENT_COLORS)) {
-    if (normalizedText.includes(intent)) {
-      const colorConfig = PRIMARY_INTENT_COLORS[intent];
-      console.log(`[LABEL_CREATION] Found primary intent keyword "${intent}" in: "${normalizedText}"`, colorConfig);
-      return {
-        title: labelText,
-        backgroundColor: colorConfig.backgroundColor,
-        textColor: colorConfig.textColor,
-        iconUrl: 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'
-      };
-    }
+  const descriptor = labelMatcher.toDescriptor(labelText);
+  if (!descriptor) {
+    // No mapping => do not render a label
+    console.log(`[LABEL_CREATION] No mapping found for: "${labelText}". Skipping label.`);
   }
-
-  // No mapping => do not render a label
-  console.log(`[LABEL_CREATION] No mapping found for: "${normalizedText}". Skipping label.`);
-  return null;
+  return descriptor;
 }
 
 /**
@@ -1221,233 +1176,6 @@ function transformProcessedEntitiesForSidebar(processedEntities) {
   });
 }
 
-/**
- * Creates the HTML for a single entity card.
- * @param {object} cardData - A simplified entity object from transformProcessedEntitiesForSidebar.
- * @param {string} threadId - The current Gmail thread ID for link generation.
- * @returns {string} The HTML string for the card.
- */
-function createEntityCard(cardData, threadId) {
-  const statusConfig = cardData.status ? (INVOICE_STATUS_COLORS[cardData.status] || { backgroundColor: '#E0E0E0', textColor: '#000000', description: '' }) : null;
-  const amountFormatted = cardData.hasDetails
-    ? new Intl.NumberFormat('en-US', { style: 'currency', currency: cardData.currency }).format(cardData.amount)
-    : null;
-
-  // Card is only clickable if it has details
-  const isClickable = cardData.hasDetails;
-  const fullDetailsString = isClickable ? JSON.stringify(cardData.fullDetails).replace(/'/g, '&apos;') : '';
-  const cursorStyle = isClickable ? 'cursor: pointer;' : 'cursor: default;';
-  const cardClass = isClickable ? 'entity-card' : 'entity-card non-clickable';
-  const cardId = `${cardData.cardType}-${cardData.messageId || 'unknown'}`;
-
-  // Title can be a link if a messageId is available
-  const accountPath = getCurrentGmailAccount();
-  const messageLink = cardData.messageId ? `https://mail.google.com/mail${accountPath}/#inbox/${threadId}/${cardData.messageId}` : null;
-  const titleHtml = messageLink
-    ? `<a href="${messageLink}" target="_blank" style="text-decoration: none; color: #1a73e8;" onclick="event.stopPropagation();">${cardData.title}</a>`
-    : cardData.title;
-
-  // Build compact subline
-  const sublineHtml = isClickable && (cardData.vendor || amountFormatted)
-    ? `<div style="margin-top:4px; font-size:12px; color:#64748b; display:flex; align-items:center; gap:8px; flex-wrap:wrap;">
-         ${cardData.vendor ? `<span style=\"white-space:nowrap;\">${cardData.vendor}</span>` : ''}
-         ${(cardData.vendor && amountFormatted) ? `<span aria-hidden=\"true\" style=\"color:#cbd5e1;\">•</span>` : ''}
-         ${amountFormatted ? `<span style=\"white-space:nowrap;\">${amountFormatted}</span>` : ''}
-       </div>`
-    : '';
-
-
-
-  return `
-    <div class="${cardClass}" 
-         data-card-id="${cardId}"
-         ${isClickable ? `data-full-details='${fullDetailsString}'` : ''} 
-         style="
-           background: white; 
-           border: 1px solid #e5e0e0; 
-           border-radius: 12px; 
-           margin-bottom: 12px; 
-           padding: 12px 14px; 
-           ${cursorStyle} 
-           transition: all 0.2s;
-         ">
-      <div class="card-header" style="display: flex; justify-content: space-between; align-items: center;">
-        <div style="display:flex; flex-direction:column; min-width:0;">
-          <h4 style="margin: 0; font-size: 14px; font-weight: 600; display: flex; align-items: center; gap: 8px; color:#1f2937;">
-            <span style="font-size: 18px;">${cardData.icon}</span>
-            <span style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${titleHtml}</span>
-          </h4>
-          ${sublineHtml}
-        </div>
-        ${statusConfig ? `
-        <span class="status-tag" title="${statusConfig.description || ''}" style="display:inline-flex; align-items:center; gap:6px; background-color: ${statusConfig.backgroundColor}; color: ${statusConfig.textColor}; padding: 4px 8px; border-radius: 999px; font-size: 11px; font-weight: 700; text-transform: capitalize; white-space:nowrap;">
-          <span style=\"display:inline-block; width:8px; height:8px; border-radius:50%; background:${statusConfig.textColor === '#000000' ? '#111827' : '#ffffff'}; opacity:0.6;\"></span>
-          ${cardData.status.replace(/_/g, ' ')}
-        </span>
-        ` : ''}
-      </div>
-    </div>
-  `;
-}
-
-/**
- * Creates the HTML content for the detailed view in the sidebar.
- * @param {object} details - The full entity object to display.
- * @returns {string} The HTML string for the detailed view.
- */
-function createDetailsSidebarContent(details) {
-    console.log('[DETAILS] Full details object:', details);
-    
-    const doc = details.document;
-    const docDetails = doc.details;
-    
-    console.log('[DETAILS] Document object:', doc);
-    console.log('[DETAILS] Document details object:', docDetails);
-    console.log('[DETAILS] Available keys in docDetails:', Object.keys(docDetails));
-    
-    // Format amount with currency
-    const amountFormatted = new Intl.NumberFormat('en-US', { 
-      style: 'currency', 
-      currency: docDetails.currency || 'USD' 
-    }).format(docDetails.amount || 0);
-
-    // Build dynamic details HTML
-    let detailsHtml = '';
-    
-    // Add all available fields from docDetails (excluding complex objects)
-    for (const [key, value] of Object.entries(docDetails)) {
-        if (value !== null && value !== undefined && typeof value !== 'object') {
-            let displayValue = value;
-            
-            // Format special fields
-            if (key === 'amount' && docDetails.currency) {
-                displayValue = new Intl.NumberFormat('en-US', { 
-                    style: 'currency', 
-                    currency: docDetails.currency 
-                }).format(value);
-            } else if (key.includes('date') || key.includes('Date')) {
-                try {
-                    displayValue = new Date(value).toLocaleDateString();
-                } catch (e) {
-                    displayValue = value;
-                }
-            }
-            
-            detailsHtml += `
-              <div style="margin-bottom: 12px;">
-                <strong style="color: #5f6368; font-size: 12px; display: block;">${key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}</strong>
-                <div style="font-weight: 500; font-size: 14px;">${displayValue}</div>
-              </div>
-            `;
-        }
-    }
-    
-    // Handle vendor object separately
-    if (docDetails.vendor && typeof docDetails.vendor === 'object') {
-        detailsHtml += `
-          <div style="margin-bottom: 12px;">
-            <strong style="color: #5f6368; font-size: 12px; display: block;">Vendor Name</strong>
-            <div style="font-weight: 500; font-size: 14px;">${docDetails.vendor.name || 'N/A'}</div>
-          </div>
-        `;
-        
-        if (docDetails.vendor.email) {
-            detailsHtml += `
-              <div style="margin-bottom: 12px;">
-                <strong style="color: #5f6368; font-size: 12px; display: block;">Vendor Email</strong>
-                <div style="font-weight: 500; font-size: 14px;">${docDetails.vendor.email}</div>
-              </div>
-            `;
-        }
-    }
-    
-    // Handle line items array separately
-    if (docDetails.lineItems && Array.isArray(docDetails.lineItems) && docDetails.lineItems.length > 0) {
-        detailsHtml += `
-          <div style="margin-bottom: 12px;">
-            <strong style="color: #5f6368; font-size: 12px; display: block;">Line Items</strong>
-            <div style="margin-top: 8px;">
-        `;
-        
-        docDetails.lineItems.forEach((item, index) => {
-            const itemAmount = item.amount ? new Intl.NumberFormat('en-US', { 
-                style: 'currency', 
-                currency: docDetails.currency || 'USD' 
-            }).format(item.amount) : 'N/A';
-            
-            detailsHtml += `
-              <div style="background: #f8f9fa; border: 1px solid #e0e0e0; border-radius: 4px; padding: 8px; margin-bottom: 4px;">
-                <div style="font-weight: 500; font-size: 13px;">${item.description || 'No description'}</div>
-                <div style="font-size: 12px; color: #666;">
-                  Quantity: ${item.quantity || 'N/A'} | 
-                  Unit Price: ${item.unitPrice ? new Intl.NumberFormat('en-US', { style: 'currency', currency: docDetails.currency || 'USD' }).format(item.unitPrice) : 'N/A'} | 
-                  Amount: ${itemAmount}
-                </div>
-                ${item.sku ? `<div style="font-size: 11px; color: #999;">SKU: ${item.sku}</div>` : ''}
-              </div>
-            `;
-        });
-        
-        detailsHtml += `
-            </div>
-          </div>
-        `;
-    }
-    
-    // Add document-level fields
-    if (doc.final_status) {
-        detailsHtml += `
-          <div style="margin-bottom: 12px;">
-            <strong style="color: #5f6368; font-size: 12px; display: block;">Status</strong>
-            <div style="font-weight: 500; font-size: 14px; text-transform: capitalize;">${doc.final_status}</div>
-          </div>
-        `;
-    }
-    
-    if (doc.document_name) {
-        detailsHtml += `
-          <div style="margin-bottom: 12px;">
-            <strong style="color: #5f6368; font-size: 12px; display: block;">Document Name</strong>
-            <div style="font-weight: 500; font-size: 14px;">${doc.document_name}</div>
-          </div>
-        `;
-    }
-    
-    if (doc.message_id) {
-        detailsHtml += `
-          <div style="margin-bottom: 12px;">
-            <strong style="color: #5f6368; font-size: 12px; display: block;">Message ID</strong>
-            <div style="font-family: monospace; font-size: 12px; color: #666;">${doc.message_id}</div>
-          </div>
-        `;
-    }
-    
-    if (doc.first_message_id && doc.first_message_id !== doc.message_id) {
-        detailsHtml += `
-          <div style="margin-bottom: 12px;">
-            <strong style="color: #5f6368; font-size: 12px; display: block;">First Message ID</strong>
-            <div style="font-family: monospace; font-size: 12px; color: #666;">${doc.first_message_id}</div>
-          </div>
-        `;
-    }
-
-    return `
-      <div style="padding: 16px;">
-        <div style="margin-bottom: 16px;">
-          <button id="back-to-cards" style="background: #f1f3f4; border: none; padding: 8px 12px; border-radius: 4px; cursor: pointer; font-size: 13px; color: #5f6368;">
-            ← Back to Documents
-          </button>
-        </div>
-        
-        <h3 style="margin: 0 0 16px 0; color: #202124; font-size: 18px;">Document Details</h3>
-        
-        <div style="background: white; border: 1px solid #e0e0e0; border-radius: 8px; padding: 16px;">
-          ${detailsHtml}
-        </div>
-      </div>
-    `;
-}
-
 /**
  * Manages rendering the correct UI based on authentication state.
  */
@@ -1458,17 +1186,23 @@ class UIManager {
     this.apiClient = null;
     this.sidebarPanel = null;
     this.sidebarElement = null; // Add this to store the DOM element reference
-    this.dataManager = new ThreadDataManager(null); // Initialize dataManager without apiClient initially
+    this.dataManager = new ThreadDataManager(null, { isStatusLabel: (label) => labelMatcher.isStatusLabel(label) }); // Initialize dataManager without apiClient initially
+    this.threadViewLabels = createThreadViewLabels(createLabelFromThreadLabel, { labelKey: labelKeyOf }); // Label pills in the open thread's header
     this.floatingChatManager = null; // Add floating chat manager
     this._messageIndex = new Map(); // Track messageId -> messageView for instant lookup
     this._documentStorageRule = null; // Cache for business rule
+    this._openComposeViews = new Set(); // Compose windows currently open, for chat drafts
+    this._chatContexts = new Set(); // Context chips of the sidebar chat and the floating chat
+    this.chatHistory = new ChatHistoryStore(); // Conversations of both chats, in IndexedDB
+    // One session per conversation, shared by the sidebar chat and the floating chat
+    this.chatEngine = new ChatEngine({ store: this.chatHistory, request: (body, signal) => this.requestChatAnswer(body, signal) });
   }
 
   // NOTE: Old reactive message indexing removed in favor of proactive indexing in _indexAllThreadMessages()
   // This ensures we index ALL messages in a thread (including collapsed ones) when the thread opens
 
   /**
-   * Initializes and caches the document storage business rule.
+   * Initializes and caches the document storage rule and the approval workflow rules.
    * Called once during UI setup.
    */
   async initializeBusinessRules() {
@@ -1479,7 +1213,10 @@ class UIManager {
     
     try {
       console.log('[UI] Initializing business rules...');
-      this._documentStorageRule = await this.apiClient.getDocumentStorageRule();
+      const rules = await this.apiClient.getBusinessRules();
+      this._documentStorageRule = await this.apiClient.getDocumentStorageRule(rules);
+      this._approvalRules = parseApprovalRules(rules);
+      console.log(`[UI] ${this._approvalRules.length} approval workflow rules loaded`);
       
       if (this._documentStorageRule) {
         console.log('[UI] Document storage rule initialized:', this._documentStorageRule);
@@ -1832,6 +1569,8 @@ class UIManager {
     console.log('[UI] Thread view changed:', threadId);
     // Store current threadView for in-thread actions (scroll/highlight)
     this._currentThreadView = threadView;
+    this.refreshChatContexts();
+    threadView.on('destroy', () => this.refreshChatContexts());
 
     // Ensure business rules are initialized before processing thread
     if (!this._documentStorageRule && this.apiClient) {
@@ -1842,16 +1581,14 @@ class UIManager {
     // Index ALL messages in this thread proactively (including collapsed ones)
     await this._indexAllThreadMessages(threadView);
 
-    // Use the data manager to get data for this specific thread
-    const threadDataMap = await this.dataManager.getThreadData([threadId]);
+    // Use the data manager to get data for this specific thread, ahead of any list rows waiting
+    const threadDataMap = await this.dataManager.getThreadData([threadId], { priority: 'high' });
     const threadInfo = threadDataMap[threadId];
 
     // Add labels into the open thread header (inside the email)
     try {
       const labels = (threadInfo && threadInfo.threadLabels) ? threadInfo.threadLabels : [];
       await this.applyLabelsToThreadView(threadView, labels);
-      // Persist labels into shared cache so both list and thread share the same source
-      try { await this.dataManager.addThreadLabels(threadId, labels); } catch {}
     } catch (e) {
       console.warn('[ThreadViewLabels] Failed to apply labels to open thread:', e);
     }
@@ -1868,6 +1605,9 @@ class UIManager {
       
       // Attach new event listeners for the cards
       this.attachCardClickListeners(this.sidebarElement);
+
+      // Duplicate badges need every document, so they are added once that list is available
+      this.decorateDuplicates(threadId, cardDataArray);
       
       // Auto-open the sidebar if there are documents to show
       if (cardDataArray && cardDataArray.length > 0) {
@@ -1987,7 +1727,7 @@ class UIManager {
       // Get thread data to check if this message has tracked documents
       const threadView = messageView.getThreadView();
       const threadId = await threadView.getThreadIDAsync();
-      const threadDataMap = await this.dataManager.getThreadData([threadId]);
+      const threadDataMap = await this.dataManager.getThreadData([threadId], { priority: 'high' });
       const threadInfo = threadDataMap[threadId];
 
       if (!threadInfo || !threadInfo.processedEntities) {
@@ -2112,13 +1852,7 @@ class UIManager {
       natural_language_input: JSON.stringify(naturalLanguageInput)
     };
         
-    el.innerHTML = `
-      <div style="text-align: center; margin-bottom: 20px;">
-        <div style="font-size: 48px; margin-bottom: 16px;">${cardData.icon || '📄'}</div>
-        <div style="color: #1f2937; font-size: 16px; line-height: 1.5; margin-bottom: 20px;">${naturalLanguageDescription}</div>
-      </div>
-      
-    `;
+    el.innerHTML = createStorageConfirmationContent(cardData, naturalLanguageDescription);
     
     return el;
   }
@@ -2149,7 +1883,7 @@ class UIManager {
     el.innerHTML = `
       <div style="color: #10b981; font-size: 48px; margin-bottom: 16px;">✅</div>
       <h3 style="margin: 0 0 8px 0; color: #1f2937;">Success!</h3>
-      <p style="margin: 0; color: #6b7280;">${cardData.title} has been stored in Google Drive.</p>
+      <p style="margin: 0; color: #6b7280;">${escapeHtml(cardData.title)} has been stored in Google Drive.</p>
     `;
     
     return el;
@@ -2197,7 +1931,7 @@ class UIManager {
     el.innerHTML = `
       <div style="color: #f59e0b; font-size: 48px; margin-bottom: 16px;">⚠️</div>
       <h3 style="margin: 0 0 8px 0; color: #1f2937;">Already Stored</h3>
-      <p style="margin: 0; color: #6b7280;">${cardData.title} is already stored in Google Drive.</p>
+      <p style="margin: 0; color: #6b7280;">${escapeHtml(cardData.title)} is already stored in Google Drive.</p>
     `;
     
     return el;
@@ -2207,11 +1941,11 @@ class UIManager {
   createSidebarContent(threadId, cardDataArray) {
     // Store the current card data for later use
     this._currentCardData = cardDataArray;
+    this._currentThreadId = threadId;
     
     if (cardDataArray && cardDataArray.length > 0) {
       const cardsHtml = cardDataArray.map(cardData => {
-        const cardHtml = createEntityCard(cardData, threadId);
-        const cardWithThreadId = cardHtml.replace('class="entity-card"', `class="entity-card" data-thread-id="${threadId}"`);
+        const cardHtml = createEntityCard(cardData, threadId, { accountPath: getCurrentGmailAccount(), statusColors: labelMatcher.statusColors });
         
         // Build capsules for invoice entities only
         let capsulesRow = '';
@@ -2234,7 +1968,7 @@ class UIManager {
               console.log('[SIDEBAR] Status is in same thread - will show "Show" button');
             } else { 
               statusState = 'link'; 
-              statusLink = `https://mail.google.com/mail/u/0/#inbox/${cardData.statusThreadId}/${cardData.statusMessageId}`;
+              statusLink = gmailThreadUrl('/u/0', cardData.statusThreadId, cardData.statusMessageId);
               console.log('[SIDEBAR] Status is in different thread - will show link:', statusLink);
             }
           } else {
@@ -2251,8 +1985,7 @@ class UIManager {
               console.log('[SIDEBAR] Document messageId for same-thread:', cardData.docMessageId);
             } else { 
               docState = 'link'; 
-              const accountPath = getCurrentGmailAccount();
-              docLink = `https://mail.google.com/mail${accountPath}/#inbox/${cardData.docThreadId}/${cardData.docMessageId}`;
+              docLink = gmailThreadUrl(getCurrentGmailAccount(), cardData.docThreadId, cardData.docMessageId);
               console.log('[SIDEBAR] Document is in different thread - will show link:', docLink);
             }
           } else {
@@ -2263,8 +1996,8 @@ class UIManager {
           const docCapsule = this._renderSourceCapsule({ kind: 'document', state: docState, link: docLink });
 
           // Wrap in a row; embed message ids for same-thread actions
-          const statusDataAttr = statusState==='same-thread' ? `data-status-mid="${cardData.statusMessageId}"` : '';
-          const docDataAttr = docState==='same-thread' ? `data-doc-mid="${cardData.docMessageId}"` : '';
+          const statusDataAttr = statusState==='same-thread' ? `data-status-mid="${escapeHtml(cardData.statusMessageId)}"` : '';
+          const docDataAttr = docState==='same-thread' ? `data-doc-mid="${escapeHtml(cardData.docMessageId)}"` : '';
           
           console.log('[SIDEBAR] Building data attributes:', {
             statusDataAttr,
@@ -2293,10 +2026,20 @@ class UIManager {
           });
         }
 
+        // Approval actions need a backend document to correct
+        const documentId = cardData.cardType === 'inv' ? getDocumentId(cardData.fullDetails) : null;
+        const chain = documentId ? this.getApprovalChain(cardData.fullDetails) : null;
+        const actionsRow = documentId
+          ? renderInvoiceActions(`${cardData.cardType}-${cardData.messageId || 'unknown'}`, cardData.status, { canApprove: canApprove(chain, getCurrentAccount()) })
+          : '';
+        const approvalRow = chain ? renderApprovalChain(`${cardData.cardType}-${cardData.messageId || 'unknown'}`, chain) : '';
+
         return `
           <div class="card-container" style="margin-bottom: 16px;">
-            ${cardWithThreadId}
+            ${cardHtml}
             ${capsulesRow}
+            ${approvalRow}
+            ${actionsRow}
           </div>`
       }).join('');
       
@@ -2311,9 +2054,20 @@ class UIManager {
 
       // Return and also attach delegated click after mount
       return containerHtml;
+    } else if (this.dataManager.isProcessing(threadId)) {
+      // Replaced by the cards once the backend is done, see handleThreadDataChanged
+      return `
+        <div id="stamp-cards-empty" style="padding: 16px;">
+          <div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 6px;">
+            <div style="font-size: 48px; margin-bottom: 16px;">⏳</div>
+            <h4 style="margin: 0 0 8px 0; color: #333;">Reading this thread…</h4>
+            <p style="margin: 0; color: #666; font-size: 14px;">Stamp is still extracting its documents. They will appear here when it's done.</p>
+          </div>
+        </div>
+      `;
     } else {
       return `
-        <div style="padding: 16px;">
+        <div id="stamp-cards-empty" style="padding: 16px;">
           <div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 6px;">
             <div style="font-size: 48px; margin-bottom: 16px;">🧾</div>
             <h4 style="margin: 0 0 8px 0; color: #333;">No Documents Found</h4>
@@ -2335,6 +2089,31 @@ class UIManager {
     this._cardClickHandler = (event) => {
         console.log('[CARD_CLICKS] Click event detected on:', event.target);
         
+        const duplicateBadge = event.target.closest('.stamp-duplicate-badge');
+        if (duplicateBadge) {
+            event.stopPropagation();
+            const cardData = (this._currentCardData || []).find(item => `${item.cardType}-${item.messageId || 'unknown'}` === duplicateBadge.dataset.cardId);
+            if (cardData) this.showDuplicateComparison(cardData);
+            return;
+        }
+        
+        const approvalButton = event.target.closest('.stamp-request-approval, .stamp-send-reminder');
+        if (approvalButton) {
+            event.stopPropagation();
+            const chainElement = approvalButton.closest('.stamp-approval-chain');
+            const cardData = (this._currentCardData || []).find(item => `${item.cardType}-${item.messageId || 'unknown'}` === chainElement.dataset.cardId);
+            if (cardData) this.requestApproval(cardData, { reminder: approvalButton.classList.contains('stamp-send-reminder') });
+            return;
+        }
+        
+        const actionButton = event.target.closest('.stamp-invoice-action');
+        if (actionButton) {
+            event.stopPropagation();
+            const actionsElement = actionButton.closest('.stamp-invoice-actions');
+            const cardData = (this._currentCardData || []).find(item => `${item.cardType}-${item.messageId || 'unknown'}` === actionsElement.dataset.cardId);
+            if (cardData) this.handleInvoiceAction(cardData, actionButton.dataset.action, actionsElement);
+            return;
+        }
         
         const card = event.target.closest('.entity-card');
         if (card && card.dataset.fullDetails) {
@@ -2384,103 +2163,779 @@ class UIManager {
     container.addEventListener('click', this._cardClickHandler);
   }
 
-  // Method to attach chat event listeners
-  attachChatEventListeners(sidebarElement) {
-    const self = this;
-    
-    // Sign out button
-    sidebarElement.querySelector('#sign-out-btn').addEventListener('click', async () => {
-      console.log('[UI] Sign-out button clicked');
-      await self.authService.signOut();
-      self.sidebarPanel.remove();
-      self.renderLoginView();
-    });
+  /**
+   * Builds (or reuses) the duplicate index over all documents.
+   * The index is rebuilt whenever the cached document list changes.
+   * @returns {Promise<{duplicateIndex: object, partial: boolean}>} Result of buildDuplicateIndex, and
+   *   whether it misses documents that failed to load
+   */
+  async getDuplicateIndex() {
+    const { invoices, partial } = await this.dataManager.getAllInvoicesCached();
+    if (invoices !== this._duplicateIndexSource || !this._duplicateIndex) {
+      this._duplicateIndexSource = invoices;
+      this._duplicateIndex = buildDuplicateIndex(invoices);
+    }
+    return { duplicateIndex: this._duplicateIndex, partial };
+  }
 
-    // Hard reset button
-    sidebarElement.querySelector('#hard-reset-btn').addEventListener('click', async () => {
-      console.log('[UI] Dev: Hard-reset button clicked');
-      if (confirm('This will completely revoke Google OAuth permissions. You will need to re-authorize the extension. Continue?')) {
-        try {
-          await self.authService.hardReset();
-          self.sidebarPanel.remove();
-          self.renderLoginView();
-        } catch (error) {
-          alert('Hard reset failed: ' + error.message);
+  /**
+   * Adds duplicate warning badges to the cards of the open thread.
+   * @param {string} threadId - The thread the cards belong to
+   * @param {Array<object>} cardDataArray - Cards from transformProcessedEntitiesForSidebar
+   */
+  async decorateDuplicates(threadId, cardDataArray) {
+    if (!cardDataArray || cardDataArray.length === 0 || !this.apiClient) return;
+    try {
+      const { duplicateIndex, partial } = await this.getDuplicateIndex();
+      // The user may have moved on to another thread while documents were loading
+      if (this._currentCardData !== cardDataArray) return;
+
+      cardDataArray.forEach(cardData => {
+        const documentId = getDocumentId(cardData.fullDetails);
+        cardData.duplicates = documentId ? duplicateIndex.matchesFor(documentId) : [];
+        cardData.duplicateCheckIncomplete = partial;
+
+        const cardId = `${cardData.cardType}-${cardData.messageId || 'unknown'}`;
+        const header = this.sidebarElement?.querySelector(`.entity-card[data-card-id="${cardId}"] .card-header`);
+        if (!header) return;
+        // The pair may have just been resolved, or the documents may have loaded fully this time
+        header.querySelectorAll('.stamp-duplicate-badge, .stamp-duplicate-check-incomplete').forEach(badge => badge.remove());
+        const badgeHtml = renderDuplicateBadge(cardData).trim();
+        if (badgeHtml) {
+          const wrapper = document.createElement('div');
+          wrapper.innerHTML = badgeHtml;
+          header.insertBefore(wrapper.firstChild, header.querySelector('.status-tag'));
         }
-      }
-    });
+      });
+      console.log(`[DUPLICATES] Checked ${cardDataArray.length} cards in thread ${threadId}${partial ? ' against a partial document list' : ''}`);
+    } catch (error) {
+      console.error('[DUPLICATES] Failed to check thread documents for duplicates:', error);
+    }
+  }
 
-    // Settings menu functionality
-    const settingsBtn = sidebarElement.querySelector('#settings-btn');
-    const settingsMenu = sidebarElement.querySelector('#settings-menu');
-    const closeSettingsBtn = sidebarElement.querySelector('#close-settings-btn');
+  /**
+   * Opens the side-by-side comparison for a card and its first likely duplicate.
+   * @param {object} cardData - Card with `duplicates` filled in
+   */
+  showDuplicateComparison(cardData) {
+    const [match] = cardData.duplicates || [];
+    if (!match) return;
 
-    // Open settings menu
-    settingsBtn.addEventListener('click', () => {
-      settingsMenu.style.display = 'flex';
-      settingsMenu.style.opacity = '0';
-      setTimeout(() => {
-        settingsMenu.style.opacity = '1';
-      }, 10);
+    const modal = this.sdk.Widgets.showModalView({
+      el: createDuplicateComparison(cardData.fullDetails, match.invoice, {
+        reason: match.reason,
+        fetchPdf: this.apiClient ? (params) => this.apiClient.fetchGmailAttachmentPdf(params) : null,
+        onMarkDuplicate: async (invoice) => {
+          await this.markDocumentAsDuplicate(invoice);
+          this.showNotification('Marked as duplicate. The correction will sync shortly.', 'success');
+          setTimeout(() => modal.close(), 800);
+        }
+      }),
+      title: 'Possible duplicate',
+      showCloseButton: true,
+      chrome: true,
     });
+  }
 
-    // Close settings menu
-    const closeSettings = () => {
-      settingsMenu.style.opacity = '0';
-      setTimeout(() => {
-        settingsMenu.style.display = 'none';
-      }, 2000);
-    };
+  /**
+   * Sets a document's status to "duplicate" and clears the resolved duplicate badges.
+   * @param {object} invoice - Document or sidebar entity with `document.details`
+   */
+  async markDocumentAsDuplicate(invoice) {
+    await this.setDocumentStatus(invoice, 'duplicate', { threadId: invoice.document?.thread_id });
+    this._duplicateIndex = null;
+    this.decorateDuplicates(this._currentThreadId, this._currentCardData);
+    console.log(`[DUPLICATES] ✅ Marked ${getDocumentId(invoice)} as duplicate`);
+  }
 
-    closeSettingsBtn.addEventListener('click', closeSettings);
-    
-    // Close on backdrop click
-    settingsMenu.addEventListener('click', (e) => {
-      if (e.target === settingsMenu) {
-        closeSettings();
+  /**
+   * Runs an approval action from an invoice card. Actions that need a note ask for it inline;
+   * the card, the thread labels and the caches are then updated before the correction syncs.
+   * @param {object} cardData - Card the action was taken on
+   * @param {string} actionId - One of INVOICE_ACTIONS[].id
+   * @param {HTMLElement} actionsElement - The card's .stamp-invoice-actions element
+   */
+  async handleInvoiceAction(cardData, actionId, actionsElement) {
+    const action = getInvoiceAction(actionId);
+    if (!action) return;
+
+    let note = null;
+    if (action.reasonPrompt) {
+      note = await promptForActionNote(actionsElement, action);
+      if (note === null) return;
+    }
+
+    actionsElement.querySelectorAll('button').forEach(button => { button.disabled = true; });
+    try {
+      let status = action.status;
+      if (action.id === 'approve') {
+        // With an approval chain, only the current approver may approve, and only the last one
+        // moves the invoice to "approved"
+        const chain = this.getApprovalChain(cardData.fullDetails);
+        if (!canApprove(chain, getCurrentAccount())) {
+          throw new Error(`waiting for ${chain.current?.approver.email || 'the approval chain'} to approve`);
+        }
+        status = statusAfterApproval(chain, getCurrentAccount());
       }
-    });
+      await this.setDocumentStatus(cardData.fullDetails, status, { threadId: this._currentThreadId, action, note });
+      this.showNotification(`${cardData.title}: ${status.replace(/_/g, ' ')}`, 'success');
+    } catch (error) {
+      console.error(`[ACTIONS] ❌ ${action.label} failed:`, error);
+      this.showNotification(`Could not update ${cardData.title}: ${error.message}`, 'error');
+      actionsElement.querySelectorAll('button').forEach(button => { button.disabled = false; });
+    }
+  }
 
-    // Close on escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && settingsMenu.style.display === 'flex') {
-        closeSettings();
+  /**
+   * Changes a document's status from Gmail. The change is shown right away (sidebar card,
+   * thread row and header labels, cached documents) and then posted as a status correction
+   * through the same path tracker edits take (audit trail, durable queue, background flush).
+   * If the correction can't be queued, the local change is rolled back.
+   * @param {object} invoice - Document or sidebar entity with `document.details`
+   * @param {string|null} status - New status; null keeps the current one and only records
+   *   `options.involvementEntry`
+   * @param {object} [options]
+   * @param {string} [options.threadId] - Thread whose labels and cache show the document
+   * @param {object} [options.action] - Entry of INVOICE_ACTIONS; recorded in involvementHistory
+   *   and sent with the correction
+   * @param {string} [options.note] - Rejection reason or request details
+   * @param {object} [options.involvementEntry] - Entry to record instead of one built from `action`
+   *   (e.g. an approval request)
+   */
+  async setDocumentStatus(invoice, status, { threadId = null, action = null, note = null, involvementEntry: entry = null } = {}) {
+    const documentId = getDocumentId(invoice);
+    if (!documentId) {
+      throw new Error('This document has no id and cannot be corrected');
+    }
+
+    const previousValue = invoice.document?.details?.status || invoice.status || invoice.document?.final_status || null;
+    status = status ?? previousValue;
+    const history = new EditHistory();
+    await history.load({ cells: [[documentId, 'status']] });
+    const involvementEntry = entry || (action ? createInvolvementEntry(action, { actor: history.actor, note }) : null);
+
+    const apply = async (value, update) => {
+      update(invoice);
+      let threadLabels;
+      if (threadId) {
+        const threadInfo = (await this.dataManager.getThreadData([threadId], { priority: 'high' }))[threadId];
+        threadLabels = replaceStatusLabel(threadInfo?.threadLabels, value, labelMatcher.isStatusLabel);
       }
+      await this.dataManager.updateCachedDocument(threadId, documentId, update, { threadLabels });
+      if (threadLabels) this.updateThreadLabels(threadId, threadLabels);
+      this.refreshCardStatus(documentId, value);
+    };
+
+    // Optimistic: show the new status before the correction is persisted
+    await apply(status, (item) => applyStatusToDocument(item, status, involvementEntry));
+
+    try {
+      const originalValue = history.getOriginalValue(documentId, 'status') ?? previousValue;
+      await enqueueCorrection({
+        document_id: documentId,
+        document_type: invoice.documentType || invoice.type || 'invoice',
+        field_name: 'status',
+        new_value: status,
+        previous_value: previousValue,
+        original_value: originalValue,
+        ...(note ? { note } : {}),
+        // Who took the action reaches the backend's involvementHistory with the status
+        ...(involvementEntry ? { involvement: [involvementEntry] } : {})
+      });
+    } catch (error) {
+      await apply(previousValue, (item) => {
+        applyStatusToDocument(item, previousValue);
+        if (involvementEntry) {
+          // Cached copies are deserialized, so the entry is matched by its timestamp
+          item.involvementHistory = (item.involvementHistory || []).filter(entry => entry.timestamp !== involvementEntry.timestamp);
+        }
+      });
+      throw error;
+    }
+    // Only once the change is queued, and only actual status changes
+    if (status !== previousValue) {
+      history.record({ documentId, fieldName: 'status', previousValue, newValue: status, action: 'edit' });
+    }
+
+    chrome.runtime.sendMessage({ type: 'FLUSH_CORRECTIONS', account: getCurrentAccount() }).catch(error => {
+      console.warn('[ACTIONS] Background flush request failed; the queue will retry:', error);
     });
+    console.log(`[ACTIONS] ✅ ${documentId} → ${status}`, involvementEntry || '');
+  }
 
-    // Chat functionality
-    const questionInput = sidebarElement.querySelector('#question-input');
-    const sendButton = sidebarElement.querySelector('#send-question-btn');
-    const chatOutput = sidebarElement.querySelector('#chat-output');
+  /**
+   * Shows new labels for a thread on its list row and, when it is open, in its header.
+   * @param {string} threadId
+   * @param {string[]} threadLabels
+   */
+  updateThreadLabels(threadId, threadLabels) {
+    this.threadRowLabels?.setLabels(threadId, labelMatcher.sortLabels(threadLabels));
+    if (this._currentThreadView && !this._currentThreadView.destroyed && this._currentThreadId === threadId) {
+      this.applyLabelsToThreadView(this._currentThreadView, threadLabels);
+    }
+  }
 
-    const sendQuestion = async () => {
-      const question = questionInput.value.trim();
-      if (!question) return;
+  /**
+   * Shows new data for a thread in place: what a background refresh brought for a thread served
+   * from the cache, or a thread the backend just finished processing. Its labels are replaced
+   * on its row and in the open thread's header and, while it is open with the card list (or the
+   * empty state) showing, its cards are redrawn.
+   * @param {string} threadId
+   * @param {object} threadInfo - The thread's new data
+   */
+  handleThreadDataChanged(threadId, threadInfo) {
+    this.updateThreadLabels(threadId, threadInfo.threadLabels || []);
+    if (this._currentThreadId !== threadId || !this.sidebarElement?.querySelector('#stamp-cards-container, #stamp-cards-empty')) return;
+    const hadCards = (this._currentCardData || []).length > 0;
+    const cardDataArray = transformProcessedEntitiesForSidebar(threadInfo.processedEntities || []);
+    this.sidebarElement.innerHTML = this.createSidebarContent(threadId, cardDataArray);
+    this.attachCardClickListeners(this.sidebarElement);
+    this.decorateDuplicates(threadId, cardDataArray);
+    // Like opening a thread with documents
+    if (!hadCards && cardDataArray.length > 0) this.openSidebar();
+  }
 
-      // Add user question to chat
-      const userDiv = document.createElement('div');
-      userDiv.style.cssText = `
-        display: flex;
+  /**
+   * Redraws Stamp's labels on thread rows and in the open thread after the label taxonomy changed.
+   */
+  async refreshLabels() {
+    this.threadRowLabels?.refresh();
+    this.threadViewLabels.refresh();
+    if (!this._currentThreadView || this._currentThreadView.destroyed || !this._currentThreadId) return;
+    // Precedence may have changed, so the open thread's labels are sorted again
+    const threadInfo = (await this.dataManager.getThreadData([this._currentThreadId], { priority: 'high' }))[this._currentThreadId];
+    this.applyLabelsToThreadView(this._currentThreadView, threadInfo?.threadLabels || []);
+  }
+
+  /**
+   * Re-renders the sidebar cards after a document's status changed.
+   * @param {string} documentId
+   * @param {string} status
+   */
+  refreshCardStatus(documentId, status) {
+    const cards = (this._currentCardData || []).filter(cardData => getDocumentId(cardData.fullDetails) === documentId);
+    if (cards.length === 0) return;
+    cards.forEach(cardData => { cardData.status = status; });
+
+    // Only while the card list is showing, not a card's detail view
+    if (this.sidebarElement?.querySelector('#stamp-cards-container')) {
+      this.sidebarElement.innerHTML = this.createSidebarContent(this._currentThreadId, this._currentCardData);
+      this.attachCardClickListeners(this.sidebarElement);
+    }
+  }
+
+  /**
+   * @param {object} invoice - Document or sidebar entity
+   * @returns {object|null} The document's approval chain, or null when no workflow applies
+   */
+  getApprovalChain(invoice) {
+    const rule = findApprovalRule(this._approvalRules, invoice);
+    if (!rule) return null;
+    return buildApprovalChain(rule, invoice);
+  }
+
+  /**
+   * Opens a compose to the next approver in the chain with the invoice summary. Once the
+   * draft is sent, the request is added to the document's involvementHistory and sent to the
+   * backend with a status correction that keeps the status, so every browser's chain shows it
+   * and reminders can follow.
+   * @param {object} cardData - Card whose document needs approval
+   * @param {object} [options]
+   * @param {boolean} [options.reminder=false] - Follow up on an earlier request
+   */
+  async requestApproval(cardData, { reminder = false } = {}) {
+    const invoice = cardData.fullDetails;
+    const chain = this.getApprovalChain(invoice);
+    if (!chain?.current) return;
+
+    const threadId = cardData.docThreadId || this._currentThreadId;
+    const threadLink = threadId ? gmailThreadUrl(getCurrentGmailAccount(), threadId) : null;
+    const draft = buildApprovalRequestDraft(invoice, chain, { reminder, threadLink });
+    const approver = chain.current.approver;
+
+    try {
+      const composeView = await this.sdk.Compose.openNewComposeView();
+      composeView.setToRecipients(draft.to);
+      composeView.setSubject(draft.subject);
+      composeView.setBodyHTML(draft.bodyHtml);
+
+      composeView.on('sent', async () => {
+        const entry = createApprovalRequestEntry(approver, { requestedBy: getCurrentAccount() });
+        try {
+          // The thread the request was drafted from; another thread may be open by the time it is sent
+          await this.setDocumentStatus(invoice, null, { threadId, involvementEntry: entry });
+          console.log(`[APPROVALS] ✅ Approval ${reminder ? 'reminder' : 'request'} sent to ${approver.email}`);
+        } catch (error) {
+          console.error('[APPROVALS] ❌ Failed to record the approval request:', error);
+          this.showNotification(`The email was sent, but the request could not be recorded: ${error.message}`, 'error');
+        }
+      });
+    } catch (error) {
+      console.error('[APPROVALS] ❌ Failed to open the approval request:', error);
+      this.showNotification(`Could not draft the approval request: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Checks for approvals waiting longer than their rule allows and nudges about new ones
+   * with a butter bar message linking to them in the tracker. Runs now and then hourly.
+   */
+  startApprovalReminders() {
+    const check = async () => {
+      try {
+        if (!this._approvalRules?.length) await this.initializeBusinessRules();
+        if (!this._approvalRules || this._approvalRules.length === 0) return;
+
+        const { invoices } = await this.dataManager.getAllInvoicesCached();
+        const due = getDueReminders(invoices, this._approvalRules);
+        const reminders = await takeUnseenReminders(due);
+        if (reminders.length === 0) return;
+
+        console.log(`[APPROVALS] ${reminders.length} approvals waiting too long`);
+        const userEmail = await this.authService.getUserEmail();
+        const mine = reminders.filter(({ step }) => step.approver.email === String(userEmail || '').toLowerCase()).length;
+        const invoiceNumbers = reminders.map(({ invoice }) => invoice.document?.details?.invoiceNumber).filter(Boolean);
+
+        const el = document.createElement('span');
+        el.textContent = `${reminders.length} approval${reminders.length === 1 ? ' has' : 's have'} been waiting too long${mine ? ` (${mine} on you)` : ''}. `;
+        if (invoiceNumbers.length) {
+          const link = document.createElement('a');
+          link.textContent = 'Review';
+          link.href = '#';
+          link.style.cssText = 'color: #8ab4f8; font-weight: 600;';
+          link.addEventListener('click', (event) => {
+            event.preventDefault();
+            const filterView = { name: 'Approvals waiting too long', filters: [{ field: 'invoiceNumber', op: 'in', value: invoiceNumbers }], sort: null };
+            this.sdk.Router.goto('invoice-tracker-view/filter/:filter', { filter: encodeTrackerFilter(filterView) });
+          });
+          el.appendChild(link);
+        }
+        this.sdk.ButterBar.showMessage({ el, time: 15000 });
+      } catch (error) {
+        console.error('[APPROVALS] Reminder check failed:', error);
+      }
+    };
+
+    clearInterval(this._approvalReminderTimer);
+    this._approvalReminderTimer = setInterval(check, APPROVAL_REMINDER_INTERVAL_MS);
+    check();
+  }
+
+  /**
+   * Adds the Stamp button to a compose window. Replies get templates filled from the invoices
+   * in their thread; every compose can insert an invoice table (the thread's invoices, or the
+   * recipients' invoices when there is no thread).
+   * @param {object} composeView - InboxSDK ComposeView
+   */
+  handleComposeView(composeView) {
+    this._openComposeViews.add(composeView);
+    composeView.on('destroy', () => this._openComposeViews.delete(composeView));
+
+    composeView.addButton({
+      title: 'Stamp: reply templates and invoice table',
+      iconUrl: chrome.runtime.getURL('stamp-logo.png'),
+      hasDropdown: true,
+      type: 'MODIFIER',
+      onClick: async (event) => {
+        const dropdownEl = event.dropdown.el;
+        dropdownEl.innerHTML = '<div style="padding:12px 16px; font-size:13px; color:#5f6368;">Loading invoices…</div>';
+        try {
+          const { invoices, sourceLabel } = await this.getComposeInvoices(composeView);
+          renderComposeMenu(dropdownEl, {
+            invoices,
+            sourceLabel,
+            isReply: composeView.isReply(),
+            onInsert: (html) => {
+              composeView.insertHTMLIntoBodyAtCursor(html);
+              event.dropdown.close();
+            }
+          });
+        } catch (error) {
+          console.error('[COMPOSE] Failed to load invoices for compose:', error);
+          dropdownEl.textContent = `Could not load invoices: ${error.message}`;
+        }
+      }
+    });
+  }
+
+  /**
+   * @param {object} composeView - InboxSDK ComposeView
+   * @returns {Promise<{invoices: object[], sourceLabel: string}>}
+   */
+  async getComposeInvoices(composeView) {
+    const threadId = composeView.isReply() ? await composeView.getThreadIDAsync() : null;
+    if (threadId) {
+      const threadInfo = (await this.dataManager.getThreadData([threadId], { priority: 'high' }))[threadId];
+      const invoices = getComposeInvoices(threadInfo?.processedEntities);
+      if (invoices.length) return { invoices, sourceLabel: 'this thread' };
+    }
+
+    const recipients = composeView.getToRecipients().map(contact => String(contact.emailAddress || '').toLowerCase());
+    const invoices = getComposeInvoicesFromDocuments(recipients.length ? (await this.dataManager.getAllInvoicesCached()).invoices : [])
+      .filter(invoice => recipients.includes(invoice.vendorEmail));
+    return { invoices, sourceLabel: recipients.length ? 'these recipients' : (threadId ? 'this thread' : 'this draft') };
+  }
+
+  isThreadOpen() {
+    return Boolean(this._currentThreadView && !this._currentThreadView.destroyed);
+  }
+
+  /**
+   * The open thread, its visible messages and its sidebar cards, sent with chat questions so
+   * answers (and drafted replies) can refer to this conversation.
+   * @returns {Promise<object|null>} Result of buildChatThreadContext, or null outside a thread
+   */
+  async getChatThreadContext() {
+    if (!this.isThreadOpen()) return null;
+    const threadView = this._currentThreadView;
+    try {
+      const threadId = await threadView.getThreadIDAsync();
+      const messageIds = await Promise.all(threadView.getMessageViews().map(messageView => messageView.getMessageIDAsync().catch(() => null)));
+      // The sidebar's cards are for this thread unless it is still loading
+      const cards = this._currentThreadId === threadId
+        ? this._currentCardData
+        : transformProcessedEntitiesForSidebar((await this.dataManager.getThreadData([threadId], { priority: 'high' }))[threadId]?.processedEntities);
+      return buildChatThreadContext({ threadId, subject: threadView.getSubject(), messageIds, cards });
+    } catch (error) {
+      console.warn('[CHAT] Could not read the open thread for chat context:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Adds the context chips and @-mention suggestions to a chat input.
+   * @param {HTMLElement} input
+   * @param {HTMLElement} container - Element above the input
+   * @returns {object} Controller from createChatContextController
+   */
+  attachChatContext(input, container) {
+    const chatContext = createChatContextController({
+      input,
+      container,
+      isThreadOpen: () => this.isThreadOpen(),
+      getThreadContext: () => this.getChatThreadContext(),
+      loadSources: async () => ({
+        directory: this.vendorDirectory ? await this.vendorDirectory.get() : [],
+        invoices: (await this.dataManager.getAllInvoicesCached()).invoices
+      })
+    });
+    this._chatContexts.add(chatContext);
+    return chatContext;
+  }
+
+  /**
+   * Connects a chat surface to the shared chat engine: the conversation bar, the context
+   * chips and the session whose messages the surface renders.
+   * @param {object} options
+   * @param {string} options.surface - 'sidebar' or 'floating'
+   * @param {HTMLElement} options.historyContainer - Element above the chat's messages
+   * @param {HTMLElement} options.input - The question input
+   * @param {HTMLElement} options.contextContainer - Element above the input
+   * @param {object} options.renderer - { reset(messages), update(message), remove(message) }
+   * @returns {{send: Function, retry: Function, edit: Function, cancel: Function, isBusy: Function,
+   *   detach: Function}}
+   */
+  attachChat({ surface, historyContainer, input, contextContainer, renderer }) {
+    const chatContext = this.attachChatContext(input, contextContainer);
+    let history = null;
+    const view = createChatView({
+      engine: this.chatEngine,
+      renderer,
+      onConversationChange: (conversation) => history?.setConversation(conversation)
+    });
+    // Restores the conversation this chat showed last
+    history = createChatHistoryController({
+      store: this.chatHistory,
+      surface,
+      container: historyContainer,
+      onShowConversation: (conversation) => view.show(conversation)
+    });
+
+    const getContext = (question) => chatContext.getRequestContext(question);
+    return {
+      send: (question) => view.send(question, { getContext }),
+      retry: () => view.retry({ getContext }),
+      edit: (question) => view.edit(question, { getContext }),
+      cancel: () => view.cancel(),
+      isBusy: () => Boolean(view.getSession()?.isBusy),
+      detach: () => {
+        view.detach();
+        this._chatContexts.delete(chatContext);
+      }
+    };
+  }
+
+  /**
+   * Renders an assistant answer into a chat message: its tool calls as collapsible steps, its
+   * markdown and the documents the tools returned as source capsules.
+   * @param {HTMLElement} container
+   * @param {object} message - Chat engine message
+   */
+  renderChatAnswer(container, message) {
+    // Keep the steps the user expanded while the answer streams
+    const openSteps = Array.from(container.querySelectorAll('.stamp-chat-step'))
+      .map((step, index) => (step.open ? index : -1))
+      .filter(index => index >= 0);
+
+    const sources = findSourceDocuments(message.toolCalls).map(source => {
+      const sameThread = this.isThreadOpen() && source.threadId === this._currentThreadId && source.messageId;
+      const link = gmailThreadUrl(getCurrentGmailAccount(), source.threadId, source.messageId);
+      return this._renderSourceCapsule({ kind: 'document', state: sameThread ? 'same-thread' : 'link', link, label: source.label, messageId: source.messageId });
+    });
+
+    container.innerHTML = `
+      ${renderToolSteps(message.toolCalls, { open: openSteps })}
+      ${renderMarkdown(message.content)}
+      ${sources.length ? `<div class="stamp-sources" style="margin-top:8px; display:flex; gap:6px; flex-wrap:wrap;">${sources.join('')}</div>` : ''}
+    `;
+
+    if (!container.dataset.stampSources) {
+      container.dataset.stampSources = 'true';
+      container.addEventListener('click', (event) => {
+        const capsule = event.target.closest('.stamp-capsule[data-mid]');
+        if (!capsule) return;
+        event.stopPropagation();
+        this._showMessageInThisThread(capsule.dataset.mid);
+      });
+    }
+  }
+
+  /**
+   * Shows Stop, Retry, Regenerate, Edit and "Draft reply" under a chat message as its state allows.
+   * @param {HTMLElement} container - The message's action area
+   * @param {object} message - Chat engine message
+   * @param {object} state - From the chat view: { isBusy, isLastQuestion, isLastAnswer }
+   * @param {object} chat - From attachChat
+   */
+  renderChatActions(container, message, state, chat) {
+    const report = (promise) => Promise.resolve(promise).catch(error => console.error('[CHAT] Chat action failed:', error));
+    renderChatMessageActions(container, message, state, {
+      onStop: () => chat.cancel(),
+      onRetry: () => report(chat.retry()),
+      onEdit: (question) => report(chat.edit(question)),
+      addDraftAction: (actions, text) => this.addDraftReplyAction(actions, text)
+    });
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} Safe HTML for chat messages
+   */
+  renderChatMarkdown(text) {
+    return renderMarkdown(text);
+  }
+
+  /**
+   * Asks the chat backend a question; the chat engine reads the answer.
+   * @param {object} body - { question, conversationId, threadContext, pinnedContext }
+   * @param {AbortSignal} signal
+   * @returns {Promise<Response>}
+   */
+  async requestChatAnswer(body, signal) {
+    return this.apiClient.makeAuthenticatedRequest(STREAM_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        ...body,
+        userEmail: await this.authService.getUserEmail(),
+        installationId: await this.authService.getInstallationId(),
+      }),
+      signal
+    });
+  }
+
+  /**
+   * Shows or hides the thread chip of every chat as threads open and close.
+   */
+  refreshChatContexts() {
+    this._chatContexts.forEach(chatContext => chatContext.refresh());
+  }
+
+  /**
+   * Adds the "Draft reply" button under an assistant answer (sidebar chat and floating chat).
+   * @param {HTMLElement} container - Element the button is appended to
+   * @param {string} text - The answer
+   */
+  addDraftReplyAction(container, text) {
+    if (!container || !String(text || '').trim()) return;
+    container.querySelector('.stamp-draft-reply')?.remove();
+    container.appendChild(createDraftReplyButton(() => this.draftReplyFromChat(text)));
+  }
+
+  /**
+   * Puts a chat answer into a compose: an open reply on the current thread is filled at the
+   * cursor, otherwise a reply is opened on the thread. Outside a thread the latest open compose
+   * is filled, or a new message is started.
+   * @param {string} text
+   */
+  async draftReplyFromChat(text) {
+    const html = draftTextToHtml(text);
+    const threadView = this._currentThreadView && !this._currentThreadView.destroyed ? this._currentThreadView : null;
+    const threadId = threadView ? await threadView.getThreadIDAsync() : null;
+
+    const composeView = await this.findDraftCompose(threadId) || (threadId ? await this.openThreadReply(threadId) : null);
+    if (composeView) {
+      composeView.insertHTMLIntoBodyAtCursor(html);
+      return;
+    }
+
+    // Gmail's reply could not be opened: start a new message addressed like a reply
+    const newComposeView = await this.sdk.Compose.openNewComposeView();
+    if (threadView) {
+      const senders = threadView.getMessageViewsAll().filter(messageView => messageView.isLoaded()).map(messageView => messageView.getSender());
+      const recipient = pickReplyRecipient(senders, await this.authService.getUserEmail());
+      if (recipient) newComposeView.setToRecipients([recipient.emailAddress]);
+      newComposeView.setSubject(`Re: ${threadView.getSubject()}`);
+    }
+    newComposeView.setBodyHTML(html);
+  }
+
+  /**
+   * @param {string|null} threadId - Thread whose reply to look for; null accepts any compose
+   * @returns {Promise<object|null>} The most recently opened matching ComposeView
+   */
+  async findDraftCompose(threadId) {
+    const openViews = Array.from(this._openComposeViews).filter(composeView => !composeView.destroyed).reverse();
+    if (!threadId) return openViews[0] || null;
+    for (const composeView of openViews) {
+      if (composeView.isReply() && await composeView.getThreadIDAsync() === threadId) return composeView;
+    }
+    return null;
+  }
+
+  /**
+   * Opens Gmail's inline reply on the open thread. InboxSDK has no API for this, so it clicks
+   * the Reply button under the last message and waits for the compose handler to see it.
+   * @param {string} threadId
+   * @returns {Promise<object|null>} The reply ComposeView, or null if none appeared
+   */
+  async openThreadReply(threadId) {
+    const replyButton = document.querySelector('[role="main"] .amn .ams.bkH');
+    if (!replyButton) return null;
+    replyButton.click();
+    for (let attempt = 0; attempt < 30; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const composeView = await this.findDraftCompose(threadId);
+      if (composeView) return composeView;
+    }
+    console.warn('[CHAT] Reply compose did not open for thread', threadId);
+    return null;
+  }
+
+  setThreadRowLabels(threadRowLabels) {
+    this.threadRowLabels = threadRowLabels;
+  }
+
+  setVendorDirectory(vendorDirectory) {
+    this.vendorDirectory = vendorDirectory;
+  }
+
+  /**
+   * Shares the thread list's data manager, so rows, the open thread and the sidebar read one cache.
+   * @param {ThreadDataManager} dataManager
+   */
+  setDataManager(dataManager) {
+    this.dataManager = dataManager;
+  }
+
+  // Method to attach chat event listeners
+  attachChatEventListeners(sidebarElement) {
+    const self = this;
+    
+    // Sign out button
+    sidebarElement.querySelector('#sign-out-btn').addEventListener('click', async () => {
+      console.log('[UI] Sign-out button clicked');
+      await self.authService.signOut();
+      self.sidebarPanel.remove();
+      self.renderLoginView();
+    });
+
+    // Hard reset button
+    sidebarElement.querySelector('#hard-reset-btn').addEventListener('click', async () => {
+      console.log('[UI] Dev: Hard-reset button clicked');
+      if (confirm('This will completely revoke Google OAuth permissions. You will need to re-authorize the extension. Continue?')) {
+        try {
+          await self.authService.hardReset();
+          self.sidebarPanel.remove();
+          self.renderLoginView();
+        } catch (error) {
+          alert('Hard reset failed: ' + error.message);
+        }
+      }
+    });
+
+    // Settings menu functionality
+    const settingsBtn = sidebarElement.querySelector('#settings-btn');
+    const settingsMenu = sidebarElement.querySelector('#settings-menu');
+    const closeSettingsBtn = sidebarElement.querySelector('#close-settings-btn');
+
+    // Open settings menu
+    settingsBtn.addEventListener('click', () => {
+      settingsMenu.style.display = 'flex';
+      settingsMenu.style.opacity = '0';
+      setTimeout(() => {
+        settingsMenu.style.opacity = '1';
+      }, 10);
+    });
+
+    // Close settings menu
+    const closeSettings = () => {
+      settingsMenu.style.opacity = '0';
+      setTimeout(() => {
+        settingsMenu.style.display = 'none';
+      }, 2000);
+    };
+
+    closeSettingsBtn.addEventListener('click', closeSettings);
+    
+    // Close on backdrop click
+    settingsMenu.addEventListener('click', (e) => {
+      if (e.target === settingsMenu) {
+        closeSettings();
+      }
+    });
+
+    // Close on escape key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && settingsMenu.style.display === 'flex') {
+        closeSettings();
+      }
+    });
+
+    // Chat functionality
+    const questionInput = sidebarElement.querySelector('#question-input');
+    const sendButton = sidebarElement.querySelector('#send-question-btn');
+    const chatOutput = sidebarElement.querySelector('#chat-output');
+
+    const appendUserMessage = (question) => {
+      const userDiv = document.createElement('div');
+      userDiv.style.cssText = `
+        display: flex;
         align-items: flex-start;
         gap: 12px;
         margin-bottom: 16px;
         justify-content: flex-end;
       `;
       userDiv.innerHTML = `
-        <div style="
-          background: linear-gradient(135deg, #10b981 0%, #059669 100%);
-          border-radius: 12px;
-          padding: 16px 20px;
-          max-width: 85%;
-          color: white;
-          box-shadow: 0 2px 4px rgba(16, 185, 129, 0.2);
-        ">
-          <p style="
-            margin: 0;
-            font-size: 15px;
-            line-height: 1.6;
-            font-weight: 500;
-          ">${question}</p>
+        <div style="max-width: 85%; display: flex; flex-direction: column; align-items: flex-end;">
+          <div style="
+            background: linear-gradient(135deg, #10b981 0%, #059669 100%);
+            border-radius: 12px;
+            padding: 16px 20px;
+            color: white;
+            box-shadow: 0 2px 4px rgba(16, 185, 129, 0.2);
+          ">
+            <p style="
+              margin: 0;
+              font-size: 15px;
+              line-height: 1.6;
+              font-weight: 500;
+              white-space: pre-wrap;
+            ">${escapeHtml(question)}</p>
+          </div>
+          <div id="message-actions"></div>
         </div>
         <div style="
           width: 32px;
@@ -2496,12 +2951,10 @@ class UIManager {
         ">👤</div>
       `;
       chatOutput.appendChild(userDiv);
+      return userDiv;
+    };
 
-      // Clear input
-      questionInput.value = '';
-      questionInput.style.height = 'auto';
-
-      // Add assistant response placeholder
+    const appendAssistantMessage = () => {
       const assistantDiv = document.createElement('div');
       assistantDiv.style.cssText = `
         display: flex;
@@ -2542,79 +2995,66 @@ class UIManager {
               <div id="reasoning-content" style="color: #92400e; font-size: 14px; line-height: 1.5;"></div>
             </div>
           </div>
-          <div id="main-content" style="color: #374151; line-height: 1.6; font-size: 15px;"></div>
-          <div id="tool-calls-section" style="display: none; margin-top: 12px;">
-            <div style="background: #f3f4f6; border-left: 4px solid #6b7280; padding: 12px; border-radius: 6px;">
-              <div style="font-weight: 600; color: #374151; margin-bottom: 4px;">🔧 Tool Calls</div>
-              <div id="tool-calls-content" style="color: #6b7280; font-size: 14px; line-height: 1.5;"></div>
-            </div>
+          <div id="main-content" style="color: #374151; line-height: 1.6; font-size: 15px;">
+            <div id="content-display"></div>
+            <div id="message-actions"></div>
           </div>
         </div>
       `;
       chatOutput.appendChild(assistantDiv);
+      return assistantDiv;
+    };
 
-      // Scroll to bottom
-      chatOutput.scrollTop = chatOutput.scrollHeight;
+    // Renders the shared chat session below the welcome message
+    const welcomeHtml = chatOutput.innerHTML;
+    const messageElements = new Map(); // message id => element
+    const renderMessage = (message, state) => {
+      let messageDiv = messageElements.get(message.id);
+      if (!messageDiv) {
+        messageDiv = message.role === 'user' ? appendUserMessage(message.content) : appendAssistantMessage();
+        messageElements.set(message.id, messageDiv);
+      }
+      if (message.role === 'assistant') {
+        messageDiv.querySelector('#progress-indicator').style.display = message.status === 'pending' ? 'block' : 'none';
+        messageDiv.querySelector('#reasoning-section').style.display = message.reasoning ? 'block' : 'none';
+        messageDiv.querySelector('#reasoning-content').textContent = message.reasoning;
 
-      try {
-        // Show loading state
-        self.showLoading(assistantDiv);
+        // Tool steps, the answer and its source documents
+        self.renderChatAnswer(messageDiv.querySelector('#content-display'), message);
+      }
 
-        // Make API call
-        const response = await self.apiClient.makeAuthenticatedRequest('/api/finops/stream', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            question: question,
-            userEmail: await self.authService.getUserEmail(),
-            installationId: await self.authService.getInstallationId(),
-          }),
-        });
+      // Stop, Retry, Regenerate, Edit and "Draft reply"
+      self.renderChatActions(messageDiv.querySelector('#message-actions'), message, state, chat);
+      chatOutput.scrollTop = chatOutput.scrollHeight;
+    };
 
-        console.log('[CHAT] Raw response object:', response);
-        console.log('[CHAT] Response headers:', {
-          contentType: response.headers.get('content-type'),
-          status: response.status,
-          statusText: response.statusText
-        });
+    const chat = self.attachChat({
+      surface: 'sidebar',
+      historyContainer: sidebarElement.querySelector('#chat-history-bar'),
+      input: questionInput,
+      contextContainer: sidebarElement.querySelector('#chat-context-bar'),
+      renderer: {
+        reset: () => {
+          chatOutput.innerHTML = welcomeHtml;
+          messageElements.clear();
+        },
+        update: renderMessage,
+        remove: (message) => {
+          messageElements.get(message.id)?.remove();
+          messageElements.delete(message.id);
+        }
+      }
+    });
 
-        // Hide loading state
-        self.hideLoading(assistantDiv);
+    const sendQuestion = () => {
+      const question = questionInput.value.trim();
+      if (!question || chat.isBusy()) return;
 
-        // Check if response is streaming
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('text/event-stream')) {
-          console.log('[CHAT] Handling streaming response');
-          await self.handleStreamingResponse(response, assistantDiv);
-        } else {
-          console.log('[CHAT] Handling JSON response');
-          const data = await response.json();
-          console.log('[CHAT] Parsed response data:', data);
-          console.log('[CHAT] Response data type:', typeof data);
-          console.log('[CHAT] Response keys:', Object.keys(data));
-          
-          if (data.response) {
-            console.log('[CHAT] Found response content:', data.response);
-            assistantDiv.querySelector('#main-content').textContent = data.response;
-          } else if (data.AGENT_OUTPUT) {
-            console.log('[CHAT] Found AGENT_OUTPUT:', data.AGENT_OUTPUT);
-            assistantDiv.querySelector('#main-content').textContent = data.AGENT_OUTPUT;
-          } else if (data.answer) {
-            console.log('[CHAT] Found answer:', data.answer);
-            assistantDiv.querySelector('#main-content').textContent = data.answer;
-          } else {
-            console.warn('[CHAT] No recognized response format found in:', data);
-            assistantDiv.querySelector('#main-content').textContent = 'I received your question but no response was provided.';
-          }
-        }
+      // Clear input
+      questionInput.value = '';
+      questionInput.style.height = 'auto';
 
-      } catch (error) {
-        console.error('[UI] Failed to send question:', error);
-        self.hideLoading(assistantDiv);
-        self.showError(assistantDiv, `Failed to send question: ${error.message}`);
-      }
+      chat.send(question).catch(error => console.error('[UI] Failed to send question:', error));
     };
 
     // Send button click
@@ -2635,128 +3075,6 @@ class UIManager {
     });
   }
 
-  async handleStreamingResponse(response, assistantDiv) {
-    console.log('[STREAM] Starting to handle streaming response...');
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    const mainContent = assistantDiv.querySelector('#main-content');
-    let buffer = '';
-    let contentBuffer = ''; // For accumulating actual content
-    let reasoningBuffer = ''; // For accumulating reasoning content
-
-    mainContent.textContent = ''; // Clear any previous content
-
-    try {
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) {
-                console.log('[STREAM] Stream finished.');
-                break;
-            }
-
-            buffer += decoder.decode(value, { stream: true });
-            console.log(`[STREAM] Received chunk, buffer is now: "${buffer}"`);
-
-            // Parse Server-Sent Events
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    try {
-                        const eventData = JSON.parse(line.slice(6)); // Remove 'data: ' prefix
-                        console.log('[STREAM] Parsed event:', eventData);
-                        console.log('[STREAM] Event type:', eventData.type);
-
-                        // Handle different event types
-                        if (eventData.type === 'content') {
-                            const content = eventData.data.content || '';
-                            contentBuffer += content;
-                            
-                            // Create or update content display
-                            let contentDiv = mainContent.querySelector('#content-display');
-                            if (!contentDiv) {
-                                contentDiv = document.createElement('div');
-                                contentDiv.id = 'content-display';
-                                contentDiv.style.marginTop = '10px';
-                                mainContent.appendChild(contentDiv);
-                            }
-                            contentDiv.textContent = contentBuffer;
-                            
-                        } else if (eventData.type === 'reasoning') {
-                            const reasoning = eventData.data.content || '';
-                            reasoningBuffer += reasoning + '\n';
-                            
-                            // Create or update reasoning display
-                            let reasoningDiv = mainContent.querySelector('#reasoning-display');
-                            if (!reasoningDiv) {
-                                reasoningDiv = document.createElement('div');
-                                reasoningDiv.id = 'reasoning-display';
-                                reasoningDiv.style.color = '#666';
-                                reasoningDiv.style.fontStyle = 'italic';
-                                reasoningDiv.style.marginBottom = '10px';
-                                reasoningDiv.style.borderLeft = '3px solid #ddd';
-                                reasoningDiv.style.paddingLeft = '10px';
-                                mainContent.appendChild(reasoningDiv);
-                            }
-                            reasoningDiv.textContent = reasoningBuffer;
-                            
-                        } else if (eventData.type === 'workflow_start') {
-                            console.log('[STREAM] Workflow started');
-                            
-                        } else if (eventData.type === 'agent_start') {
-                            console.log('[STREAM] Agent started:', eventData.data.agent_name);
-                            
-                        } else if (eventData.type === 'synthesis') {
-                            console.log('[STREAM] Synthesis step completed');
-                            
-                        } else if (eventData.type === 'workflow_complete') {
-                            console.log('[STREAM] Workflow completed successfully');
-                            
-                        } else if (eventData.type === 'tool_call') {
-                            // Skip tool calls - don't show them to users
-                            console.log('[STREAM] Tool call (hidden from user):', eventData.data.tool_name);
-                            
-                        } else if (eventData.type === 'tool_result') {
-                            // Skip tool results - don't show them to users
-                            console.log('[STREAM] Tool result (hidden from user):', eventData.data.tool_name);
-                            
-                        } else if (eventData.type === 'error') {
-                            const errorDiv = document.createElement('div');
-                            errorDiv.style.color = '#d32f2f';
-                            errorDiv.style.fontWeight = 'bold';
-                            errorDiv.textContent = `❌ Error: ${eventData.data.error}`;
-                            mainContent.appendChild(errorDiv);
-                            
-                        } else {
-                            // Log any unhandled event types
-                            console.log('[STREAM] Unhandled event type:', eventData.type, eventData);
-                        }
-
-                        // Scroll to the bottom of the chat output
-                        const chatOutput = assistantDiv.closest('#chat-output');
-                        if (chatOutput) {
-                            chatOutput.scrollTop = chatOutput.scrollHeight;
-                        }
-
-                    } catch (parseError) {
-                        console.error('[STREAM] Failed to parse event:', line, parseError);
-                    }
-                }
-            }
-        }
-    } catch (error) {
-        console.error('[STREAM] Error reading stream:', error);
-        const errorDiv = document.createElement('div');
-        errorDiv.style.color = '#d32f2f';
-        errorDiv.style.fontWeight = 'bold';
-        errorDiv.textContent = `❌ Error reading stream: ${error.message}`;
-        mainContent.appendChild(errorDiv);
-    }
-  }
-
-
-
   createLoginContent() {
       return `
         <div style="padding: 24px; text-align: center; font-family: 'Google Sans', Roboto, Arial, sans-serif;">
@@ -2852,6 +3170,8 @@ class UIManager {
                     height: calc(100vh - 80px);
                     padding: 0;
                 ">
+                            <div id="chat-history-bar" style="padding: 0 20px; border-bottom: 1px solid #f0f0f0; color: #1e293b;"></div>
+
                             <!-- Chat Messages -->
                             <div id="chat-output" style="
                         flex: 1;
@@ -2902,6 +3222,7 @@ class UIManager {
                         background: #ffffff;
                         border-top: 1px solid #f0f0f0;
                             ">
+                                <div id="chat-context-bar" style="max-width: 900px; margin: 0 auto;"></div>
                                 <div style="
                                     display: flex;
                                     gap: 12px;
@@ -3330,104 +3651,15 @@ class UIManager {
     }
   }
 
-  // Adds labels into the open thread header using InboxSDK ThreadView.addLabel
+  /**
+   * Shows exactly `threadLabels` in the open thread's header; see createThreadViewLabels.
+   * @param {object} threadView - InboxSDK ThreadView
+   * @param {string[]} threadLabels
+   */
   async applyLabelsToThreadView(threadView, threadLabels) {
     try {
-      if (!Array.isArray(threadLabels) || threadLabels.length === 0) {
-        return;
-      }
-
-      // Prepare map for tracking SimpleElementView handles per thread
-      if (!this._threadViewLabelHandles) {
-        this._threadViewLabelHandles = new Map();
-      }
-
       const threadId = await threadView.getThreadIDAsync();
-
-      // Remove any labels we previously added for this thread
-      const previousHandles = this._threadViewLabelHandles.get(threadId) || [];
-      for (const handle of previousHandles) {
-        try { handle.remove(); } catch (e) { /* ignore */ }
-      }
-
-      const applyOnce = () => {
-        const newHandles = [];
-        for (const labelText of threadLabels) {
-          const labelDescriptor = createLabelFromThreadLabel(labelText);
-          if (!labelDescriptor) continue;
-          try {
-            const handle = threadView.addLabel(labelDescriptor);
-            newHandles.push(handle);
-          } catch (err) {
-            console.warn('[ThreadViewLabels] addLabel failed for', labelText, err);
-            throw err;
-          }
-        }
-        this._threadViewLabelHandles.set(threadId, newHandles);
-        console.log('[ThreadViewLabels] Added', newHandles.length, 'labels to open thread header');
-      };
-
-      const hasHeaderContainer = () => !!document.querySelector('.ha .J-J5-Ji');
-
-      const delays = [0, 120, 240, 400, 600, 900, 1200, 1600];
-      let attempt = 0;
-
-      const tryApplyWithRetry = () => {
-        if (threadView.destroyed) {
-          console.warn('[ThreadViewLabels] Aborting label apply: threadView destroyed');
-          return;
-        }
-        const delay = delays[Math.min(attempt, delays.length - 1)];
-        setTimeout(() => {
-          const containerPresent = hasHeaderContainer();
-          console.log('[ThreadViewLabels] Attempt', attempt + 1, 'containerPresent:', containerPresent);
-          try {
-            if (!containerPresent) throw new Error('Header label container not ready');
-            applyOnce();
-
-            // Verify at least one pill is visible; if not, fallback-inject
-            const container = document.querySelector('.ha .J-J5-Ji');
-            const hasAnyPill = !!(container && container.querySelector('.inboxsdk__thread_label, .inboxsdk__label, .stamp-fallback-pill'));
-            if (!hasAnyPill && container) {
-              const fallback = document.createElement('span');
-              fallback.className = 'stamp-fallback-pill';
-              fallback.textContent = (Array.isArray(threadLabels) && threadLabels[0]) ? threadLabels[0] : 'Stamp';
-              fallback.style.cssText = 'display:inline-block;padding:2px 8px;background:#E0F2F1;color:#00695C;border-radius:12px;margin-left:6px;font-size:11px;font-weight:600;';
-              container.appendChild(fallback);
-              // Track for cleanup
-              if (!this._threadViewFallbackPills) this._threadViewFallbackPills = new Map();
-              const arr = this._threadViewFallbackPills.get(threadId) || [];
-              arr.push(fallback);
-              this._threadViewFallbackPills.set(threadId, arr);
-              console.log('[ThreadViewLabels] Fallback-injected a visible label pill');
-            }
-          } catch (e) {
-            attempt++;
-            if (attempt < delays.length) {
-              tryApplyWithRetry();
-            } else {
-              console.warn('[ThreadViewLabels] Giving up after retries:', e);
-            }
-          }
-        }, delay);
-      };
-
-      tryApplyWithRetry();
-
-      // Cleanup when the thread view is destroyed
-      threadView.on('destroy', () => {
-        const handles = this._threadViewLabelHandles.get(threadId) || [];
-        for (const handle of handles) {
-          try { handle.remove(); } catch (e) { /* ignore */ }
-        }
-        this._threadViewLabelHandles.delete(threadId);
-        // Cleanup fallback pills
-        const fallbacks = (this._threadViewFallbackPills && this._threadViewFallbackPills.get(threadId)) || [];
-        for (const node of fallbacks) {
-          try { node.remove(); } catch (e) { /* ignore */ }
-        }
-        if (this._threadViewFallbackPills) this._threadViewFallbackPills.delete(threadId);
-      });
+      this.threadViewLabels.setLabels(threadView, threadId, labelMatcher.sortLabels(threadLabels));
     } catch (error) {
       console.warn('[ThreadViewLabels] Failed to apply labels to thread view:', error);
     }
@@ -3485,23 +3717,24 @@ class UIManager {
     console.log('[INTHREAD] Final index state - size:', this._messageIndex.size, 'IDs:', Array.from(this._messageIndex.keys()));
   }
 
-    _renderSourceCapsule({ kind, state, link, onClickTitle }) {
+    _renderSourceCapsule({ kind, state, link, onClickTitle, label: customLabel = null, messageId = null }) {
     // kind: 'status' | 'document'
     // state: 'same-thread' | 'link' | 'missing'
+    // label and messageId: chat answer sources, named by their document and shown on click
     const icon = kind === 'status' ? '📧' : '📎';
-    const label = kind === 'status' ? 'Status' : 'Document';
+    const label = customLabel ? escapeHtml(customLabel) : (kind === 'status' ? 'Status' : 'Document');
     
     console.log('[CAPSULE] Rendering', kind, 'capsule with state:', state, 'link:', link);
     
     if (state === 'same-thread') {
       return `
-      <button class="stamp-capsule" title="Show in this thread" style="display:inline-flex;align-items:center;gap:6px;padding:6px 10px;border:1px solid #e6e7ea;border-radius:999px;background:#fff;color:#334155;cursor:pointer;">
+      <button class="stamp-capsule" title="Show in this thread" ${messageId ? `data-mid="${escapeHtml(messageId)}"` : ''} style="display:inline-flex;align-items:center;gap:6px;padding:6px 10px;border:1px solid #e6e7ea;border-radius:999px;background:#fff;color:#334155;cursor:pointer;">
         <span>${icon}</span>
         <span style="font-size:12px;font-weight:600;">${label}</span>
       </button>`;
     } else if (state === 'link') {
       return `
-      <a class="stamp-capsule" href="${link}" target="_blank" onclick="event.stopPropagation();" title="Open in Gmail" style="display:inline-flex;align-items:center;gap:6px;padding:6px 10px;border:1px solid #e6e7ea;border-radius:999px;background:#fff;color:#1a73e8;text-decoration:none;">
+      <a class="stamp-capsule" href="${escapeHtml(link)}" target="_blank" onclick="event.stopPropagation();" title="Open in Gmail" style="display:inline-flex;align-items:center;gap:6px;padding:6px 10px;border:1px solid #e6e7ea;border-radius:999px;background:#fff;color:#1a73e8;text-decoration:none;">
         <span>${icon}</span>
         <span style="font-size:12px;font-weight:600;">${label}</span>
         <span style="margin-left:6px;font-size:12px;">→</span>
@@ -3521,15 +3754,21 @@ class UIManager {
 
 InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
   console.log("Stamp Extension: InboxSDK loaded successfully.");
+
+  // Each Gmail tab belongs to one account; its installation, caches and views are that account's
+  const accountEmail = setCurrentAccount(sdk.User.getEmailAddress());
+  console.log('[ACCOUNTS] Gmail account for this tab:', accountEmail);
   
   // Initialize your core extension components
   const apiClient = new ApiClient();
-  const dataManager = new ThreadDataManager(apiClient);
+  const dataManager = new ThreadDataManager(apiClient, { isStatusLabel: (label) => labelMatcher.isStatusLabel(label) });
   
   // --- DYNAMIC LABELING FOR THREAD ROWS (WITH BATCHING/DEBOUNCING) ---
 
   // We need a temporary place to store the thread row views as they appear.
   const threadViewRegistry = new Map();
+  // Labels stay replaceable per row so actions taken in a thread show up in the list right away
+  const threadRowLabels = createThreadRowLabels(createLabelFromThreadLabel, { labelKey: labelKeyOf });
   let debounceTimer = null;
 
   // This function will be called after a short delay to process all collected threads at once.
@@ -3546,10 +3785,16 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
     console.log(`[Batching] Processing batch of ${idsToProcess.length} threads.`, { threadIds: idsToProcess });
 
     try {
-      // Make ONE single API call for the entire batch of threads.
-      const threadDataMap = await dataManager.getThreadData(idsToProcess);
+      // List rows are background work: the loader sends them in batches, behind the open thread
+      const threadDataMap = await dataManager.getThreadData(idsToProcess, { priority: 'low' });
       console.log('[Batching] Received data from ThreadDataManager:', threadDataMap);
 
+      // Every live row is attached, even without labels yet, so a background refresh or a
+      // thread that finishes processing can still label it
+      viewsToUpdate.forEach((threadRowView, threadId) => {
+        if (!threadRowView.destroyed) threadRowLabels.attach(threadId, threadRowView);
+      });
+
       // Now, iterate over the API results and apply labels to the corresponding views.
       for (const threadId in threadDataMap) {
         const threadInfo = threadDataMap[threadId];
@@ -3559,26 +3804,10 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
 
         // Ensure we have a view and that it hasn't been destroyed by Gmail
         if (threadRowView && !threadRowView.destroyed && threadInfo) {
-          
-          // Handle new API response format with thread_labels array
-          if (threadInfo.threadLabels && Array.isArray(threadInfo.threadLabels) && threadInfo.threadLabels.length > 0) {
-            console.log(`[LABEL_APPLY] Found ${threadInfo.threadLabels.length} labels to apply.`, { labels: threadInfo.threadLabels });
-            
-            // Create and apply labels from thread_labels array
-            threadInfo.threadLabels.forEach(labelText => {
-              const label = createLabelFromThreadLabel(labelText);
-              if (label) {
-                console.log(`[LABEL_APPLY] ADDING label to view for thread ${threadId}:`, label);
-                threadRowView.addLabel(label);
-              } else {
-                console.warn(`[LABEL_APPLY] SKIPPED adding a null or invalid label for text: "${labelText}"`);
-              }
-            });
-            // Persist labels to the shared cache so open-thread view can reuse
-            try { await dataManager.addThreadLabels(threadId, threadInfo.threadLabels); } catch (e) { console.warn('[LABEL_APPLY] Failed to persist labels to cache', e); }
-          } else {
-              console.log(`[LABEL_APPLY] No labels to apply for thread ${threadId}.`, { threadLabels: threadInfo.threadLabels });
-          }
+          // The backend's labels are the whole set: labels the row shows but the thread lost are removed
+          const threadLabels = Array.isArray(threadInfo.threadLabels) ? threadInfo.threadLabels : [];
+          console.log(`[LABEL_APPLY] Showing ${threadLabels.length} labels.`, { labels: threadLabels });
+          threadRowLabels.setLabels(threadId, labelMatcher.sortLabels(threadLabels));
         } else {
             console.warn(`[LABEL_APPLY] Skipped applying labels for thread ${threadId} due to invalid view or missing info.`);
         }
@@ -3605,8 +3834,12 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
   });
 
   // 1. Claim the "invoice-tracker-view" route to prevent Gmail from treating it as a search.
-  sdk.Router.handleCustomRoute("invoice-tracker-view", async (customRouteView) => {
-    console.log('[UI DEBUG] "invoice-tracker-view" route loaded.');
+  //    "invoice-tracker-view/:viewId" deep-links straight into a saved view.
+  const renderInvoiceTracker = async (customRouteView) => {
+    const params = customRouteView.getParams() || {};
+    const viewId = params.viewId;
+    const initialFilter = params.filter ? decodeTrackerFilter(params.filter) : null;
+    console.log('[UI DEBUG] "invoice-tracker-view" route loaded.', viewId ? `View: ${viewId}` : '', initialFilter ? `Filter: ${initialFilter.name}` : '');
     customRouteView.setFullWidth(true); // Use full width for the spreadsheet
     
     const container = document.createElement('div');
@@ -3627,62 +3860,31 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
     
     // Hoist for cleanup handlers
     let spreadsheetResult = null;
-    let handleCleanup = () => {};
+    // Stops fetching further pages once the user leaves the route
+    const pagingAbort = new AbortController();
 
-    try {
-      // Step 1: Start fetching invoices
-      loadingController.startFetching();
-      console.log('[AI LOADING] 🚀 Starting invoice fetch...');
-      
-      // Fetch live data from our data manager
-      const allInvoices = await dataManager.getAllInvoices();
-      loadingController.completeFetching();
-      console.log('[AI LOADING] ✅ Invoice fetch completed');
-      
-      // Step 2: Start processing details (immediate)
-      loadingController.startDetails();
-      loadingController.completeDetails();
-      console.log('[AI LOADING] ✅ Invoice details processed');
-      
-      // Step 3: Start status processing (immediate)
-      loadingController.startStatus();
-      loadingController.completeStatus();
-      console.log('[AI LOADING] ✅ Invoice status processed');
-      
-      // Build and render the spreadsheet
-      spreadsheetResult = await buildSpreadsheet(container, allInvoices, {
-        apiClient: apiClient,
-        fetchPdf: (params) => apiClient.fetchGmailAttachmentPdf(params), // Correctly use apiClient
-        sdk: sdk
-      });
-      
-      console.log("[SPREADSHEET] Spreadsheet built and rendered successfully.");
-      
-      // Single cleanup handler using sendBeacon
-      handleCleanup = () => {
-        if (spreadsheetResult?.correctionsBatcher?.hasPendingCorrections()) {
-          console.log('[CLEANUP] Sending pending corrections via sendBeacon');
-          spreadsheetResult.correctionsBatcher.sendBeaconBatch();
-        }
-      };
+    // Single cleanup handler: corrections are already persisted, so just nudge the background worker
+    const handleCleanup = () => {
+      if (spreadsheetResult?.correctionsBatcher?.hasPendingCorrections()) {
+        console.log('[CLEANUP] Asking background worker to flush pending corrections');
+        spreadsheetResult.correctionsBatcher.flush();
+      }
+    };
 
-      // Single event listener for page unload
-      window.addEventListener('pagehide', handleCleanup);
-      
-    } catch (error) {
-      console.error('[AI LOADING] ❌ Error during invoice loading:', error);
-      loadingController.showError(error);
-    }
-    
-    // Handle route cleanup
+    // Single event listener for page unload
+    window.addEventListener('pagehide', handleCleanup);
+
+    // Handle route cleanup (registered up front: the user can leave while pages are still loading)
     customRouteView.on('destroy', () => {
       console.log('[UI DEBUG] Cleaning up invoice tracker view');
+      pagingAbort.abort();
 
       // Send any remaining corrections on route destroy
       if (spreadsheetResult?.correctionsBatcher?.hasPendingCorrections()) {
         console.log('[CLEANUP] Sending final corrections on route destroy');
-        spreadsheetResult.correctionsBatcher.sendBatch(); // Use async send here since route destroy allows it
+        spreadsheetResult.correctionsBatcher.flush();
       }
+      spreadsheetResult?.cleanup();
 
       // Remove event listener
       window.removeEventListener('pagehide', handleCleanup);
@@ -3692,6 +3894,166 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
         console.log('[UI DEBUG] Resize observer disconnected');
       }
     });
+
+    const trackerOptions = {
+      apiClient: apiClient,
+      fetchPdf: (params) => apiClient.fetchGmailAttachmentPdf(params), // Correctly use apiClient
+      sdk: sdk,
+      onProgress: (step, status, description) => {
+        if (description) loadingController.updateDescription(step, description);
+        loadingController.updateStep(step, status);
+      },
+      initialViewId: viewId ? decodeURIComponent(viewId) : null,
+      initialFilter,
+      getViewLink: (view) => view.transient
+        ? `https://mail.google.com/mail${getCurrentGmailAccount()}/#invoice-tracker-view/filter/${encodeTrackerFilter(view)}`
+        : `https://mail.google.com/mail${getCurrentGmailAccount()}/#invoice-tracker-view/${encodeURIComponent(view.id)}`,
+      onViewChange: (view) => {
+        // Transient filters already live in the route's own hash
+        if (view.transient) return;
+        // Keep the address bar deep-linkable without re-rendering the route
+        const hash = `#invoice-tracker-view/${encodeURIComponent(view.id)}`;
+        if (window.location.hash !== hash) {
+          window.history.replaceState(window.history.state, '', hash);
+        }
+      }
+    };
+
+    try {
+      // Step 1: Start fetching invoices
+      loadingController.startFetching();
+      console.log('[AI LOADING] 🚀 Starting invoice fetch...');
+      
+      // Fetch live data page by page: the grid is built from the first page and later pages are appended
+      await dataManager.loadInvoicesInPages({
+        signal: pagingAbort.signal,
+        onPage: async (invoices, progress) => {
+          if (pagingAbort.signal.aborted) return;
+
+          if (spreadsheetResult) {
+            spreadsheetResult.appendInvoices(invoices);
+            spreadsheetResult.setLoadProgress(progress);
+            return;
+          }
+
+          loadingController.updateDescription('fetching', progress.total
+            ? `Loaded ${progress.loaded.toLocaleString()} of ${progress.total.toLocaleString()} invoices`
+            : `Loaded ${progress.loaded.toLocaleString()} invoices`);
+          loadingController.completeFetching();
+          console.log('[AI LOADING] ✅ First page of invoices fetched');
+
+          // Steps 2 and 3 (preparing rows, rendering) are reported by the builder as they happen
+          spreadsheetResult = await buildSpreadsheet(container, invoices, {
+            ...trackerOptions,
+            expectedRowCount: progress.total || (progress.done ? progress.loaded : Infinity)
+          });
+          if (pagingAbort.signal.aborted) {
+            // The route was left while the grid was being built
+            spreadsheetResult.cleanup();
+            return;
+          }
+          spreadsheetResult.setLoadProgress(progress);
+          console.log("[SPREADSHEET] Spreadsheet built and rendered successfully.");
+        }
+      });
+
+      // No API client, so no pages were delivered; still show the (empty) tracker
+      if (!spreadsheetResult && !pagingAbort.signal.aborted) {
+        loadingController.completeFetching();
+        spreadsheetResult = await buildSpreadsheet(container, [], trackerOptions);
+      }
+    } catch (error) {
+      console.error('[AI LOADING] ❌ Error during invoice loading:', error);
+      loadingController.showError(error);
+    }
+  };
+  sdk.Router.handleCustomRoute("invoice-tracker-view", renderInvoiceTracker);
+  sdk.Router.handleCustomRoute("invoice-tracker-view/:viewId", renderInvoiceTracker);
+  sdk.Router.handleCustomRoute("invoice-tracker-view/filter/:filter", renderInvoiceTracker);
+
+  // Vendor directory: documents grouped by vendor, also used by the contact hover card
+  const vendorDirectory = createVendorDirectoryCache((options) => dataManager.getAllInvoicesCached(options).then(({ invoices }) => invoices));
+
+  // Gmail thread lists per Stamp label, with live counts in the nav menu
+  const labelThreadLists = createLabelThreadLists({
+    router: sdk.Router,
+    loadLabelCounts: () => apiClient.getThreadLabelCounts(),
+    loadThreadIds: (query) => apiClient.getThreadIdsByLabels(query),
+    onLoadError: (label, error) => sdk.ButterBar.showError({ text: `Couldn't load the ${label.displayName} threads: ${error.message}` })
+  });
+  const openVendor = (vendor) => sdk.Router.goto('vendor-directory-view/:vendorKey', { vendorKey: encodeURIComponent(vendor.key) });
+
+  const renderVendorRoute = async (customRouteView) => {
+    const vendorKeyParam = customRouteView.getParams()?.vendorKey;
+    console.log('[UI DEBUG] "vendor-directory-view" route loaded.', vendorKeyParam ? `Vendor: ${vendorKeyParam}` : '');
+    customRouteView.setFullWidth(true);
+
+    const container = document.createElement('div');
+    container.style.cssText = 'height: 100%; width: 100%; overflow: auto; background: #f8f9fa;';
+    container.innerHTML = '<div style="padding: 40px; text-align: center; color: #5f6368; font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif;">⏳ Loading vendors...</div>';
+    customRouteView.getElement().appendChild(container);
+
+    const directory = await vendorDirectory.refresh();
+    if (!vendorKeyParam) {
+      renderVendorList(container, directory, { onOpenVendor: openVendor });
+      return;
+    }
+
+    const key = decodeURIComponent(vendorKeyParam);
+    renderVendorDetail(container, directory.find(vendor => vendor.key === key) || null, {
+      statusColors: labelMatcher.statusColors,
+      getGmailLink: (doc) => {
+        const id = doc.messageId || doc.threadId;
+        return id ? gmailThreadUrl(getCurrentGmailAccount(), id) : null;
+      },
+      onBack: () => sdk.Router.goto('vendor-directory-view')
+    });
+  };
+  sdk.Router.handleCustomRoute("vendor-directory-view", renderVendorRoute);
+  sdk.Router.handleCustomRoute("vendor-directory-view/:vendorKey", renderVendorRoute);
+
+  // AP dashboard: aging, status and vendor totals; every figure opens the filtered tracker
+  sdk.Router.handleCustomRoute("ap-dashboard-view", async (customRouteView) => {
+    console.log('[UI DEBUG] "ap-dashboard-view" route loaded.');
+    customRouteView.setFullWidth(true);
+
+    const container = document.createElement('div');
+    container.style.cssText = 'height: 100%; width: 100%; overflow: auto; background: #f8f9fa;';
+    container.innerHTML = '<div style="padding: 40px; text-align: center; color: #5f6368; font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif;">⏳ Loading AP dashboard...</div>';
+    customRouteView.getElement().appendChild(container);
+
+    try {
+      const { invoices, partial } = await dataManager.getAllInvoices();
+      if (partial && !invoices.length) throw new Error('documents could not be loaded');
+      const summary = buildApSummary(invoices);
+      console.log(`[DASHBOARD] Summarized ${invoices.length} documents across ${summary.currencies.length} currencies${partial ? ' (partial)' : ''}`);
+      renderApDashboard(container, summary, {
+        partial,
+        statusColors: labelMatcher.statusColors,
+        onOpenTracker: (filterView) => sdk.Router.goto('invoice-tracker-view/filter/:filter', { filter: encodeTrackerFilter(filterView) })
+      });
+    } catch (error) {
+      console.error('[DASHBOARD] ❌ Failed to build AP dashboard:', error);
+      container.innerHTML = `<div style="padding: 40px; text-align: center; color: #d93025;">Failed to load the AP dashboard: ${escapeHtml(error.message || 'unknown error')}</div>`;
+    }
+  });
+
+  // Label settings: the team's label names, colors and backend label mappings
+  sdk.Router.handleCustomRoute("label-settings-view", async (customRouteView) => {
+    console.log('[UI DEBUG] "label-settings-view" route loaded.');
+    customRouteView.setFullWidth(true);
+
+    const container = document.createElement('div');
+    container.style.cssText = 'height: 100%; width: 100%; overflow: auto; background: #f8f9fa;';
+    customRouteView.getElement().appendChild(container);
+
+    renderLabelSettings(container, await loadLabelTaxonomy(), {
+      onSave: saveLabelTaxonomy,
+      onReset: async () => {
+        await resetLabelTaxonomy();
+        return DEFAULT_LABEL_TAXONOMY;
+      }
+    });
   });
 
   // Register a handler for ALL route views to inject our UI when our route is active
@@ -3717,6 +4079,25 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
         routeID: "invoice-tracker-view",
       });
       console.log('[UI DEBUG] ✅ NavItem added successfully!', navItem);
+
+      // Nested under the tracker; a failure here must not re-run the parent's retry loop
+      try {
+        navItem.addNavItem({
+          name: "AP Dashboard",
+          routeID: "ap-dashboard-view",
+        });
+        navItem.addNavItem({
+          name: "Vendors",
+          routeID: "vendor-directory-view",
+        });
+        navItem.addNavItem({
+          name: "Labels",
+          routeID: "label-settings-view",
+        });
+        labelThreadLists.setNavItem(navItem);
+      } catch (error) {
+        console.error('[UI DEBUG] ❌ AP Dashboard/Vendors/Labels NavItem creation failed:', error.message);
+      }
       return navItem;
       
     } catch (error) {
@@ -3781,16 +4162,28 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
   // 2. Link them
   uiManager.setAuthService(authService);
   uiManager.setApiClient(apiClient);
+  uiManager.setThreadRowLabels(threadRowLabels);
+  uiManager.setVendorDirectory(vendorDirectory);
+  uiManager.setDataManager(dataManager);
+  // Cached threads render at once; what their background refresh changes is redrawn here
+  dataManager.onThreadDataChanged((threadId, threadInfo) => uiManager.handleThreadDataChanged(threadId, threadInfo));
+
+  // The team's label taxonomy replaces the defaults once loaded, and again whenever it is edited
+  const applyLabelTaxonomy = (taxonomy) => {
+    labelMatcher = createLabelMatcher(taxonomy);
+    labelThreadLists.setMatcher(labelMatcher);
+    uiManager.refreshLabels().catch(error => console.warn('[LABELS] Failed to redraw labels:', error));
+  };
+  loadLabelTaxonomy().then(applyLabelTaxonomy);
+  onLabelTaxonomyChanged(applyLabelTaxonomy);
 
   // Initialize the UIManager, which will now only handle the sidebar content
   uiManager.initialize();
+  uiManager.startApprovalReminders();
 
   // Make UIManager globally accessible for testing
   window.uiManager = uiManager;
 
-  // Make handleStreamingResponse globally available for floating chat
-  window.sharedHandleStreamingResponse = uiManager.handleStreamingResponse.bind(uiManager);
-
   // Global test function for console access
   window.testFloatingChat = () => {
     console.log('[GLOBAL TEST] Testing floating chat...');
@@ -3808,7 +4201,8 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
       try {
         const floatingChat = new FloatingChat(
           window.uiManager.apiClient,
-          window.uiManager.authService
+          window.uiManager.authService,
+          window.uiManager
         );
         console.log('[GLOBAL TEST] Floating chat created:', floatingChat);
         return floatingChat;
@@ -3828,6 +4222,12 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
 
   // Expose the uiManager to the window for debugging and extensions
   window.stampUIManager = uiManager;
+  // Thread cache counters for the DevTools console (select the extension's context):
+  // stampThreadCache.metrics(), stampThreadCache.clear()
+  window.stampThreadCache = {
+    metrics: () => dataManager.getCacheMetrics(),
+    clear: () => dataManager.clearCache()
+  };
 
   // --- ROUTE HANDLING FOR AP TRACKER ---
   
@@ -3836,6 +4236,11 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
     await uiManager.handleThreadView(threadView);
   });
 
+  // Stamp button in the compose toolbar (reply templates, invoice table)
+  sdk.Compose.registerComposeViewHandler((composeView) => {
+    uiManager.handleComposeView(composeView);
+  });
+
   // Add Store in Drive buttons to existing attachment cards
   sdk.Conversations.registerFileAttachmentCardViewHandler((attachmentCard) => {
     uiManager.handleFileAttachmentCard(attachmentCard);
@@ -3843,6 +4248,15 @@ InboxSDK.load(2, 'YOUR_APP_ID_HERE').then((sdk) => {
 
   // Also handle message views to add buttons to existing attachment cards
   sdk.Conversations.registerMessageViewHandler(async (messageView) => {
+    // Show the vendor's open balance when hovering a known vendor's address
+    messageView.on('contactHover', async ({ contact }) => {
+      const anchor = Array.from(document.querySelectorAll(':hover')).pop();
+      const vendor = findVendorByEmail(await vendorDirectory.get(), contact?.emailAddress);
+      if (vendor && anchor?.isConnected && anchor.matches(':hover')) {
+        showVendorHoverCard(anchor, vendor, { onOpenVendor: openVendor });
+      }
+    });
+
     await uiManager.handleExistingAttachmentCards(messageView);
   });
 
@@ -3888,6 +4302,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Will respond asynchronously
   }
 
+  // Tell the popup which Gmail account this tab belongs to
+  if (message.type === 'GET_GMAIL_ACCOUNT') {
+    sendResponse({ accountEmail: getCurrentAccount() });
+    return false;
+  }
+
   // Handle sign out request from popup
   if (message.type === 'SIGN_OUT') {
     (async () => {
@@ -0,0 +1,391 @@
+// stamp-extension/corrections-queue.js
+/* global chrome */
+import { getCurrentAccount, getInstallation, listInstallations, normalizeAccountEmail } from './accounts.js';
+
+/**
+ * Durable queue for invoice tracker corrections.
+ * The queue lives in chrome.storage.local so nothing is lost when Gmail reloads. Content scripts
+ * hand edits to the background service worker, which makes every change to the queue one at a
+ * time, so several Gmail tabs and an in-flight flush never overwrite each other's edits. The
+ * worker flushes the queue to the backend with authenticated requests and retries failures with
+ * exponential backoff. When the backend refuses a request (4xx), its edits are sent one at a time
+ * so only the refused ones are set aside, where the tracker shows them until dismissed. Each
+ * edit records the Gmail account it was made in and is sent with that account's installation.
+ * Accounts back off independently, and the edits of an account without an installation are
+ * parked until it signs in instead of being retried.
+ */
+
+export const CORRECTIONS_QUEUE_KEY = 'stampCorrectionsQueue';
+export const CORRECTIONS_ENDPOINT = '/api/finops/documents/corrections';
+
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30 seconds (chrome.alarms minimum)
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000; // 30 minutes
+const MAX_REJECTED = 100;
+// Client errors a later attempt can get past: auth that can be restored, timeouts, rate limits
+const RETRYABLE_CLIENT_STATUSES = [401, 403, 408, 429];
+
+// Queue changes made in this context, run one at a time
+let mutations = Promise.resolve();
+
+/**
+ * Returns an empty queue state. `rejected` keeps edits the backend refused, with its error.
+ * `accounts` keeps the delivery state of each account whose last flush failed, by email ('' for
+ * edits queued before corrections recorded their account): {attempts, lastError, nextAttemptAt,
+ * parked}.
+ * @returns {{edits: Object<string, object>, rejected: Object<string, object>, accounts: Object<string, object>}}
+ */
+export function createEmptyQueue() {
+  return { edits: {}, rejected: {}, accounts: {} };
+}
+
+/**
+ * Merges a correction into the queue, deduplicating repeated edits to the same field.
+ * The latest new_value wins while previous_value/original_value are kept from the first
+ * unsynced edit, so the backend sees what the field held before the user touched it.
+ * An edit that reverts a field to its previous value drops the correction, unless it carries
+ * involvementHistory entries: those record actions that did happen, so they are still sent.
+ * @param {object} queue - Queue state (mutated and returned)
+ * @param {object} edit - Correction in backend format ({document_id, field_name, new_value, note?,
+ *   involvement?: [involvementHistory entries], ...})
+ * @returns {object} The updated queue
+ */
+export function mergeCorrection(queue, edit) {
+  const key = edit.account_email
+    ? `${edit.account_email}|${edit.document_id}|${edit.field_name}`
+    : `${edit.document_id}|${edit.field_name}`;
+  const existing = queue.edits[key];
+  const now = Date.now();
+
+  if (existing) {
+    const involvement = [...(existing.involvement || []), ...(edit.involvement || [])];
+    if (valuesEqual(edit.new_value, existing.previous_value) && involvement.length === 0) {
+      delete queue.edits[key];
+      return queue;
+    }
+    queue.edits[key] = {
+      ...existing,
+      new_value: edit.new_value,
+      // A note (e.g. a rejection reason) describes the latest value, not the first one
+      note: edit.note ?? existing.note,
+      ...(involvement.length ? { involvement } : {}),
+      updated_at: now
+    };
+  } else {
+    queue.edits[key] = { ...edit, queued_at: now, updated_at: now };
+  }
+  return queue;
+}
+
+/**
+ * Computes the retry delay for a given number of failed attempts.
+ * @param {number} attempts - Consecutive failed flush attempts (1 for the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempts) {
+  const exponent = Math.max(0, attempts - 1);
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, exponent), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Reads the persisted queue.
+ * @returns {Promise<object>} The queue state
+ */
+export async function getCorrectionsQueue() {
+  const result = await chrome.storage.local.get([CORRECTIONS_QUEUE_KEY]);
+  return { ...createEmptyQueue(), ...(result[CORRECTIONS_QUEUE_KEY] || {}) };
+}
+
+/**
+ * Reads, changes and writes back the stored queue. Calls run one after another, so only the
+ * background worker should change the queue; content scripts go through enqueueCorrection.
+ * @param {Function} mutate - (queue) => result; changes the queue in place
+ * @returns {Promise<*>} What `mutate` returned
+ */
+export function updateCorrectionsQueue(mutate) {
+  const run = mutations.then(async () => {
+    const queue = await getCorrectionsQueue();
+    const result = mutate(queue);
+    await chrome.storage.local.set({ [CORRECTIONS_QUEUE_KEY]: queue });
+    return result;
+  });
+  mutations = run.catch(() => undefined);
+  return run;
+}
+
+/**
+ * Adds a correction to the durable queue. Runs in the background service worker.
+ * @param {object} edit - Correction in backend format
+ * @returns {Promise<number>} The number of unsynced corrections after enqueueing
+ */
+export async function addCorrection(edit) {
+  const count = await updateCorrectionsQueue(queue => countUnsynced(mergeCorrection(queue, edit)));
+  console.log(`[CORRECTIONS QUEUE] Persisted ${edit.field_name} for ${edit.document_id} (${count} unsynced)`);
+  return count;
+}
+
+/**
+ * Persists a correction to the durable queue through the background worker.
+ * Rejects when the worker could not queue it, so the caller can roll the change back.
+ * @param {object} edit - Correction in backend format
+ * @returns {Promise<number>} The number of unsynced corrections after enqueueing
+ */
+export async function enqueueCorrection(edit) {
+  const account = getCurrentAccount();
+  const response = await chrome.runtime.sendMessage({
+    type: 'ENQUEUE_CORRECTION',
+    edit: account ? { ...edit, account_email: account } : edit
+  });
+  if (!response || response.error) {
+    throw new Error(`Could not queue the correction: ${response?.error || 'no response from the background worker'}`);
+  }
+  return response.count;
+}
+
+/**
+ * Corrections of an account that the backend doesn't have yet, so freshly fetched data can
+ * show them. Edits queued before corrections recorded their account count for every account.
+ * @param {string} [account] - Defaults to the current account
+ * @returns {Promise<object[]>} Queued edits, oldest first
+ */
+export async function getPendingCorrections(account = getCurrentAccount()) {
+  const queue = await getCorrectionsQueue();
+  return Object.values(queue.edits)
+    .filter(edit => !edit.account_email || edit.account_email === account)
+    .sort((a, b) => (a.updated_at || 0) - (b.updated_at || 0));
+}
+
+/**
+ * What a Gmail account's tab shows about the queue.
+ * @param {object} queue - Queue state
+ * @param {string} [account] - Defaults to the current account
+ * @returns {{unsynced: number, attempts?: number, lastError?: string, nextAttemptAt?: number, parked?: boolean}}
+ */
+export function getAccountQueueState(queue, account = getCurrentAccount()) {
+  const unsynced = Object.values(queue?.edits || {}).filter(edit => !edit.account_email || edit.account_email === account).length;
+  return { unsynced, ...(queue?.accounts?.[account || ''] || {}) };
+}
+
+/**
+ * Edits of an account the backend refused, oldest first.
+ * @param {object} queue - Queue state
+ * @param {string} [account] - Defaults to the current account
+ * @returns {object[]} The refused corrections with their queue `key`, `error` and `rejected_at`
+ */
+export function getRejectedCorrections(queue, account = getCurrentAccount()) {
+  return Object.entries(queue?.rejected || {})
+    .filter(([, edit]) => !edit.account_email || edit.account_email === account)
+    .map(([key, edit]) => ({ ...edit, key }))
+    .sort((a, b) => (a.rejected_at || 0) - (b.rejected_at || 0));
+}
+
+/**
+ * Forgets a refused correction. Runs in the background service worker.
+ * @param {string} key - Queue key of the refused correction
+ * @returns {Promise<void>}
+ */
+export async function removeRejectedCorrection(key) {
+  await updateCorrectionsQueue(queue => {
+    delete queue.rejected[key];
+  });
+}
+
+/**
+ * Dismisses a refused correction through the background worker.
+ * @param {string} key - Queue key of the refused correction
+ * @returns {Promise<void>}
+ */
+export async function dismissRejectedCorrection(key) {
+  const response = await chrome.runtime.sendMessage({ type: 'DISMISS_REJECTED_CORRECTION', key });
+  if (!response || response.error) {
+    throw new Error(`Could not dismiss the correction: ${response?.error || 'no response from the background worker'}`);
+  }
+}
+
+/**
+ * Returns the number of unsynced corrections in a queue state.
+ * @param {object} queue - Queue state
+ * @returns {number}
+ */
+export function countUnsynced(queue) {
+  return queue?.edits ? Object.keys(queue.edits).length : 0;
+}
+
+/**
+ * Sends every queued correction to the backend, one authenticated request per Gmail account.
+ * Only entries that were not modified while their request was in flight are removed.
+ * Edits queued before corrections recorded their account go out with the only installation.
+ * Runs in the background service worker.
+ * @param {string} apiEndpoint - Backend base URL
+ * @param {object} [options]
+ * @param {string} [options.retryAccount] - Account to send now even while it is backing off
+ *   (a tab asked for its edits to go out)
+ * @returns {Promise<{sent: number, remaining: number, ready: number, parked?: number, rejected?: number, error?: string, retryInMs?: number}>}
+ *   `ready` counts the remaining edits that can go out right away (queued while the requests
+ *   were in flight); `retryInMs` is when the first account that failed should be retried.
+ */
+export async function flushCorrectionsQueue(apiEndpoint, { retryAccount = null } = {}) {
+  const queue = await getCorrectionsQueue();
+  const snapshot = { ...queue.edits };
+  const keys = Object.keys(snapshot);
+
+  if (keys.length === 0) {
+    return { sent: 0, remaining: 0 };
+  }
+
+  console.log(`[CORRECTIONS QUEUE] Flushing ${keys.length} corrections`);
+
+  const byAccount = new Map();
+  keys.forEach(key => {
+    const account = snapshot[key].account_email || null;
+    byAccount.set(account, [...(byAccount.get(account) || []), key]);
+  });
+
+  const sentKeys = [];
+  const rejectedKeys = [];
+  const failures = new Map(); // account => error, for accounts to retry
+  const parkedAccounts = new Set();
+  const now = Date.now();
+  const sendNow = normalizeAccountEmail(retryAccount);
+  for (const [account, accountKeys] of byAccount) {
+    const state = queue.accounts?.[account || ''];
+    if (state && !state.parked && state.nextAttemptAt > now && !(sendNow && account === sendNow)) {
+      console.log(`[CORRECTIONS QUEUE] Holding ${accountKeys.length} corrections for ${account || 'the installed account'} until its retry`);
+      continue;
+    }
+    try {
+      await sendCorrections(apiEndpoint, account, accountKeys.map(key => snapshot[key]));
+      sentKeys.push(...accountKeys);
+    } catch (error) {
+      if (error.notInstalled) {
+        console.warn(`[CORRECTIONS QUEUE] Keeping ${accountKeys.length} corrections for ${account || 'an unknown account'} until it signs in to Stamp`);
+        parkedAccounts.add(account);
+        continue;
+      }
+      console.error(`[CORRECTIONS QUEUE] ❌ Sending ${accountKeys.length} corrections for ${account || 'the installed account'} failed:`, error);
+      if (isRejection(error) && accountKeys.length > 1) {
+        // One refused edit fails the whole request; send them one at a time to find it
+        for (const key of accountKeys) {
+          try {
+            await sendCorrections(apiEndpoint, account, [snapshot[key]]);
+            sentKeys.push(key);
+          } catch (editError) {
+            if (!isRejection(editError)) {
+              failures.set(account, editError);
+              break;
+            }
+            rejectedKeys.push({ key, error: editError });
+          }
+        }
+      } else if (isRejection(error)) {
+        rejectedKeys.push(...accountKeys.map(key => ({ key, error })));
+      } else {
+        failures.set(account, error);
+      }
+    }
+  }
+
+  // Edits enqueued or changed while the requests were in flight stay queued
+  const sentUnchanged = (queue, key) => queue.edits[key] && queue.edits[key].updated_at === snapshot[key].updated_at;
+  const latest = await updateCorrectionsQueue(queue => {
+    sentKeys.forEach(key => {
+      if (sentUnchanged(queue, key)) delete queue.edits[key];
+    });
+    rejectedKeys.forEach(({ key, error }) => {
+      if (!sentUnchanged(queue, key)) return;
+      queue.rejected = { ...(queue.rejected || {}), [key]: { ...queue.edits[key], error: error.message, rejected_at: Date.now() } };
+      delete queue.edits[key];
+    });
+    const rejected = Object.keys(queue.rejected || {});
+    rejected.slice(0, Math.max(0, rejected.length - MAX_REJECTED)).forEach(key => delete queue.rejected[key]);
+
+    // Backoff used to be shared by every account
+    delete queue.attempts;
+    delete queue.lastError;
+    delete queue.nextAttemptAt;
+    const accountsWithEdits = new Set(Object.values(queue.edits).map(edit => edit.account_email || ''));
+    queue.accounts = Object.fromEntries(Object.entries(queue.accounts || {}).filter(([id]) => accountsWithEdits.has(id)));
+    [...sentKeys, ...rejectedKeys.map(({ key }) => key)].forEach(key => delete queue.accounts[snapshot[key].account_email || '']);
+    parkedAccounts.forEach(account => {
+      queue.accounts[account || ''] = { attempts: 0, lastError: 'Not signed in to Stamp', nextAttemptAt: null, parked: true };
+    });
+    failures.forEach((failure, account) => {
+      const attempts = (queue.accounts[account || '']?.attempts || 0) + 1;
+      queue.accounts[account || ''] = { attempts, lastError: failure.message, nextAttemptAt: Date.now() + getBackoffDelay(attempts), parked: false };
+    });
+    return queue;
+  });
+
+  if (rejectedKeys.length) {
+    console.error(`[CORRECTIONS QUEUE] ❌ The backend refused ${rejectedKeys.length} corrections; they will not be retried`);
+  }
+  const remainingEdits = Object.values(latest.edits);
+  const parked = remainingEdits.filter(edit => latest.accounts[edit.account_email || '']?.parked).length;
+  const error = [...failures.values()][0]?.message || rejectedKeys[0]?.error.message;
+  const result = {
+    sent: sentKeys.length,
+    remaining: remainingEdits.length,
+    ready: remainingEdits.filter(edit => !latest.accounts[edit.account_email || '']).length,
+    ...(parked ? { parked } : {}),
+    ...(rejectedKeys.length ? { rejected: rejectedKeys.length } : {}),
+    ...(error ? { error } : {})
+  };
+  // Accounts that just failed wait their full backoff; held ones what is left of theirs
+  const retries = Object.entries(latest.accounts)
+    .filter(([, state]) => !state.parked)
+    .map(([id, state]) => failures.has(id || null) ? getBackoffDelay(state.attempts) : Math.max(0, state.nextAttemptAt - Date.now()));
+  if (!retries.length) {
+    console.log(`[CORRECTIONS QUEUE] ✅ Sent ${sentKeys.length} corrections, ${result.remaining} remaining`);
+    return result;
+  }
+
+  const retryInMs = Math.min(...retries);
+  console.error(`[CORRECTIONS QUEUE] ❌ ${retries.length} account(s) waiting to retry, next in ${Math.round(retryInMs / 1000)}s`);
+  return { ...result, retryInMs };
+}
+
+async function sendCorrections(apiEndpoint, account, queuedEdits) {
+  const installations = account ? [] : await listInstallations();
+  const installation = account ? await getInstallation(account) : installations.length === 1 ? installations[0] : null;
+  if (!installation?.installationId) {
+    const error = new Error(account
+      ? `${account} is not signed in to Stamp. Please sign in first.`
+      : 'User not authenticated. Please sign in first.');
+    error.notInstalled = true;
+    throw error;
+  }
+
+  const edits = queuedEdits.map(queued => {
+    const edit = { ...queued };
+    delete edit.account_email;
+    delete edit.queued_at;
+    delete edit.updated_at;
+    return edit;
+  });
+
+  const response = await fetch(`${apiEndpoint}${CORRECTIONS_ENDPOINT}`, {
+    method: 'POST',
+    headers: {
+      'X-Installation-ID': installation.installationId,
+      'X-User-Email': installation.userEmail,
+      'ngrok-skip-browser-warning': 'true',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ edits, propagate: true })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`API request failed: ${response.status} ${response.statusText} - ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+function isRejection(error) {
+  return error.status >= 400 && error.status < 500 && !RETRYABLE_CLIENT_STATUSES.includes(error.status);
+}
+
+function valuesEqual(a, b) {
+  const normalize = (value) => (value === undefined || value === null ? '' : String(value));
+  return normalize(a) === normalize(b);
+}
@@ -0,0 +1,229 @@
+// Unit tests for the durable corrections queue in corrections-queue.js
+import {
+  addCorrection,
+  createEmptyQueue,
+  enqueueCorrection,
+  mergeCorrection,
+  getBackoffDelay,
+  flushCorrectionsQueue,
+  getPendingCorrections,
+  getAccountQueueState,
+  getRejectedCorrections,
+  removeRejectedCorrection,
+  CORRECTIONS_QUEUE_KEY,
+} from './corrections-queue.js';
+import { accountKey, setCurrentAccount } from './accounts.js';
+import { installFakeChromeStorage } from './fake-chrome-storage.js';
+
+describe('corrections queue', () => {
+  let store;
+
+  beforeEach(() => {
+    store = installFakeChromeStorage().local.items;
+    global.fetch = jest.fn();
+  });
+
+  test('dedupes repeated edits to the same field and keeps the first previous value', () => {
+    const queue = createEmptyQueue();
+    mergeCorrection(queue, { document_id: 'doc_1', field_name: 'amount', new_value: 120, previous_value: 100, original_value: 100 });
+    mergeCorrection(queue, { document_id: 'doc_1', field_name: 'amount', new_value: 125, previous_value: 120, original_value: 100 });
+
+    expect(Object.keys(queue.edits)).toEqual(['doc_1|amount']);
+    expect(queue.edits['doc_1|amount']).toMatchObject({ new_value: 125, previous_value: 100 });
+  });
+
+  test('drops the correction when a field is edited back to its previous value', () => {
+    const queue = createEmptyQueue();
+    mergeCorrection(queue, { document_id: 'doc_1', field_name: 'status', new_value: 'paid', previous_value: 'pending' });
+    mergeCorrection(queue, { document_id: 'doc_1', field_name: 'status', new_value: 'pending', previous_value: 'paid' });
+
+    expect(queue.edits).toEqual({});
+  });
+
+  test('keeps every involvement entry, even when the status ends where it started', () => {
+    const hold = { action_type: 'put_on_hold', actor: { email: 'ap@work.com', name: null }, timestamp: '2025-03-01T10:00:00.000Z' };
+    const approve = { action_type: 'approved', actor: { email: 'cfo@work.com', name: null }, timestamp: '2025-03-01T11:00:00.000Z' };
+    const queue = createEmptyQueue();
+    mergeCorrection(queue, { document_id: 'doc_1', field_name: 'status', new_value: 'on_hold', previous_value: 'pending', involvement: [hold] });
+    mergeCorrection(queue, { document_id: 'doc_1', field_name: 'status', new_value: 'approved', previous_value: 'on_hold', involvement: [approve] });
+    expect(queue.edits['doc_1|status']).toMatchObject({ new_value: 'approved', previous_value: 'pending', involvement: [hold, approve] });
+
+    mergeCorrection(queue, { document_id: 'doc_1', field_name: 'status', new_value: 'pending', previous_value: 'approved' });
+    expect(queue.edits['doc_1|status']).toMatchObject({ new_value: 'pending', involvement: [hold, approve] });
+  });
+
+  test('backs off exponentially up to a cap', () => {
+    expect(getBackoffDelay(1)).toBe(30000);
+    expect(getBackoffDelay(2)).toBe(60000);
+    expect(getBackoffDelay(3)).toBe(120000);
+    expect(getBackoffDelay(20)).toBe(30 * 60 * 1000);
+  });
+
+  test('sends queued edits with auth headers and clears them on success', async () => {
+    store.installationId = 'inst_1';
+    store.userEmail = 'ap@example.com';
+    store[CORRECTIONS_QUEUE_KEY] = mergeCorrection(createEmptyQueue(), {
+      document_id: 'doc_1', field_name: 'amount', new_value: 120, previous_value: 100,
+    });
+    global.fetch.mockResolvedValue({ ok: true });
+
+    const result = await flushCorrectionsQueue('https://api.example.com');
+
+    expect(result).toEqual({ sent: 1, remaining: 0, ready: 0 });
+    expect(fetch).toHaveBeenCalledWith(
+      'https://api.example.com/api/finops/documents/corrections',
+      expect.objectContaining({
+        headers: expect.objectContaining({ 'X-Installation-ID': 'inst_1', 'X-User-Email': 'ap@example.com' }),
+      })
+    );
+    expect(JSON.parse(fetch.mock.calls[0][1].body).edits[0]).toEqual({
+      document_id: 'doc_1', field_name: 'amount', new_value: 120, previous_value: 100,
+    });
+  });
+
+  test('keeps edits and schedules a retry when the request fails', async () => {
+    store.installationId = 'inst_1';
+    store.userEmail = 'ap@example.com';
+    store[CORRECTIONS_QUEUE_KEY] = mergeCorrection(createEmptyQueue(), {
+      document_id: 'doc_1', field_name: 'amount', new_value: 120, previous_value: 100,
+    });
+    global.fetch.mockResolvedValue({ ok: false, status: 503, statusText: 'Unavailable', text: async () => '' });
+
+    const result = await flushCorrectionsQueue('https://api.example.com');
+
+    expect(result).toMatchObject({ sent: 0, remaining: 1, ready: 0, retryInMs: 30000 });
+    expect(store[CORRECTIONS_QUEUE_KEY].accounts['']).toMatchObject({ attempts: 1, parked: false });
+  });
+
+  test('sends each account\'s edits with that account\'s installation', async () => {
+    store[accountKey('ap@work.com')] = { accountEmail: 'ap@work.com', installationId: 'inst_work', userEmail: 'ap@work.com' };
+    store[accountKey('me@home.com')] = { accountEmail: 'me@home.com', installationId: 'inst_home', userEmail: 'me@home.com' };
+    const queue = createEmptyQueue();
+    mergeCorrection(queue, { account_email: 'ap@work.com', document_id: 'doc_1', field_name: 'amount', new_value: 120 });
+    mergeCorrection(queue, { account_email: 'me@home.com', document_id: 'doc_1', field_name: 'amount', new_value: 80 });
+    store[CORRECTIONS_QUEUE_KEY] = queue;
+    global.fetch.mockResolvedValue({ ok: true });
+
+    const result = await flushCorrectionsQueue('https://api.example.com');
+
+    expect(result).toEqual({ sent: 2, remaining: 0, ready: 0 });
+    const sent = fetch.mock.calls.map(([, request]) => [request.headers['X-Installation-ID'], JSON.parse(request.body).edits]);
+    expect(sent).toEqual([
+      ['inst_work', [{ document_id: 'doc_1', field_name: 'amount', new_value: 120 }]],
+      ['inst_home', [{ document_id: 'doc_1', field_name: 'amount', new_value: 80 }]],
+    ]);
+  });
+
+  test('keeps edits queued by several tabs at once and while a flush is in flight', async () => {
+    store.installationId = 'inst_1';
+    store.userEmail = 'ap@example.com';
+    await addCorrection({ document_id: 'doc_1', field_name: 'amount', new_value: 120 });
+    let respond;
+    global.fetch.mockReturnValue(new Promise(resolve => { respond = resolve; }));
+
+    const flushing = flushCorrectionsQueue('https://api.example.com');
+    await Promise.all([
+      addCorrection({ document_id: 'doc_2', field_name: 'amount', new_value: 5 }),
+      addCorrection({ document_id: 'doc_3', field_name: 'status', new_value: 'paid' }),
+    ]);
+    respond({ ok: true });
+    await flushing;
+
+    expect(Object.keys(store[CORRECTIONS_QUEUE_KEY].edits).sort()).toEqual(['doc_2|amount', 'doc_3|status']);
+  });
+
+  test('sets aside edits the backend refuses instead of retrying them', async () => {
+    store.installationId = 'inst_1';
+    store.userEmail = 'ap@example.com';
+    await addCorrection({ document_id: 'doc_1', field_name: 'amount', new_value: 'abc' });
+    global.fetch.mockResolvedValue({ ok: false, status: 422, statusText: 'Unprocessable', text: async () => 'bad amount' });
+
+    const result = await flushCorrectionsQueue('https://api.example.com');
+
+    expect(result).toMatchObject({ sent: 0, remaining: 0, rejected: 1 });
+    expect(result.retryInMs).toBeUndefined();
+    expect(store[CORRECTIONS_QUEUE_KEY].rejected['doc_1|amount']).toMatchObject({ new_value: 'abc', error: expect.stringContaining('422') });
+    expect(store[CORRECTIONS_QUEUE_KEY].accounts).toEqual({});
+  });
+
+  test('sends a refused batch one edit at a time and sets aside only the refused edit', async () => {
+    store.installationId = 'inst_1';
+    store.userEmail = 'ap@example.com';
+    await addCorrection({ document_id: 'doc_1', field_name: 'amount', new_value: 120, previous_value: 100 });
+    await addCorrection({ document_id: 'doc_2', field_name: 'amount', new_value: 'abc', previous_value: 5 });
+    await addCorrection({ document_id: 'doc_3', field_name: 'status', new_value: 'paid', previous_value: 'pending' });
+    global.fetch.mockImplementation(async (url, request) => (request.body.includes('abc')
+      ? { ok: false, status: 422, statusText: 'Unprocessable', text: async () => 'bad amount' }
+      : { ok: true }));
+
+    const result = await flushCorrectionsQueue('https://api.example.com');
+
+    expect(fetch).toHaveBeenCalledTimes(4);
+    expect(result).toMatchObject({ sent: 2, remaining: 0, rejected: 1 });
+    const rejected = getRejectedCorrections(store[CORRECTIONS_QUEUE_KEY], null);
+    expect(rejected).toEqual([expect.objectContaining({ key: 'doc_2|amount', new_value: 'abc', previous_value: 5, error: expect.stringContaining('bad amount') })]);
+
+    await removeRejectedCorrection('doc_2|amount');
+    expect(getRejectedCorrections(store[CORRECTIONS_QUEUE_KEY], null)).toEqual([]);
+  });
+
+  test('backs off each account on its own', async () => {
+    store[accountKey('ap@work.com')] = { accountEmail: 'ap@work.com', installationId: 'inst_work', userEmail: 'ap@work.com' };
+    store[accountKey('me@home.com')] = { accountEmail: 'me@home.com', installationId: 'inst_home', userEmail: 'me@home.com' };
+    const queue = createEmptyQueue();
+    mergeCorrection(queue, { account_email: 'ap@work.com', document_id: 'doc_1', field_name: 'amount', new_value: 120 });
+    store[CORRECTIONS_QUEUE_KEY] = queue;
+    global.fetch.mockResolvedValue({ ok: false, status: 503, statusText: 'Unavailable', text: async () => '' });
+    await flushCorrectionsQueue('https://api.example.com');
+
+    await addCorrection({ account_email: 'me@home.com', document_id: 'doc_2', field_name: 'amount', new_value: 5 });
+    global.fetch.mockClear().mockResolvedValue({ ok: true });
+    const result = await flushCorrectionsQueue('https://api.example.com');
+
+    expect(fetch.mock.calls.map(([, request]) => request.headers['X-Installation-ID'])).toEqual(['inst_home']);
+    expect(result).toMatchObject({ sent: 1, remaining: 1, ready: 0 });
+    expect(result.retryInMs).toBeGreaterThan(0);
+    expect(store[CORRECTIONS_QUEUE_KEY].accounts).toEqual({ 'ap@work.com': expect.objectContaining({ attempts: 1 }) });
+    expect(getAccountQueueState(store[CORRECTIONS_QUEUE_KEY], 'me@home.com')).toEqual({ unsynced: 0 });
+
+    global.fetch.mockClear();
+    await flushCorrectionsQueue('https://api.example.com', { retryAccount: 'AP@work.com' });
+    expect(fetch.mock.calls.map(([, request]) => request.headers['X-Installation-ID'])).toEqual(['inst_work']);
+    expect(store[CORRECTIONS_QUEUE_KEY].accounts).toEqual({});
+  });
+
+  test('parks the edits of an account that is not signed in until it signs in', async () => {
+    await addCorrection({ account_email: 'ap@work.com', document_id: 'doc_1', field_name: 'amount', new_value: 120 });
+
+    const result = await flushCorrectionsQueue('https://api.example.com');
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ sent: 0, remaining: 1, ready: 0, parked: 1 });
+    expect(result.retryInMs).toBeUndefined();
+    expect(getAccountQueueState(store[CORRECTIONS_QUEUE_KEY], 'ap@work.com')).toMatchObject({ unsynced: 1, parked: true });
+
+    store[accountKey('ap@work.com')] = { accountEmail: 'ap@work.com', installationId: 'inst_work', userEmail: 'ap@work.com' };
+    global.fetch.mockResolvedValue({ ok: true });
+    await expect(flushCorrectionsQueue('https://api.example.com')).resolves.toEqual({ sent: 1, remaining: 0, ready: 0 });
+    expect(store[CORRECTIONS_QUEUE_KEY].accounts).toEqual({});
+  });
+
+  test('content scripts queue edits through the background worker, tagged with their account', async () => {
+    setCurrentAccount('ap@work.com');
+    global.chrome.runtime = { sendMessage: jest.fn().mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ error: 'quota' }) };
+    const edit = { document_id: 'doc_1', field_name: 'amount', new_value: 120 };
+
+    await expect(enqueueCorrection(edit)).resolves.toBe(1);
+    expect(global.chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'ENQUEUE_CORRECTION', edit: { ...edit, account_email: 'ap@work.com' } });
+    await expect(enqueueCorrection(edit)).rejects.toThrow('quota');
+    setCurrentAccount(null);
+  });
+
+  test('lists the pending corrections of one account', async () => {
+    await addCorrection({ account_email: 'ap@work.com', document_id: 'doc_1', field_name: 'status', new_value: 'approved' });
+    await addCorrection({ account_email: 'me@home.com', document_id: 'doc_2', field_name: 'status', new_value: 'rejected' });
+    await addCorrection({ document_id: 'doc_3', field_name: 'amount', new_value: 5 });
+
+    expect((await getPendingCorrections('ap@work.com')).map(edit => edit.document_id).sort()).toEqual(['doc_1', 'doc_3']);
+  });
+});
@@ -0,0 +1,19 @@
+// stamp-extension/dates.js
+
+/**
+ * Calendar dates as the user sees them. Invoice dates are plain 'YYYY-MM-DD' strings, so "today"
+ * has to be the date on the user's clock: toISOString() gives the UTC date, which is already
+ * tomorrow on a US evening and still yesterday on an early Asian morning.
+ */
+
+/**
+ * @param {Date} date
+ * @param {number} [offsetDays] - Calendar days to add (negative for earlier days)
+ * @returns {string} The local date as 'YYYY-MM-DD'
+ */
+export function toLocalDateString(date, offsetDays = 0) {
+  // Moving by calendar days rather than 24h keeps the date right across DST changes
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offsetDays);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+}
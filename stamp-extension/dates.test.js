@@ -0,0 +1,18 @@
+// Unit tests for the local calendar date helper in dates.js
+import { toLocalDateString } from './dates.js';
+
+describe('toLocalDateString', () => {
+  test('gives the date on the user\'s clock late in the evening and early in the morning', () => {
+    expect(toLocalDateString(new Date(2025, 5, 15, 23, 59))).toBe('2025-06-15');
+    expect(toLocalDateString(new Date(2025, 5, 15, 0, 1))).toBe('2025-06-15');
+  });
+
+  test('moves by calendar days across month ends and DST changes', () => {
+    const lateNight = new Date(2025, 2, 8, 23, 30);
+
+    expect(toLocalDateString(lateNight, 1)).toBe('2025-03-09');
+    expect(toLocalDateString(lateNight, -8)).toBe('2025-02-28');
+    expect(toLocalDateString(new Date(2025, 10, 1, 0, 15), -1)).toBe('2025-10-31');
+    expect(toLocalDateString(new Date(2025, 9, 26, 0, 30), 1)).toBe('2025-10-27');
+  });
+});
@@ -0,0 +1,257 @@
+// stamp-extension/duplicate-detection.js
+
+/**
+ * Client-side duplicate detection over the documents from /api/finops/documents/detailed.
+ * Two documents are likely duplicates when they come from the same vendor (names are
+ * fuzzy-matched, e.g. "Acme, Inc." vs "ACME Inc") and either share an invoice number or
+ * have the same amount with issue dates a few days apart. Documents already marked
+ * `duplicate` are left out so resolved pairs stop being flagged.
+ */
+
+import { getDocumentFields } from './ap-dashboard.js';
+import { escapeHtml } from './safe-html.js';
+
+const DATE_WINDOW_DAYS = 3;
+const VENDOR_SIMILARITY_THRESHOLD = 0.85;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPANY_SUFFIXES = /\b(incorporated|inc|llc|ltd|limited|corp|corporation|co|company|gmbh|sa|sas|bv|plc|pty)\b/g;
+
+export const DUPLICATE_REASONS = {
+  same_invoice_number: 'Same vendor and invoice number',
+  same_amount_close_dates: `Same vendor and amount, issued within ${DATE_WINDOW_DAYS} days`
+};
+
+/**
+ * @param {Object} invoice - Document (or sidebar entity) with `document.details`
+ * @returns {string|null} The backend document id
+ */
+export function getDocumentId(invoice) {
+  return invoice?.document?.details?.id || invoice?.document?.id || null;
+}
+
+/**
+ * "INV-000123", "inv 123" and "INV123" all normalize to "INV123".
+ * @param {string} invoiceNumber
+ * @returns {string} Empty when there is no usable number
+ */
+export function normalizeInvoiceNumber(invoiceNumber) {
+  const value = String(invoiceNumber || '').toUpperCase();
+  if (!value || value === 'N/A') return '';
+  return value.replace(/[^A-Z0-9]/g, '').replace(/(^|[A-Z])0+(?=\d)/g, '$1');
+}
+
+/**
+ * Lowercases and strips punctuation and company suffixes ("Acme, Inc." → "acme").
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeVendorName(name) {
+  if (!name || name === 'N/A') return '';
+  return String(name).toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(COMPANY_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * @returns {number} 1 for identical strings, 0 for nothing in common (Levenshtein based)
+ */
+export function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Finds likely duplicate pairs.
+ * @param {Object[]} invoices - Documents from /api/finops/documents/detailed
+ * @param {Object} [options]
+ * @param {number} [options.dateWindowDays=3] - Maximum issue date gap for amount matches
+ * @returns {{pairs: Object[], matchesFor: Function}} `pairs` is [{ a, b, reason }];
+ *   `matchesFor(documentId)` lists [{ invoice, reason }] for the other side of each pair
+ */
+export function buildDuplicateIndex(invoices, { dateWindowDays = DATE_WINDOW_DAYS } = {}) {
+  const vendorGroups = new Map(); // normalized vendor name => [{ invoice, fields, number }]
+  (invoices || []).forEach(invoice => {
+    const fields = getDocumentFields(invoice);
+    const vendor = normalizeVendorName(fields.vendor);
+    if (!vendor || !getDocumentId(invoice) || isMarkedDuplicate(invoice, fields)) return;
+    if (!vendorGroups.has(vendor)) vendorGroups.set(vendor, []);
+    vendorGroups.get(vendor).push({ invoice, fields, number: normalizeInvoiceNumber(fields.invoiceNumber) });
+  });
+
+  const pairs = [];
+  const seen = new Set();
+  const addPair = (left, right, reason) => {
+    const ids = [getDocumentId(left.invoice), getDocumentId(right.invoice)].sort();
+    if (ids[0] === ids[1] || seen.has(ids.join('|'))) return;
+    seen.add(ids.join('|'));
+    pairs.push({ a: left.invoice, b: right.invoice, reason });
+  };
+
+  // Fuzzy vendor matching: merge groups whose normalized names are nearly identical
+  mergeSimilarGroups(vendorGroups).forEach(group => {
+    const byNumber = new Map();
+    const byAmount = new Map();
+    group.forEach(entry => {
+      if (entry.number) {
+        (byNumber.get(entry.number) || []).forEach(other => addPair(other, entry, 'same_invoice_number'));
+        byNumber.set(entry.number, [...(byNumber.get(entry.number) || []), entry]);
+      }
+      if (entry.fields.amount && entry.fields.issueDate) {
+        const amountKey = `${entry.fields.amount.toFixed(2)}|${entry.fields.currency}`;
+        (byAmount.get(amountKey) || [])
+          .filter(other => daysApart(other.fields.issueDate, entry.fields.issueDate) <= dateWindowDays)
+          .forEach(other => addPair(other, entry, 'same_amount_close_dates'));
+        byAmount.set(amountKey, [...(byAmount.get(amountKey) || []), entry]);
+      }
+    });
+  });
+
+  const matches = new Map();
+  const addMatch = (invoice, other, reason) => {
+    const id = getDocumentId(invoice);
+    matches.set(id, [...(matches.get(id) || []), { invoice: other, reason }]);
+  };
+  pairs.forEach(({ a, b, reason }) => {
+    addMatch(a, b, reason);
+    addMatch(b, a, reason);
+  });
+
+  console.log(`[DUPLICATES] Found ${pairs.length} likely duplicate pairs in ${(invoices || []).length} documents`);
+  return {
+    pairs,
+    matchesFor: (documentId) => matches.get(documentId) || []
+  };
+}
+
+/**
+ * Builds the side-by-side comparison shown in a modal.
+ * @param {Object} left - The document the user started from
+ * @param {Object} right - Its likely duplicate
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Key of DUPLICATE_REASONS
+ * @param {Function} [options.fetchPdf] - ({ threadId, documentName }) => Promise<Blob>
+ * @param {Function} [options.onMarkDuplicate] - Called with the document to mark; may return a promise
+ * @returns {HTMLElement}
+ */
+export function createDuplicateComparison(left, right, { reason, fetchPdf, onMarkDuplicate } = {}) {
+  const sides = [left, right].map(invoice => ({ invoice, fields: getDocumentFields(invoice), details: invoice.document?.details || {} }));
+  const rows = [
+    ['Invoice #', side => side.fields.invoiceNumber],
+    ['Vendor', side => side.fields.vendor],
+    ['Amount', side => side.fields.amount === null ? '' : `${side.fields.amount.toFixed(2)} ${side.fields.currency}`],
+    ['Issue date', side => side.fields.issueDate],
+    ['Due date', side => side.fields.dueDate],
+    ['Status', side => side.fields.status],
+    ['Description', side => side.details.description || ''],
+    ['Document', side => side.invoice.document?.document_name || '']
+  ];
+  const cellStyle = 'padding:6px 10px; border-bottom:1px solid #f1f3f4; vertical-align:top;';
+
+  const element = document.createElement('div');
+  element.className = 'stamp-duplicate-comparison';
+  element.style.cssText = 'width:min(960px, 90vw); font-family:-apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; font-size:13px; color:#3c4043;';
+  element.innerHTML = `
+    <div style="background:#fffbeb; border:1px solid #fde68a; color:#92400e; border-radius:6px; padding:8px 12px; margin-bottom:12px;">⚠️ ${escapeHtml(DUPLICATE_REASONS[reason] || 'Possible duplicate')}</div>
+    <table style="border-collapse:collapse; width:100%; table-layout:fixed;">
+      <thead><tr>
+        <th style="${cellStyle} width:120px;"></th>
+        <th style="${cellStyle} text-align:left;">This document</th>
+        <th style="${cellStyle} text-align:left;">Possible duplicate</th>
+      </tr></thead>
+      <tbody>
+        ${rows.map(([label, read]) => {
+          const [a, b] = sides.map(read);
+          const differs = String(a) !== String(b);
+          return `<tr>
+            <td style="${cellStyle} color:#5f6368;">${label}</td>
+            ${[a, b].map(value => `<td style="${cellStyle}${differs ? ' background:#fef2f2;' : ''}">${escapeHtml(value) || '—'}</td>`).join('')}
+          </tr>`;
+        }).join('')}
+        <tr>
+          <td style="${cellStyle}"></td>
+          ${sides.map((side, index) => `<td style="${cellStyle}">
+            <div class="stamp-duplicate-preview" data-side="${index}" style="height:320px; border:1px solid #e0e0e0; border-radius:6px; display:flex; align-items:center; justify-content:center; color:#5f6368; overflow:hidden;">No preview</div>
+            <button class="stamp-mark-duplicate" data-side="${index}" style="margin-top:8px; border:1px solid #607D8B; background:#fff; color:#37474f; border-radius:4px; padding:6px 12px; cursor:pointer; font-size:12px;">Mark this one as duplicate</button>
+          </td>`).join('')}
+        </tr>
+      </tbody>
+    </table>
+  `;
+
+  sides.forEach((side, index) => {
+    const preview = element.querySelector(`.stamp-duplicate-preview[data-side="${index}"]`);
+    const threadId = side.invoice.document?.thread_id;
+    const documentName = side.invoice.document?.document_name;
+    if (!fetchPdf || !threadId || !documentName) return;
+
+    preview.textContent = 'Loading preview…';
+    fetchPdf({ threadId, documentName })
+      .then(blob => {
+        const url = URL.createObjectURL(blob);
+        preview.innerHTML = '';
+        const frame = document.createElement('iframe');
+        frame.src = `${url}#toolbar=0&navpanes=0`;
+        frame.style.cssText = 'width:100%; height:100%; border:0;';
+        preview.appendChild(frame);
+      })
+      .catch(error => {
+        console.error('[DUPLICATES] Failed to load preview:', error);
+        preview.textContent = 'Preview unavailable';
+      });
+  });
+
+  element.querySelectorAll('.stamp-mark-duplicate').forEach(button => {
+    button.addEventListener('click', async () => {
+      if (!onMarkDuplicate) return;
+      const side = sides[parseInt(button.getAttribute('data-side'))];
+      element.querySelectorAll('.stamp-mark-duplicate').forEach(other => { other.disabled = true; });
+      try {
+        await onMarkDuplicate(side.invoice);
+        button.textContent = '✓ Marked as duplicate';
+      } catch (error) {
+        console.error('[DUPLICATES] ❌ Failed to mark as duplicate:', error);
+        element.querySelectorAll('.stamp-mark-duplicate').forEach(other => { other.disabled = false; });
+      }
+    });
+  });
+
+  return element;
+}
+
+function isMarkedDuplicate(invoice, fields) {
+  // Local edits are written to the top level of the invoice before the backend catches up
+  return fields.status === 'duplicate' || String(invoice.status || '').toLowerCase() === 'duplicate';
+}
+
+function mergeSimilarGroups(vendorGroups) {
+  const names = Array.from(vendorGroups.keys());
+  const merged = [];
+  const used = new Set();
+  names.forEach((name, index) => {
+    if (used.has(name)) return;
+    const group = [...vendorGroups.get(name)];
+    names.slice(index + 1).forEach(other => {
+      if (!used.has(other) && similarity(name, other) >= VENDOR_SIMILARITY_THRESHOLD) {
+        used.add(other);
+        group.push(...vendorGroups.get(other));
+      }
+    });
+    merged.push(group);
+  });
+  return merged;
+}
+
+function daysApart(a, b) {
+  return Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / DAY_MS;
+}
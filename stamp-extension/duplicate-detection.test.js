@@ -0,0 +1,58 @@
+// Unit tests for duplicate matching in duplicate-detection.js
+import { buildDuplicateIndex, normalizeInvoiceNumber, normalizeVendorName } from './duplicate-detection.js';
+
+const doc = (id, details, extra = {}) => ({ document: { details: { id, ...details } }, ...extra });
+
+describe('duplicate matching', () => {
+  test('normalizes invoice numbers and vendor names', () => {
+    expect(normalizeInvoiceNumber('INV-000123')).toBe('INV123');
+    expect(normalizeInvoiceNumber('inv 123')).toBe('INV123');
+    expect(normalizeInvoiceNumber('N/A')).toBe('');
+    expect(normalizeVendorName('Acme, Inc.')).toBe('acme');
+    expect(normalizeVendorName('ACME Corporation')).toBe('acme');
+  });
+
+  test('flags the same invoice number from fuzzily matching vendors', () => {
+    const index = buildDuplicateIndex([
+      doc('a', { invoiceNumber: 'INV-0042', vendor: { name: 'Globex Industries LLC' }, amount: 100 }),
+      doc('b', { invoiceNumber: 'inv 42', vendor: { name: 'Globex Industires' }, amount: 120 }),
+      doc('c', { invoiceNumber: 'INV-0042', vendor: { name: 'Initech' }, amount: 100 }),
+    ]);
+
+    expect(index.pairs).toHaveLength(1);
+    expect(index.matchesFor('a')).toEqual([{ invoice: expect.objectContaining({ document: expect.anything() }), reason: 'same_invoice_number' }]);
+    expect(getIds(index.matchesFor('b'))).toEqual(['a']);
+    expect(index.matchesFor('c')).toEqual([]);
+  });
+
+  test('flags the same amount only when issue dates are close', () => {
+    const index = buildDuplicateIndex([
+      doc('a', { vendor: { name: 'Acme' }, amount: 250, currency: 'USD', issueDate: '2025-06-01' }),
+      doc('b', { vendor: { name: 'Acme Inc' }, amount: '250.00', currency: 'USD', issueDate: '2025-06-03' }),
+      doc('c', { vendor: { name: 'Acme' }, amount: 250, currency: 'USD', issueDate: '2025-06-20' }),
+      doc('d', { vendor: { name: 'Acme' }, amount: 250, currency: 'EUR', issueDate: '2025-06-02' }),
+    ]);
+
+    expect(index.pairs.map(pair => [pair.a, pair.b].map(getId).sort())).toEqual([['a', 'b']]);
+    expect(index.pairs[0].reason).toBe('same_amount_close_dates');
+  });
+
+  test('skips documents already marked as duplicate', () => {
+    const invoices = [
+      doc('a', { invoiceNumber: '7', vendor: { name: 'Acme' } }),
+      doc('b', { invoiceNumber: '7', vendor: { name: 'Acme' }, status: 'Duplicate' }),
+      doc('c', { invoiceNumber: '8', vendor: { name: 'Acme' } }),
+      doc('d', { invoiceNumber: '8', vendor: { name: 'Acme' } }, { status: 'duplicate' }),
+    ];
+
+    expect(buildDuplicateIndex(invoices).pairs).toEqual([]);
+  });
+});
+
+function getId(invoice) {
+  return invoice.document.details.id;
+}
+
+function getIds(matches) {
+  return matches.map(match => getId(match.invoice));
+}
@@ -0,0 +1,207 @@
+// stamp-extension/edit-history.js
+/* global chrome */
+import { getCurrentAccount, normalizeAccountEmail } from './accounts.js';
+
+/**
+ * Per-cell audit trail for invoice tracker edits.
+ * Every edit, undo and redo is recorded against `${documentId}|${fieldName}` together with
+ * the actor and timestamp, and the first value we ever saw for a cell is kept as the
+ * original AI-extracted value so corrections can always be compared against it.
+ * Each cell is stored under its own key, and writes re-read the cell and append to it one at a
+ * time, so the tracker and the sidebar actions (each with its own EditHistory) never drop each
+ * other's entries. Keys are scoped to the Gmail account the edits were made in
+ * (`stampEditAudit:<email>:<documentId>|<fieldName>`), and each account keeps an index of its
+ * edited cells so loading the whole trail never scans the rest of storage (thread caches).
+ */
+
+const AUDIT_KEY_PREFIX = 'stampEditAudit:';
+const AUDIT_INDEX_KEY_PREFIX = 'stampEditAuditIndex:';
+// The single object every cell used to be stored in
+const LEGACY_AUDIT_STORAGE_KEY = 'stampEditAuditTrail';
+const MAX_ENTRIES_PER_CELL = 50;
+
+// Shared by every EditHistory in the page, so read-merge-write cycles never interleave
+let writeChain = Promise.resolve();
+
+export class EditHistory {
+  constructor() {
+    this.trail = {}; // key: `${documentId}|${fieldName}` => { originalValue, entries: [] }
+    this.actor = null;
+    this.account = null;
+    this.loaded = false;
+    this._unsaved = new Map(); // key => entries recorded here but not written yet
+  }
+
+  /**
+   * Loads the persisted audit trail and the current user's email (used as the actor).
+   * @param {Object} [options]
+   * @param {Array<[string, string]>} [options.cells] - Only these [documentId, fieldName] cells;
+   *   every cell by default
+   * @returns {Promise<void>}
+   */
+  async load({ cells = null } = {}) {
+    try {
+      this.account = getCurrentAccount();
+      this.actor = this.account;
+      await migrateLegacyTrail(this.account);
+      const prefix = keyPrefix(this.account);
+      const cellKeys = cells
+        ? cells.map(([documentId, fieldName]) => EditHistory.cellKey(documentId, fieldName))
+        : await loadCellIndex(this.account);
+      const result = cellKeys.length ? await chrome.storage.local.get(cellKeys.map(key => `${prefix}${key}`)) : {};
+      this.trail = {};
+      Object.entries(result || {}).forEach(([key, cell]) => {
+        if (key.startsWith(prefix) && cell) this.trail[key.slice(prefix.length)] = cell;
+      });
+      this.loaded = true;
+      console.log(`[HISTORY] Loaded audit trail for ${Object.keys(this.trail).length} cells`);
+    } catch (error) {
+      console.error('[HISTORY] Failed to load audit trail:', error);
+      this.trail = {};
+    }
+  }
+
+  /**
+   * Records a change to a single cell.
+   * @param {object} change
+   * @param {string} change.documentId - The backend document ID.
+   * @param {string} change.fieldName - The field that changed (e.g. 'vendor.name').
+   * @param {*} change.previousValue - The value before the change.
+   * @param {*} change.newValue - The value after the change.
+   * @param {string} [change.action='edit'] - One of 'edit', 'undo', 'redo', 'refused' (put back
+   *   after the backend refused the edit) or 'unsaved' (put back after it could not be queued).
+   * @returns {object} The recorded entry, including the original value for the cell.
+   */
+  record({ documentId, fieldName, previousValue, newValue, action = 'edit' }) {
+    const key = EditHistory.cellKey(documentId, fieldName);
+    if (!this.trail[key]) {
+      // First time this cell is touched: the previous value is what the AI extracted
+      this.trail[key] = { originalValue: normalizeValue(previousValue), entries: [] };
+    }
+
+    const entry = {
+      action,
+      actor: this.actor,
+      timestamp: new Date().toISOString(),
+      previousValue: normalizeValue(previousValue),
+      newValue: normalizeValue(newValue)
+    };
+
+    const cell = this.trail[key];
+    cell.entries.push(entry);
+    if (cell.entries.length > MAX_ENTRIES_PER_CELL) {
+      cell.entries.splice(0, cell.entries.length - MAX_ENTRIES_PER_CELL);
+    }
+
+    console.log(`[HISTORY] ${action} ${key}: "${entry.previousValue}" → "${entry.newValue}"`);
+    this._unsaved.set(key, [...(this._unsaved.get(key) || []), entry]);
+    this._persist(key);
+
+    return { ...entry, originalValue: cell.originalValue };
+  }
+
+  /**
+   * Returns the recorded history for a cell, oldest first.
+   * @param {string} documentId - The backend document ID.
+   * @param {string} fieldName - The field name.
+   * @returns {{originalValue: *, entries: object[]}|null}
+   */
+  getCellHistory(documentId, fieldName) {
+    return this.trail[EditHistory.cellKey(documentId, fieldName)] || null;
+  }
+
+  /**
+   * Returns the original AI-extracted value for a cell, if the cell has ever been edited.
+   * @param {string} documentId - The backend document ID.
+   * @param {string} fieldName - The field name.
+   * @returns {*} The original value, or undefined if the cell has no history.
+   */
+  getOriginalValue(documentId, fieldName) {
+    return this.getCellHistory(documentId, fieldName)?.originalValue;
+  }
+
+  static cellKey(documentId, fieldName) {
+    return `${documentId}|${fieldName}`;
+  }
+
+  /**
+   * @returns {Promise<void>} Resolves once every recorded entry is written
+   */
+  saved() {
+    return writeChain;
+  }
+
+  _persist(key) {
+    writeChain = writeChain.then(async () => {
+      const entries = this._unsaved.get(key);
+      if (!entries) return;
+      this._unsaved.delete(key);
+      const cellStorageKey = `${keyPrefix(this.account)}${key}`;
+      try {
+        // Another EditHistory may have written this cell since it was loaded here
+        const stored = (await chrome.storage.local.get([cellStorageKey]))[cellStorageKey];
+        const cell = {
+          originalValue: stored ? stored.originalValue : this.trail[key].originalValue,
+          entries: [...(stored?.entries || []), ...entries].slice(-MAX_ENTRIES_PER_CELL)
+        };
+        this.trail[key] = cell;
+        await chrome.storage.local.set({ [cellStorageKey]: cell });
+        if (!stored) await addToCellIndex(this.account, [key]);
+      } catch (error) {
+        console.error('[HISTORY] Failed to persist audit trail:', error);
+      }
+    });
+    return writeChain;
+  }
+}
+
+function keyPrefix(account) {
+  return `${AUDIT_KEY_PREFIX}${account || ''}:`;
+}
+
+function indexKey(account) {
+  return `${AUDIT_INDEX_KEY_PREFIX}${account || ''}`;
+}
+
+// Cells written before the index existed are found by one scan of storage, the first time
+async function loadCellIndex(account) {
+  const key = indexKey(account);
+  const index = (await chrome.storage.local.get([key]))?.[key];
+  if (Array.isArray(index)) return index;
+
+  const prefix = keyPrefix(account);
+  const cellKeys = Object.keys((await chrome.storage.local.get(null)) || {})
+    .filter(storageKey => storageKey.startsWith(prefix))
+    .map(storageKey => storageKey.slice(prefix.length));
+  await chrome.storage.local.set({ [key]: cellKeys });
+  return cellKeys;
+}
+
+async function addToCellIndex(account, cellKeys) {
+  const index = await loadCellIndex(account);
+  const added = cellKeys.filter(key => !index.includes(key));
+  if (added.length) await chrome.storage.local.set({ [indexKey(account)]: [...index, ...added] });
+}
+
+// Each cell of the old trail goes to the account that edited it, as recorded in its entries
+async function migrateLegacyTrail(currentAccount) {
+  const result = await chrome.storage.local.get([LEGACY_AUDIT_STORAGE_KEY]);
+  const trail = result?.[LEGACY_AUDIT_STORAGE_KEY];
+  if (!trail) return;
+  const byAccount = new Map();
+  Object.keys(trail).forEach(key => {
+    const editor = normalizeAccountEmail((trail[key]?.entries || []).find(entry => entry.actor)?.actor) || currentAccount;
+    byAccount.set(editor, [...(byAccount.get(editor) || []), key]);
+  });
+  await chrome.storage.local.set(Object.fromEntries([...byAccount].flatMap(([account, keys]) =>
+    keys.map(key => [`${keyPrefix(account)}${key}`, trail[key]]))));
+  for (const [account, keys] of byAccount) {
+    await addToCellIndex(account, keys);
+  }
+  await chrome.storage.local.remove([LEGACY_AUDIT_STORAGE_KEY]);
+  console.log(`[HISTORY] Moved ${Object.keys(trail).length} cells to per-cell keys`);
+}
+
+function normalizeValue(value) {
+  return value === undefined || value === null ? '' : value;
+}
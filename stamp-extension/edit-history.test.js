@@ -0,0 +1,114 @@
+// Unit tests for EditHistory in edit-history.js
+import { EditHistory } from './edit-history.js';
+import { setCurrentAccount } from './accounts.js';
+import { installFakeChromeStorage } from './fake-chrome-storage.js';
+
+describe('EditHistory', () => {
+  let store;
+
+  beforeEach(() => {
+    store = installFakeChromeStorage().local.items;
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    setCurrentAccount('ap@example.com');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('keeps the first previous value as the original across edits', async () => {
+    const history = new EditHistory();
+    await history.load();
+
+    history.record({ documentId: 'doc_1', fieldName: 'amount', previousValue: 100, newValue: 120 });
+    const entry = history.record({ documentId: 'doc_1', fieldName: 'amount', previousValue: 120, newValue: 125 });
+
+    expect(entry.originalValue).toBe(100);
+    expect(entry.previousValue).toBe(120);
+    expect(entry.actor).toBe('ap@example.com');
+    expect(history.getOriginalValue('doc_1', 'amount')).toBe(100);
+  });
+
+  test('records undo entries and persists each cell under its own key', async () => {
+    const history = new EditHistory();
+    await history.load();
+
+    history.record({ documentId: 'doc_1', fieldName: 'vendor.name', previousValue: 'Acme', newValue: 'ACME Corp' });
+    history.record({ documentId: 'doc_1', fieldName: 'vendor.name', previousValue: 'ACME Corp', newValue: 'Acme', action: 'undo' });
+    await history.saved();
+
+    const cellHistory = history.getCellHistory('doc_1', 'vendor.name');
+    expect(cellHistory.entries.map(e => e.action)).toEqual(['edit', 'undo']);
+    expect(Object.keys(store).sort()).toEqual(['stampEditAudit:ap@example.com:doc_1|vendor.name', 'stampEditAuditIndex:ap@example.com']);
+    expect(store['stampEditAuditIndex:ap@example.com']).toEqual(['doc_1|vendor.name']);
+    expect(store['stampEditAudit:ap@example.com:doc_1|vendor.name']).toEqual(cellHistory);
+  });
+
+  test('two histories writing the same cell keep both entries and the first original value', async () => {
+    const tracker = new EditHistory();
+    await tracker.load();
+    const sidebar = new EditHistory();
+    await sidebar.load({ cells: [['doc_1', 'status']] });
+
+    tracker.record({ documentId: 'doc_1', fieldName: 'status', previousValue: 'pending', newValue: 'approved' });
+    sidebar.record({ documentId: 'doc_1', fieldName: 'status', previousValue: 'approved', newValue: 'paid' });
+    await sidebar.saved();
+
+    const stored = store['stampEditAudit:ap@example.com:doc_1|status'];
+    expect(stored.originalValue).toBe('pending');
+    expect(stored.entries.map(e => e.newValue)).toEqual(['approved', 'paid']);
+  });
+
+  test('moves the old single-object trail to per-cell keys of the account that edited each cell', async () => {
+    store.stampEditAuditTrail = {
+      'doc_1|amount': { originalValue: 100, entries: [] },
+      'doc_2|amount': { originalValue: 5, entries: [{ action: 'edit', actor: 'Me@Home.com' }] },
+    };
+
+    const history = new EditHistory();
+    await history.load();
+
+    expect(history.getOriginalValue('doc_1', 'amount')).toBe(100);
+    expect(history.getCellHistory('doc_2', 'amount')).toBeNull();
+    expect(Object.keys(store).filter(key => !key.startsWith('stampEditAuditIndex:')).sort()).toEqual(['stampEditAudit:ap@example.com:doc_1|amount', 'stampEditAudit:me@home.com:doc_2|amount']);
+    expect(store['stampEditAuditIndex:me@home.com']).toEqual(['doc_2|amount']);
+  });
+
+  test('loads the whole trail from the index of edited cells without scanning storage', async () => {
+    store['stampThread:ap@example.com:t1'] = { data: 'x'.repeat(1000) };
+    // Written before the index existed; found by a single scan
+    store['stampEditAudit:ap@example.com:doc_1|amount'] = { originalValue: 100, entries: [] };
+    const first = new EditHistory();
+    await first.load();
+    first.record({ documentId: 'doc_2', fieldName: 'status', previousValue: 'pending', newValue: 'paid' });
+    await first.saved();
+    global.chrome.storage.local.get.mockClear();
+
+    const history = new EditHistory();
+    await history.load();
+
+    expect(global.chrome.storage.local.get).not.toHaveBeenCalledWith(null);
+    expect(history.getOriginalValue('doc_1', 'amount')).toBe(100);
+    expect(history.getOriginalValue('doc_2', 'status')).toBe('pending');
+  });
+
+  test('keeps each account\'s audit trail apart', async () => {
+    const work = new EditHistory();
+    await work.load();
+    work.record({ documentId: 'doc_1', fieldName: 'status', previousValue: 'pending', newValue: 'approved' });
+    await work.saved();
+
+    setCurrentAccount('me@home.com');
+    const home = new EditHistory();
+    await home.load();
+
+    expect(home.getCellHistory('doc_1', 'status')).toBeNull();
+    expect(home.actor).toBe('me@home.com');
+  });
+
+  test('returns null for cells that were never edited', async () => {
+    const history = new EditHistory();
+    await history.load();
+
+    expect(history.getCellHistory('doc_2', 'status')).toBeNull();
+    expect(history.getOriginalValue('doc_2', 'status')).toBeUndefined();
+  });
+});
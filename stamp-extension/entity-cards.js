@@ -0,0 +1,219 @@
+// stamp-extension/entity-cards.js
+
+/**
+ * The document cards in the thread sidebar and the details view behind them. Everything on a
+ * card comes from the processed email (vendor names, filenames, invoice fields), so it is all
+ * rendered through the `html` template from safe-html.js.
+ */
+
+import { gmailThreadUrl, html, rawHtml } from './safe-html.js';
+
+const DEFAULT_STATUS_COLORS = { backgroundColor: '#E0E0E0', textColor: '#000000', description: '' };
+
+// Falls back to the plain number when the currency isn't an ISO 4217 code
+function formatCurrency(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount);
+  } catch (error) {
+    return `${Number(amount) || 0} ${currency}`;
+  }
+}
+
+const fieldLabel = (key) => key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+/**
+ * Creates the HTML for a single entity card.
+ * @param {object} cardData - A simplified entity object from transformProcessedEntitiesForSidebar.
+ * @param {string} threadId - The current Gmail thread ID for link generation.
+ * @param {object} options
+ * @param {string} options.accountPath - Gmail account path, e.g. '/u/0'
+ * @param {object} options.statusColors - Status => { backgroundColor, textColor, description }
+ * @returns {string} The HTML string for the card.
+ */
+export function createEntityCard(cardData, threadId, { accountPath, statusColors }) {
+  const statusConfig = cardData.status
+    ? (Object.prototype.hasOwnProperty.call(statusColors, cardData.status) ? statusColors[cardData.status] : DEFAULT_STATUS_COLORS)
+    : null;
+  const amountFormatted = cardData.hasDetails ? formatCurrency(cardData.amount, cardData.currency) : null;
+
+  // Card is only clickable if it has details
+  const isClickable = cardData.hasDetails;
+  const cursorStyle = isClickable ? 'cursor: pointer;' : 'cursor: default;';
+  const cardClass = isClickable ? 'entity-card' : 'entity-card non-clickable';
+  const cardId = `${cardData.cardType}-${cardData.messageId || 'unknown'}`;
+
+  // Title can be a link if a messageId is available
+  const messageLink = cardData.messageId && threadId ? gmailThreadUrl(accountPath, threadId, cardData.messageId) : null;
+  const titleHtml = messageLink
+    ? html`<a href="${messageLink}" target="_blank" style="text-decoration: none; color: #1a73e8;" onclick="event.stopPropagation();">${cardData.title}</a>`
+    : cardData.title;
+
+  // Build compact subline
+  const sublineHtml = isClickable && (cardData.vendor || amountFormatted)
+    ? html`<div style="margin-top:4px; font-size:12px; color:#64748b; display:flex; align-items:center; gap:8px; flex-wrap:wrap;">
+         ${cardData.vendor ? html`<span style="white-space:nowrap;">${cardData.vendor}</span>` : ''}
+         ${(cardData.vendor && amountFormatted) ? html`<span aria-hidden="true" style="color:#cbd5e1;">•</span>` : ''}
+         ${amountFormatted ? html`<span style="white-space:nowrap;">${amountFormatted}</span>` : ''}
+       </div>`
+    : '';
+
+  // The full entity rides along on the card for the details view; escaped, it can't leave the attribute
+  return html`
+    <div class="${cardClass}"
+         data-card-id="${cardId}"
+         data-thread-id="${threadId || ''}"
+         ${isClickable ? html`data-full-details="${JSON.stringify(cardData.fullDetails)}"` : ''}
+         style="
+           background: white;
+           border: 1px solid #e5e0e0;
+           border-radius: 12px;
+           margin-bottom: 12px;
+           padding: 12px 14px;
+           ${cursorStyle}
+           transition: all 0.2s;
+         ">
+      <div class="card-header" style="display: flex; justify-content: space-between; align-items: center;">
+        <div style="display:flex; flex-direction:column; min-width:0;">
+          <h4 style="margin: 0; font-size: 14px; font-weight: 600; display: flex; align-items: center; gap: 8px; color:#1f2937;">
+            <span style="font-size: 18px;">${cardData.icon}</span>
+            <span style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${titleHtml}</span>
+          </h4>
+          ${sublineHtml}
+        </div>
+        ${rawHtml(renderDuplicateBadge(cardData))}
+        ${statusConfig ? html`
+        <span class="status-tag" title="${statusConfig.description || ''}" style="display:inline-flex; align-items:center; gap:6px; background-color: ${statusConfig.backgroundColor}; color: ${statusConfig.textColor}; padding: 4px 8px; border-radius: 999px; font-size: 11px; font-weight: 700; text-transform: capitalize; white-space:nowrap;">
+          <span style="display:inline-block; width:8px; height:8px; border-radius:50%; background:${statusConfig.textColor === '#000000' ? '#111827' : '#ffffff'}; opacity:0.6;"></span>
+          ${String(cardData.status).replace(/_/g, ' ')}
+        </span>
+        ` : ''}
+      </div>
+    </div>
+  `.toString();
+}
+
+/**
+ * Creates the warning badge shown on entity cards with likely duplicates, or a note that the
+ * check could not see every document.
+ * @param {object} cardData - Card data; `duplicates` and `duplicateCheckIncomplete` are filled in
+ *   by UIManager.decorateDuplicates.
+ * @returns {string} The badge HTML, or an empty string.
+ */
+export function renderDuplicateBadge(cardData) {
+  const count = cardData.duplicates?.length || 0;
+  if (!count && cardData.duplicateCheckIncomplete) {
+    return html`
+      <span class="stamp-duplicate-check-incomplete" title="Some documents could not be loaded, so a duplicate of this one may not be shown" style="border: 1px solid #e5e7eb; background: #f9fafb; color: #5f6368; border-radius: 999px; padding: 3px 8px; font-size: 11px; font-weight: 600; white-space: nowrap; margin-right: 6px;">
+        ⚠️ Duplicate check incomplete
+      </span>
+    `.toString();
+  }
+  if (!count) return '';
+  return html`
+    <button class="stamp-duplicate-badge" data-card-id="${cardData.cardType}-${cardData.messageId || 'unknown'}" title="Compare with the possible duplicate" style="border: 1px solid #fde68a; background: #fffbeb; color: #92400e; border-radius: 999px; padding: 3px 8px; font-size: 11px; font-weight: 600; cursor: pointer; white-space: nowrap; margin-right: 6px;">
+      ⚠️ ${count === 1 ? 'Possible duplicate' : `${count} possible duplicates`}
+    </button>
+  `.toString();
+}
+
+/**
+ * Creates the body of the "store in Google Drive" confirmation modal.
+ * @param {object} cardData - The card being stored.
+ * @param {string} description - The storage rule's natural language description (from the backend).
+ * @returns {string} The HTML string for the modal body.
+ */
+export function createStorageConfirmationContent(cardData, description) {
+  return html`
+    <div style="text-align: center; margin-bottom: 20px;">
+      <div style="font-size: 48px; margin-bottom: 16px;">${cardData.icon || '📄'}</div>
+      <div style="color: #1f2937; font-size: 16px; line-height: 1.5; margin-bottom: 20px;">${description}</div>
+    </div>
+  `.toString();
+}
+
+const detailField = (label, value, valueStyle = 'font-weight: 500; font-size: 14px;') => html`
+  <div style="margin-bottom: 12px;">
+    <strong style="color: #5f6368; font-size: 12px; display: block;">${label}</strong>
+    <div style="${valueStyle}">${value}</div>
+  </div>
+`;
+
+/**
+ * Creates the HTML content for the detailed view in the sidebar.
+ * @param {object} details - The full entity object to display.
+ * @returns {string} The HTML string for the detailed view.
+ */
+export function createDetailsSidebarContent(details) {
+  const doc = details.document || {};
+  const docDetails = doc.details || {};
+  const currency = docDetails.currency || 'USD';
+  const fields = [];
+
+  // Add all available fields from docDetails (excluding complex objects)
+  for (const [key, value] of Object.entries(docDetails)) {
+    if (value !== null && value !== undefined && typeof value !== 'object') {
+      let displayValue = value;
+
+      // Format special fields
+      if (key === 'amount' && docDetails.currency) {
+        displayValue = formatCurrency(value, docDetails.currency);
+      } else if (key.includes('date') || key.includes('Date')) {
+        const date = new Date(value);
+        if (!Number.isNaN(date.getTime())) displayValue = date.toLocaleDateString();
+      }
+      fields.push(detailField(fieldLabel(key), displayValue));
+    }
+  }
+
+  // Handle vendor object separately
+  if (docDetails.vendor && typeof docDetails.vendor === 'object') {
+    fields.push(detailField('Vendor Name', docDetails.vendor.name || 'N/A'));
+    if (docDetails.vendor.email) fields.push(detailField('Vendor Email', docDetails.vendor.email));
+  }
+
+  // Handle line items array separately
+  if (Array.isArray(docDetails.lineItems) && docDetails.lineItems.length > 0) {
+    fields.push(html`
+      <div style="margin-bottom: 12px;">
+        <strong style="color: #5f6368; font-size: 12px; display: block;">Line Items</strong>
+        <div style="margin-top: 8px;">
+          ${docDetails.lineItems.map(item => html`
+            <div style="background: #f8f9fa; border: 1px solid #e0e0e0; border-radius: 4px; padding: 8px; margin-bottom: 4px;">
+              <div style="font-weight: 500; font-size: 13px;">${item.description || 'No description'}</div>
+              <div style="font-size: 12px; color: #666;">
+                Quantity: ${item.quantity || 'N/A'} |
+                Unit Price: ${item.unitPrice ? formatCurrency(item.unitPrice, currency) : 'N/A'} |
+                Amount: ${item.amount ? formatCurrency(item.amount, currency) : 'N/A'}
+              </div>
+              ${item.sku ? html`<div style="font-size: 11px; color: #999;">SKU: ${item.sku}</div>` : ''}
+            </div>
+          `)}
+        </div>
+      </div>
+    `);
+  }
+
+  // Add document-level fields
+  if (doc.final_status) fields.push(detailField('Status', doc.final_status, 'font-weight: 500; font-size: 14px; text-transform: capitalize;'));
+  if (doc.document_name) fields.push(detailField('Document Name', doc.document_name));
+  if (doc.message_id) fields.push(detailField('Message ID', doc.message_id, 'font-family: monospace; font-size: 12px; color: #666;'));
+  if (doc.first_message_id && doc.first_message_id !== doc.message_id) {
+    fields.push(detailField('First Message ID', doc.first_message_id, 'font-family: monospace; font-size: 12px; color: #666;'));
+  }
+
+  return html`
+    <div style="padding: 16px;">
+      <div style="margin-bottom: 16px;">
+        <button id="back-to-cards" style="background: #f1f3f4; border: none; padding: 8px 12px; border-radius: 4px; cursor: pointer; font-size: 13px; color: #5f6368;">
+          ← Back to Documents
+        </button>
+      </div>
+
+      <h3 style="margin: 0 0 16px 0; color: #202124; font-size: 18px;">Document Details</h3>
+
+      <div style="background: white; border: 1px solid #e0e0e0; border-radius: 8px; padding: 16px;">
+        ${fields}
+      </div>
+    </div>
+  `.toString();
+}
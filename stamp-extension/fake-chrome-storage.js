@@ -0,0 +1,49 @@
+// stamp-extension/fake-chrome-storage.js
+/* global jest */
+
+/**
+ * An in-memory chrome.storage for the unit tests. Each area keeps its values in `items`, which
+ * tests read and seed directly, and its methods are jest mocks so tests can assert on the reads
+ * and writes a module makes or make one of them fail.
+ */
+
+/**
+ * @param {Object} [initial] - Values the area starts with
+ * @returns {{items: Object, get: Function, set: Function, remove: Function}} A chrome.storage area
+ */
+export function createFakeStorageArea(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    // Like Chrome, null reads everything and keys without a value are left out
+    get: jest.fn(async (keys) => {
+      if (keys === null) return { ...items };
+      return Object.fromEntries([].concat(keys).filter(key => key in items).map(key => [key, items[key]]));
+    }),
+    set: jest.fn(async (values) => { Object.assign(items, values); }),
+    remove: jest.fn(async (keys) => { [].concat(keys).forEach(key => { delete items[key]; }); })
+  };
+}
+
+/**
+ * Replaces global.chrome with one whose storage is in memory. `onChanged` only collects
+ * listeners; tests call them with the changes they want to announce.
+ * @param {Object} [initial]
+ * @param {Object} [initial.local] - Values chrome.storage.local starts with
+ * @param {Object} [initial.sync] - Values chrome.storage.sync starts with
+ * @returns {{local: Object, sync: Object, onChanged: Object}} The fake chrome.storage
+ */
+export function installFakeChromeStorage({ local = {}, sync = {} } = {}) {
+  const listeners = [];
+  const storage = {
+    local: createFakeStorageArea(local),
+    sync: createFakeStorageArea(sync),
+    onChanged: {
+      listeners,
+      addListener: (listener) => listeners.push(listener),
+      removeListener: (listener) => listeners.splice(listeners.indexOf(listener), 1)
+    }
+  };
+  global.chrome = { storage };
+  return storage;
+}
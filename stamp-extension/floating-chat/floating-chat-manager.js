@@ -50,15 +50,13 @@ class FloatingChatManager {
   }
 
   setupAuthListener() {
-    // Listen for auth state changes
-    chrome.storage.onChanged.addListener((changes, namespace) => {
-      if (namespace === 'local' && changes.installationId) {
-        const newValue = changes.installationId.newValue;
-        if (newValue && !this.isEnabled) {
-          this.enableFloatingChat();
-        } else if (!newValue && this.isEnabled) {
-          this.disableFloatingChat();
-        }
+    // Listen for auth state changes of this tab's Gmail account
+    this.uiManager.authService.onAuthStateChanged(async () => {
+      const authState = await this.uiManager.authService.getAuthState();
+      if (authState.isLoggedIn && !this.isEnabled) {
+        this.enableFloatingChat();
+      } else if (!authState.isLoggedIn && this.isEnabled) {
+        this.disableFloatingChat();
       }
     });
   }
@@ -86,7 +84,8 @@ class FloatingChatManager {
       // Step 1: Create an instance of our chat UI builder.
       this.chatUI = new FloatingChat(
         this.uiManager.apiClient,
-        this.uiManager.authService
+        this.uiManager.authService,
+        this.uiManager
       );
 
       // Step 2: Render the chat UI to get the complete HTML element.
@@ -107,17 +106,7 @@ class FloatingChatManager {
       this.isEnabled = true;
       
       console.log('[FLOATING CHAT MANAGER] MoleView created successfully.');
-      
-      // Add a welcome message after a short delay.
-      setTimeout(() => {
-        if (this.chatUI) {
-          console.log('[FLOATING CHAT MANAGER] Adding welcome message...');
-          this.chatUI.addMessage(
-            "Hello! I'm Stamp, your AI assistant. How can I help?",
-            'assistant'
-          );
-        }
-      }, 500);
+      // The chat UI shows its last conversation, or a welcome message, by itself.
       
     } catch (error) {
       console.error('[FLOATING CHAT MANAGER] Failed to enable floating chat:', error);
@@ -1,10 +1,15 @@
 class FloatingChat {
-  constructor(apiClient, authService) {
+  constructor(apiClient, authService, uiManager = null) {
     console.log('[FLOATING CHAT UI] Constructor called');
     
     this.apiClient = apiClient;
     this.authService = authService;
+    // Provides the shared chat engine (so conversations continue between this chat and the
+    // sidebar), the open thread as chat context, @-mentions and the "Draft reply" action
+    this.uiManager = uiManager;
+    this.chat = null;
     this.messages = [];
+    this.messageElements = new Map(); // chat engine message id => element
     this.isTyping = false;
     
     // This class now acts as a UI builder.
@@ -17,6 +22,10 @@ class FloatingChat {
     this.container = document.createElement('div');
     this.container.className = 'stamp-chat-mole-content';
     
+    // Conversation title, New and History, above the messages
+    this.historyBar = document.createElement('div');
+    this.historyBar.className = 'floating-chat-history';
+
     // Create messages container
     this.messagesContainer = document.createElement('div');
     this.messagesContainer.className = 'floating-chat-messages';
@@ -32,10 +41,32 @@ class FloatingChat {
     
     this.inputContainer.appendChild(this.input);
 
+    // Context chips and @-mention suggestions, above the input
+    this.contextBar = document.createElement('div');
+    this.contextBar.className = 'floating-chat-context';
+
     // Assemble the component
+    this.container.appendChild(this.historyBar);
     this.container.appendChild(this.messagesContainer);
+    this.container.appendChild(this.contextBar);
     this.container.appendChild(this.inputContainer);
 
+    if (this.uiManager) {
+      this.chat = this.uiManager.attachChat({
+        surface: 'floating',
+        historyContainer: this.historyBar,
+        input: this.input,
+        contextContainer: this.contextBar,
+        renderer: {
+          reset: (messages) => this.resetMessages(messages),
+          update: (message, state) => this.renderMessage(message, state),
+          remove: (message) => this.removeMessage(message)
+        }
+      });
+    } else {
+      this.resetMessages([]);
+    }
+
     // Set up event listeners now that elements are created
     this.setupEventListeners();
 
@@ -60,13 +91,20 @@ class FloatingChat {
   // REMOVED: toggleMinimize, toggleMaximize, minimize, expand, collapse
   // The MoleView handles all of this UI logic natively.
 
+  formatMessage(content) {
+    // Markdown through the UI manager; otherwise plain text with line breaks
+    if (this.uiManager) {
+      return this.uiManager.renderChatMarkdown(content);
+    }
+    const textDiv = document.createElement('div');
+    textDiv.textContent = content;
+    return textDiv.innerHTML.replace(/\n/g, '<br>');
+  }
+
   addMessage(content, type = 'assistant') {
     const messageDiv = document.createElement('div');
     messageDiv.className = `floating-chat-message ${type}`;
-    // Basic markdown for bolding and newlines
-    messageDiv.innerHTML = content
-        .replace(/\*\*(.*?)\*\*/g, '<b>$1</b>')
-        .replace(/\n/g, '<br>');
+    messageDiv.innerHTML = this.formatMessage(content);
 
     this.messagesContainer.appendChild(messageDiv);
     this.messages.push({ content, type });
@@ -75,6 +113,78 @@ class FloatingChat {
     this.scrollToBottom();
   }
 
+  /**
+   * Clears the messages before a session's are rendered; an empty session shows the welcome
+   * message.
+   */
+  resetMessages(messages) {
+    this.messagesContainer.innerHTML = '';
+    this.messages = [];
+    this.messageElements.clear();
+    if (messages.length === 0) {
+      this.addMessage("Hello! I'm Stamp, your AI assistant. How can I help?", 'assistant');
+    }
+  }
+
+  createTurn(message) {
+    const turnDiv = document.createElement('div');
+    turnDiv.className = 'floating-chat-turn';
+    turnDiv.innerHTML = `
+      <div class="floating-chat-message assistant reasoning" style="display: none;"></div>
+      <div class="floating-chat-message ${message.role}" style="display: none;"></div>
+      <div class="floating-chat-actions"></div>
+    `;
+    const typingIndicator = this.createTypingIndicator();
+    typingIndicator.style.display = 'none';
+    turnDiv.insertBefore(typingIndicator, turnDiv.children[1]);
+    return turnDiv;
+  }
+
+  /**
+   * Adds a chat engine message, or redraws it as its answer streams in.
+   * @param {object} message
+   * @param {object} state - { isBusy, isLastQuestion, isLastAnswer }, for the message's actions
+   */
+  renderMessage(message, state) {
+    let turnDiv = this.messageElements.get(message.id);
+    if (!turnDiv) {
+      turnDiv = this.createTurn(message);
+      this.messagesContainer.appendChild(turnDiv);
+      this.messageElements.set(message.id, turnDiv);
+      this.messages.push({ id: message.id, content: message.content, type: message.role });
+    }
+    const entry = this.messages.find(item => item.id === message.id);
+    if (entry) entry.content = message.content;
+
+    const [reasoningDiv, typingIndicator, contentDiv, actionsDiv] = turnDiv.children;
+    reasoningDiv.style.display = message.reasoning ? '' : 'none';
+    reasoningDiv.innerHTML = this.formatMessage(message.reasoning);
+    typingIndicator.style.display = message.status === 'pending' ? '' : 'none';
+    this.isTyping = state.isBusy;
+
+    // Tool steps, the answer and its source documents
+    const hasAnswer = Boolean(message.content || message.toolCalls.length);
+    contentDiv.style.display = hasAnswer ? '' : 'none';
+    if (message.role === 'assistant' && this.uiManager) {
+      this.uiManager.renderChatAnswer(contentDiv, message);
+    } else {
+      contentDiv.innerHTML = this.formatMessage(message.content);
+    }
+
+    // Stop, Retry, Regenerate, Edit and "Draft reply"
+    if (this.uiManager) {
+      this.uiManager.renderChatActions(actionsDiv, message, state, this.chat);
+    }
+
+    this.scrollToBottom();
+  }
+
+  removeMessage(message) {
+    this.messageElements.get(message.id)?.remove();
+    this.messageElements.delete(message.id);
+    this.messages = this.messages.filter(item => item.id !== message.id);
+  }
+
   scrollToBottom() {
     // Only auto-scroll if the user is near the bottom
     const isScrolledNearBottom = this.messagesContainer.scrollHeight - this.messagesContainer.clientHeight <= this.messagesContainer.scrollTop + 100;
@@ -86,8 +196,7 @@ class FloatingChat {
     }
   }
 
-  showTypingIndicator() {
-    this.isTyping = true;
+  createTypingIndicator() {
     const typingDiv = document.createElement('div');
     typingDiv.className = 'floating-chat-typing-indicator';
     typingDiv.innerHTML = `
@@ -98,157 +207,17 @@ class FloatingChat {
         <div class="floating-chat-typing-dot"></div>
       </div>
     `;
-    typingDiv.id = 'typing-indicator';
-    this.messagesContainer.appendChild(typingDiv);
-    this.scrollToBottom();
-  }
-
-  hideTypingIndicator() {
-    this.isTyping = false;
-    const typingIndicator = this.messagesContainer.querySelector('#typing-indicator');
-    if (typingIndicator) {
-      typingIndicator.remove();
-    }
+    return typingDiv;
   }
 
-  async sendMessage() {
+  sendMessage() {
     const message = this.input.value.trim();
-    if (!message) return;
+    if (!message || !this.chat || this.chat.isBusy()) return;
 
-    // Add user message
-    this.addMessage(message, 'user');
     this.input.value = '';
-
-    // Show typing indicator
-    this.showTypingIndicator();
-
-    try {
-      // Make API call
-      const response = await this.apiClient.makeAuthenticatedRequest('/api/finops/stream', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          question: message,
-          userEmail: await this.authService.getUserEmail(),
-          installationId: await this.authService.getInstallationId(),
-        }),
-      });
-
-      // Hide typing indicator
-      this.hideTypingIndicator();
-
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('text/event-stream')) {
-        await this.handleStreamingResponse(response);
-      } else {
-        const data = await response.json();
-        this.handleJsonResponse(data);
-      }
-    } catch (error) {
-      console.error('[FLOATING CHAT] Error sending message:', error);
-      this.hideTypingIndicator();
-      this.addMessage('Sorry, I encountered an error. Please try again.', 'assistant');
-    }
-  }
-
-  handleJsonResponse(data) {
-    console.log('[FLOATING CHAT] Handling JSON response');
-    console.log('[FLOATING CHAT] Parsed response data:', data);
-
-    if (data.response) {
-      this.addMessage(data.response, 'assistant');
-    } else if (data.AGENT_OUTPUT) {
-      this.addMessage(data.AGENT_OUTPUT, 'assistant');
-    } else if (data.answer) {
-      this.addMessage(data.answer, 'assistant');
-    } else {
-      console.warn('[FLOATING CHAT] No recognized response format found in:', data);
-      this.addMessage('I received your question but no response was provided.', 'assistant');
-    }
+    this.chat.send(message).catch(error => console.error('[FLOATING CHAT] Error sending message:', error));
   }
 
-  async handleStreamingResponse(response) {
-    console.log('[FLOATING CHAT] Handling streaming response');
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
-    let buffer = '';
-    let assistantMessageDiv = null;
-    let fullResponse = '';
-
-    const processLine = (line) => {
-        if (!line.startsWith('data: ')) {
-            return;
-        }
-        const jsonString = line.substring(6).trim();
-        if (!jsonString) {
-            return;
-        }
-
-        try {
-            const event = JSON.parse(jsonString);
-            const { type, data } = event;
-
-            if (type === 'reasoning') {
-                const reasoningDiv = document.createElement('div');
-                reasoningDiv.className = 'floating-chat-message assistant reasoning';
-                reasoningDiv.innerHTML = data.content
-                    .replace(/\*\*(.*?)\*\*/g, '<b>$1</b>')
-                    .replace(/\n/g, '<br>');
-                this.messagesContainer.appendChild(reasoningDiv);
-                this.scrollToBottom();
-            } else if (type === 'content') {
-                if (!assistantMessageDiv) {
-                    assistantMessageDiv = document.createElement('div');
-                    assistantMessageDiv.className = 'floating-chat-message assistant';
-                    this.messagesContainer.appendChild(assistantMessageDiv);
-                }
-
-                if (data.is_final) {
-                    fullResponse = data.content;
-                } else {
-                    fullResponse += data.content;
-                }
-
-                assistantMessageDiv.innerHTML = fullResponse
-                    .replace(/\*\*(.*?)\*\*/g, '<b>$1</b>')
-                    .replace(/\n/g, '<br>');
-
-                this.scrollToBottom();
-            }
-            // All other event types are ignored.
-        } catch (e) {
-            console.error('Error parsing streaming event:', e, `"${jsonString}"`);
-        }
-    };
-
-    const processText = async () => {
-        while (true) {
-            const { value, done } = await reader.read();
-            if (done) {
-                if (buffer) processLine(buffer);
-                // Add the final message to history
-                if (fullResponse) {
-                    this.messages.push({ content: fullResponse, type: 'assistant' });
-                }
-                break;
-            }
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop(); // keep last partial line
-            for (const line of lines) {
-                if (line.trim()) {
-                    processLine(line);
-                }
-            }
-        }
-    };
-
-    await processText();
-  }
   // REMOVED: saveState and loadState
   // The MoleView's state is not something we should manage manually.
   // We can re-introduce message history persistence later if needed.
@@ -258,7 +227,12 @@ class FloatingChat {
     // We just need to null out our references.
     console.log('[FLOATING CHAT UI] Destroying chat UI instance.');
     this.messagesContainer = null;
+    this.historyBar = null;
+    this.chat?.detach();
+    this.chat = null;
+    this.messageElements.clear();
     this.inputContainer = null;
+    this.contextBar = null;
     this.input = null;
     this.container = null;
   }
@@ -0,0 +1,167 @@
+// stamp-extension/invoice-actions.js
+
+/**
+ * Approval actions on the invoice cards of the thread sidebar (Approve, Reject, Put on hold,
+ * Request info). Each action becomes a status correction in the corrections queue that carries
+ * an entry for the document's involvementHistory (who acted, how, and their note), so the backend
+ * records it for every user; the tracker's Approver column reads those entries.
+ */
+
+import { CLOSED_STATUSES } from './ap-dashboard.js';
+import { escapeHtml } from './safe-html.js';
+
+export const INVOICE_ACTIONS = [
+  { id: 'approve', label: 'Approve', status: 'approved', actionType: 'approved', color: '#2E7D32' },
+  { id: 'reject', label: 'Reject', status: 'rejected', actionType: 'rejected', color: '#C62828', reasonPrompt: 'Why is this invoice rejected?', reasonRequired: true },
+  { id: 'hold', label: 'Put on hold', status: 'on_hold', actionType: 'put_on_hold', color: '#616161', reasonPrompt: 'Add a note (optional)' },
+  { id: 'request_info', label: 'Request info', status: 'requires_review', actionType: 'requested_info', color: '#E65100', reasonPrompt: 'What information is missing?', reasonRequired: true }
+];
+
+/**
+ * @param {string} actionId - One of INVOICE_ACTIONS[].id
+ * @returns {Object|undefined}
+ */
+export function getInvoiceAction(actionId) {
+  return INVOICE_ACTIONS.find(action => action.id === actionId);
+}
+
+/**
+ * Actions offered for a document in the given status. Closed documents (paid, rejected,
+ * duplicate) get none, and the action matching the current status is left out.
+ * @param {string} status
+ * @returns {Object[]}
+ */
+export function getAvailableActions(status) {
+  const current = String(status || '').toLowerCase();
+  if (CLOSED_STATUSES.includes(current)) return [];
+  return INVOICE_ACTIONS.filter(action => action.status !== current);
+}
+
+/**
+ * Builds an involvementHistory entry in the backend's format.
+ * @param {Object} action - Entry of INVOICE_ACTIONS
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Email of the user taking the action
+ * @param {string} [options.note] - Rejection reason or request details
+ * @param {Date|string} [options.now]
+ * @returns {Object}
+ */
+export function createInvolvementEntry(action, { actor = null, note = null, now = new Date() } = {}) {
+  return {
+    action_type: action.actionType,
+    actor: { email: actor, name: null },
+    timestamp: new Date(now).toISOString(),
+    note: note || null,
+    source: 'gmail_sidebar'
+  };
+}
+
+/**
+ * Writes a status (and optionally an involvement entry) onto a document in place.
+ * Works for both sidebar entities and detailed documents, which keep the status in
+ * different places.
+ * @param {Object} invoice - Document or sidebar entity with `document.details`
+ * @param {string} status
+ * @param {Object} [involvementEntry]
+ * @returns {Object} The same document
+ */
+export function applyStatusToDocument(invoice, status, involvementEntry = null) {
+  invoice.status = status;
+  if (invoice.document) {
+    invoice.document.final_status = status;
+    if (invoice.document.details) invoice.document.details.status = status;
+  }
+  if (involvementEntry) applyInvolvementEntry(invoice, involvementEntry);
+  return invoice;
+}
+
+/**
+ * Appends an entry to a document's involvementHistory.
+ * @param {Object} invoice - Document or sidebar entity
+ * @param {Object} involvementEntry
+ * @returns {Object} The same document
+ */
+export function applyInvolvementEntry(invoice, involvementEntry) {
+  // The same object can be reached through several caches; record the entry once
+  if (!(invoice.involvementHistory || []).includes(involvementEntry)) {
+    invoice.involvementHistory = [...(invoice.involvementHistory || []), involvementEntry];
+  }
+  return invoice;
+}
+
+/**
+ * Swaps the status label of a thread for a new status, keeping its other labels.
+ * @param {string[]} labels - Current thread labels
+ * @param {string|null} status - New status; null only removes the status label
+ * @param {Function} isStatusLabel - Label text => whether it is a status label (the label taxonomy's)
+ * @returns {string[]}
+ */
+export function replaceStatusLabel(labels, status, isStatusLabel) {
+  const kept = (labels || []).filter(label => !isStatusLabel(label));
+  return status ? [...kept, status] : kept;
+}
+
+/**
+ * Renders the action buttons for an invoice card.
+ * @param {string} cardId - The card's data-card-id
+ * @param {string} status - Current status of the document
+ * @param {Object} [options]
+ * @param {boolean} [options.canApprove=true] - Offer Approve (false when the user is not the
+ *   approval chain's current approver)
+ * @returns {string} HTML, or an empty string when no action applies
+ */
+export function renderInvoiceActions(cardId, status, { canApprove = true } = {}) {
+  const actions = getAvailableActions(status).filter(action => canApprove || action.id !== 'approve');
+  if (actions.length === 0) return '';
+  return `
+    <div class="stamp-invoice-actions" data-card-id="${escapeHtml(cardId)}" style="margin-top: 10px; display:flex; gap:6px; flex-wrap:wrap;">
+      ${actions.map(action => `
+        <button class="stamp-invoice-action" data-action="${action.id}" style="border: 1px solid ${action.color}; background: #fff; color: ${action.color}; border-radius: 999px; padding: 4px 10px; font-size: 12px; font-weight: 600; cursor: pointer;">${escapeHtml(action.label)}</button>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Shows an inline note form under the action buttons.
+ * @param {HTMLElement} actionsElement - The .stamp-invoice-actions element
+ * @param {Object} action - Entry of INVOICE_ACTIONS with a reasonPrompt
+ * @returns {Promise<string|null>} The note (possibly empty when optional), or null when cancelled
+ */
+export function promptForActionNote(actionsElement, action) {
+  actionsElement.parentElement.querySelector('.stamp-action-note')?.remove();
+
+  const form = document.createElement('form');
+  form.className = 'stamp-action-note';
+  form.style.cssText = 'margin-top:8px; display:flex; flex-direction:column; gap:6px;';
+  form.innerHTML = `
+    <textarea rows="2" placeholder="${escapeHtml(action.reasonPrompt)}" style="width:100%; box-sizing:border-box; border:1px solid #dadce0; border-radius:6px; padding:6px 8px; font:inherit; font-size:12px; resize:vertical;"></textarea>
+    <div style="display:flex; gap:6px; justify-content:flex-end;">
+      <button type="button" class="stamp-action-note-cancel" style="border:1px solid #dadce0; background:#fff; color:#3c4043; border-radius:4px; padding:4px 10px; font-size:12px; cursor:pointer;">Cancel</button>
+      <button type="submit" style="border:1px solid ${action.color}; background:${action.color}; color:#fff; border-radius:4px; padding:4px 10px; font-size:12px; cursor:pointer;">${escapeHtml(action.label)}</button>
+    </div>
+  `;
+  actionsElement.insertAdjacentElement('afterend', form);
+
+  const textarea = form.querySelector('textarea');
+  textarea.focus();
+
+  return new Promise(resolve => {
+    form.addEventListener('click', event => event.stopPropagation());
+    form.querySelector('.stamp-action-note-cancel').addEventListener('click', () => {
+      form.remove();
+      resolve(null);
+    });
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      const note = textarea.value.trim();
+      if (action.reasonRequired && !note) {
+        textarea.style.borderColor = '#d93025';
+        textarea.focus();
+        return;
+      }
+      form.remove();
+      resolve(note);
+    });
+  });
+}
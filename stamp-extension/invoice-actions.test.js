@@ -0,0 +1,65 @@
+// Unit tests for sidebar approval actions in invoice-actions.js
+import { applyStatusToDocument, createInvolvementEntry, getAvailableActions, getInvoiceAction, promptForActionNote, renderInvoiceActions, replaceStatusLabel } from './invoice-actions.js';
+import { DEFAULT_LABEL_TAXONOMY, createLabelMatcher } from './label-taxonomy.js';
+
+describe('invoice actions', () => {
+  test('offers no actions on closed documents and hides the current status', () => {
+    expect(getAvailableActions('paid')).toEqual([]);
+    expect(getAvailableActions('duplicate')).toEqual([]);
+    expect(getAvailableActions('approved').map(action => action.id)).toEqual(['reject', 'hold', 'request_info']);
+    expect(getAvailableActions('pending')).toHaveLength(4);
+  });
+
+  test('leaves Approve out for users who are not the current approver', () => {
+    const actionIds = (html) => [...html.matchAll(/data-action="([a-z_]+)"/g)].map(match => match[1]);
+
+    expect(actionIds(renderInvoiceActions('inv-1', 'pending'))).toEqual(['approve', 'reject', 'hold', 'request_info']);
+    expect(actionIds(renderInvoiceActions('inv-1', 'pending', { canApprove: false }))).toEqual(['reject', 'hold', 'request_info']);
+  });
+
+  test('applies the status everywhere the sidebar and tracker read it, recording the actor once', () => {
+    const entity = { type: 'inv', document: { final_status: 'pending', details: { id: 'doc_1', status: 'pending' } } };
+    const entry = createInvolvementEntry(getInvoiceAction('reject'), { actor: 'dana@example.com', note: 'Wrong PO', now: '2025-06-15T12:00:00Z' });
+
+    applyStatusToDocument(entity, 'rejected', entry);
+    applyStatusToDocument(entity, 'rejected', entry);
+
+    expect(entity.status).toBe('rejected');
+    expect(entity.document.final_status).toBe('rejected');
+    expect(entity.document.details.status).toBe('rejected');
+    expect(entity.involvementHistory).toEqual([{
+      action_type: 'rejected',
+      actor: { email: 'dana@example.com', name: null },
+      timestamp: '2025-06-15T12:00:00.000Z',
+      note: 'Wrong PO',
+      source: 'gmail_sidebar'
+    }]);
+  });
+
+  test('swaps only the status label of a thread', () => {
+    const { isStatusLabel } = createLabelMatcher(DEFAULT_LABEL_TAXONOMY);
+
+    expect(replaceStatusLabel(['invoice_submission', 'Pending'], 'approved', isStatusLabel)).toEqual(['invoice_submission', 'approved']);
+    expect(replaceStatusLabel(['approved'], null, isStatusLabel)).toEqual([]);
+    expect(replaceStatusLabel(['unpaid_reminder', 'paid'], 'on_hold', isStatusLabel)).toEqual(['unpaid_reminder', 'on_hold']);
+  });
+
+  test('requires a note for rejections and resolves null on cancel', async () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<div class="stamp-invoice-actions"></div>';
+    const actionsElement = container.firstChild;
+
+    const rejected = promptForActionNote(actionsElement, getInvoiceAction('reject'));
+    const form = container.querySelector('.stamp-action-note');
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    expect(container.querySelector('.stamp-action-note')).not.toBeNull();
+    form.querySelector('textarea').value = '  Duplicate of INV-7 ';
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    await expect(rejected).resolves.toBe('Duplicate of INV-7');
+
+    const cancelled = promptForActionNote(actionsElement, getInvoiceAction('hold'));
+    container.querySelector('.stamp-action-note-cancel').click();
+    await expect(cancelled).resolves.toBeNull();
+    expect(container.querySelector('.stamp-action-note')).toBeNull();
+  });
+});
@@ -0,0 +1,190 @@
+// stamp-extension/label-settings.js
+
+/**
+ * The label settings page ("label-settings-view" route), where a team edits its label taxonomy:
+ * each label's key, display name, group, colors, icon, precedence and the backend labels it
+ * maps to. Backend labels are entered one per line; a line written as /pattern/ is a regular
+ * expression, anything else is matched exactly.
+ */
+
+import { LABEL_GROUPS, createLabelMatcher, validateLabelTaxonomy } from './label-taxonomy.js';
+import { escapeHtml } from './safe-html.js';
+
+const PAGE_STYLE = 'padding:24px; background:#f8f9fa; min-height:100%; box-sizing:border-box; font-family:-apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; font-size:13px; color:#3c4043;';
+const INPUT_STYLE = 'padding:4px 6px; border:1px solid #dadce0; border-radius:4px; font:inherit; font-size:12px; box-sizing:border-box;';
+const BUTTON_STYLE = 'border:1px solid #dadce0; background:#fff; color:#3c4043; border-radius:4px; padding:6px 12px; font-size:13px; cursor:pointer;';
+
+/**
+ * @param {Object[]} matchers - { type: 'exact'|'regex', pattern }
+ * @returns {string} One backend label per line, regular expressions as /pattern/
+ */
+export function formatMatchers(matchers) {
+  return (matchers || []).map(matcher => (matcher.type === 'regex' ? `/${matcher.pattern}/` : matcher.pattern)).join('\n');
+}
+
+/**
+ * @param {string} text - As written by formatMatchers
+ * @returns {Object[]} { type: 'exact'|'regex', pattern }
+ */
+export function parseMatchers(text) {
+  return String(text || '').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const regex = line.match(/^\/(.+)\/$/);
+    return regex ? { type: 'regex', pattern: regex[1] } : { type: 'exact', pattern: line };
+  });
+}
+
+const newLabel = (precedence) => ({
+  key: '',
+  group: 'status',
+  displayName: '',
+  backgroundColor: '#E0E0E0',
+  textColor: '#000000',
+  description: '',
+  icon: '',
+  precedence,
+  matchers: []
+});
+
+function labelPreview(label) {
+  return `<span class="stamp-label-preview" style="display:inline-block; background:${escapeHtml(label.backgroundColor)}; color:${escapeHtml(label.textColor)}; border-radius:4px; padding:2px 8px; font-size:11px; font-weight:600; white-space:nowrap;">${escapeHtml(label.icon ? `${label.icon} ${label.displayName}` : label.displayName || label.key || 'New label')}</span>`;
+}
+
+function renderRow(label, index) {
+  const cell = 'padding:6px; border-bottom:1px solid #f1f3f4; vertical-align:top;';
+  const input = (field, style = '', type = 'text') => `<input class="stamp-label-field" data-index="${index}" data-field="${field}" type="${type}" value="${escapeHtml(label[field])}" style="${INPUT_STYLE} ${style}">`;
+  return `
+    <tr class="stamp-label-row" data-index="${index}">
+      <td style="${cell}">${labelPreview(label)}</td>
+      <td style="${cell}">${input('key', 'width:140px; font-family:monospace;')}</td>
+      <td style="${cell}">${input('displayName', 'width:150px;')}</td>
+      <td style="${cell}">
+        <select class="stamp-label-field" data-index="${index}" data-field="group" style="${INPUT_STYLE}">
+          ${LABEL_GROUPS.map(group => `<option value="${group}" ${group === label.group ? 'selected' : ''}>${group}</option>`).join('')}
+        </select>
+      </td>
+      <td style="${cell} white-space:nowrap;">${input('backgroundColor', 'width:36px; padding:0; height:24px;', 'color')} ${input('textColor', 'width:36px; padding:0; height:24px;', 'color')}</td>
+      <td style="${cell}">${input('icon', 'width:44px; text-align:center;')}</td>
+      <td style="${cell}">${input('precedence', 'width:56px;', 'number')}</td>
+      <td style="${cell}"><textarea class="stamp-label-field" data-index="${index}" data-field="matchers" rows="${Math.max(1, Math.min(4, label.matchers.length))}" style="${INPUT_STYLE} width:220px; font-family:monospace; resize:vertical;">${escapeHtml(formatMatchers(label.matchers))}</textarea></td>
+      <td style="${cell}"><button class="stamp-label-remove" data-index="${index}" title="Remove this label" style="border:none; background:none; color:#d93025; cursor:pointer; font-size:14px;">✕</button></td>
+    </tr>
+  `;
+}
+
+/**
+ * Renders the label settings page.
+ * @param {HTMLElement} container
+ * @param {{labels: Object[]}} taxonomy - The taxonomy in use
+ * @param {Object} options
+ * @param {Function} options.onSave - (taxonomy) => Promise; called with a validated taxonomy
+ * @param {Function} options.onReset - () => Promise<{labels: Object[]}>; returns the default taxonomy
+ */
+export function renderLabelSettings(container, taxonomy, { onSave, onReset }) {
+  let labels = taxonomy.labels.map(label => ({ ...label, matchers: [...(label.matchers || [])] }));
+
+  container.innerHTML = `
+    <div class="stamp-label-settings" style="${PAGE_STYLE}">
+      <h2 style="margin:0 0 4px 0; font-size:22px; font-weight:600; color:#1a1a1a;">Labels</h2>
+      <div style="color:#5f6368; margin-bottom:16px;">Choose how Stamp labels threads in your inbox. Each label lists the backend labels it stands for, one per line; write <code>/pattern/</code> for a regular expression. When several labels match, the lowest precedence wins.</div>
+      <div style="background:#fff; border:1px solid #e5e7eb; border-radius:8px; overflow:auto; margin-bottom:12px;">
+        <table style="border-collapse:collapse; width:100%; font-size:12px;">
+          <thead><tr>${['', 'Key', 'Display name', 'Group', 'Colors', 'Icon', 'Precedence', 'Backend labels', ''].map(header => `<th style="padding:8px 6px; border-bottom:1px solid #e5e7eb; text-align:left; color:#5f6368; font-weight:500;">${header}</th>`).join('')}</tr></thead>
+          <tbody class="stamp-label-rows"></tbody>
+        </table>
+      </div>
+      <div style="display:flex; align-items:center; gap:8px; margin-bottom:16px;">
+        <button class="stamp-label-add" style="${BUTTON_STYLE}">+ Add label</button>
+        <span style="flex:1;"></span>
+        <input class="stamp-label-test" type="text" placeholder="Try a backend label, e.g. On Hold" style="${INPUT_STYLE} width:240px; font-size:13px;">
+        <span class="stamp-label-test-result" style="min-width:120px;"></span>
+      </div>
+      <div class="stamp-label-errors" style="display:none; background:#fce8e6; color:#c5221f; border-radius:6px; padding:8px 12px; margin-bottom:12px;"></div>
+      <div style="display:flex; align-items:center; gap:8px;">
+        <button class="stamp-label-save" style="${BUTTON_STYLE} background:#1a73e8; border-color:#1a73e8; color:#fff;">Save</button>
+        <button class="stamp-label-reset" style="${BUTTON_STYLE}">Reset to defaults</button>
+        <span class="stamp-label-status" style="color:#5f6368;"></span>
+      </div>
+    </div>
+  `;
+
+  const rows = container.querySelector('.stamp-label-rows');
+  const testInput = container.querySelector('.stamp-label-test');
+  const testResult = container.querySelector('.stamp-label-test-result');
+  const errorsBox = container.querySelector('.stamp-label-errors');
+  const status = container.querySelector('.stamp-label-status');
+
+  const currentTaxonomy = () => ({ labels });
+  const renderRows = () => {
+    rows.innerHTML = labels.map(renderRow).join('');
+  };
+  const renderTest = () => {
+    const text = testInput.value.trim();
+    const label = text ? createLabelMatcher(currentTaxonomy()).match(text) : null;
+    testResult.innerHTML = !text ? '' : label ? labelPreview(label) : '<span style="color:#5f6368;">Not shown</span>';
+  };
+  const showErrors = (errors) => {
+    errorsBox.style.display = errors.length ? '' : 'none';
+    errorsBox.innerHTML = errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+  };
+
+  rows.addEventListener('input', (e) => {
+    const field = e.target.closest('.stamp-label-field');
+    if (!field) return;
+    const label = labels[parseInt(field.getAttribute('data-index'))];
+    const name = field.getAttribute('data-field');
+    if (name === 'matchers') label.matchers = parseMatchers(field.value);
+    else if (name === 'precedence') label.precedence = field.value === '' ? '' : Number(field.value);
+    else label[name] = field.value;
+    field.closest('.stamp-label-row').firstElementChild.innerHTML = labelPreview(label);
+    status.textContent = '';
+    renderTest();
+  });
+  rows.addEventListener('click', (e) => {
+    const remove = e.target.closest('.stamp-label-remove');
+    if (!remove) return;
+    labels.splice(parseInt(remove.getAttribute('data-index')), 1);
+    renderRows();
+    renderTest();
+  });
+  // Keep Gmail's keyboard shortcuts out of the form
+  container.addEventListener('keydown', (e) => e.stopPropagation());
+  testInput.addEventListener('input', renderTest);
+
+  container.querySelector('.stamp-label-add').addEventListener('click', () => {
+    labels.push(newLabel(labels.length ? Math.max(...labels.map(label => Number(label.precedence) || 0)) : 10));
+    renderRows();
+    rows.lastElementChild.querySelector('[data-field="key"]').focus();
+  });
+
+  container.querySelector('.stamp-label-save').addEventListener('click', async () => {
+    const errors = validateLabelTaxonomy(currentTaxonomy());
+    showErrors(errors);
+    if (errors.length) return;
+    status.textContent = 'Saving…';
+    try {
+      await onSave(currentTaxonomy());
+      status.textContent = '✓ Saved. Open threads pick up the new labels right away.';
+    } catch (error) {
+      console.error('[LABELS] Failed to save the label taxonomy:', error);
+      status.textContent = '';
+      showErrors([`Could not save: ${error.message}`]);
+    }
+  });
+
+  container.querySelector('.stamp-label-reset').addEventListener('click', async () => {
+    if (!window.confirm('Replace your labels with the defaults?')) return;
+    try {
+      const defaults = await onReset();
+      labels = defaults.labels.map(label => ({ ...label, matchers: [...label.matchers] }));
+      renderRows();
+      renderTest();
+      showErrors([]);
+      status.textContent = '✓ Reset to the default labels.';
+    } catch (error) {
+      console.error('[LABELS] Failed to reset the label taxonomy:', error);
+      showErrors([`Could not reset: ${error.message}`]);
+    }
+  });
+
+  renderRows();
+}
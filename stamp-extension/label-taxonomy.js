@@ -0,0 +1,263 @@
+// stamp-extension/label-taxonomy.js
+/* global chrome */
+
+/**
+ * The label taxonomy: which backend thread labels Stamp shows, under which name, color and icon.
+ * Each label has a canonical key (e.g. `on_hold`), belongs to the status or the intent group and
+ * lists the backend labels it stands for, matched exactly (ignoring case, spaces and dashes) or
+ * by regular expression. When several labels match, the lowest precedence wins. Teams edit the
+ * taxonomy on the label settings page; it is stored in chrome.storage.sync so it follows the
+ * user across browsers.
+ */
+
+export const LABEL_TAXONOMY_STORAGE_KEY = 'stampLabelTaxonomy';
+export const LABEL_GROUPS = ['status', 'intent'];
+
+// InboxSDK labels need an icon; a transparent pixel keeps the pill text-only
+const BLANK_ICON_URL = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const defaultLabel = (group, precedence) => ([key, displayName, backgroundColor, textColor, description = '']) => ({
+  key,
+  group,
+  displayName,
+  backgroundColor,
+  textColor,
+  description,
+  icon: '',
+  precedence,
+  matchers: [{ type: 'exact', pattern: key }]
+});
+
+export const DEFAULT_LABEL_TAXONOMY = {
+  labels: [
+    ...[
+      // Core statuses
+      ['pending', 'Pending', '#FFC107', '#000000', 'Awaiting approval'],
+      ['approved', 'Approved', '#4CAF50', '#FFFFFF', 'Approved'],
+      ['rejected', 'Rejected', '#F44336', '#FFFFFF', 'Rejected'],
+      ['paid', 'Paid', '#2196F3', '#FFFFFF', 'Payment confirmed'],
+      // Extended statuses
+      ['on_hold', 'On hold', '#9E9E9E', '#FFFFFF', 'On hold'],
+      ['requires_review', 'Requires review', '#FF9800', '#000000', 'Requires review'],
+      ['partially_approved', 'Partially approved', '#81C784', '#FFFFFF', 'Partially approved'],
+      ['ready_for_payment', 'Ready for payment', '#26A69A', '#FFFFFF', 'Ready for payment'],
+      ['duplicate', 'Duplicate', '#607D8B', '#FFFFFF', 'Duplicate detected'],
+      // Legacy/optional
+      ['submitted', 'Submitted', '#90CAF9', '#000000', 'Invoice initially detected']
+    ].map(defaultLabel('status', 10)),
+    ...[
+      // Financial intents - blues
+      ['payment_status_inquiry', 'Payment status inquiry', '#E3F2FD', '#1565C0'],
+      ['payment_confirmation', 'Payment confirmation', '#BBDEFB', '#1565C0'],
+      ['refund_request', 'Refund request', '#90CAF9', '#000000'],
+      // Document processing - greens
+      ['invoice_submission', 'Invoice submission', '#E8F5E9', '#2E7D32'],
+      ['expense_report', 'Expense report', '#C8E6C9', '#2E7D32'],
+      ['tax_documentation', 'Tax documentation', '#A5D6A7', '#000000'],
+      // Inquiries - purples
+      ['billing_inquiry', 'Billing inquiry', '#F3E5F5', '#6A1B9A'],
+      ['status_request', 'Status request', '#E1BEE7', '#6A1B9A'],
+      ['information_sharing', 'Information sharing', '#CE93D8', '#000000'],
+      // Action items - warm colors
+      ['approval_request', 'Approval request', '#FFF3E0', '#E65100'],
+      ['urgent_request', 'Urgent request', '#FFE0B2', '#E65100'],
+      ['task_assignment', 'Task assignment', '#FFCC80', '#000000'],
+      // Issues & resolution - reds
+      ['quality_issue', 'Quality issue', '#FFEBEE', '#C62828'],
+      ['dispute_resolution', 'Dispute resolution', '#FFCDD2', '#C62828'],
+      ['escalation', 'Escalation', '#EF9A9A', '#000000'],
+      // Administrative - grays
+      ['vendor_onboarding', 'Vendor onboarding', '#FAFAFA', '#424242'],
+      ['account_setup', 'Account setup', '#F5F5F5', '#424242'],
+      ['system_access', 'System access', '#EEEEEE', '#000000'],
+      // Communication - teals
+      ['follow_up', 'Follow up', '#E0F2F1', '#00695C'],
+      ['routine_update', 'Routine update', '#B2DFDB', '#00695C'],
+      ['general_communication', 'General communication', '#80CBC4', '#000000']
+    ].map(defaultLabel('intent', 20))
+  ]
+};
+
+/**
+ * Normalizes label text for exact matching: case, surrounding space and separators are ignored,
+ * so "On Hold", "on-hold" and "ON_HOLD" are the same label (but "unpaid" is not "paid").
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeLabelText(text) {
+  return String(text ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Keeps the first of several backend labels that stand for the same taxonomy label, e.g.
+ * "pending" and "Pending", so a thread shows one pill for it.
+ * @param {string[]} labelTexts
+ * @param {Function} labelKey - Label text => the key of the label it shows as
+ * @returns {string[]}
+ */
+export function uniqueLabels(labelTexts, labelKey) {
+  const seen = new Set();
+  return (labelTexts || []).filter(labelText => {
+    const key = labelKey(labelText);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function compileMatcher(matcher) {
+  if (matcher.type === 'regex') {
+    try {
+      const regex = new RegExp(matcher.pattern, 'i');
+      return (text) => regex.test(text);
+    } catch (error) {
+      console.warn(`[LABELS] Ignoring invalid pattern /${matcher.pattern}/:`, error.message);
+      return () => false;
+    }
+  }
+  const expected = normalizeLabelText(matcher.pattern);
+  return (text) => normalizeLabelText(text) === expected;
+}
+
+/**
+ * Compiles a taxonomy for matching backend labels.
+ * @param {{labels: Object[]}} taxonomy
+ * @returns {{labels: Object[], match: Function, toDescriptor: Function, isStatusLabel: Function, sortLabels: Function, statusColors: Object}}
+ */
+export function createLabelMatcher(taxonomy) {
+  // Stable sort: labels with the same precedence keep the order they are listed in
+  const labels = [...(taxonomy?.labels || [])].sort((a, b) => (Number(a.precedence) || 0) - (Number(b.precedence) || 0));
+  const compiled = labels.map(label => ({ label, tests: (label.matchers || []).map(compileMatcher) }));
+  const cache = new Map();
+
+  /**
+   * @param {string} labelText - A backend thread label
+   * @returns {Object|null} The taxonomy label it maps to
+   */
+  const match = (labelText) => {
+    if (!labelText) return null;
+    if (!cache.has(labelText)) {
+      const found = compiled.find(({ tests }) => tests.some(test => test(labelText)));
+      cache.set(labelText, found ? found.label : null);
+    }
+    return cache.get(labelText);
+  };
+
+  /**
+   * @param {string} labelText - A backend thread label
+   * @returns {Object|null} InboxSDK label descriptor, or null when the label isn't shown
+   */
+  const toDescriptor = (labelText) => {
+    const label = match(labelText);
+    if (!label) return null;
+    return {
+      title: label.icon ? `${label.icon} ${label.displayName}` : label.displayName,
+      backgroundColor: label.backgroundColor,
+      textColor: label.textColor,
+      iconUrl: BLANK_ICON_URL
+    };
+  };
+
+  const rank = (labelText) => {
+    const label = match(labelText);
+    return label ? labels.indexOf(label) : labels.length;
+  };
+
+  // Status => { backgroundColor, textColor, description }, as the cards, dashboard and vendor pages expect
+  const statusColors = {};
+  labels.filter(label => label.group === 'status').forEach(label => {
+    if (!Object.prototype.hasOwnProperty.call(statusColors, label.key)) {
+      statusColors[label.key] = { backgroundColor: label.backgroundColor, textColor: label.textColor, description: label.description || label.displayName };
+    }
+  });
+
+  return {
+    labels,
+    match,
+    toDescriptor,
+    isStatusLabel: (labelText) => match(labelText)?.group === 'status',
+    // Orders a thread's labels by precedence, for the order they are shown in
+    sortLabels: (labelTexts) => [...(labelTexts || [])].sort((a, b) => rank(a) - rank(b)),
+    statusColors
+  };
+}
+
+/**
+ * Checks a taxonomy before it is saved.
+ * @param {{labels: Object[]}} taxonomy
+ * @returns {string[]} Problems, empty when the taxonomy is valid
+ */
+export function validateLabelTaxonomy(taxonomy) {
+  const errors = [];
+  const keys = new Set();
+  (taxonomy?.labels || []).forEach((label, index) => {
+    const name = label.key || `Label ${index + 1}`;
+    if (!/^[a-z0-9_]+$/.test(label.key || '')) errors.push(`${name}: the key may only use lowercase letters, digits and underscores`);
+    if (keys.has(label.key)) errors.push(`${name}: the key is used twice`);
+    keys.add(label.key);
+    if (!LABEL_GROUPS.includes(label.group)) errors.push(`${name}: the group must be ${LABEL_GROUPS.join(' or ')}`);
+    if (!String(label.displayName || '').trim()) errors.push(`${name}: the display name is empty`);
+    if (!COLOR_PATTERN.test(label.backgroundColor || '') || !COLOR_PATTERN.test(label.textColor || '')) errors.push(`${name}: colors must look like #1A73E8`);
+    if (!Number.isFinite(Number(label.precedence))) errors.push(`${name}: the precedence must be a number`);
+    if (!label.matchers?.length) errors.push(`${name}: add at least one backend label`);
+    (label.matchers || []).forEach(matcher => {
+      if (matcher.type !== 'regex') return;
+      try {
+        new RegExp(matcher.pattern, 'i');
+      } catch (error) {
+        errors.push(`${name}: /${matcher.pattern}/ is not a valid pattern`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Loads the team's taxonomy, or the default one when none was saved.
+ * @returns {Promise<{labels: Object[]}>}
+ */
+export async function loadLabelTaxonomy() {
+  try {
+    const result = await chrome.storage.sync.get([LABEL_TAXONOMY_STORAGE_KEY]);
+    const stored = result[LABEL_TAXONOMY_STORAGE_KEY];
+    if (Array.isArray(stored?.labels)) {
+      console.log(`[LABELS] Loaded a taxonomy of ${stored.labels.length} labels`);
+      return stored;
+    }
+  } catch (error) {
+    console.error('[LABELS] Failed to load the label taxonomy:', error);
+  }
+  return DEFAULT_LABEL_TAXONOMY;
+}
+
+/**
+ * Saves a taxonomy; every open Gmail tab picks it up through onLabelTaxonomyChanged.
+ * @param {{labels: Object[]}} taxonomy - Validated with validateLabelTaxonomy
+ * @returns {Promise<void>} Rejects when storage refuses it, e.g. over the sync quota
+ */
+export async function saveLabelTaxonomy(taxonomy) {
+  await chrome.storage.sync.set({ [LABEL_TAXONOMY_STORAGE_KEY]: { labels: taxonomy.labels } });
+}
+
+/**
+ * Goes back to the default taxonomy.
+ * @returns {Promise<void>}
+ */
+export async function resetLabelTaxonomy() {
+  await chrome.storage.sync.remove(LABEL_TAXONOMY_STORAGE_KEY);
+}
+
+/**
+ * @param {Function} callback - Called with the new taxonomy whenever it is saved or reset
+ * @returns {Function} Stops listening
+ */
+export function onLabelTaxonomyChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName !== 'sync' || !changes[LABEL_TAXONOMY_STORAGE_KEY]) return;
+    const taxonomy = changes[LABEL_TAXONOMY_STORAGE_KEY].newValue;
+    callback(Array.isArray(taxonomy?.labels) ? taxonomy : DEFAULT_LABEL_TAXONOMY);
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
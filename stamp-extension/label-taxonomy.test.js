@@ -0,0 +1,147 @@
+// Unit tests for label matching and the label settings page in label-taxonomy.js and label-settings.js
+import {
+  DEFAULT_LABEL_TAXONOMY,
+  LABEL_TAXONOMY_STORAGE_KEY,
+  createLabelMatcher,
+  loadLabelTaxonomy,
+  onLabelTaxonomyChanged,
+  saveLabelTaxonomy,
+  validateLabelTaxonomy,
+} from './label-taxonomy.js';
+import { formatMatchers, parseMatchers, renderLabelSettings } from './label-settings.js';
+import { installFakeChromeStorage } from './fake-chrome-storage.js';
+
+const label = (key, overrides = {}) => ({
+  key,
+  group: 'status',
+  displayName: key,
+  backgroundColor: '#E0E0E0',
+  textColor: '#000000',
+  icon: '',
+  precedence: 10,
+  matchers: [{ type: 'exact', pattern: key }],
+  ...overrides,
+});
+
+describe('label taxonomy', () => {
+  let store;
+  let listeners;
+
+  beforeEach(() => {
+    const storage = installFakeChromeStorage();
+    store = storage.sync.items;
+    listeners = storage.onChanged.listeners;
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('matches backend labels exactly, so "unpaid" is not "paid"', () => {
+    const matcher = createLabelMatcher(DEFAULT_LABEL_TAXONOMY);
+
+    expect(matcher.match('paid').key).toBe('paid');
+    expect(matcher.match('On Hold').key).toBe('on_hold');
+    expect(matcher.match('ready-for-payment').key).toBe('ready_for_payment');
+    expect(matcher.match('unpaid')).toBeNull();
+    expect(matcher.match('No definitive label found')).toBeNull();
+    expect(matcher.isStatusLabel('Pending')).toBe(true);
+    expect(matcher.isStatusLabel('invoice_submission')).toBe(false);
+  });
+
+  test('regular expressions map several backend labels, and the lowest precedence wins', () => {
+    const matcher = createLabelMatcher({
+      labels: [
+        label('overdue', { precedence: 20, matchers: [{ type: 'regex', pattern: '^past[ _]due' }] }),
+        label('escalated', { group: 'intent', precedence: 5, icon: '🚨', displayName: 'Escalated', backgroundColor: '#C62828', textColor: '#FFFFFF', matchers: [{ type: 'regex', pattern: 'due.*escalat' }] }),
+        label('broken', { matchers: [{ type: 'regex', pattern: '(' }] }),
+      ],
+    });
+
+    expect(matcher.match('Past due 30 days').key).toBe('overdue');
+    expect(matcher.match('past_due_escalated').key).toBe('escalated');
+    expect(matcher.toDescriptor('past_due_escalated')).toEqual(expect.objectContaining({ title: '🚨 Escalated', backgroundColor: '#C62828', textColor: '#FFFFFF' }));
+    expect(matcher.sortLabels(['Past due', 'unknown', 'past_due_escalated'])).toEqual(['past_due_escalated', 'Past due', 'unknown']);
+    expect(matcher.statusColors).toEqual({
+      overdue: { backgroundColor: '#E0E0E0', textColor: '#000000', description: 'overdue' },
+      broken: { backgroundColor: '#E0E0E0', textColor: '#000000', description: 'broken' },
+    });
+  });
+
+  test('reports invalid taxonomies', () => {
+    expect(validateLabelTaxonomy(DEFAULT_LABEL_TAXONOMY)).toEqual([]);
+    expect(validateLabelTaxonomy({
+      labels: [
+        label('paid'),
+        label('paid', { backgroundColor: 'blue' }),
+        label('Bad Key', { group: 'other', matchers: [] }),
+        label('broken', { matchers: [{ type: 'regex', pattern: '(' }] }),
+      ],
+    })).toEqual([
+      'paid: the key is used twice',
+      'paid: colors must look like #1A73E8',
+      'Bad Key: the key may only use lowercase letters, digits and underscores',
+      'Bad Key: the group must be status or intent',
+      'Bad Key: add at least one backend label',
+      'broken: /(/ is not a valid pattern',
+    ]);
+  });
+
+  test('is stored in chrome.storage.sync and announces changes', async () => {
+    expect(await loadLabelTaxonomy()).toBe(DEFAULT_LABEL_TAXONOMY);
+
+    const taxonomy = { labels: [label('paid')] };
+    await saveLabelTaxonomy(taxonomy);
+    expect(store[LABEL_TAXONOMY_STORAGE_KEY]).toEqual(taxonomy);
+    expect(await loadLabelTaxonomy()).toEqual(taxonomy);
+
+    const changes = [];
+    const stop = onLabelTaxonomyChanged(next => changes.push(next));
+    listeners.forEach(listener => listener({ [LABEL_TAXONOMY_STORAGE_KEY]: { newValue: taxonomy } }, 'sync'));
+    listeners.forEach(listener => listener({ [LABEL_TAXONOMY_STORAGE_KEY]: { newValue: undefined } }, 'sync'));
+    listeners.forEach(listener => listener({ other: { newValue: 1 } }, 'sync'));
+    stop();
+    expect(changes).toEqual([taxonomy, DEFAULT_LABEL_TAXONOMY]);
+    expect(listeners).toHaveLength(0);
+  });
+});
+
+describe('label settings page', () => {
+  const type = (element, value) => {
+    element.value = value;
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  test('backend labels round-trip through the text area', () => {
+    const matchers = [{ type: 'exact', pattern: 'On Hold' }, { type: 'regex', pattern: '^hold(ing)?$' }];
+    expect(parseMatchers(formatMatchers(matchers))).toEqual(matchers);
+    expect(parseMatchers('  paid \n\n/^paid in full$/ ')).toEqual([{ type: 'exact', pattern: 'paid' }, { type: 'regex', pattern: '^paid in full$' }]);
+  });
+
+  test('edits are validated before they are saved', async () => {
+    const container = document.createElement('div');
+    const onSave = jest.fn(async () => undefined);
+    renderLabelSettings(container, { labels: [label('paid')] }, { onSave, onReset: jest.fn() });
+
+    container.querySelector('.stamp-label-add').click();
+    container.querySelector('.stamp-label-save').click();
+    expect(onSave).not.toHaveBeenCalled();
+    expect(container.querySelector('.stamp-label-errors').textContent).toContain('the display name is empty');
+
+    const row = container.querySelectorAll('.stamp-label-row')[1];
+    type(row.querySelector('[data-field="key"]'), 'overdue');
+    type(row.querySelector('[data-field="displayName"]'), '<b>Overdue</b>');
+    type(row.querySelector('[data-field="matchers"]'), 'late\n/^past due/');
+    expect(row.querySelector('.stamp-label-preview').textContent).toBe('<b>Overdue</b>');
+
+    type(container.querySelector('.stamp-label-test'), 'Past due 10 days');
+    expect(container.querySelector('.stamp-label-test-result').textContent).toBe('<b>Overdue</b>');
+
+    container.querySelector('.stamp-label-save').click();
+    await Promise.resolve();
+    expect(onSave).toHaveBeenCalledWith({ labels: [label('paid'), expect.objectContaining({ key: 'overdue', displayName: '<b>Overdue</b>', matchers: [{ type: 'exact', pattern: 'late' }, { type: 'regex', pattern: '^past due' }] })] });
+  });
+});
@@ -0,0 +1,183 @@
+// stamp-extension/label-thread-lists.js
+
+/**
+ * Gmail thread lists per Stamp label: every label in the taxonomy gets a custom list route
+ * ("stamp-label-<key>") showing the threads the backend tagged with any of the backend labels
+ * that map to it, and labels with threads get a nav item under the Stamp entry with a live
+ * thread count. Counts come from one backend call that counts threads per backend label; a
+ * thread can carry several backend labels of one taxonomy label, so such labels are recounted
+ * from the total of their thread list, and shown as approximate ("~12") when that fails. Counts
+ * are refreshed periodically, after taxonomy changes and whenever a list is opened.
+ */
+
+import { createValueStream } from './thread-row-labels.js';
+
+const COUNTS_REFRESH_MS = 5 * 60 * 1000; // 5 minutes, like the thread cache
+
+/**
+ * @param {string} key - Taxonomy label key
+ * @returns {string} The custom list route showing the label's threads
+ */
+export function labelListRouteId(key) {
+  return `stamp-label-${key}`;
+}
+
+/**
+ * Groups the backend's thread counts by the taxonomy label each backend label maps to.
+ * The count of a label with several backend labels is their sum, which counts a thread with
+ * two of them twice, so it is marked approximate until the distinct count is known.
+ * @param {Object} matcher - From createLabelMatcher
+ * @param {Object} counts - Backend label => number of threads
+ * @returns {Map<string, {labels: string[], count: number, approximate: boolean}>} Taxonomy key => its backend labels and count
+ */
+export function groupLabelCounts(matcher, counts) {
+  const groups = new Map();
+  Object.entries(counts || {}).forEach(([labelText, count]) => {
+    const label = matcher.match(labelText);
+    if (!label) return;
+    const group = groups.get(label.key) || { labels: [], count: 0, approximate: false };
+    group.labels.push(labelText);
+    group.count += Number(count) || 0;
+    group.approximate = group.labels.length > 1;
+    groups.set(label.key, group);
+  });
+  return groups;
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.router - sdk.Router
+ * @param {Function} options.loadLabelCounts - () => Promise<Object>, backend label => thread count
+ * @param {Function} options.loadThreadIds - ({ labels, offset, limit }) => Promise<{threadIds: string[], total: number|null}>
+ * @param {Function} [options.onLoadError] - (label, error) => void, when a label's threads cannot be loaded
+ * @param {number} [options.refreshIntervalMs]
+ * @returns {{setMatcher: Function, setNavItem: Function, refreshCounts: Function, stop: Function}}
+ */
+export function createLabelThreadLists({ router, loadLabelCounts, loadThreadIds, onLoadError = null, refreshIntervalMs = COUNTS_REFRESH_MS }) {
+  let matcher = null;
+  let navItem = null;
+  let groups = new Map();
+  let removeRoutes = [];
+  const navItems = new Map(); // key => { item, stream }
+  const timer = setInterval(() => refreshCounts(), refreshIntervalMs);
+
+  const describe = (label, index) => {
+    const group = groups.get(label.key);
+    return {
+      name: label.icon ? `${label.icon} ${label.displayName}` : label.displayName,
+      routeID: labelListRouteId(label.key),
+      orderHint: index,
+      subtitle: `${group?.approximate ? '~' : ''}${group?.count || 0}`
+    };
+  };
+
+  // Nav items follow the labels that have threads, in precedence order
+  const renderNavItems = () => {
+    if (!navItem || !matcher) return;
+    const shown = new Set();
+    matcher.labels.forEach((label, index) => {
+      if (!groups.get(label.key)?.count) return;
+      shown.add(label.key);
+      const existing = navItems.get(label.key);
+      if (existing) {
+        existing.stream.set(describe(label, index));
+        return;
+      }
+      const stream = createValueStream(describe(label, index));
+      try {
+        navItems.set(label.key, { item: navItem.addNavItem(stream), stream });
+      } catch (error) {
+        console.error(`[LABEL LISTS] ❌ Failed to add the "${label.key}" nav item:`, error.message);
+      }
+    });
+    navItems.forEach(({ item }, key) => {
+      if (shown.has(key)) return;
+      item.remove();
+      navItems.delete(key);
+    });
+  };
+
+  const setCount = (key, count) => {
+    const group = groups.get(key) || { labels: [], count: 0, approximate: false };
+    if (group.count === count && !group.approximate) return;
+    groups.set(key, { ...group, count, approximate: false });
+    renderNavItems();
+  };
+
+  const registerRoutes = () => {
+    removeRoutes.forEach(remove => remove());
+    removeRoutes = matcher.labels.map(label => router.handleCustomListRoute(labelListRouteId(label.key), async (offset, max) => {
+      // Backend labels seen in the counts; before they load, the label's exact matchers
+      const labels = groups.get(label.key)?.labels.length
+        ? groups.get(label.key).labels
+        : label.matchers.filter(item => item.type === 'exact').map(item => item.pattern);
+      if (!labels.length) return { threads: [], total: 0 };
+      try {
+        const { threadIds, total } = await loadThreadIds({ labels, offset, limit: max });
+        console.log(`[LABEL LISTS] ${label.key}: ${threadIds.length} threads from ${offset} (total ${total ?? 'unknown'})`);
+        if (!Number.isFinite(total)) return { threads: threadIds, hasMore: threadIds.length >= max };
+        if (offset === 0) setCount(label.key, total);
+        return { threads: threadIds, total };
+      } catch (error) {
+        // Not an empty list: the user is told, and the router shows nothing for this page
+        console.error(`[LABEL LISTS] ❌ Failed to load "${label.key}" threads:`, error);
+        onLoadError?.(label, error);
+        throw error;
+      }
+    }));
+  };
+
+  // The total of a label's thread list counts each thread once
+  async function countDistinct(group) {
+    try {
+      const { total } = await loadThreadIds({ labels: group.labels, offset: 0, limit: 1 });
+      if (!Number.isFinite(total)) return;
+      group.count = total;
+      group.approximate = false;
+    } catch (error) {
+      console.warn(`[LABEL LISTS] Failed to count threads of ${group.labels.join(', ')}; showing an approximate count:`, error.message);
+    }
+  }
+
+  async function refreshCounts() {
+    if (!matcher) return;
+    try {
+      const nextGroups = groupLabelCounts(matcher, await loadLabelCounts());
+      await Promise.all([...nextGroups.values()].filter(group => group.approximate && group.count).map(countDistinct));
+      groups = nextGroups;
+      renderNavItems();
+    } catch (error) {
+      console.warn('[LABEL LISTS] Failed to load label counts; keeping the last ones:', error.message);
+    }
+  }
+
+  return {
+    /**
+     * Registers the routes for a (new) label taxonomy and recounts.
+     * @param {Object} nextMatcher - From createLabelMatcher
+     */
+    setMatcher(nextMatcher) {
+      matcher = nextMatcher;
+      registerRoutes();
+      return refreshCounts();
+    },
+
+    /**
+     * @param {Object} parentNavItem - The Stamp NavItemView the label items are nested under
+     */
+    setNavItem(parentNavItem) {
+      navItem = parentNavItem;
+      renderNavItems();
+    },
+
+    refreshCounts,
+
+    stop() {
+      clearInterval(timer);
+      removeRoutes.forEach(remove => remove());
+      removeRoutes = [];
+      navItems.forEach(({ item }) => item.remove());
+      navItems.clear();
+    }
+  };
+}
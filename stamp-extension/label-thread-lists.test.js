@@ -0,0 +1,139 @@
+// Unit tests for the per-label thread lists and nav counts in label-thread-lists.js
+import { createLabelThreadLists, groupLabelCounts, labelListRouteId } from './label-thread-lists.js';
+import { DEFAULT_LABEL_TAXONOMY, createLabelMatcher } from './label-taxonomy.js';
+
+const matcher = createLabelMatcher({
+  labels: [
+    ...DEFAULT_LABEL_TAXONOMY.labels.filter(label => ['requires_review', 'paid'].includes(label.key)),
+    { ...DEFAULT_LABEL_TAXONOMY.labels.find(label => label.key === 'escalation'), icon: '🚨', matchers: [{ type: 'regex', pattern: '^escalat' }] },
+  ],
+});
+
+// Mimics sdk.Router: one handler per custom list route
+function fakeRouter() {
+  const routes = new Map();
+  return {
+    routes,
+    handleCustomListRoute: jest.fn((routeID, handler) => {
+      routes.set(routeID, handler);
+      return () => routes.delete(routeID);
+    }),
+  };
+}
+
+// Mimics a NavItemView: child descriptors arrive as observables
+function fakeNavItem() {
+  const children = [];
+  return {
+    children,
+    addNavItem: (observable) => {
+      const child = { descriptor: null, removed: false, remove: () => { child.removed = true; } };
+      observable.subscribe(descriptor => { child.descriptor = descriptor; });
+      children.push(child);
+      return child;
+    },
+    shown: () => children.filter(child => !child.removed).map(child => `${child.descriptor.name} (${child.descriptor.subtitle})`),
+  };
+}
+
+describe('label thread lists', () => {
+  let lists;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    lists?.stop();
+    console.log.mockRestore();
+  });
+
+  test('groups backend label counts by taxonomy label', () => {
+    const groups = groupLabelCounts(matcher, { 'Requires Review': 3, requires_review: 2, escalated: 1, escalation_2: 4, unpaid: 9 });
+
+    expect(groups.get('requires_review')).toEqual({ labels: ['Requires Review', 'requires_review'], count: 5, approximate: true });
+    expect(groups.get('escalation')).toEqual({ labels: ['escalated', 'escalation_2'], count: 5, approximate: true });
+    expect(groupLabelCounts(matcher, { escalated: 1 }).get('escalation')).toEqual({ labels: ['escalated'], count: 1, approximate: false });
+    expect(groups.has('paid')).toBe(false);
+  });
+
+  test('adds nav items with counts for labels that have threads', async () => {
+    const counts = [{ requires_review: 3, escalated: 1 }, { requires_review: 2 }];
+    const navItem = fakeNavItem();
+    lists = createLabelThreadLists({ router: fakeRouter(), loadLabelCounts: async () => counts.shift(), loadThreadIds: jest.fn() });
+
+    lists.setNavItem(navItem);
+    await lists.setMatcher(matcher);
+    expect(navItem.shown()).toEqual(['Requires review (3)', '🚨 Escalation (1)']);
+    expect(navItem.children[0].descriptor).toEqual(expect.objectContaining({ routeID: labelListRouteId('requires_review'), orderHint: 1 }));
+
+    await lists.refreshCounts();
+    expect(navItem.shown()).toEqual(['Requires review (2)']);
+    expect(navItem.children).toHaveLength(2);
+  });
+
+  test('each label route lists the threads of its backend labels', async () => {
+    const router = fakeRouter();
+    const navItem = fakeNavItem();
+    const loadThreadIds = jest.fn(async ({ offset }) => ({ threadIds: offset === 0 ? ['t1', 't2'] : ['t3'], total: 3 }));
+    lists = createLabelThreadLists({ router, loadLabelCounts: async () => ({ escalated: 1, escalation_2: 1 }), loadThreadIds });
+    lists.setNavItem(navItem);
+    await lists.setMatcher(matcher);
+
+    expect([...router.routes.keys()]).toEqual(['stamp-label-paid', 'stamp-label-requires_review', 'stamp-label-escalation']);
+    expect(await router.routes.get('stamp-label-escalation')(0, 2)).toEqual({ threads: ['t1', 't2'], total: 3 });
+    expect(loadThreadIds).toHaveBeenCalledWith({ labels: ['escalated', 'escalation_2'], offset: 0, limit: 2 });
+    expect(navItem.shown()).toEqual(['🚨 Escalation (3)']);
+
+    // Labels without counted threads are looked up by their exact backend labels
+    await router.routes.get('stamp-label-paid')(0, 50);
+    expect(loadThreadIds).toHaveBeenLastCalledWith({ labels: ['paid'], offset: 0, limit: 50 });
+  });
+
+  test('counts a thread with several backend labels of one label once', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    const navItem = fakeNavItem();
+    const loadThreadIds = jest.fn()
+      .mockResolvedValueOnce({ threadIds: ['t1'], total: 4 })
+      .mockRejectedValueOnce(new Error('Backend down'));
+    lists = createLabelThreadLists({ router: fakeRouter(), loadLabelCounts: async () => ({ escalated: 3, escalation_2: 2, requires_review: 1 }), loadThreadIds });
+    lists.setNavItem(navItem);
+    await lists.setMatcher(matcher);
+
+    expect(loadThreadIds).toHaveBeenCalledTimes(1);
+    expect(loadThreadIds).toHaveBeenCalledWith({ labels: ['escalated', 'escalation_2'], offset: 0, limit: 1 });
+    expect(navItem.shown()).toEqual(['Requires review (1)', '🚨 Escalation (4)']);
+
+    // Without a distinct count the sum is shown as approximate
+    await lists.refreshCounts();
+    expect(navItem.shown()).toEqual(['Requires review (1)', '🚨 Escalation (~5)']);
+    console.warn.mockRestore();
+  });
+
+  test('pages by hasMore when the backend has no total, and reports failures', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    const router = fakeRouter();
+    const loadThreadIds = jest.fn()
+      .mockResolvedValueOnce({ threadIds: ['t1', 't2'], total: null })
+      .mockRejectedValueOnce(new Error('Backend down'));
+    const onLoadError = jest.fn();
+    lists = createLabelThreadLists({ router, loadLabelCounts: jest.fn().mockRejectedValue(new Error('Signed out')), loadThreadIds, onLoadError });
+    await lists.setMatcher(matcher);
+
+    expect(await router.routes.get('stamp-label-paid')(0, 2)).toEqual({ threads: ['t1', 't2'], hasMore: true });
+    await expect(router.routes.get('stamp-label-paid')(2, 2)).rejects.toThrow('Backend down');
+    expect(onLoadError).toHaveBeenCalledWith(expect.objectContaining({ key: 'paid' }), expect.objectContaining({ message: 'Backend down' }));
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('a new taxonomy replaces the routes', async () => {
+    const router = fakeRouter();
+    lists = createLabelThreadLists({ router, loadLabelCounts: async () => ({}), loadThreadIds: jest.fn() });
+    await lists.setMatcher(matcher);
+    await lists.setMatcher(createLabelMatcher({ labels: [DEFAULT_LABEL_TAXONOMY.labels[0]] }));
+
+    expect([...router.routes.keys()]).toEqual(['stamp-label-pending']);
+  });
+});
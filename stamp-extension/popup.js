@@ -2,13 +2,19 @@
 
 /**
  * Popup JavaScript for Stamp Chrome Extension
- * Manages the installation process and UI state
+ * Manages the installation process and UI state.
+ * Stamp is installed per Gmail account: the popup shows the account of the active Gmail tab
+ * and lets the user switch between the other installed accounts.
  */
 
 class PopupManager {
   constructor() {
     this.isInstalling = false;
+    this.installingTabId = null;
     this.currentError = null;
+    this.accounts = []; // Installation records of every installed Gmail account
+    this.selectedAccount = null;
+    this.tabAccount = null; // Gmail account of the active tab, when it is a Gmail tab
     this.initializeElements();
     this.bindEvents();
     this.checkInstallationState();
@@ -41,6 +47,10 @@ class PopupManager {
       step3: document.getElementById('step3-indicator')
     };
 
+    // Account switcher
+    this.accountSelect = document.getElementById('account-select');
+    this.installDescription = document.getElementById('install-description');
+
     // Info elements
     this.userEmail = document.getElementById('user-email');
     this.installDate = document.getElementById('install-date');
@@ -56,13 +66,17 @@ class PopupManager {
     this.buttons.signOut.addEventListener('click', () => this.signOut());
     this.buttons.retryInstall.addEventListener('click', () => this.startInstallation());
     this.buttons.showError.addEventListener('click', () => this.toggleErrorDetails());
+    this.accountSelect.addEventListener('change', () => this.selectAccount(this.accountSelect.value));
   }
 
   async checkInstallationState() {
     try {
       console.log('[Popup] Checking installation state...');
+
+      const activeTabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      this.tabAccount = await this.getGmailAccount(activeTabs[0]);
       
-      const response = await this.sendMessage({ type: 'GET_INSTALLATION_STATE' });
+      const response = await this.sendMessage({ type: 'GET_INSTALLATION_STATE', accountEmail: this.tabAccount });
       
       if (response.error) {
         console.error('[Popup] Error checking installation state:', response.error);
@@ -71,6 +85,7 @@ class PopupManager {
       }
 
       console.log('[Popup] Installation state:', response);
+      this.accounts = response.accounts || [];
 
       if (response.isInstalled && response.userEmail) {
         this.showInstalledState(response);
@@ -100,12 +115,14 @@ class PopupManager {
       const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
       const activeTab = tabs[0];
 
-      if (!activeTab || !activeTab.url.includes('mail.google.com')) {
+      if (!activeTab || !activeTab.url?.includes('mail.google.com')) {
         throw new Error('Please open Gmail first, then try installing Stamp again.');
       }
 
-      // Send installation command to content script
+      // Send installation command to content script; it installs Stamp for the tab's account
       console.log('[Popup] Sending installation command to content script...');
+      this.installingTabId = activeTab.id;
+      this.tabAccount = await this.getGmailAccount(activeTab);
       const result = await chrome.tabs.sendMessage(activeTab.id, {
         type: 'START_INSTALLATION'
       });
@@ -127,10 +144,11 @@ class PopupManager {
       this.updateStep(3, 'complete');
 
       // Check final installation state
-      const finalState = await this.sendMessage({ type: 'GET_INSTALLATION_STATE' });
+      const finalState = await this.sendMessage({ type: 'GET_INSTALLATION_STATE', accountEmail: this.tabAccount });
       
       if (finalState.isInstalled) {
         console.log('[Popup] Installation completed successfully');
+        this.accounts = finalState.accounts || [];
         this.showInstalledState(finalState);
       } else {
         throw new Error('Installation did not complete successfully');
@@ -141,6 +159,7 @@ class PopupManager {
       this.showError(error.message);
     } finally {
       this.isInstalling = false;
+      this.installingTabId = null;
     }
   }
 
@@ -151,8 +170,10 @@ class PopupManager {
     this.isInstalling = false;
     
     try {
-      // Clean up any partial installation state
-      await this.sendMessage({ type: 'CLEANUP_INSTALLATION' });
+      // Clean up any partial installation state of the account being installed
+      if (this.installingTabId !== null) {
+        await chrome.tabs.sendMessage(this.installingTabId, { type: 'CLEANUP_INSTALLATION' });
+      }
     } catch (error) {
       console.error('[Popup] Error during installation cleanup:', error);
     }
@@ -162,19 +183,17 @@ class PopupManager {
 
   async signOut() {
     try {
-      console.log('[Popup] Starting sign out...');
+      console.log('[Popup] Starting sign out of', this.selectedAccount);
       
-      // Get active Gmail tab
-      const tabs = await chrome.tabs.query({ 
-        url: ['https://mail.google.com/*', 'https://mail.google.com/*'] 
-      });
+      // Only a tab of the selected account can sign it out
+      const tab = await this.findGmailTab(this.selectedAccount);
       
-      if (tabs.length === 0) {
-        throw new Error('No Gmail tabs found. Please open Gmail and try again.');
+      if (!tab) {
+        throw new Error(`No Gmail tab found for ${this.selectedAccount}. Please open Gmail for that account and try again.`);
       }
 
       // Send sign out command to content script
-      const result = await chrome.tabs.sendMessage(tabs[0].id, {
+      const result = await chrome.tabs.sendMessage(tab.id, {
         type: 'SIGN_OUT'
       });
 
@@ -183,7 +202,8 @@ class PopupManager {
       }
 
       console.log('[Popup] Sign out completed');
-      this.showNotInstalledState();
+      // Other Gmail accounts stay installed
+      await this.checkInstallationState();
       
     } catch (error) {
       console.error('[Popup] Sign out failed:', error);
@@ -191,11 +211,54 @@ class PopupManager {
     }
   }
 
-  openGmail() {
-    chrome.tabs.create({ url: 'https://mail.google.com' });
+  async openGmail() {
+    // Switch to the selected account's Gmail tab, or open Gmail signed into that account
+    const tab = await this.findGmailTab(this.selectedAccount);
+    if (tab) {
+      await chrome.tabs.update(tab.id, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    } else {
+      const authuser = this.selectedAccount ? `?authuser=${encodeURIComponent(this.selectedAccount)}` : '';
+      chrome.tabs.create({ url: `https://mail.google.com/mail/${authuser}` });
+    }
     window.close();
   }
 
+  async selectAccount(accountEmail) {
+    const state = await this.sendMessage({ type: 'GET_INSTALLATION_STATE', accountEmail });
+    this.accounts = state.accounts || this.accounts;
+    this.showInstalledState(state);
+  }
+
+  /**
+   * Asks a tab's content script which Gmail account it belongs to.
+   * @param {chrome.tabs.Tab} tab
+   * @returns {Promise<string|null>}
+   */
+  async getGmailAccount(tab) {
+    if (!tab?.url?.startsWith('https://mail.google.com/')) return null;
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_GMAIL_ACCOUNT' });
+      return response?.accountEmail || null;
+    } catch (error) {
+      // Gmail tabs opened before the extension was loaded have no content script
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} accountEmail
+   * @returns {Promise<chrome.tabs.Tab|null>} A Gmail tab signed into the account
+   */
+  async findGmailTab(accountEmail) {
+    if (!accountEmail) return null;
+    const tabs = await chrome.tabs.query({ url: 'https://mail.google.com/*' });
+    for (const tab of tabs) {
+      if (await this.getGmailAccount(tab) === accountEmail) return tab;
+    }
+    return null;
+  }
+
   openLearnMore() {
     chrome.tabs.create({ url: 'https://trystamp.ai/chrome-extension' });
   }
@@ -203,6 +266,9 @@ class PopupManager {
   showNotInstalledState() {
     this.hideAllStates();
     this.states.notInstalled.classList.remove('hidden');
+    this.installDescription.textContent = this.tabAccount
+      ? `Connect Stamp to ${this.tabAccount} to start managing invoices and payments seamlessly.`
+      : 'Connect Stamp to your Gmail account to start managing invoices and payments seamlessly.';
   }
 
   showInstallingState() {
@@ -214,6 +280,8 @@ class PopupManager {
   showInstalledState(data) {
     this.hideAllStates();
     this.states.installed.classList.remove('hidden');
+    this.selectedAccount = data.accountEmail || null;
+    this.renderAccountSwitcher();
     
     if (data.userEmail) {
       this.userEmail.textContent = data.userEmail;
@@ -225,6 +293,18 @@ class PopupManager {
     }
   }
 
+  renderAccountSwitcher() {
+    this.accountSelect.textContent = '';
+    this.accounts.forEach(account => {
+      const option = document.createElement('option');
+      option.value = account.accountEmail;
+      option.textContent = account.accountEmail;
+      option.selected = account.accountEmail === this.selectedAccount;
+      this.accountSelect.appendChild(option);
+    });
+    this.accountSelect.classList.toggle('hidden', this.accounts.length < 2);
+  }
+
   showError(message) {
     this.hideAllStates();
     this.states.error.classList.remove('hidden');
@@ -0,0 +1,112 @@
+// stamp-extension/processing-poller.js
+
+/**
+ * Polls threads the backend is still processing until their analysis is ready, so a newly
+ * arrived invoice gets its labels and cards without a reload. Each thread is checked after
+ * `initialDelayMs`, then at doubling intervals up to `maxDelayMs`, and dropped once it has been
+ * watched for `maxWatchMs`. Due threads are checked together in one call, and polling waits
+ * while the Gmail tab is in the background.
+ */
+
+/**
+ * @param {Object} options
+ * @param {Function} options.check - (threadIds) => Promise; re-requests the threads. Threads it
+ *   finds ready are expected to be unwatched (see ThreadDataManager)
+ * @param {number} [options.initialDelayMs=10000]
+ * @param {number} [options.maxDelayMs=120000]
+ * @param {number} [options.maxWatchMs=1800000] - 30 minutes by default
+ * @param {number} [options.maxWatched=200] - The oldest threads are dropped beyond this
+ * @param {Function} [options.isPaused] - Defaults to "the tab is hidden"
+ * @param {Function} [options.now=Date.now]
+ * @returns {{watch: Function, unwatch: Function, isWatching: Function, stop: Function}}
+ */
+export function createProcessingPoller({
+  check,
+  initialDelayMs = 10 * 1000,
+  maxDelayMs = 2 * 60 * 1000,
+  maxWatchMs = 30 * 60 * 1000,
+  maxWatched = 200,
+  isPaused = () => typeof document !== 'undefined' && document.hidden,
+  now = Date.now
+}) {
+  const watched = new Map(); // threadId => { since, delay, dueAt }, oldest first
+  let timer = null;
+  let checking = false;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!watched.size || checking) return;
+    const nextDue = Math.min(...[...watched.values()].map(entry => entry.dueAt));
+    timer = setTimeout(tick, Math.max(0, nextDue - now()));
+  };
+
+  async function tick() {
+    timer = null;
+    if (isPaused()) {
+      timer = setTimeout(tick, initialDelayMs);
+      return;
+    }
+
+    const time = now();
+    watched.forEach((entry, threadId) => {
+      if (time - entry.since < maxWatchMs) return;
+      console.log('[POLL] Giving up on thread still processing after', Math.round(maxWatchMs / 60000), 'minutes:', threadId);
+      watched.delete(threadId);
+    });
+    const due = [...watched.entries()].filter(([, entry]) => entry.dueAt <= time).map(([threadId]) => threadId);
+    if (!due.length) {
+      schedule();
+      return;
+    }
+
+    checking = true;
+    console.log(`[POLL] Checking ${due.length} threads still processing`);
+    try {
+      await check(due);
+    } catch (error) {
+      console.warn('[POLL] Check failed; retrying later:', error);
+    } finally {
+      checking = false;
+    }
+    due.forEach(threadId => {
+      const entry = watched.get(threadId);
+      if (!entry) return;
+      entry.delay = Math.min(entry.delay * 2, maxDelayMs);
+      entry.dueAt = now() + entry.delay;
+    });
+    schedule();
+  }
+
+  return {
+    /**
+     * Starts polling threads; threads already watched keep their schedule.
+     * @param {string[]} threadIds
+     */
+    watch(threadIds) {
+      const time = now();
+      threadIds.forEach(threadId => {
+        if (watched.has(threadId)) return;
+        watched.set(threadId, { since: time, delay: initialDelayMs, dueAt: time + initialDelayMs });
+      });
+      while (watched.size > maxWatched) watched.delete(watched.keys().next().value);
+      schedule();
+    },
+
+    /**
+     * @param {string[]} threadIds - Threads that are ready (or no longer of interest)
+     */
+    unwatch(threadIds) {
+      threadIds.forEach(threadId => watched.delete(threadId));
+      if (!watched.size) schedule();
+    },
+
+    isWatching: (threadId) => watched.has(threadId),
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      watched.clear();
+    }
+  };
+}
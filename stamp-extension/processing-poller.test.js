@@ -0,0 +1,91 @@
+// Unit tests for polling threads still being processed in processing-poller.js
+import { createProcessingPoller } from './processing-poller.js';
+
+describe('createProcessingPoller', () => {
+  let paused;
+  let poller;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    paused = false;
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    poller?.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const create = (check, options = {}) => {
+    poller = createProcessingPoller({ check, initialDelayMs: 1000, maxDelayMs: 4000, isPaused: () => paused, ...options });
+    return poller;
+  };
+
+  test('checks due threads together and backs off until they are ready', async () => {
+    const check = jest.fn(async () => undefined);
+    create(check);
+
+    poller.watch(['t1', 't2']);
+    await jest.advanceTimersByTimeAsync(999);
+    expect(check).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+    expect(check).toHaveBeenLastCalledWith(['t1', 't2']);
+
+    // Next check after 2s, then 4s (the maximum), then 4s again
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(check).toHaveBeenCalledTimes(2);
+    poller.unwatch(['t1']);
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(check).toHaveBeenLastCalledWith(['t2']);
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(check).toHaveBeenCalledTimes(4);
+
+    poller.unwatch(['t2']);
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(check).toHaveBeenCalledTimes(4);
+  });
+
+  test('a check that finds a thread ready stops its polling', async () => {
+    const check = jest.fn(async (ids) => poller.unwatch(ids));
+    create(check);
+
+    poller.watch(['t1']);
+    expect(poller.isWatching('t1')).toBe(true);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(poller.isWatching('t1')).toBe(false);
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(check).toHaveBeenCalledTimes(1);
+  });
+
+  test('waits while the tab is hidden and gives up after the maximum watch time', async () => {
+    const check = jest.fn(async () => undefined);
+    create(check, { maxWatchMs: 10000 });
+
+    paused = true;
+    poller.watch(['t1']);
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(check).not.toHaveBeenCalled();
+
+    paused = false;
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(check).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(20000);
+    expect(poller.isWatching('t1')).toBe(false);
+    expect(check).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps polling when a check fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    const check = jest.fn().mockRejectedValueOnce(new Error('502')).mockResolvedValue(undefined);
+    create(check);
+
+    poller.watch(['t1']);
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(check).toHaveBeenCalledTimes(2);
+    expect(poller.isWatching('t1')).toBe(true);
+  });
+});
@@ -0,0 +1,98 @@
+// stamp-extension/row-invoice-index.js
+
+/**
+ * Keeps track of which invoice backs each jspreadsheet row.
+ * jspreadsheet reorders its data array in place when the user sorts, moves, inserts or
+ * deletes rows, so `data[y]` stops pointing at the right invoice after the first sort.
+ * This index mirrors those operations (including their undo/redo) so edits and exports
+ * always resolve to the invoice the user is looking at.
+ */
+export class RowInvoiceIndex {
+  /**
+   * @param {Object[]} invoices - Invoices in their initial row order
+   * @param {number} [rowCount] - Total rows in the sheet (blank padding rows map to null)
+   */
+  constructor(invoices, rowCount = invoices.length) {
+    this.rows = invoices.slice();
+    while (this.rows.length < rowCount) {
+      this.rows.push(null);
+    }
+  }
+
+  /**
+   * @param {number} rowIndex - Current row index in the sheet
+   * @returns {Object|null} The invoice shown in that row, or null for blank/inserted rows
+   */
+  get(rowIndex) {
+    return this.rows[rowIndex] || null;
+  }
+
+  /**
+   * Applies a jspreadsheet sort.
+   * @param {number[]} order - order[newPosition] = previous position (as passed to onsort)
+   */
+  applyOrder(order) {
+    this.rows = order.map(previousPosition => this.rows[previousPosition] ?? null);
+  }
+
+  move(from, to) {
+    const [row] = this.rows.splice(from, 1);
+    this.rows.splice(to, 0, row ?? null);
+  }
+
+  insert(position, count, invoices = null) {
+    const inserted = invoices || new Array(count).fill(null);
+    this.rows.splice(position, 0, ...inserted);
+  }
+
+  remove(position, count) {
+    return this.rows.splice(position, count);
+  }
+
+  /**
+   * Mirrors a jspreadsheet history record being undone or redone.
+   * jspreadsheet suppresses row events while replaying history, so this is the only
+   * place those structural changes are visible.
+   * @param {Object} historyRecord - Record passed to onundo/onredo
+   * @param {'undo'|'redo'} direction - Which way the record is being replayed
+   */
+  replay(historyRecord, direction) {
+    if (!historyRecord) return;
+    const undo = direction === 'undo';
+
+    switch (historyRecord.action) {
+      case 'orderBy': {
+        if (undo) {
+          const inverse = [];
+          historyRecord.rows.forEach((previousPosition, position) => {
+            inverse[previousPosition] = position;
+          });
+          this.applyOrder(inverse);
+        } else {
+          this.applyOrder(historyRecord.rows);
+        }
+        break;
+      }
+      case 'moveRow':
+        if (undo) {
+          this.move(historyRecord.newValue, historyRecord.oldValue);
+        } else {
+          this.move(historyRecord.oldValue, historyRecord.newValue);
+        }
+        break;
+      case 'insertRow':
+      case 'deleteRow': {
+        const position = historyRecord.insertBefore ? +historyRecord.rowNumber : historyRecord.rowNumber + 1;
+        const removing = (historyRecord.action === 'insertRow') === undo;
+        if (removing) {
+          historyRecord.stampInvoices = this.remove(position, historyRecord.numOfRows);
+        } else {
+          this.insert(position, historyRecord.numOfRows, historyRecord.stampInvoices);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
@@ -0,0 +1,77 @@
+// stamp-extension/safe-html.js
+
+/**
+ * Escaping for everything the extension renders into Gmail. Vendor names, filenames, notes,
+ * invoice fields and chat text come from emails and the backend, so they are never trusted as
+ * markup: `html` templates escape every value put into them, and URLs taken from that data
+ * only keep web and mail links.
+ */
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+/**
+ * Markup that is already safe, e.g. built by `html` or by another renderer that escapes.
+ */
+export class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * @param {*} value
+ * @returns {string} The value as text that can go inside an element or a quoted attribute
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Marks trusted markup so `html` keeps it as it is. Only for markup the extension built itself.
+ * @param {string} markup
+ * @returns {SafeHtml}
+ */
+export function rawHtml(markup) {
+  return new SafeHtml(String(markup ?? ''));
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes every interpolated value. Nested `html` results, rawHtml() and
+ * arrays of either are kept; null, undefined and false render nothing.
+ * @example html`<span title="${vendor}">${vendor}</span>`
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((result, string, index) => result + renderValue(values[index - 1]) + string));
+}
+
+/**
+ * @param {string} url - From an email or the backend
+ * @returns {string} The URL when it is an http(s) or mailto link, otherwise ''
+ */
+export function safeUrl(url) {
+  const trimmed = String(url ?? '').trim();
+  return SAFE_URL.test(trimmed) ? trimmed : '';
+}
+
+/**
+ * @param {string} accountPath - e.g. '/u/0'
+ * @param {string} threadId
+ * @param {string} [messageId]
+ * @returns {string} Link to a Gmail thread (and message), with the IDs encoded
+ */
+export function gmailThreadUrl(accountPath, threadId, messageId = null) {
+  const message = messageId ? `/${encodeURIComponent(messageId)}` : '';
+  return `https://mail.google.com/mail${accountPath}/#inbox/${encodeURIComponent(threadId)}${message}`;
+}
@@ -0,0 +1,206 @@
+// Unit tests for the escaping helpers in safe-html.js and hostile input through every renderer
+import { escapeHtml, gmailThreadUrl, html, rawHtml, safeUrl } from './safe-html.js';
+import { createDetailsSidebarContent, createEntityCard, createStorageConfirmationContent, renderDuplicateBadge } from './entity-cards.js';
+import { transformDataForSpreadsheet } from './spreadsheet-builder.js';
+import { renderMarkdown, renderToolSteps } from './chat-answers.js';
+import { buildVendorDirectory, renderVendorDetail, renderVendorList } from './vendor-directory.js';
+import { buildApSummary, renderApDashboard } from './ap-dashboard.js';
+
+const HOSTILE_NAME = '<img src=x onerror="alert(1)">Globex';
+const HOSTILE_FILE = '"><script>alert(2)</script>invoice\'s.pdf';
+const HOSTILE_NOTE = '</div><iframe src="javascript:alert(3)"></iframe>';
+
+const render = (markup) => {
+  const container = document.createElement('div');
+  container.innerHTML = markup;
+  return container;
+};
+
+// Nothing the data carried may come out as an element or an event handler
+const expectInert = (container) => {
+  expect(container.querySelector('img, script, iframe')).toBeNull();
+  container.querySelectorAll('*').forEach(element => {
+    [...element.attributes].filter(attribute => attribute.name.startsWith('on'))
+      .forEach(attribute => expect(attribute.value).not.toContain('alert'));
+  });
+};
+
+const hostileInvoice = () => ({
+  documentType: 'invoice',
+  status: 'pending',
+  statusThreadId: 't1"><img src=x>',
+  document: {
+    thread_id: 'thread"1',
+    message_id: 'msg\'1',
+    document_name: HOSTILE_FILE,
+    url: 'javascript:alert(4)',
+    thumbnail_url: 'https://files.example.com/thumb.png?a=1&b="2"',
+    details: {
+      id: 'doc"1',
+      invoiceNumber: HOSTILE_NAME,
+      vendor: { name: HOSTILE_NAME, email: 'ap@globex.example' },
+      amount: 120,
+      currency: 'USD',
+      dueDate: '2025-07-01',
+      notes: HOSTILE_NOTE,
+      lineItems: [{ description: HOSTILE_NOTE, quantity: 1, amount: 120, sku: HOSTILE_NAME }]
+    }
+  }
+});
+
+describe('escaping helpers', () => {
+  test('escapeHtml escapes markup and both quotes', () => {
+    expect(escapeHtml(`<a href="x" title='y'>&</a>`)).toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(0)).toBe('0');
+  });
+
+  test('html escapes values but keeps nested templates and trusted markup', () => {
+    const item = (name) => html`<li title="${name}">${name}</li>`;
+    const list = html`<ul>${[item(HOSTILE_NAME), item('Acme')]}</ul>${rawHtml('<hr>')}${null}${false}${undefined}`;
+    const container = render(list.toString());
+
+    expect(container.querySelectorAll('li')).toHaveLength(2);
+    expect(container.querySelector('li').textContent).toBe(HOSTILE_NAME);
+    expect(container.querySelector('li').title).toBe(HOSTILE_NAME);
+    expect(container.querySelector('hr')).not.toBeNull();
+    expectInert(container);
+  });
+
+  test('safeUrl keeps web and mail links only', () => {
+    expect(safeUrl(' https://example.com/a ')).toBe('https://example.com/a');
+    expect(safeUrl('mailto:ap@globex.example')).toBe('mailto:ap@globex.example');
+    expect(safeUrl('javascript:alert(1)')).toBe('');
+    expect(safeUrl('JaVaScRiPt:alert(1)')).toBe('');
+    expect(safeUrl('data:text/html,<b>hi</b>')).toBe('');
+    expect(safeUrl(undefined)).toBe('');
+  });
+
+  test('gmailThreadUrl encodes the thread and message IDs', () => {
+    expect(gmailThreadUrl('/u/1', 'abc', 'def')).toBe('https://mail.google.com/mail/u/1/#inbox/abc/def');
+    expect(gmailThreadUrl('/u/0', 'a"b/c')).toBe('https://mail.google.com/mail/u/0/#inbox/a%22b%2Fc');
+  });
+});
+
+describe('hostile data through the renderers', () => {
+  test('entity cards keep vendor names as text and round-trip their details', () => {
+    const fullDetails = { document: { document_name: HOSTILE_FILE, details: { notes: `it's "${HOSTILE_NOTE}"` } } };
+    const card = createEntityCard({
+      cardType: 'invoice',
+      messageId: 'm"1',
+      title: HOSTILE_FILE,
+      icon: '📄',
+      vendor: HOSTILE_NAME,
+      amount: 50,
+      currency: 'USD',
+      status: '<b>paid</b>',
+      hasDetails: true,
+      fullDetails,
+      duplicates: [{}]
+    }, 'thread"1', { accountPath: '/u/0', statusColors: {} });
+    const container = render(card);
+    const element = container.querySelector('.entity-card');
+
+    expect(JSON.parse(element.dataset.fullDetails)).toEqual(fullDetails);
+    expect(element.dataset.threadId).toBe('thread"1');
+    expect(container.querySelector('a').getAttribute('href')).toBe('https://mail.google.com/mail/u/0/#inbox/thread%221/m%221');
+    expect(container.textContent).toContain(HOSTILE_NAME);
+    expect(container.textContent).toContain(HOSTILE_FILE);
+    expect(container.querySelector('.status-tag b')).toBeNull();
+    expect(container.querySelector('.stamp-duplicate-badge')).not.toBeNull();
+    expectInert(container);
+  });
+
+  test('the duplicate badge escapes its card ID', () => {
+    const container = render(renderDuplicateBadge({ cardType: 'invoice', messageId: '"><img src=x>', duplicates: [{}, {}] }));
+    expect(container.querySelector('button').dataset.cardId).toBe('invoice-"><img src=x>');
+    expectInert(container);
+  });
+
+  test('the storage confirmation keeps the card icon and rule description as text', () => {
+    const container = render(createStorageConfirmationContent({ icon: HOSTILE_NAME }, HOSTILE_NOTE));
+
+    expect(container.textContent).toContain(HOSTILE_NAME);
+    expect(container.textContent).toContain(HOSTILE_NOTE);
+    expectInert(container);
+  });
+
+  test('the details view keeps every field as text', () => {
+    const container = render(createDetailsSidebarContent(hostileInvoice()));
+
+    expect(container.textContent).toContain(HOSTILE_NAME);
+    expect(container.textContent).toContain(HOSTILE_NOTE);
+    expect(container.textContent).toContain(HOSTILE_FILE);
+    expectInert(container);
+  });
+
+  test('tracker html cells escape IDs and drop unsafe document URLs', () => {
+    const [row] = transformDataForSpreadsheet([hostileInvoice()]);
+    const docCell = render(row[0]);
+    const popoutCell = render(row[12]);
+    const threadCell = render(row[15]);
+    const icon = docCell.querySelector('.doc-preview-icon');
+
+    expect(icon.dataset.docName).toBe(HOSTILE_FILE);
+    expect(icon.dataset.threadId).toBe('thread"1');
+    expect(icon.dataset.docUrl).toBe('');
+    expect(icon.dataset.thumbUrl).toBe('https://files.example.com/thumb.png?a=1&b="2"');
+    expect(popoutCell.querySelector('.gmail-popout-icon').dataset.messageId).toBe('msg\'1');
+    expect(threadCell.querySelector('button').dataset.threadId).toBe('t1"><img src=x>');
+    [docCell, popoutCell, threadCell].forEach(expectInert);
+  });
+
+  test('chat markdown escapes raw HTML and unsafe links', () => {
+    const container = render(renderMarkdown([
+      `**${HOSTILE_NAME}** owes $120`,
+      `- ${HOSTILE_NOTE}`,
+      `| Vendor | File |`,
+      `| --- | --- |`,
+      `| ${HOSTILE_NAME} | ${HOSTILE_FILE} |`,
+      '[click](javascript:alert(5)) and [statement](https://globex.example/s?a="b")',
+      '```',
+      HOSTILE_NOTE,
+      '```'
+    ].join('\n')));
+
+    expect(container.querySelector('b').textContent).toBe(HOSTILE_NAME);
+    expect(container.querySelector('li').textContent).toBe(HOSTILE_NOTE);
+    expect(container.querySelectorAll('a')).toHaveLength(1);
+    expect(container.querySelector('a').getAttribute('href')).toBe('https://globex.example/s?a="b"');
+    expect(container.querySelector('pre').textContent).toBe(HOSTILE_NOTE);
+    expectInert(container);
+  });
+
+  test('tool steps escape tool inputs and results', () => {
+    const container = render(renderToolSteps([{ name: HOSTILE_NAME, input: { vendor: HOSTILE_NAME }, result: HOSTILE_NOTE }]));
+
+    expect(container.querySelectorAll('pre')[1].textContent).toBe(HOSTILE_NOTE);
+    expectInert(container);
+  });
+
+  test('the vendor directory and AP dashboard keep vendor names as text', () => {
+    const invoices = [hostileInvoice()];
+    const vendors = document.createElement('div');
+    renderVendorList(vendors, buildVendorDirectory(invoices));
+    expect(vendors.querySelector('.stamp-vendor-row').textContent).toContain(HOSTILE_NAME);
+    expectInert(vendors);
+
+    const dashboard = document.createElement('div');
+    renderApDashboard(dashboard, buildApSummary(invoices));
+    expect(dashboard.textContent).toContain(HOSTILE_NAME);
+    expectInert(dashboard);
+  });
+
+  test('vendor detail links keep the thread ID inside the Gmail URL', () => {
+    const invoice = hostileInvoice();
+    invoice.document.message_id = '../#settings"><img src=x>';
+    const container = document.createElement('div');
+    renderVendorDetail(container, buildVendorDirectory([invoice])[0], {
+      getGmailLink: (doc) => gmailThreadUrl('/u/0', doc.messageId || doc.threadId),
+    });
+
+    expect(container.querySelector('a[title="Open in Gmail"]').getAttribute('href'))
+      .toBe(`https://mail.google.com/mail/u/0/#inbox/${encodeURIComponent('../#settings"><img src=x>')}`);
+    expectInert(container);
+  });
+});
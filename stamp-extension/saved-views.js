@@ -0,0 +1,282 @@
+// stamp-extension/saved-views.js
+/* global chrome */
+import { getCurrentAccount } from './accounts.js';
+import { toLocalDateString } from './dates.js';
+
+/**
+ * Saved views for the invoice tracker.
+ * A view is a named combination of filter predicates, sort order and column layout
+ * (order, width, visibility). Custom views are stored per Gmail account in chrome.storage.sync,
+ * one item per view plus an item listing their ids, so no item grows past sync's per-item limit
+ * and only a saved view is ever written. The last active view changes on every switch, so it is
+ * kept in chrome.storage.local. Built-in views ship with the extension and cannot be deleted.
+ */
+
+// `<prefix><email>`; holds { viewIds }, or { views, lastViewId } from before views had their own items
+const VIEWS_STORAGE_PREFIX = 'stampTrackerViews:';
+const VIEW_STORAGE_PREFIX = 'stampTrackerView:'; // `<prefix><email>:<viewId>`
+const LAST_VIEW_STORAGE_PREFIX = 'stampTrackerLastView:';
+
+export const DEFAULT_VIEW_ID = 'all';
+
+export const BUILT_IN_VIEWS = [
+  {
+    id: DEFAULT_VIEW_ID,
+    name: 'All invoices',
+    builtIn: true,
+    filters: [],
+    sort: null,
+    columns: null
+  },
+  {
+    id: 'overdue-over-5k',
+    name: 'Overdue > $5k',
+    builtIn: true,
+    filters: [
+      { field: 'dueDate', op: 'before', value: '@today' },
+      { field: 'amount', op: 'gt', value: 5000 },
+      { field: 'status', op: 'not_in', value: ['paid', 'rejected', 'duplicate'] }
+    ],
+    sort: { key: 'dueDate', direction: 'asc' },
+    columns: null
+  },
+  {
+    id: 'awaiting-my-approval',
+    name: 'Awaiting my approval',
+    builtIn: true,
+    filters: [
+      { field: 'status', op: 'in', value: ['pending', 'requires_review', 'partially_approved'] },
+      { field: 'Approver', op: 'contains', value: '@me' }
+    ],
+    sort: { key: 'dueDate', direction: 'asc' },
+    columns: null
+  },
+  {
+    id: 'this-month-receipts',
+    name: "This month's receipts",
+    builtIn: true,
+    filters: [
+      { field: 'documentType', op: 'eq', value: 'receipt' },
+      { field: 'issueDate', op: 'in_month', value: '@this_month' }
+    ],
+    sort: { key: 'issueDate', direction: 'desc' },
+    columns: null
+  }
+];
+
+/**
+ * Loads built-in and custom views for the signed-in user.
+ * @returns {Promise<{views: Object[], lastViewId: string|null}>}
+ */
+export async function loadSavedViews() {
+  try {
+    const indexKey = getIndexKey();
+    const lastViewKey = getLastViewKey();
+    const stored = (await chrome.storage.sync.get([indexKey]))[indexKey] || {};
+    let customViews;
+    let lastViewId = (await chrome.storage.local.get([lastViewKey]))[lastViewKey] || null;
+    if (Array.isArray(stored.views)) {
+      customViews = stored.views;
+      lastViewId = lastViewId || stored.lastViewId || null;
+      await migrateSingleItem(customViews, lastViewId).catch(error => console.error('[VIEWS] Failed to move saved views to their own items:', error));
+    } else {
+      const viewKeys = (stored.viewIds || []).map(getViewKey);
+      const items = viewKeys.length ? await chrome.storage.sync.get(viewKeys) : {};
+      customViews = viewKeys.map(key => items[key]).filter(Boolean);
+    }
+    console.log(`[VIEWS] Loaded ${customViews.length} custom views`);
+    return { views: [...BUILT_IN_VIEWS, ...customViews], lastViewId };
+  } catch (error) {
+    console.error('[VIEWS] Failed to load saved views:', error);
+    return { views: [...BUILT_IN_VIEWS], lastViewId: null };
+  }
+}
+
+/**
+ * Stores a custom view and the list of custom view ids. Rejects when sync storage refuses the
+ * write (e.g. the view is over its per-item quota), so the caller can tell the user.
+ * @param {Object} view - The custom view to store
+ * @param {Object[]} views - All views, built-in and custom, in order
+ * @returns {Promise<void>}
+ */
+export async function saveCustomView(view, views) {
+  await chrome.storage.sync.set({ [getViewKey(view.id)]: view, [getIndexKey()]: { viewIds: customViewIds(views) } });
+}
+
+/**
+ * Removes a custom view from storage.
+ * @param {string} viewId
+ * @param {Object[]} views - The views left, built-in and custom, in order
+ * @returns {Promise<void>}
+ */
+export async function deleteCustomView(viewId, views) {
+  await chrome.storage.sync.set({ [getIndexKey()]: { viewIds: customViewIds(views) } });
+  await chrome.storage.sync.remove([getViewKey(viewId)]);
+}
+
+/**
+ * Remembers the view the user last switched to, on this device.
+ * @param {string} viewId
+ * @returns {Promise<void>}
+ */
+export async function saveLastViewId(viewId) {
+  try {
+    await chrome.storage.local.set({ [getLastViewKey()]: viewId });
+  } catch (error) {
+    console.error('[VIEWS] Failed to remember the last view:', error);
+  }
+}
+
+/**
+ * Creates a new custom view id.
+ * @returns {string}
+ */
+export function createViewId() {
+  return `view_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Encodes a one-off filter ({ name, filters, sort }) for the tracker's filter route.
+ * Base64url keeps the JSON to a single, URL-safe path segment.
+ * @param {Object} filterView
+ * @returns {string}
+ */
+export function encodeTrackerFilter(filterView) {
+  const json = JSON.stringify({ name: filterView.name, filters: filterView.filters || [], sort: filterView.sort || null });
+  const bytes = new TextEncoder().encode(json);
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a filter produced by encodeTrackerFilter.
+ * @param {string} encoded
+ * @returns {Object|null} { name, filters, sort }, or null if the segment is not a valid filter
+ */
+export function decodeTrackerFilter(encoded) {
+  try {
+    const binary = atob(String(encoded).replace(/-/g, '+').replace(/_/g, '/'));
+    const json = new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    const filterView = JSON.parse(json);
+    return Array.isArray(filterView?.filters) ? filterView : null;
+  } catch (error) {
+    console.warn('[VIEWS] Ignoring malformed tracker filter:', error);
+    return null;
+  }
+}
+
+/**
+ * Evaluates a view's filter predicates against one row.
+ * @param {Object[]} filters - Predicates ({field, op, value})
+ * @param {Object} rowValues - Values keyed by column key (fieldName or title), plus documentType
+ * @param {Object} [context] - Values for tokens: { userEmail, now }
+ * @returns {boolean} True if the row satisfies every predicate
+ */
+export function matchesFilters(filters, rowValues, context = {}) {
+  if (!filters || filters.length === 0) return true;
+  return filters.every(filter => matchesFilter(filter, rowValues[filter.field], context));
+}
+
+function matchesFilter(filter, rawValue, context) {
+  const value = rawValue === null || rawValue === undefined ? '' : rawValue;
+  const text = String(value).toLowerCase();
+  const now = context.now ? new Date(context.now) : new Date();
+
+  switch (filter.op) {
+    case 'eq':
+      return text === String(filter.value).toLowerCase();
+    case 'neq':
+      return text !== String(filter.value).toLowerCase();
+    case 'in':
+      return toList(filter.value).includes(text);
+    case 'not_in':
+      return !toList(filter.value).includes(text);
+    case 'gt':
+      return toNumber(value) !== null && toNumber(value) > Number(filter.value);
+    case 'lt':
+      return toNumber(value) !== null && toNumber(value) < Number(filter.value);
+    case 'contains':
+      return resolveTokens(filter.value, context).some(needle => needle && text.includes(needle));
+    case 'before': {
+      const date = toDateString(value);
+      return !!date && date < resolveDate(filter.value, now);
+    }
+    case 'after': {
+      const date = toDateString(value);
+      return !!date && date > resolveDate(filter.value, now);
+    }
+    case 'in_month': {
+      const date = toDateString(value);
+      return !!date && date.slice(0, 7) === resolveDate('@today', now).slice(0, 7);
+    }
+    default:
+      console.warn(`[VIEWS] Unknown filter operator: ${filter.op}`);
+      return true;
+  }
+}
+
+// '@me' matches the signed-in user's email or its local part (approver names often use it)
+function resolveTokens(value, context) {
+  if (value === '@me') {
+    const email = (context.userEmail || '').toLowerCase();
+    return email ? [email, email.split('@')[0]] : [];
+  }
+  return [String(value).toLowerCase()];
+}
+
+// '@today', '@this_month', or a day offset from today such as '@today-30d' / '@today+7d'
+function resolveDate(value, now) {
+  if (value === '@today' || value === '@this_month') {
+    return toLocalDateString(now);
+  }
+  const offset = /^@today([+-]\d+)d$/.exec(String(value));
+  if (offset) {
+    return toLocalDateString(now, parseInt(offset[1], 10));
+  }
+  return toDateString(value);
+}
+
+function toDateString(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value || ''));
+  return match ? match[1] : '';
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const number = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+// Views saved in one item before each view had its own
+async function migrateSingleItem(customViews, lastViewId) {
+  await chrome.storage.sync.set({
+    ...Object.fromEntries(customViews.map(view => [getViewKey(view.id), view])),
+    [getIndexKey()]: { viewIds: customViewIds(customViews) }
+  });
+  if (lastViewId) await chrome.storage.local.set({ [getLastViewKey()]: lastViewId });
+  console.log(`[VIEWS] Moved ${customViews.length} custom views to their own items`);
+}
+
+function customViewIds(views) {
+  return views.filter(view => !view.builtIn).map(view => view.id);
+}
+
+function getAccountId() {
+  return getCurrentAccount() || 'default';
+}
+
+function getIndexKey() {
+  return `${VIEWS_STORAGE_PREFIX}${getAccountId()}`;
+}
+
+function getViewKey(viewId) {
+  return `${VIEW_STORAGE_PREFIX}${getAccountId()}:${viewId}`;
+}
+
+function getLastViewKey() {
+  return `${LAST_VIEW_STORAGE_PREFIX}${getAccountId()}`;
+}
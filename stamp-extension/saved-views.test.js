@@ -0,0 +1,130 @@
+// Unit tests for saved view predicates and storage in saved-views.js
+import { BUILT_IN_VIEWS, matchesFilters, encodeTrackerFilter, decodeTrackerFilter, deleteCustomView, loadSavedViews, saveCustomView, saveLastViewId } from './saved-views.js';
+import { setCurrentAccount } from './accounts.js';
+import { installFakeChromeStorage } from './fake-chrome-storage.js';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom does not provide TextEncoder/TextDecoder
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const viewFilters = (id) => BUILT_IN_VIEWS.find(view => view.id === id).filters;
+const context = { userEmail: 'dana@example.com', now: '2025-06-15T12:00:00Z' };
+
+describe('saved view filters', () => {
+  test('"Overdue > $5k" matches unpaid invoices past due over the threshold', () => {
+    const filters = viewFilters('overdue-over-5k');
+
+    expect(matchesFilters(filters, { dueDate: '2025-06-01', amount: 7500, status: 'pending' }, context)).toBe(true);
+    expect(matchesFilters(filters, { dueDate: '2025-06-01', amount: 7500, status: 'paid' }, context)).toBe(false);
+    expect(matchesFilters(filters, { dueDate: '2025-07-01', amount: 7500, status: 'pending' }, context)).toBe(false);
+    expect(matchesFilters(filters, { dueDate: '2025-06-01', amount: '4,999.00', status: 'pending' }, context)).toBe(false);
+  });
+
+  test('"Awaiting my approval" resolves @me to the signed-in user', () => {
+    const filters = viewFilters('awaiting-my-approval');
+
+    expect(matchesFilters(filters, { status: 'pending', Approver: 'dana@example.com | requested' }, context)).toBe(true);
+    expect(matchesFilters(filters, { status: 'pending', Approver: 'sam@example.com | requested' }, context)).toBe(false);
+    expect(matchesFilters(filters, { status: 'approved', Approver: 'dana@example.com | approved' }, context)).toBe(false);
+  });
+
+  test("\"This month's receipts\" only matches receipts issued in the current month", () => {
+    const filters = viewFilters('this-month-receipts');
+
+    expect(matchesFilters(filters, { documentType: 'receipt', issueDate: '2025-06-03' }, context)).toBe(true);
+    expect(matchesFilters(filters, { documentType: 'invoice', issueDate: '2025-06-03' }, context)).toBe(false);
+    expect(matchesFilters(filters, { documentType: 'receipt', issueDate: '2025-05-30' }, context)).toBe(false);
+  });
+
+  test('views without filters match every row', () => {
+    expect(matchesFilters([], { status: 'anything' }, context)).toBe(true);
+  });
+
+  test('resolves day offsets from today', () => {
+    const filters = [
+      { field: 'dueDate', op: 'after', value: '@today-31d' },
+      { field: 'dueDate', op: 'before', value: '@today' }
+    ];
+
+    expect(matchesFilters(filters, { dueDate: '2025-05-16' }, context)).toBe(true);
+    expect(matchesFilters(filters, { dueDate: '2025-05-15' }, context)).toBe(false);
+    expect(matchesFilters(filters, { dueDate: '2025-06-15' }, context)).toBe(false);
+  });
+
+  test('takes today from the user\'s clock', () => {
+    const lateEvening = { ...context, now: new Date(2025, 5, 15, 23, 30) };
+    const earlyMorning = { ...context, now: new Date(2025, 5, 15, 0, 30) };
+
+    [lateEvening, earlyMorning].forEach(ctx => {
+      expect(matchesFilters([{ field: 'dueDate', op: 'before', value: '@today' }], { dueDate: '2025-06-15' }, ctx)).toBe(false);
+      expect(matchesFilters([{ field: 'dueDate', op: 'after', value: '@today-1d' }], { dueDate: '2025-06-15' }, ctx)).toBe(true);
+      expect(matchesFilters([{ field: 'dueDate', op: 'after', value: '@today-1d' }], { dueDate: '2025-06-14' }, ctx)).toBe(false);
+    });
+  });
+});
+
+describe('tracker filter links', () => {
+  test('round-trip through a URL-safe segment', () => {
+    const filterView = { name: 'Open: Müller & Co (EUR)', filters: [{ field: 'vendor.name', op: 'eq', value: 'Müller & Co' }], sort: null };
+    const encoded = encodeTrackerFilter(filterView);
+
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeTrackerFilter(encoded)).toEqual(filterView);
+  });
+
+  test('rejects malformed segments', () => {
+    expect(decodeTrackerFilter('not a filter')).toBeNull();
+  });
+});
+
+describe('saved view storage', () => {
+  let sync;
+  let local;
+
+  beforeEach(() => {
+    const storage = installFakeChromeStorage();
+    sync = storage.sync.items;
+    local = storage.local.items;
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    setCurrentAccount('ap@work.com');
+  });
+
+  afterEach(() => {
+    setCurrentAccount(null);
+    jest.restoreAllMocks();
+  });
+
+  test('stores each custom view in its own sync item and the last view locally', async () => {
+    const mine = { id: 'view_1', name: 'Mine', filters: [], sort: null, columns: null };
+    const big = { id: 'view_2', name: 'Big', filters: [{ field: 'amount', op: 'gt', value: 10000 }], sort: null, columns: null };
+    await saveCustomView(mine, [...BUILT_IN_VIEWS, mine]);
+    await saveCustomView(big, [...BUILT_IN_VIEWS, mine, big]);
+    await saveLastViewId('view_2');
+    global.chrome.storage.sync.set.mockClear();
+    await saveLastViewId('all');
+
+    expect(global.chrome.storage.sync.set).not.toHaveBeenCalled();
+    expect(sync['stampTrackerViews:ap@work.com']).toEqual({ viewIds: ['view_1', 'view_2'] });
+    expect(await loadSavedViews()).toEqual({ views: [...BUILT_IN_VIEWS, mine, big], lastViewId: 'all' });
+
+    await deleteCustomView('view_1', [...BUILT_IN_VIEWS, big]);
+    expect(Object.keys(sync).sort()).toEqual(['stampTrackerView:ap@work.com:view_2', 'stampTrackerViews:ap@work.com']);
+  });
+
+  test('moves views saved in a single item to their own items', async () => {
+    const mine = { id: 'view_1', name: 'Mine', filters: [], sort: null, columns: null };
+    sync['stampTrackerViews:ap@work.com'] = { views: [mine], lastViewId: 'view_1' };
+
+    expect(await loadSavedViews()).toEqual({ views: [...BUILT_IN_VIEWS, mine], lastViewId: 'view_1' });
+    expect(sync).toEqual({ 'stampTrackerViews:ap@work.com': { viewIds: ['view_1'] }, 'stampTrackerView:ap@work.com:view_1': mine });
+    expect(local).toEqual({ 'stampTrackerLastView:ap@work.com': 'view_1' });
+  });
+
+  test('rejects when sync storage refuses a view', async () => {
+    global.chrome.storage.sync.set.mockRejectedValueOnce(new Error('QUOTA_BYTES_PER_ITEM quota exceeded'));
+    const view = { id: 'view_1', name: 'Huge', filters: [], sort: null, columns: null };
+
+    await expect(saveCustomView(view, [view])).rejects.toThrow('QUOTA_BYTES_PER_ITEM');
+  });
+});
@@ -5,18 +5,58 @@
  * for the finance team's invoice tracker with comprehensive scrolling support.
  */
 
-// Core function to initialize the spreadsheet with clean Shadow DOM approach
+import { EditHistory } from './edit-history.js';
+import { CORRECTIONS_QUEUE_KEY, dismissRejectedCorrection, enqueueCorrection, getAccountQueueState, getCorrectionsQueue, getRejectedCorrections } from './corrections-queue.js';
+import { RowInvoiceIndex } from './row-invoice-index.js';
+import { getCurrentAccount } from './accounts.js';
+import { EXPORT_FORMATS, exportTrackerRows } from './tracker-export.js';
+import { DEFAULT_VIEW_ID, createViewId, deleteCustomView, loadSavedViews, matchesFilters, saveCustomView, saveLastViewId } from './saved-views.js';
+import { buildDuplicateIndex, createDuplicateComparison, getDocumentId } from './duplicate-detection.js';
+import { escapeHtml, gmailThreadUrl, safeUrl } from './safe-html.js';
+
+// Core function to initialize the spreadsheet with clean Shadow DOM approach.
+// `data` may be just the first page of invoices; later pages go through appendInvoices().
 export async function buildSpreadsheet(container, data, opts = {}) {
   console.log('[SHADOW DOM] Starting clean jspreadsheet integration...');
+  data = data || [];
+
+  // Loading steps are reported while the loader is still on screen (setupShadowDOMContainer clears it)
+  const reportProgress = (step, status, description) => {
+    if (opts.onProgress) opts.onProgress(step, status, description);
+  };
+
+  // Transform the raw invoice data to fit the spreadsheet structure
+  reportProgress('details', 'active', `Preparing ${data.length.toLocaleString()} rows...`);
+  await yieldToBrowser();
+  let duplicateIndex = buildDuplicateIndex(data);
+  const spreadsheetData = transformDataForSpreadsheet(data, duplicateIndex);
+  console.log('[SPREADSHEET] 📋 Number of rows to display:', spreadsheetData.length);
+  
+  // Generate meta information for Invoice Number and Status cells
+  const metaInformation = generateMetaInformation(data);
+  reportProgress('details', 'completed', `${data.length.toLocaleString()} rows prepared`);
+
+  // Virtualize rows once the full set (not just the first page) is large
+  const expectedRowCount = Math.max(spreadsheetData.length, opts.expectedRowCount || 0);
+  const isLargeDataset = expectedRowCount > 50;
+  reportProgress('status', 'active', isLargeDataset ? `Rendering ${expectedRowCount.toLocaleString()} rows on demand...` : 'Rendering grid...');
+  await yieldToBrowser();
   
   // Setup clean Shadow DOM container instead of CSS isolation
   const { cleanContainer, shadowRoot } = await setupShadowDOMContainer(container);
   
-  // Initialize corrections batcher (requires apiClient from opts)
-  const correctionsBatcher = opts.apiClient ? new CorrectionsBatcher(opts.apiClient) : null;
-  if (!correctionsBatcher) {
-    console.warn('[CORRECTIONS] No API client provided - corrections will not be sent');
-  }
+  // Initialize corrections batcher (persists to the durable queue; the background worker sends).
+  // An edit that can't be queued would never sync, so it is taken back off the grid.
+  const correctionsBatcher = new CorrectionsBatcher({
+    onPersistFailed: (correction, error) => {
+      const reverted = revertCell(correction.document_id, correction.field_name, correction.previous_value, { expected: correction.new_value, action: 'unsaved' });
+      if (reverted) unsyncedIndicator.addUnsaved(correction, error);
+    }
+  });
+
+  // Per-cell audit trail (who changed what, when, old → new) persisted across sessions
+  const editHistory = new EditHistory();
+  await editHistory.load();
   
   // Define columns with field mapping metadata for edit tracking
   const columns = [
@@ -141,20 +181,21 @@ export async function buildSpreadsheet(container, data, opts = {}) {
     }
   ];
 
+  // Stable column keys for saved views (titles can be renamed, positions can move)
+  columns.forEach(column => {
+    column.key = column.fieldName || column.title;
+  });
+  const defaultLayout = columns.map(column => ({ key: column.key, width: column.width, hidden: false }));
+
   // Simple in-memory PDF cache for the session
   const pdfCache = new Map(); // key: `${messageId}|${documentName}` => objectUrl
 
-  // Transform the raw invoice data to fit the spreadsheet structure
-  const spreadsheetData = transformDataForSpreadsheet(data);
-  console.log('[SPREADSHEET] 📊 Transformed data for jspreadsheet:', spreadsheetData);
-  console.log('[SPREADSHEET] 📋 Number of rows to display:', spreadsheetData.length);
-  
-  // Generate meta information for Invoice Number and Status cells
-  const metaInformation = generateMetaInformation(data);
-  
   // Calculate container dimensions for optimal scrolling
   const containerDimensions = calculateOptimalDimensions(container);
-  const isLargeDataset = spreadsheetData.length > 50;
+
+  // Maps each grid row back to its invoice as rows get sorted, moved, inserted or deleted
+  let rowInvoices = new RowInvoiceIndex(data);
+  let currentSort = null; // { key, direction } of the last column sort, saved with views
 
   // Create the spreadsheet with clean default configuration and field edit handling
   console.log('[JS001] Creating jspreadsheet, data rows:', spreadsheetData.length);
@@ -172,6 +213,7 @@ export async function buildSpreadsheet(container, data, opts = {}) {
       // === USE JSPREADSHEET DEFAULTS ===
       allowComments: true,
       tableOverflow: true,  // Built-in scrolling
+      lazyLoading: isLargeDataset,  // Only ~100 rows are attached to the DOM at a time
       editable: true,
       allowInsertRow: true,
       allowDeleteRow: true,
@@ -185,32 +227,608 @@ export async function buildSpreadsheet(container, data, opts = {}) {
       filters: true
     }],
     
+    // === TOOLBAR: undo/redo use jspreadsheet's native history stack ===
+    toolbar: [
+      { type: 'i', content: 'undo', tooltip: 'Undo (Ctrl+Z)', onclick: () => getSheet()?.undo() },
+      { type: 'i', content: 'redo', tooltip: 'Redo (Ctrl+Y)', onclick: () => getSheet()?.redo() },
+      { type: 'divisor' },
+      { type: 'i', content: 'history', tooltip: 'Edit history for selected cell', onclick: () => showHistoryForSelection() },
+      { type: 'divisor' },
+      { type: 'i', content: 'download', tooltip: 'Export visible rows', onclick: (toolbarElement, toolbarInstance, itemElement) => showExportMenu(itemElement) }
+    ],
+
+    // === CONTEXT MENU: per-cell edit history, column visibility ===
+    contextMenu: function(instance, colIndex, rowIndex, event, items, role, x, y) {
+      if (role === 'cell' && getColumns()[parseInt(x)]?.fieldName) {
+        items.unshift(
+          { title: 'View edit history', onclick: () => showCellHistory(parseInt(x), parseInt(y)) },
+          { type: 'line' }
+        );
+      }
+      if (role === 'header' && colIndex !== null) {
+        items.unshift(
+          { title: 'Hide column', onclick: () => instance.hideColumn(parseInt(colIndex)) },
+          { type: 'line' }
+        );
+      }
+      return items;
+    },
+
     // === FIELD EDIT HANDLER (v5 top-level) ===
-    onchange: function(instance, cell, x, y, value) {
+    onchange: function(instance, cell, x, y, value, oldValue) {
       console.log('[JS002] Cell edit triggered, x:', x, 'y:', y, 'value:', value);
       const columnIndex = parseInt(x);
       const rowIndex = parseInt(y);
         
-      // Get column definition and field mapping
-      const columnDef = columns[columnIndex];
+      // Get column definition and field mapping (columns can be reordered by saved views)
+      const columnDef = getColumns()[columnIndex];
       if (!columnDef || !columnDef.fieldName || !columnDef.editable) {
         return; // Not an editable field
       }
       
-      // Get the invoice data
-      const invoice = data[rowIndex]; // No header row adjustment needed
+      // Get the invoice data for the row as currently sorted
+      const invoice = rowInvoices.get(rowIndex);
       if (!invoice) return;
       
       // Skip editableFields validation - allow all edits
       // TODO: Implement proper validation using onbeforechange to prevent infinite loops
       
       console.log(`[JS003] Processing field: ${columnDef.fieldName} = ${value}`);
-      handleFieldEdit(invoice, columnDef.fieldName, value, rowIndex, correctionsBatcher);
+      handleFieldEdit(invoice, columnDef.fieldName, value, rowIndex, correctionsBatcher, {
+        previousValue: oldValue,
+        history: editHistory,
+        action: 'edit'
+      });
+      // Marking (or unmarking) a duplicate changes which rows are flagged; update once the edit settles
+      if (columnDef.fieldName === 'status') setTimeout(refreshDuplicateBadges, 0);
+    },
+
+    // jspreadsheet suppresses onchange while replaying its history, so undo/redo are
+    // forwarded to handleFieldEdit here to keep local data, corrections and the audit trail in sync
+    onundo: function(instance, historyRecord) {
+      replayHistoryRecord(historyRecord, 'undo');
+    },
+    onredo: function(instance, historyRecord) {
+      replayHistoryRecord(historyRecord, 'redo');
+    },
+
+    // === ROW STRUCTURE CHANGES: keep rowInvoices aligned with the grid ===
+    onsort: function(instance, colIndex, order, newOrderValues) {
+      rowInvoices.applyOrder(newOrderValues);
+      currentSort = { key: getColumns()[colIndex]?.key, direction: order ? 'desc' : 'asc' };
+    },
+    onmoverow: function(instance, oldPosition, newPosition) {
+      rowInvoices.move(parseInt(oldPosition), parseInt(newPosition));
+    },
+    oninsertrow: function(instance, rows) {
+      if (rows && rows.length) {
+        rowInvoices.insert(parseInt(rows[0].row), rows.length);
+      }
+    },
+    ondeleterow: function(instance, removedRows) {
+      if (!removedRows || !removedRows.length) return;
+      const removed = rowInvoices.remove(Math.min(...removedRows), removedRows.length);
+      // Stash the invoices on the history record so undoing the delete can restore them
+      const historyRecord = instance.history?.[instance.historyIndex];
+      if (historyRecord?.action === 'deleteRow') {
+        historyRecord.stampInvoices = removed;
+      }
     }
   });
   const sheet = Array.isArray(spreadsheet) ? spreadsheet[0] : spreadsheet;
   console.log('[JS005] sheets:', Array.isArray(spreadsheet) ? spreadsheet.length : 1);
 
+  // minDimensions pads the grid with blank rows; those map to no invoice
+  rowInvoices = new RowInvoiceIndex(data, sheet.options.data.length);
+
+  // Edits the backend refused go back to the value they replaced, once per refusal
+  const revertedRefusals = new Set();
+  const unsyncedIndicator = createUnsyncedIndicator(shadowRoot, cleanContainer, correctionsBatcher, {
+    onRefused: (refused) => refused.forEach(edit => {
+      const refusal = `${edit.key}|${edit.rejected_at}`;
+      if (revertedRefusals.has(refusal)) return;
+      revertedRefusals.add(refusal);
+      revertCell(edit.document_id, edit.field_name, edit.previous_value, { expected: edit.new_value, action: 'refused' });
+    })
+  });
+
+  // Document ids whose row currently shows a duplicate badge
+  const flaggedDocuments = new Set(data.map(getDocumentId).filter(id => duplicateIndex.matchesFor(id).length > 0));
+
+  // Toolbar callbacks are created before `sheet` exists, so they resolve it lazily
+  function getSheet() {
+    return sheet;
+  }
+
+  // jspreadsheet reorders options.columns in place when columns move; always read the live array
+  function getColumns() {
+    return sheet ? sheet.options.columns : columns;
+  }
+
+  /**
+   * Puts a value back into a cell without queuing a correction (the edit never reached the
+   * backend), recording why in the audit trail. Cells changed again since are left alone.
+   * @param {string} documentId
+   * @param {string} fieldName
+   * @param {*} value - Value to put back
+   * @param {Object} options
+   * @param {*} options.expected - What the cell must still show
+   * @param {string} options.action - Audit trail action ('refused' or 'unsaved')
+   * @returns {boolean} Whether the cell was reverted
+   */
+  function revertCell(documentId, fieldName, value, { expected, action }) {
+    const rowIndex = rowInvoices.rows.findIndex(invoice => invoice && getDocumentId(invoice) === documentId);
+    const columnIndex = getColumns().findIndex(column => column.fieldName === fieldName);
+    if (rowIndex < 0 || columnIndex < 0) return false;
+    const current = sheet.options.data[rowIndex][columnIndex];
+    if (String(current ?? '') !== String(expected ?? '')) return false;
+
+    handleFieldEdit(rowInvoices.get(rowIndex), fieldName, value ?? '', rowIndex, null, { previousValue: current, history: editHistory, action });
+    const ignoreHistory = sheet.ignoreHistory;
+    const ignoreEvents = sheet.parent.ignoreEvents;
+    sheet.ignoreHistory = true;
+    sheet.parent.ignoreEvents = true;
+    try {
+      sheet.setValueFromCoords(columnIndex, rowIndex, value ?? '', true);
+    } finally {
+      sheet.ignoreHistory = ignoreHistory;
+      sheet.parent.ignoreEvents = ignoreEvents;
+    }
+    console.log(`[EDIT] ↩️ Reverted ${fieldName} of ${documentId} (${action})`);
+    return true;
+  }
+
+  // Apply the cell values restored by an undo/redo as regular field edits
+  function replayHistoryRecord(historyRecord, action) {
+    if (!historyRecord) return;
+    if (historyRecord.action !== 'setValue') {
+      rowInvoices.replay(historyRecord, action);
+      return;
+    }
+
+    if (historyRecord.records.some(record => getColumns()[parseInt(record.x)]?.fieldName === 'status')) {
+      setTimeout(refreshDuplicateBadges, 0);
+    }
+
+    historyRecord.records.forEach(record => {
+      const columnDef = getColumns()[parseInt(record.x)];
+      const invoice = rowInvoices.get(parseInt(record.y));
+      if (!columnDef?.fieldName || !columnDef.editable || !invoice) return;
+
+      // Undo restores oldValue; redo re-applies the edited value
+      const restoredValue = action === 'undo' ? record.oldValue : record.value;
+      const replacedValue = action === 'undo' ? record.value : record.oldValue;
+
+      console.log(`[HISTORY] ${action} ${columnDef.fieldName} on row ${record.y}`);
+      handleFieldEdit(invoice, columnDef.fieldName, restoredValue, parseInt(record.y), correctionsBatcher, {
+        previousValue: replacedValue,
+        history: editHistory,
+        action
+      });
+    });
+  }
+
+  function showHistoryForSelection() {
+    const selected = sheet.selectedCell;
+    if (!selected) {
+      console.log('[HISTORY] No cell selected');
+      return;
+    }
+    showCellHistory(parseInt(selected[0]), parseInt(selected[1]));
+  }
+
+  function showCellHistory(columnIndex, rowIndex) {
+    const columnDef = getColumns()[columnIndex];
+    const invoice = rowInvoices.get(rowIndex);
+    if (!columnDef?.fieldName || !invoice) return;
+
+    const documentId = invoice.document?.details?.id;
+    const cellHistory = documentId ? editHistory.getCellHistory(documentId, columnDef.fieldName) : null;
+    const anchor = sheet.getCellFromCoords(columnIndex, rowIndex);
+    showCellHistoryPopover(anchor, columnDef.title, cellHistory);
+  }
+
+  // Rows currently shown in the grid, in display order (respects views, filters, search and sorting)
+  function getVisibleRows() {
+    const rowIndexes = sheet.results || sheet.options.data.map((row, index) => index);
+    return rowIndexes
+      .filter(index => !isRowHidden(index))
+      .map(index => ({ cells: sheet.options.data[index], invoice: rowInvoices.get(index) }))
+      .filter(row => row.invoice || row.cells.some((value, index) => getColumns()[index]?.fieldName && value !== '' && value !== null));
+  }
+
+  function isRowHidden(rowIndex) {
+    return sheet.rows[rowIndex]?.element?.style.display === 'none';
+  }
+
+  function isColumnHidden(columnIndex) {
+    return sheet.headers[columnIndex]?.style.display === 'none';
+  }
+
+  function getHiddenColumns() {
+    return getColumns().map((column, index) => index).filter(isColumnHidden);
+  }
+
+  function showExportMenu(anchor) {
+    showTrackerExportMenu(anchor, (format) => {
+      try {
+        exportTrackerRows(format, { columns: getColumns(), rows: getVisibleRows(), hiddenColumns: getHiddenColumns() });
+      } catch (error) {
+        console.error('[EXPORT] ❌ Export failed:', error);
+      }
+    });
+  }
+
+  // === DUPLICATES ===
+
+  // Rebuilds the duplicate index over every loaded row and updates badges that changed.
+  // Badge updates are display-only: no history entries and no change events.
+  function refreshDuplicateBadges() {
+    duplicateIndex = buildDuplicateIndex(rowInvoices.rows.filter(Boolean));
+    const iconColumn = getColumns().findIndex(column => column.key === '📄');
+    if (iconColumn < 0) return;
+
+    const ignoreHistory = sheet.ignoreHistory;
+    const ignoreEvents = sheet.parent.ignoreEvents;
+    sheet.ignoreHistory = true;
+    sheet.parent.ignoreEvents = true;
+    try {
+      rowInvoices.rows.forEach((invoice, rowIndex) => {
+        if (!invoice) return;
+        const documentId = getDocumentId(invoice);
+        const count = duplicateIndex.matchesFor(documentId).length;
+        if ((count > 0) === flaggedDocuments.has(documentId)) return;
+        if (count > 0) {
+          flaggedDocuments.add(documentId);
+        } else {
+          flaggedDocuments.delete(documentId);
+        }
+        sheet.setValueFromCoords(iconColumn, rowIndex, buildDocumentCell(invoice, count), true);
+      });
+    } finally {
+      sheet.ignoreHistory = ignoreHistory;
+      sheet.parent.ignoreEvents = ignoreEvents;
+    }
+  }
+
+  function showDuplicateComparison(documentId) {
+    const invoice = rowInvoices.rows.find(row => row && getDocumentId(row) === documentId);
+    const [match] = duplicateIndex.matchesFor(documentId);
+    if (!invoice || !match) return;
+    if (!opts.sdk) {
+      console.error('InboxSDK instance not provided to buildSpreadsheet. Cannot open comparison.');
+      return;
+    }
+
+    opts.sdk.Widgets.showModalView({
+      el: createDuplicateComparison(invoice, match.invoice, {
+        reason: match.reason,
+        fetchPdf: opts.fetchPdf,
+        onMarkDuplicate: markRowAsDuplicate
+      }),
+      title: 'Possible duplicate',
+      showCloseButton: true,
+      chrome: true,
+    });
+  }
+
+  // Goes through the regular edit path so the change is undoable, audited and sent as a correction
+  function markRowAsDuplicate(invoice) {
+    const rowIndex = rowInvoices.rows.indexOf(invoice);
+    const statusColumn = getColumns().findIndex(column => column.fieldName === 'status');
+    if (rowIndex < 0 || statusColumn < 0) {
+      throw new Error('Document is not in the tracker');
+    }
+    sheet.setValueFromCoords(statusColumn, rowIndex, 'duplicate');
+  }
+
+  // === SAVED VIEWS ===
+
+  const userEmail = getCurrentAccount();
+  const savedViews = await loadSavedViews();
+  let views = savedViews.views;
+  // A one-off filter (e.g. an AP dashboard bucket) becomes a transient view that is never persisted
+  const filterView = opts.initialFilter ? {
+    id: 'transient-filter',
+    name: opts.initialFilter.name || 'Filtered',
+    builtIn: true,
+    transient: true,
+    filters: opts.initialFilter.filters || [],
+    sort: opts.initialFilter.sort || null,
+    columns: null
+  } : null;
+  if (filterView) views = [...views, filterView];
+  let activeView = filterView
+    || views.find(view => view.id === opts.initialViewId)
+    || views.find(view => view.id === savedViews.lastViewId)
+    || views.find(view => view.id === DEFAULT_VIEW_ID);
+  if (opts.initialViewId && activeView.id !== opts.initialViewId) {
+    console.warn(`[VIEWS] View "${opts.initialViewId}" not found, falling back to "${activeView.name}"`);
+  }
+
+  // Values a view predicate can test for a row: every column by key, plus documentType
+  function getRowValues(rowIndex) {
+    const values = { documentType: rowInvoices.get(rowIndex)?.documentType || 'invoice' };
+    getColumns().forEach((column, columnIndex) => {
+      values[column.key] = sheet.options.data[rowIndex][columnIndex];
+    });
+    return values;
+  }
+
+  function applyColumnLayout(layout) {
+    const liveColumns = getColumns();
+    layout.forEach((entry, targetIndex) => {
+      const currentIndex = liveColumns.findIndex(column => column.key === entry.key);
+      if (currentIndex >= 0 && currentIndex !== targetIndex && targetIndex < liveColumns.length) {
+        sheet.moveColumn(currentIndex, targetIndex);
+      }
+    });
+    getColumns().forEach((column, index) => {
+      const entry = layout.find(item => item.key === column.key);
+      if (entry?.width) sheet.setWidth(index, entry.width);
+      if (entry?.hidden) {
+        sheet.hideColumn(index);
+      } else if (isColumnHidden(index)) {
+        sheet.showColumn(index);
+      }
+    });
+  }
+
+  function applyView(view) {
+    console.log(`[VIEWS] Applying view "${view.name}"`);
+    // Layout changes are not user edits; keep them out of the undo stack
+    const ignoreHistory = sheet.ignoreHistory;
+    sheet.ignoreHistory = true;
+    try {
+      sheet.resetFilters();
+      applyColumnLayout(view.columns || defaultLayout);
+
+      if (view.sort) {
+        const sortIndex = getColumns().findIndex(column => column.key === view.sort.key);
+        if (sortIndex >= 0) sheet.orderBy(sortIndex, view.sort.direction === 'desc' ? 1 : 0);
+      }
+
+      const context = { userEmail };
+      const hasFilters = view.filters && view.filters.length > 0;
+      let visibleCount = 0;
+      sheet.options.data.forEach((row, rowIndex) => {
+        const visible = !hasFilters || (!!rowInvoices.get(rowIndex) && matchesFilters(view.filters, getRowValues(rowIndex), context));
+        if (visible) {
+          sheet.showRow(rowIndex);
+          if (rowInvoices.get(rowIndex)) visibleCount++;
+        } else {
+          sheet.hideRow(rowIndex);
+        }
+      });
+      console.log(`[VIEWS] ✅ "${view.name}" shows ${visibleCount} invoices`);
+    } finally {
+      sheet.ignoreHistory = ignoreHistory;
+    }
+  }
+
+  // Captures the grid's current state; native column filters become 'in' predicates
+  function captureView(name) {
+    const filters = [...(activeView.filters || [])];
+    (sheet.filters || []).forEach((selected, columnIndex) => {
+      const column = getColumns()[columnIndex];
+      if (Array.isArray(selected) && selected.length && column) {
+        filters.push({ field: column.key, op: 'in', value: selected });
+      }
+    });
+    const widths = sheet.getWidth();
+    return {
+      id: createViewId(),
+      name,
+      filters,
+      sort: currentSort || activeView.sort || null,
+      columns: getColumns().map((column, index) => ({
+        key: column.key,
+        width: Array.isArray(widths) ? parseInt(widths[index]) || column.width : column.width,
+        hidden: isColumnHidden(index)
+      }))
+    };
+  }
+
+  function switchView(viewId) {
+    const view = views.find(item => item.id === viewId);
+    if (!view) return;
+    activeView = view;
+    applyView(view);
+    renderViewSwitcher();
+    if (!view.transient) saveLastViewId(view.id);
+    if (opts.onViewChange) opts.onViewChange(view);
+  }
+
+  // The view stays for this session either way; the user is told when it won't be there next time
+  function storeView(view) {
+    saveCustomView(view, views).catch(error => {
+      console.error(`[VIEWS] ❌ Failed to save view "${view.name}":`, error);
+      alert(`The view "${view.name}" could not be saved and will be gone when the tracker is reopened.\n\n${error.message}`);
+    });
+  }
+
+  const viewSwitcher = document.createElement('div');
+  viewSwitcher.className = 'stamp-view-switcher';
+  viewSwitcher.style.cssText = 'display:flex; align-items:center; gap:6px; flex-wrap:wrap; padding:6px 10px; border-bottom:1px solid #e5e7eb; background:#f9fafb; font-family:-apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; font-size:12px;';
+  shadowRoot.insertBefore(viewSwitcher, shadowRoot.querySelector('.stamp-unsynced-indicator') || cleanContainer);
+
+  function renderViewSwitcher() {
+    const chipStyle = (active) => `border:1px solid ${active ? '#1a73e8' : '#dadce0'}; background:${active ? '#e8f0fe' : '#fff'}; color:${active ? '#1a73e8' : '#3c4043'}; border-radius:14px; padding:3px 10px; cursor:pointer; font-size:12px;`;
+    const linkStyle = 'border:none; background:none; color:#1a73e8; cursor:pointer; font-size:12px; padding:0 4px;';
+
+    viewSwitcher.innerHTML = `
+      <span style="color:#5f6368; margin-right:2px;">Views:</span>
+      ${views.map(view => `
+        <button class="stamp-view-chip" data-view-id="${escapeHtml(view.id)}" style="${chipStyle(view.id === activeView.id)}">${escapeHtml(view.name)}</button>
+      `).join('')}
+      <span style="flex:1;"></span>
+      <button class="stamp-view-columns" style="${linkStyle}">Columns ▾</button>
+      <button class="stamp-view-save-as" style="${linkStyle}">Save as new view</button>
+      ${activeView.builtIn ? '' : `
+        <button class="stamp-view-update" style="${linkStyle}">Update view</button>
+        <button class="stamp-view-delete" style="${linkStyle} color:#d93025;">Delete</button>
+      `}
+      <button class="stamp-view-link" style="${linkStyle}">Copy link</button>
+    `;
+
+    viewSwitcher.querySelectorAll('.stamp-view-chip').forEach(chip => {
+      chip.addEventListener('click', () => switchView(chip.getAttribute('data-view-id')));
+    });
+    viewSwitcher.querySelector('.stamp-view-columns').addEventListener('click', (e) => showColumnsMenu(e.currentTarget));
+    viewSwitcher.querySelector('.stamp-view-save-as').addEventListener('click', () => {
+      const name = prompt('Name this view:', '');
+      if (!name || !name.trim()) return;
+      const view = captureView(name.trim());
+      views = [...views, view];
+      switchView(view.id);
+      storeView(view);
+    });
+    viewSwitcher.querySelector('.stamp-view-update')?.addEventListener('click', () => {
+      const updated = { ...captureView(activeView.name), id: activeView.id };
+      views = views.map(view => (view.id === updated.id ? updated : view));
+      switchView(updated.id);
+      storeView(updated);
+    });
+    viewSwitcher.querySelector('.stamp-view-delete')?.addEventListener('click', () => {
+      if (!confirm(`Delete the view "${activeView.name}"?`)) return;
+      const deleted = activeView;
+      views = views.filter(view => view.id !== deleted.id);
+      switchView(DEFAULT_VIEW_ID);
+      deleteCustomView(deleted.id, views).catch(error => {
+        console.error(`[VIEWS] ❌ Failed to delete view "${deleted.name}":`, error);
+        alert(`The view "${deleted.name}" could not be deleted and will be back when the tracker is reopened.\n\n${error.message}`);
+      });
+    });
+    viewSwitcher.querySelector('.stamp-view-link').addEventListener('click', async () => {
+      const link = opts.getViewLink ? opts.getViewLink(activeView) : window.location.href;
+      try {
+        await navigator.clipboard.writeText(link);
+        console.log('[VIEWS] Copied view link:', link);
+      } catch (error) {
+        console.error('[VIEWS] Failed to copy view link:', error);
+      }
+    });
+  }
+
+  function showColumnsMenu(anchor) {
+    showColumnVisibilityMenu(anchor, getColumns().map((column, index) => ({
+      index,
+      title: column.title,
+      hidden: isColumnHidden(index)
+    })), (columnIndex, visible) => {
+      if (visible) {
+        sheet.showColumn(columnIndex);
+      } else {
+        sheet.hideColumn(columnIndex);
+      }
+    });
+  }
+
+  renderViewSwitcher();
+  applyView(activeView);
+  if (opts.onViewChange) opts.onViewChange(activeView);
+
+  // === INCREMENTAL LOADING: later pages are appended to the live grid ===
+
+  let destroyed = false;
+  let appendedSinceBuild = false;
+  const loadProgress = document.createElement('div');
+  loadProgress.className = 'stamp-load-progress';
+  loadProgress.style.cssText = 'display:none; align-items:center; gap:8px; padding:4px 10px; font-family:-apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; font-size:12px; color:#1a73e8; background:#e8f0fe; border-bottom:1px solid #d2e3fc;';
+  shadowRoot.insertBefore(loadProgress, cleanContainer);
+
+  // Appends invoices after the last invoice row (ahead of the blank padding rows).
+  // Loading is not a user edit: no history entries, no row events, and the active view's
+  // predicates decide whether each new row is shown.
+  function appendInvoices(invoices) {
+    if (destroyed || !invoices || invoices.length === 0) return;
+
+    duplicateIndex = buildDuplicateIndex([...rowInvoices.rows.filter(Boolean), ...invoices]);
+    const rows = transformDataForSpreadsheet(invoices, duplicateIndex);
+    invoices.forEach(invoice => {
+      if (duplicateIndex.matchesFor(getDocumentId(invoice)).length > 0) flaggedDocuments.add(getDocumentId(invoice));
+    });
+    let position = rowInvoices.rows.length;
+    while (position > 0 && !rowInvoices.get(position - 1)) position--;
+    const firstNewRow = position;
+
+    const ignoreHistory = sheet.ignoreHistory;
+    const ignoreEvents = sheet.parent.ignoreEvents;
+    const searchEnabled = sheet.options.search;
+    const query = sheet.results ? sheet.searchInput?.value : '';
+    sheet.ignoreHistory = true;
+    sheet.parent.ignoreEvents = true;
+    // insertRow() asks for confirmation when search results are showing
+    sheet.options.search = false;
+    try {
+      // One insertRow() per page: inserting row by row re-indexes the grid each time.
+      // An array inserts a single row, so insert blank rows and fill them with one setValue().
+      if (position === 0) {
+        sheet.insertRow(rows.length, 0, true);
+      } else {
+        sheet.insertRow(rows.length, position - 1);
+      }
+      const cells = rows.flatMap((row, offset) =>
+        row.map((value, x) => ({ x, y: firstNewRow + offset, value: value ?? '' }))
+      );
+      sheet.setValue(cells, null, true);
+      rowInvoices.insert(firstNewRow, invoices.length, invoices);
+      position = firstNewRow + rows.length;
+      sheet.setMeta(generateMetaInformation(invoices, firstNewRow));
+    } finally {
+      sheet.ignoreHistory = ignoreHistory;
+      sheet.parent.ignoreEvents = ignoreEvents;
+      sheet.options.search = searchEnabled;
+    }
+
+    const context = { userEmail };
+    if (activeView.filters && activeView.filters.length > 0) {
+      for (let rowIndex = firstNewRow; rowIndex < position; rowIndex++) {
+        if (!matchesFilters(activeView.filters, getRowValues(rowIndex), context)) {
+          sheet.hideRow(rowIndex);
+        }
+      }
+    }
+    if (query) sheet.search(query);
+    // Earlier rows may have gained a duplicate on this page
+    refreshDuplicateBadges();
+
+    appendedSinceBuild = true;
+    console.log(`[SPREADSHEET] ➕ Appended ${invoices.length} invoices (rows ${firstNewRow}-${position - 1})`);
+  }
+
+  // Shows "Loading invoices… X of Y" above the grid while later pages arrive.
+  // Once everything is in, the active sort is re-applied so appended rows land in place.
+  function setLoadProgress({ loaded, total, done, error } = {}) {
+    if (destroyed) return;
+    if (!done) {
+      loadProgress.style.display = 'flex';
+      loadProgress.textContent = `⏳ Loading invoices… ${loaded.toLocaleString()}${total ? ` of ${total.toLocaleString()}` : ''}`;
+      return;
+    }
+
+    if (error) {
+      loadProgress.style.display = 'flex';
+      loadProgress.style.color = '#92400e';
+      loadProgress.style.background = '#fffbeb';
+      loadProgress.textContent = `⚠️ Showing ${loaded.toLocaleString()} invoices; the rest could not be loaded.`;
+    } else {
+      loadProgress.style.display = 'none';
+    }
+
+    const sort = currentSort || activeView.sort;
+    if (appendedSinceBuild && sort) {
+      const sortIndex = getColumns().findIndex(column => column.key === sort.key);
+      const ignoreHistory = sheet.ignoreHistory;
+      sheet.ignoreHistory = true;
+      try {
+        if (sortIndex >= 0) sheet.orderBy(sortIndex, sort.direction === 'desc' ? 1 : 0);
+      } finally {
+        sheet.ignoreHistory = ignoreHistory;
+      }
+    }
+  }
+
   // Add delegated handlers for Gmail icon, document preview, and inline PDF overlay
   console.log('[POPOUT] Setting up click event delegation on spreadsheet container');
 
@@ -234,13 +852,13 @@ export async function buildSpreadsheet(container, data, opts = {}) {
         console.log('[POPOUT] Current Gmail account detected:', accountPath);
 
         if (messageId && messageId !== 'undefined') {
-          const gmailMessageUrl = `https://mail.google.com/mail${accountPath}/#inbox/${messageId}`;
+          const gmailMessageUrl = gmailThreadUrl(accountPath, messageId);
           console.log('[POPOUT] Opening Gmail message with sidebar action:', gmailMessageUrl);
           window.location.href = `${gmailMessageUrl}?stamp_action=open_sidebar`;
         } else if (threadId && threadId !== 'undefined') {
-          const gmailThreadUrl = `https://mail.google.com/mail${accountPath}/#inbox/${threadId}`;
-          console.log('[POPOUT] Opening Gmail thread with sidebar action:', gmailThreadUrl);
-          window.location.href = `${gmailThreadUrl}?stamp_action=open_sidebar`;
+          const threadUrl = gmailThreadUrl(accountPath, threadId);
+          console.log('[POPOUT] Opening Gmail thread with sidebar action:', threadUrl);
+          window.location.href = `${threadUrl}?stamp_action=open_sidebar`;
         } else {
           console.warn('[POPOUT] No valid threadId or messageId found on the icon.');
         }
@@ -278,12 +896,16 @@ export async function buildSpreadsheet(container, data, opts = {}) {
     cleanContainer.addEventListener('mouseover', (e) => {
       const icon = e.target.closest('.doc-preview-icon');
       if (icon && icon.getAttribute('data-has-doc') === '1') {
-        const docUrl = icon.getAttribute('data-doc-url');
+        const docUrl = safeUrl(icon.getAttribute('data-doc-url'));
         if (docUrl) {
           const rect = icon.getBoundingClientRect();
           const previewEl = document.createElement('div');
           previewEl.style.cssText = 'position:fixed; z-index:2147483646; width:280px; height:210px; background:#fff; box-shadow:0 8px 24px rgba(60,64,67,0.3); border:1px solid #e0e0e0; border-radius:8px; overflow:hidden;';
-          previewEl.innerHTML = `<iframe src="${docUrl}#toolbar=0&navpanes=0&scrollbar=0&page=1" style="width:100%;height:100%;border:0;" loading="eager"></iframe>`;
+          const iframe = document.createElement('iframe');
+          iframe.src = `${docUrl}#toolbar=0&navpanes=0&scrollbar=0&page=1`;
+          iframe.style.cssText = 'width:100%;height:100%;border:0;';
+          iframe.loading = 'eager';
+          previewEl.appendChild(iframe);
           previewEl.style.top = `${Math.round(rect.bottom + 8)}px`;
           previewEl.style.left = `${Math.round(rect.left - 40)}px`;
           previewEl.style.display = 'block';
@@ -300,6 +922,11 @@ export async function buildSpreadsheet(container, data, opts = {}) {
       }
     });
 
+    cleanContainer.addEventListener('click', (e) => {
+      const badge = e.target.closest('.stamp-duplicate-badge');
+      if (badge) showDuplicateComparison(badge.getAttribute('data-document-id'));
+    });
+
     cleanContainer.addEventListener('click', async (e) => {
       const icon = e.target.closest('.doc-preview-icon');
       if (!icon) return;
@@ -337,12 +964,20 @@ export async function buildSpreadsheet(container, data, opts = {}) {
     });
   }, 500);
 
-  // Return spreadsheet and corrections batcher
+  // Return spreadsheet, corrections batcher, edit history and incremental loading hooks
   return { 
     spreadsheet, 
     correctionsBatcher,
+    editHistory,
+    appendInvoices,
+    setLoadProgress,
     cleanup: () => {
       console.log('[CLEANUP] Spreadsheet cleanup called');
+      destroyed = true;
+      loadProgress.remove();
+      correctionsBatcher.destroy();
+      unsyncedIndicator.remove();
+      document.querySelectorAll('.stamp-cell-history-popover, .stamp-export-menu, .stamp-columns-menu').forEach(el => el.remove());
     }
   };
 }
@@ -478,6 +1113,11 @@ async function setupShadowDOMContainer(container) {
 
   return { cleanContainer, shadowRoot };
 }
+// Lets the browser paint (e.g. loading progress) before a long synchronous step
+function yieldToBrowser() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
 // Calculate optimal dimensions based on available space
 function calculateOptimalDimensions(container) {
   const containerRect = container.getBoundingClientRect();
@@ -496,8 +1136,11 @@ function calculateOptimalDimensions(container) {
 
 
 
-// Helper function to transform raw invoice data into the format jspreadsheet expects
-function transformDataForSpreadsheet(invoices) {
+// Helper function to transform raw invoice data into the format jspreadsheet expects.
+// With a duplicate index, rows with likely duplicates get a warning badge next to the document icon.
+// Only the html columns (document icon, Gmail popout, View Thread) are parsed as markup, so the
+// IDs and URLs interpolated into them are escaped; text columns are set as text by jspreadsheet.
+export function transformDataForSpreadsheet(invoices, duplicateIndex = null) {
     if (!invoices) {
         return [];
     }
@@ -510,32 +1153,14 @@ function transformDataForSpreadsheet(invoices) {
     const statusThreadId = invoice.statusThreadId || '';
     const statusMessageId = invoice.statusMessageId || '';
 
-    // Document identity (for preview icon)
-    const docThreadId = invoice.document?.thread_id || '';
-    const docName = invoice.document?.document_name || '';
-
-    // Optional document/thumbnail URLs (best-effort)
-    const docUrl = details.documentUrl || details.document_url || invoice.document?.url || '';
-    const thumbUrl = details.thumbnailUrl || details.thumbnail_url || invoice.document?.thumbnailUrl || invoice.document?.thumbnail_url || '';
-
-    // Document icon with click-to-open behavior (always render; disabled if missing identifiers)
-    const hasDoc = !!(docThreadId && docName);
-    const docIcon = `
-      <span class="doc-preview-icon" 
-            data-doc-url="${docUrl}"
-            data-thumb-url="${thumbUrl}"
-            data-has-doc="${hasDoc ? '1' : '0'}"
-            data-thread-id="${docThreadId}"
-            data-doc-name="${docName}"
-            title="${hasDoc ? 'Preview document' : 'No document available'}"
-            style="${hasDoc ? 'cursor: pointer; color: #5f6368;' : 'cursor: not-allowed; color: #c0c0c0;'} font-size: 14px; padding: 2px; margin: 0; line-height: 1; height: 20px; width: 20px; display: flex; align-items: center; justify-content: center; user-select: none;">📄</span>
-    `;
+    const duplicateCount = duplicateIndex ? duplicateIndex.matchesFor(getDocumentId(invoice)).length : 0;
+    const docIcon = buildDocumentCell(invoice, duplicateCount);
 
     // Gmail popout icon should use document IDs (thread_id/message_id)
     const popoutIcon = invoice.document?.thread_id || invoice.document?.message_id ?
       `<span class="gmail-popout-icon" 
-            data-thread-id="${invoice.document?.thread_id || ''}" 
-            data-message-id="${invoice.document?.message_id || ''}"
+            data-thread-id="${escapeHtml(invoice.document?.thread_id)}"
+            data-message-id="${escapeHtml(invoice.document?.message_id)}"
             title="Open in Gmail"
             style="cursor: pointer; font-size: 14px; color: #1a73e8; padding: 2px; margin: 0; line-height: 1; height: 20px; width: 20px; display: flex; align-items: center; justify-content: center; user-select: none;">📤</span>` :
       '<span style="color: #ccc; font-size: 12px;">-</span>';
@@ -577,18 +1202,9 @@ function transformDataForSpreadsheet(invoices) {
       (details.date || '') : 
       (details.issueDate || '');
 
-    // Debug invoice structure before status extraction
-    console.log(`[STATUS DEBUG] Invoice structure:`, {
-      'invoice.status': invoice.status,
-      'invoice.document?.details?.status': invoice.document?.details?.status,
-      'topLevelFields': Object.keys(invoice),
-      'fullInvoice': invoice
-    });
-
     // (e) Status - use API status from document details, fallback to processed status
     const status = invoice.document?.details?.status || invoice.status || 'unknown';
     
-    console.log(`[STATUS DEBUG] Final status for invoice ${invoice.document?.details?.invoiceNumber || 'unknown'}: "${status}"`);
     if (invoice.status !== status) {
       console.warn(`[STATUS MISMATCH] Expected "${invoice.status}" but got "${status}"`);
     }
@@ -609,13 +1225,50 @@ function transformDataForSpreadsheet(invoices) {
       popoutIcon,
       involvementText || '',
       details.notes || invoice.notes || '',
-      statusThreadId ? `<button class="view-thread-btn" data-thread-id="${statusThreadId}">View Thread</button>` : ''
+      statusThreadId ? `<button class="view-thread-btn" data-thread-id="${escapeHtml(statusThreadId)}">View Thread</button>` : ''
     ];
   });
 }
 
-// Helper function to generate meta information for spreadsheet cells
-function generateMetaInformation(invoices) {
+// Document icon with click-to-open behavior (always render; disabled if missing identifiers)
+function buildDocumentCell(invoice, duplicateCount = 0) {
+  const details = invoice.document?.details || {};
+
+  // Document identity (for preview icon)
+  const docThreadId = invoice.document?.thread_id || '';
+  const docName = invoice.document?.document_name || '';
+
+  // Optional document/thumbnail URLs (best-effort)
+  const docUrl = safeUrl(details.documentUrl || details.document_url || invoice.document?.url);
+  const thumbUrl = safeUrl(details.thumbnailUrl || details.thumbnail_url || invoice.document?.thumbnailUrl || invoice.document?.thumbnail_url);
+
+  const hasDoc = !!(docThreadId && docName);
+  const docIcon = `
+      <span class="doc-preview-icon" 
+            data-doc-url="${escapeHtml(docUrl)}"
+            data-thumb-url="${escapeHtml(thumbUrl)}"
+            data-has-doc="${hasDoc ? '1' : '0'}"
+            data-thread-id="${escapeHtml(docThreadId)}"
+            data-doc-name="${escapeHtml(docName)}"
+            title="${hasDoc ? 'Preview document' : 'No document available'}"
+            style="${hasDoc ? 'cursor: pointer; color: #5f6368;' : 'cursor: not-allowed; color: #c0c0c0;'} font-size: 14px; padding: 2px; margin: 0; line-height: 1; height: 20px; width: 20px; display: flex; align-items: center; justify-content: center; user-select: none;">📄</span>
+    `;
+  if (!duplicateCount) return docIcon;
+
+  return `
+    <div style="display: flex; align-items: center;">
+      ${docIcon}
+      <span class="stamp-duplicate-badge"
+            data-document-id="${escapeHtml(getDocumentId(invoice))}"
+            title="${duplicateCount === 1 ? 'Possible duplicate, click to compare' : `${duplicateCount} possible duplicates, click to compare`}"
+            style="cursor: pointer; font-size: 12px; line-height: 1; user-select: none;">⚠️</span>
+    </div>
+  `;
+}
+
+// Helper function to generate meta information for spreadsheet cells.
+// rowOffset is the grid row of the first invoice (non-zero for appended pages).
+function generateMetaInformation(invoices, rowOffset = 0) {
   if (!invoices || invoices.length === 0) {
     return {};
   }
@@ -627,16 +1280,7 @@ function generateMetaInformation(invoices) {
     // - Row 1 (A1, B1, etc.) = Header row (no metadata)
     // - Row 2 (A2, B2, etc.) = Invoice 0 (first invoice)
     // - Row 3 (A3, B3, etc.) = Invoice 1 (second invoice)
-    const row = rowIndex + 2; // rowIndex 0 -> row 2, rowIndex 1 -> row 3, etc.
-    
-    // Debug: Show what fields are available in the invoice
-    console.log(`[META DEBUG] Invoice ${rowIndex} raw data:`, {
-      statusThreadId: invoice.statusThreadId,
-      statusMessageId: invoice.statusMessageId,
-      doc_thread_id: invoice.document?.thread_id,
-      doc_message_id: invoice.document?.message_id,
-      invoiceNumber: invoice.document?.details?.invoiceNumber
-    });
+    const row = rowOffset + rowIndex + 2; // rowIndex 0 -> row 2, rowIndex 1 -> row 3, etc.
     
     // Only create metadata if we have valid status thread/message IDs
     const threadId = invoice.statusThreadId;
@@ -664,90 +1308,207 @@ function generateMetaInformation(invoices) {
   return metaInfo;
 }
 
-// === SIMPLIFIED CORRECTIONS BATCHER ===
+// === DURABLE CORRECTIONS BATCHER ===
+// Corrections are persisted to the chrome.storage.local queue as soon as they are made;
+// the background service worker owns delivery (auth headers, retries with backoff).
+const FLUSH_DEBOUNCE_MS = 5000;
+
 class CorrectionsBatcher {
-  constructor(apiClient) {
-    this.apiClient = apiClient;
-    this.pendingCorrections = new Map();
-    this.sent = false; // Prevent duplicate sends
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onPersistFailed] - (correction, error) when a correction could
+   *   not be queued, so the edit can be undone on screen
+   */
+  constructor({ onPersistFailed = () => undefined } = {}) {
+    this.pendingCorrections = new Map(); // key: `${documentId}|${fieldName}` => correction (this session)
+    this.persisting = Promise.resolve();
+    this.flushTimer = null;
+    this.onPersistFailed = onPersistFailed;
   }
 
-  addCorrection(messageId, contentHash, documentId, documentType, fieldName, newValue) {
-    console.log(`[JS004] Queued correction: ${fieldName} = ${newValue}`);
+  addCorrection(messageId, contentHash, documentId, documentType, fieldName, newValue, previousValue, originalValue) {
+    console.log(`[JS004] Queued correction: ${fieldName} = ${newValue} (was ${previousValue})`);
     
-    // Create a unique key for this specific field correction
-    const correctionKey = `${documentId}_${fieldName}_${Date.now()}`;
+    // Repeated edits to the same field collapse into one correction
+    const correctionKey = `${documentId}|${fieldName}`;
     
-    // Each field change gets its own correction object matching backend API
-    this.pendingCorrections.set(correctionKey, {
+    // Each field change gets its own correction object matching backend API.
+    // previous_value/original_value let the backend learn from what the user replaced.
+    const correction = {
       document_id: documentId || null,
       document_type: documentType || 'invoice',
       field_name: fieldName,
-      new_value: newValue
-    });
+      new_value: newValue,
+      previous_value: previousValue ?? null,
+      original_value: originalValue ?? null
+    };
+    this.pendingCorrections.set(correctionKey, correction);
+    
+    // Persist in order so a reload right after an edit can't drop it
+    this.persisting = this.persisting
+      .then(() => enqueueCorrection(correction))
+      .catch(error => {
+        console.error('[BATCH] ❌ Failed to persist correction:', error);
+        if (this.pendingCorrections.get(correctionKey) === correction) this.pendingCorrections.delete(correctionKey);
+        this.onPersistFailed(correction, error);
+      });
     
     console.log(`[BATCH] ${this.pendingCorrections.size} corrections queued`);
+    this.scheduleFlush();
   }
 
-  // Send via regular async API call
-  async sendBatch() {
-    if (this.sent || this.pendingCorrections.size === 0) return;
-    this.sent = true;
-    
-    const edits = Array.from(this.pendingCorrections.values());
-    console.log(`[BATCH] Sending ${edits.length} corrections`);
+  // Ask the background worker to flush shortly after the user stops editing
+  scheduleFlush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), FLUSH_DEBOUNCE_MS);
+  }
+
+  /**
+   * Asks the background service worker to send everything in the durable queue.
+   * Safe to call during page unload: the edits are already persisted, so the worker
+   * keeps retrying even if this page goes away before it answers.
+   * @returns {Promise<object|null>} The flush result from the background worker
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    await this.persisting;
     
     try {
-      const response = await this.apiClient.makeAuthenticatedRequest('/api/finops/documents/corrections', {
-        method: 'POST',
-        body: JSON.stringify({ 
-          edits: edits,
-          propagate: true 
-        })
-      });
-      
-      if (response.ok) {
-        console.log('[BATCH] ✅ Corrections sent successfully');
+      const result = await chrome.runtime.sendMessage({ type: 'FLUSH_CORRECTIONS', account: getCurrentAccount() });
+      if (result && !result.error) {
+        console.log(`[BATCH] ✅ Background sent ${result.sent} corrections`);
         this.pendingCorrections.clear();
       } else {
-        throw new Error(`API error: ${response.status}`);
+        console.warn('[BATCH] Background flush failed, will retry:', result?.error);
       }
+      return result;
     } catch (error) {
-      console.error('[BATCH] ❌ Failed to send corrections:', error);
-      this.sent = false; // Allow retry
+      console.error('[BATCH] ❌ Failed to reach background worker:', error);
+      return null;
     }
   }
 
-  // Send via sendBeacon for guaranteed delivery during page unload
-  sendBeaconBatch() {
-    if (this.sent || this.pendingCorrections.size === 0) return;
-    this.sent = true;
+  hasPendingCorrections() {
+    return this.pendingCorrections.size > 0;
+  }
+
+  destroy() {
+    clearTimeout(this.flushTimer);
+  }
+}
 
-    const edits = Array.from(this.pendingCorrections.values());
-    const success = navigator.sendBeacon('/api/finops/documents/corrections', JSON.stringify({ 
-      edits: edits,
-      propagate: true 
-    }));
+/**
+ * Renders the "N unsynced edits" indicator above the grid and keeps it in sync with
+ * the durable corrections queue. Edits the backend refused, or that could not be queued, are
+ * listed with their error until the user dismisses them.
+ * @param {ShadowRoot} shadowRoot - Shadow root that hosts the spreadsheet
+ * @param {HTMLElement} beforeEl - Element the indicator is inserted before
+ * @param {CorrectionsBatcher} batcher - Batcher used for "Sync now"
+ * @param {Object} [options]
+ * @param {Function} [options.onRefused] - Called with the refused corrections on every update
+ * @returns {{addUnsaved: Function, remove: Function}} `addUnsaved(correction, error)` lists an edit
+ *   that could not be queued; `remove()` removes the indicator and its listeners
+ */
+function createUnsyncedIndicator(shadowRoot, beforeEl, batcher, { onRefused = () => undefined } = {}) {
+  const indicator = document.createElement('div');
+  indicator.className = 'stamp-unsynced-indicator';
+  indicator.style.cssText = 'display:none; align-items:center; gap:8px; padding:4px 10px; font-family:-apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; font-size:12px; color:#92400e; background:#fffbeb; border-bottom:1px solid #fde68a;';
+  shadowRoot.insertBefore(indicator, beforeEl);
 
-    if (success) {
-      console.log(`[BATCH] ✅ Sent ${edits.length} corrections via sendBeacon`);
-      this.pendingCorrections.clear();
-    } else {
-      console.error('[BATCH] ❌ sendBeacon failed');
-      this.sent = false;
+  const unsaved = []; // edits that never made it into the queue, only known to this page
+  let latestQueue = null;
+
+  // Only this tab's Gmail account's edits and backoff are shown
+  const render = (queue) => {
+    latestQueue = queue;
+    const { unsynced: count, lastError, nextAttemptAt, parked } = getAccountQueueState(queue);
+    const refused = getRejectedCorrections(queue);
+    onRefused(refused);
+    const notSaved = [
+      ...refused.map(edit => ({ ...edit, reason: 'was refused' })),
+      ...unsaved.map((edit, index) => ({ ...edit, key: `unsaved:${index}`, reason: 'could not be saved' }))
+    ];
+    if (count === 0 && notSaved.length === 0) {
+      indicator.style.display = 'none';
+      return;
     }
-  }
+    const retryText = parked
+      ? ' · sign in to Stamp to sync'
+      : lastError && nextAttemptAt ? ` · retrying ${new Date(nextAttemptAt).toLocaleTimeString()}` : '';
+    indicator.style.display = 'flex';
+    indicator.style.flexWrap = 'wrap';
+    indicator.innerHTML = `
+      ${count ? `
+        <span>⚠️ ${count} unsynced edit${count === 1 ? '' : 's'}${retryText}</span>
+        <button class="stamp-sync-now-btn" style="border:none; background:none; color:#1a73e8; cursor:pointer; font-size:12px; padding:0;">Sync now</button>
+      ` : ''}
+      ${notSaved.map(edit => `
+        <div class="stamp-refused-edit" style="flex-basis:100%; display:flex; align-items:center; gap:8px; color:#b91c1c;">
+          <span title="${escapeHtml(edit.error)}">⛔ Not saved: ${escapeHtml(edit.field_name)} = "${escapeHtml(edit.new_value)}" ${edit.reason} and was reverted to "${escapeHtml(edit.previous_value ?? '')}"</span>
+          <button class="stamp-dismiss-refused-btn" data-key="${escapeHtml(edit.key)}" style="border:none; background:none; color:#1a73e8; cursor:pointer; font-size:12px; padding:0;">Dismiss</button>
+        </div>
+      `).join('')}
+    `;
+    indicator.querySelector('.stamp-sync-now-btn')?.addEventListener('click', () => batcher.flush());
+    indicator.querySelectorAll('.stamp-dismiss-refused-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        if (button.dataset.key.startsWith('unsaved:')) {
+          unsaved.splice(Number(button.dataset.key.slice('unsaved:'.length)), 1);
+          render(latestQueue);
+          return;
+        }
+        button.disabled = true;
+        dismissRejectedCorrection(button.dataset.key).catch(error => {
+          console.error('[BATCH] Failed to dismiss refused correction:', error);
+          button.disabled = false;
+        });
+      });
+    });
+  };
 
-  hasPendingCorrections() {
-    return this.pendingCorrections.size > 0;
-  }
+  const onStorageChanged = (changes, areaName) => {
+    if (areaName === 'local' && changes[CORRECTIONS_QUEUE_KEY]) {
+      render(changes[CORRECTIONS_QUEUE_KEY].newValue);
+    }
+  };
+
+  chrome.storage.onChanged.addListener(onStorageChanged);
+  getCorrectionsQueue().then(render).catch(error => console.error('[BATCH] Failed to read corrections queue:', error));
+
+  return {
+    addUnsaved(correction, error) {
+      unsaved.push({ ...correction, error: error.message });
+      render(latestQueue);
+    },
+    remove() {
+      chrome.storage.onChanged.removeListener(onStorageChanged);
+      indicator.remove();
+    }
+  };
 }
 
 // === FIELD EDITING HELPER FUNCTIONS ===
 
-function handleFieldEdit(invoice, fieldName, newValue, invoiceIndex, batcher) {
+/**
+ * Applies an edit to the local invoice data, records it in the audit trail and queues a correction.
+ * @param {Object} invoice - The invoice object backing the edited row
+ * @param {string} fieldName - The edited field (e.g. 'vendor.name')
+ * @param {*} newValue - The value now in the cell
+ * @param {number} invoiceIndex - Row index of the invoice
+ * @param {CorrectionsBatcher|null} batcher - Batcher the correction is queued on
+ * @param {Object} [context] - Optional edit context
+ * @param {*} [context.previousValue] - The cell value before the edit (defaults to the local field value)
+ * @param {EditHistory} [context.history] - Audit trail to record the edit in
+ * @param {string} [context.action] - 'edit', 'undo', 'redo', or 'refused'/'unsaved' when putting
+ *   back an edit the backend refused or that could not be queued
+ */
+function handleFieldEdit(invoice, fieldName, newValue, invoiceIndex, batcher, context = {}) {
   console.log(`[EDIT] Invoice ${invoiceIndex}: ${fieldName} = ${newValue}`);
   
+  // Capture the value being replaced before mutating local data
+  const previousValue = context.previousValue !== undefined ? context.previousValue : getOriginalValue(invoice, fieldName);
+  
   // Update local data
   if (fieldName.includes('.')) {
     const [parent, child] = fieldName.split('.');
@@ -765,27 +1526,191 @@ function handleFieldEdit(invoice, fieldName, newValue, invoiceIndex, batcher) {
   
   console.log(`[EDIT] ✅ Extracted document ID: ${documentId} for field: ${fieldName}`);
   
-  if (documentId && batcher) {
-    batcher.addCorrection(messageId, contentHash, documentId, documentType, fieldName, newValue);
-  } else if (!documentId) {
+  if (!documentId) {
     console.warn(`[EDIT] ❌ No document_id found at invoice.document.details.id for invoice ${invoiceIndex}`);
+    return;
+  }
+  
+  // Record in the audit trail; the first recorded previous value is the original AI extraction
+  const entry = context.history
+    ? context.history.record({ documentId, fieldName, previousValue, newValue, action: context.action || 'edit' })
+    : null;
+  const originalValue = entry ? entry.originalValue : previousValue;
+  
+  if (batcher) {
+    batcher.addCorrection(messageId, contentHash, documentId, documentType, fieldName, newValue, previousValue, originalValue);
   }
 }
 
 /**
- * Gets the original value for a field from the invoice data
+ * Gets the original value for a field from the invoice data.
+ * Local edits are written to the top level of the invoice, so those win;
+ * otherwise fall back to the extracted value in document.details.
  * @param {Object} invoice - The invoice object
  * @param {string} fieldName - The field name to get
  * @returns {*} The original value
  */
 function getOriginalValue(invoice, fieldName) {
+  const details = invoice.document?.details || {};
   if (fieldName.includes('.')) {
     const [parent, child] = fieldName.split('.');
-    return invoice[parent] ? invoice[parent][child] : '';
+    if (invoice[parent] && invoice[parent][child] !== undefined) return invoice[parent][child];
+    return details[parent] ? (details[parent][child] ?? '') : '';
   } else {
-    return invoice[fieldName] || '';
+    if (invoice[fieldName] !== undefined) return invoice[fieldName];
+    return details[fieldName] ?? '';
+  }
+}
+
+// === EDIT HISTORY POPOVER ===
+
+/**
+ * Shows a popover next to a cell listing who changed it, when, and old → new.
+ * @param {HTMLElement} anchor - The cell element to anchor the popover to
+ * @param {string} columnTitle - Column title shown in the header
+ * @param {{originalValue: *, entries: Object[]}|null} cellHistory - History from EditHistory.getCellHistory
+ */
+function showCellHistoryPopover(anchor, columnTitle, cellHistory) {
+  document.querySelectorAll('.stamp-cell-history-popover').forEach(el => el.remove());
+
+  const actionLabels = { edit: 'Edited', undo: 'Undid', redo: 'Redid', refused: 'Refused by Stamp, reverted', unsaved: 'Could not be saved, reverted' };
+  const entries = cellHistory?.entries || [];
+  const rows = entries.slice().reverse().map(entry => `
+    <div style="padding: 6px 0; border-bottom: 1px solid #f1f3f4;">
+      <div style="font-size: 11px; color: #5f6368;">
+        ${actionLabels[entry.action] || 'Edited'} by ${escapeHtml(entry.actor || 'Unknown user')} · ${escapeHtml(new Date(entry.timestamp).toLocaleString())}
+      </div>
+      <div style="font-size: 12px; color: #202124; margin-top: 2px;">
+        <span style="text-decoration: line-through; color: #9aa0a6;">${escapeHtml(entry.previousValue) || '(empty)'}</span>
+        → <span style="font-weight: 500;">${escapeHtml(entry.newValue) || '(empty)'}</span>
+      </div>
+    </div>
+  `).join('');
+
+  const popover = document.createElement('div');
+  popover.className = 'stamp-cell-history-popover';
+  popover.style.cssText = 'position:fixed; z-index:2147483646; width:300px; max-height:320px; overflow-y:auto; background:#fff; box-shadow:0 8px 24px rgba(60,64,67,0.3); border:1px solid #e0e0e0; border-radius:8px; padding:10px 12px; font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif;';
+  popover.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+      <span style="font-size: 13px; font-weight: 600; color: #202124;">${escapeHtml(columnTitle)} history</span>
+      <span class="stamp-cell-history-close" style="cursor: pointer; color: #5f6368; font-size: 16px; line-height: 1;">×</span>
+    </div>
+    ${cellHistory ? `
+      <div style="font-size: 11px; color: #5f6368; margin-bottom: 4px;">
+        Original (AI-extracted): <span style="color: #202124;">${escapeHtml(cellHistory.originalValue) || '(empty)'}</span>
+      </div>
+      ${rows}
+    ` : '<div style="font-size: 12px; color: #5f6368;">No edits recorded for this cell.</div>'}
+  `;
+
+  const rect = anchor ? anchor.getBoundingClientRect() : { bottom: 100, left: 100 };
+  popover.style.top = `${Math.round(Math.min(rect.bottom + 6, window.innerHeight - 330))}px`;
+  popover.style.left = `${Math.round(Math.min(rect.left, window.innerWidth - 320))}px`;
+  document.body.appendChild(popover);
+
+  const close = () => {
+    popover.remove();
+    document.removeEventListener('mousedown', onOutsideClick, true);
+  };
+  const onOutsideClick = (e) => {
+    if (!popover.contains(e.target)) close();
+  };
+  popover.querySelector('.stamp-cell-history-close').addEventListener('click', close);
+  // Defer so the click that opened the popover doesn't immediately close it
+  setTimeout(() => document.addEventListener('mousedown', onOutsideClick, true), 0);
+}
+
+
+ 
+
+// === EXPORT MENU ===
+
+/**
+ * Shows the export format menu below the toolbar button.
+ * @param {HTMLElement} anchor - Toolbar item element the menu is anchored to
+ * @param {Function} onSelect - Called with the chosen EXPORT_FORMATS key
+ */
+function showTrackerExportMenu(anchor, onSelect) {
+  const existing = document.querySelector('.stamp-export-menu');
+  if (existing) {
+    existing.remove();
+    return;
   }
+
+  const menu = document.createElement('div');
+  menu.className = 'stamp-export-menu';
+  menu.style.cssText = 'position:fixed; z-index:2147483646; min-width:220px; background:#fff; box-shadow:0 8px 24px rgba(60,64,67,0.3); border:1px solid #e0e0e0; border-radius:8px; padding:6px 0; font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif;';
+  menu.innerHTML = `
+    <div style="padding: 4px 14px 6px; font-size: 11px; color: #5f6368;">Export visible rows</div>
+    ${Object.entries(EXPORT_FORMATS).map(([format, config]) => `
+      <div class="stamp-export-option" data-format="${format}" style="padding: 6px 14px; font-size: 13px; color: #202124; cursor: pointer;">${config.label}</div>
+    `).join('')}
+  `;
+
+  const rect = anchor ? anchor.getBoundingClientRect() : { bottom: 100, left: 100 };
+  menu.style.top = `${Math.round(rect.bottom + 4)}px`;
+  menu.style.left = `${Math.round(Math.min(rect.left, window.innerWidth - 240))}px`;
+  document.body.appendChild(menu);
+
+  const close = () => {
+    menu.remove();
+    document.removeEventListener('mousedown', onOutsideClick, true);
+  };
+  const onOutsideClick = (e) => {
+    if (!menu.contains(e.target)) close();
+  };
+
+  menu.querySelectorAll('.stamp-export-option').forEach(option => {
+    option.addEventListener('mouseenter', () => { option.style.background = '#f1f3f4'; });
+    option.addEventListener('mouseleave', () => { option.style.background = 'transparent'; });
+    option.addEventListener('click', () => {
+      close();
+      onSelect(option.getAttribute('data-format'));
+    });
+  });
+  setTimeout(() => document.addEventListener('mousedown', onOutsideClick, true), 0);
 }
 
+// === COLUMN VISIBILITY MENU ===
+
+/**
+ * Shows a checklist of columns so hidden columns can be brought back.
+ * @param {HTMLElement} anchor - Element the menu is anchored to
+ * @param {{index: number, title: string, hidden: boolean}[]} columnStates - Current column visibility
+ * @param {Function} onToggle - Called with (columnIndex, visible)
+ */
+function showColumnVisibilityMenu(anchor, columnStates, onToggle) {
+  const existing = document.querySelector('.stamp-columns-menu');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  const menu = document.createElement('div');
+  menu.className = 'stamp-columns-menu';
+  menu.style.cssText = 'position:fixed; z-index:2147483646; min-width:200px; max-height:360px; overflow-y:auto; background:#fff; box-shadow:0 8px 24px rgba(60,64,67,0.3); border:1px solid #e0e0e0; border-radius:8px; padding:6px 0; font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif;';
+  columnStates.forEach(state => {
+    const label = document.createElement('label');
+    label.style.cssText = 'display:flex; align-items:center; gap:8px; padding:4px 14px; font-size:13px; color:#202124; cursor:pointer;';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !state.hidden;
+    checkbox.addEventListener('change', () => onToggle(state.index, checkbox.checked));
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(state.title));
+    menu.appendChild(label);
+  });
 
- 
\ No newline at end of file
+  const rect = anchor ? anchor.getBoundingClientRect() : { bottom: 100, left: 100 };
+  menu.style.top = `${Math.round(rect.bottom + 4)}px`;
+  menu.style.left = `${Math.round(Math.min(rect.left, window.innerWidth - 220))}px`;
+  document.body.appendChild(menu);
+
+  const onOutsideClick = (e) => {
+    if (!menu.contains(e.target)) {
+      menu.remove();
+      document.removeEventListener('mousedown', onOutsideClick, true);
+    }
+  };
+  setTimeout(() => document.addEventListener('mousedown', onOutsideClick, true), 0);
+}
@@ -0,0 +1,277 @@
+// stamp-extension/thread-cache.js
+/* global chrome */
+
+/**
+ * The thread data cache behind thread labels and the sidebar. Each thread is stored under its
+ * own chrome.storage.local key, so reading or updating one thread never rewrites the others,
+ * and recently used threads are also kept in memory. Both layers are bounded: memory drops its
+ * least recently used thread past `maxMemoryEntries`, and storage is pruned back to
+ * `maxStoredEntries` and `maxStoredBytes` (least recently used first) and cleared of entries
+ * older than `maxAgeMs`. Pruning reads all of storage, so a page only does it when no page did
+ * in the last day, every `pruneEvery` writes after that, and right after a write fails: a full
+ * storage area must never keep the corrections queue or the audit trail from being written.
+ * The manifest asks for unlimitedStorage, so this budget rather than Chrome's 10 MB quota is
+ * what bounds the cache.
+ * Whether an entry is fresh enough to use is up to the caller; see ThreadDataManager.
+ * Caches are scoped to a Gmail account (`stampThread:<email>:<threadId>`), so two accounts open
+ * in the same browser never read each other's threads.
+ */
+
+export const THREAD_CACHE_KEY_PREFIX = 'stampThread:';
+// The single object every thread used to be stored in
+const LEGACY_CACHE_KEY = 'stampThreadCache';
+// Reading an entry only records the use in storage when the last record is older than this
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+// When each account's cache was last pruned, by any page
+const PRUNED_AT_KEY_PREFIX = 'stampThreadPrunedAt:';
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Keys cached before caches were scoped per account carry no email
+const isUnscopedKey = (key) => key.startsWith(THREAD_CACHE_KEY_PREFIX) && !key.includes('@');
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.account] - The Gmail account the threads belong to
+ * @param {Object} [options.storage] - A chrome.storage area; defaults to chrome.storage.local
+ * @param {number} [options.maxMemoryEntries=300]
+ * @param {number} [options.maxStoredEntries=1000]
+ * @param {number} [options.maxStoredBytes] - Approximate storage budget (keys plus JSON values); 5 MB by default
+ * @param {number} [options.maxAgeMs] - Stored entries fetched longer ago are dropped; 7 days by default
+ * @param {number} [options.pruneEvery=100] - Writes between two storage prunes
+ * @param {Function} [options.now=Date.now]
+ * @returns {{getMany: Function, set: Function, update: Function, prune: Function, clear: Function, getMetrics: Function}}
+ */
+export function createThreadCache({
+  account = null,
+  storage = null,
+  maxMemoryEntries = 300,
+  maxStoredEntries = 1000,
+  maxStoredBytes = 5 * 1024 * 1024,
+  maxAgeMs = 7 * 24 * 60 * 60 * 1000,
+  pruneEvery = 100,
+  now = Date.now
+} = {}) {
+  const memory = new Map(); // threadId => { data, fetchedAt, usedAt }, least recently used first
+  const metrics = {
+    memoryHits: 0,
+    storageHits: 0,
+    misses: 0,
+    expired: 0,
+    writes: 0,
+    memoryEvictions: 0,
+    storageEvictions: 0,
+    storedEntries: null, // Known after the first prune
+    storedBytes: null
+  };
+  let writesSincePrune = pruneEvery; // The first write of the session checks whether a prune is due
+  let pruneChecked = false;
+  let pruning = null;
+
+  const keyPrefix = account ? `${THREAD_CACHE_KEY_PREFIX}${account}:` : THREAD_CACHE_KEY_PREFIX;
+  const storageKey = (threadId) => `${keyPrefix}${threadId}`;
+  const isOwnKey = (key) => (account ? key.startsWith(keyPrefix) : isUnscopedKey(key));
+  const prunedAtKey = `${PRUNED_AT_KEY_PREFIX}${account || ''}`;
+
+  const area = () => storage || chrome.storage.local;
+  const isExpired = (entry) => now() - entry.fetchedAt > maxAgeMs;
+
+  const remember = (threadId, entry) => {
+    memory.delete(threadId);
+    memory.set(threadId, entry);
+    while (memory.size > maxMemoryEntries) {
+      memory.delete(memory.keys().next().value);
+      metrics.memoryEvictions++;
+    }
+  };
+
+  const startPrune = (run) => {
+    if (pruning) return;
+    writesSincePrune = 0;
+    pruneChecked = true;
+    pruning = run().finally(() => { pruning = null; });
+  };
+
+  const write = async (threadId, entry) => {
+    remember(threadId, entry);
+    metrics.writes++;
+    try {
+      await area().set({ [storageKey(threadId)]: entry });
+    } catch (error) {
+      // Most likely the storage quota: give room back to everything else kept in storage
+      console.error('[CACHE] Error writing thread', threadId, error);
+      startPrune(() => prune({ maxBytes: Math.floor(maxStoredBytes / 2) }));
+      return;
+    }
+    if (++writesSincePrune >= pruneEvery) {
+      startPrune(pruneChecked ? prune : pruneIfDue);
+    }
+  };
+
+  // Skips the full storage read when another page pruned recently
+  async function pruneIfDue() {
+    try {
+      const result = (await area().get([prunedAtKey])) || {};
+      if (now() - (result[prunedAtKey] || 0) < PRUNE_INTERVAL_MS) return 0;
+    } catch (error) {
+      console.warn('[CACHE] Error reading the last prune time:', error);
+    }
+    return prune();
+  }
+
+  /**
+   * Drops expired entries and the least recently used ones beyond `maxStoredEntries` or
+   * `maxStoredBytes`.
+   * @param {Object} [options]
+   * @param {number} [options.maxBytes] - A tighter byte budget for this prune
+   * @returns {Promise<number>} Entries removed
+   */
+  async function prune({ maxBytes = maxStoredBytes } = {}) {
+    try {
+      const everything = await area().get(null);
+      const entries = Object.entries(everything || {})
+        .filter(([key]) => isOwnKey(key))
+        .sort(([, a], [, b]) => (b.usedAt || 0) - (a.usedAt || 0));
+      const expired = entries.filter(([, entry]) => isExpired(entry)).map(([key]) => key);
+      let bytes = 0;
+      let keptBytes = 0;
+      const overflow = entries.filter(([, entry]) => !isExpired(entry)).filter(([key, entry], index) => {
+        const size = key.length + JSON.stringify(entry).length;
+        bytes += size;
+        if (index < maxStoredEntries && bytes <= maxBytes) {
+          keptBytes += size;
+          return false;
+        }
+        return true;
+      }).map(([key]) => key);
+      const removed = [...expired, ...overflow];
+      if (Object.prototype.hasOwnProperty.call(everything || {}, LEGACY_CACHE_KEY)) removed.push(LEGACY_CACHE_KEY);
+      if (account) removed.push(...Object.keys(everything || {}).filter(isUnscopedKey));
+      if (removed.length) await area().remove(removed);
+      await area().set({ [prunedAtKey]: now() });
+
+      metrics.expired += expired.length;
+      metrics.storageEvictions += overflow.length;
+      metrics.storedEntries = entries.length - expired.length - overflow.length;
+      metrics.storedBytes = keptBytes;
+      if (removed.length) console.log(`[CACHE] Pruned ${expired.length} expired and ${overflow.length} least recently used threads`);
+      return removed.length;
+    } catch (error) {
+      console.error('[CACHE] Error pruning the thread cache:', error);
+      return 0;
+    }
+  }
+
+  return {
+    /**
+     * Looks threads up in memory, then in storage (one read for every thread memory missed).
+     * @param {string[]} threadIds
+     * @param {Object} [options]
+     * @param {boolean} [options.countLookups=true] - Whether the lookups count towards the hit rate
+     * @returns {Promise<Map<string, {data: Object, fetchedAt: number}>>} The threads found
+     */
+    async getMany(threadIds, { countLookups = true } = {}) {
+      const found = new Map();
+      const missing = [];
+      threadIds.forEach(threadId => {
+        const entry = memory.get(threadId);
+        if (entry) {
+          if (countLookups) metrics.memoryHits++;
+          entry.usedAt = now();
+          remember(threadId, entry);
+          found.set(threadId, entry);
+        } else {
+          missing.push(threadId);
+        }
+      });
+      if (!missing.length) return found;
+
+      let stored = {};
+      try {
+        stored = (await area().get(missing.map(storageKey))) || {};
+      } catch (error) {
+        console.error('[CACHE] Error reading threads:', error);
+      }
+      const touched = {};
+      const expired = [];
+      missing.forEach(threadId => {
+        const entry = stored[storageKey(threadId)];
+        if (!entry || isExpired(entry)) {
+          if (entry) expired.push(storageKey(threadId));
+          if (countLookups) metrics.misses++;
+          return;
+        }
+        if (countLookups) metrics.storageHits++;
+        if (now() - (entry.usedAt || 0) > TOUCH_INTERVAL_MS) {
+          entry.usedAt = now();
+          touched[storageKey(threadId)] = entry;
+        }
+        remember(threadId, entry);
+        found.set(threadId, entry);
+      });
+      metrics.expired += expired.length;
+      try {
+        if (Object.keys(touched).length) await area().set(touched);
+        if (expired.length) await area().remove(expired);
+      } catch (error) {
+        console.warn('[CACHE] Error recording thread use:', error);
+      }
+      return found;
+    },
+
+    /**
+     * @param {string} threadId
+     * @param {Object} data
+     * @param {Object} [options]
+     * @param {number} [options.fetchedAt] - When the backend produced `data`; now by default
+     * @returns {Promise<void>}
+     */
+    async set(threadId, data, { fetchedAt = now() } = {}) {
+      await write(threadId, { data, fetchedAt, usedAt: now() });
+    },
+
+    /**
+     * Changes a cached thread's data locally; it keeps its fetch time, so it still revalidates
+     * when due. A thread that isn't cached is left out: it has never been fetched, and the next
+     * read fetches it with the change already applied by the backend or the pending corrections.
+     * @param {string} threadId
+     * @param {Function} updater - data => new data, or null to leave the cache as it is
+     * @returns {Promise<Object|null>} The new data, or null when nothing was written
+     */
+    async update(threadId, updater) {
+      // A local change is not a read, so it leaves the hit rate alone
+      const entry = (await this.getMany([threadId], { countLookups: false })).get(threadId);
+      if (!entry) return null;
+      const data = updater(entry.data);
+      if (!data) return null;
+      await write(threadId, { data, fetchedAt: entry.fetchedAt, usedAt: now() });
+      return data;
+    },
+
+    prune,
+
+    /**
+     * Empties both layers.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      memory.clear();
+      const everything = await area().get(null);
+      const keys = Object.keys(everything || {}).filter(isOwnKey);
+      if (keys.length) await area().remove(keys);
+      metrics.storedEntries = 0;
+      metrics.storedBytes = 0;
+    },
+
+    /**
+     * @returns {Object} Counters since the page loaded, plus the current sizes
+     */
+    getMetrics() {
+      const lookups = metrics.memoryHits + metrics.storageHits + metrics.misses;
+      return {
+        ...metrics,
+        memoryEntries: memory.size,
+        hitRate: lookups ? Math.round(((metrics.memoryHits + metrics.storageHits) / lookups) * 100) / 100 : null
+      };
+    }
+  };
+}
@@ -0,0 +1,173 @@
+// Unit tests for the per-thread, size-bounded cache in thread-cache.js
+import { THREAD_CACHE_KEY_PREFIX, createThreadCache } from './thread-cache.js';
+import { createFakeStorageArea as createStorage } from './fake-chrome-storage.js';
+
+const key = (threadId) => `${THREAD_CACHE_KEY_PREFIX}${threadId}`;
+
+describe('createThreadCache', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = 1000000;
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('stores each thread under its own key and reads storage once per lookup', async () => {
+    const storage = createStorage();
+    const cache = createThreadCache({ storage, now, pruneEvery: 1000 });
+
+    await cache.set('t1', { threadLabels: ['paid'] });
+    await cache.set('t2', { threadLabels: ['pending'] });
+
+    expect(storage.items[key('t1')]).toEqual({ data: { threadLabels: ['paid'] }, fetchedAt: time, usedAt: time });
+    expect(storage.set).toHaveBeenLastCalledWith({ [key('t2')]: expect.any(Object) });
+
+    // A fresh page only has storage
+    const reloaded = createThreadCache({ storage, now });
+    const found = await reloaded.getMany(['t1', 't2', 't3']);
+
+    expect([...found.keys()]).toEqual(['t1', 't2']);
+    expect(storage.get).toHaveBeenLastCalledWith([key('t1'), key('t2'), key('t3')]);
+    expect(reloaded.getMetrics()).toMatchObject({ storageHits: 2, misses: 1, hitRate: 0.67 });
+
+    storage.get.mockClear();
+    await reloaded.getMany(['t1']);
+    expect(storage.get).not.toHaveBeenCalled();
+    expect(reloaded.getMetrics().memoryHits).toBe(1);
+  });
+
+  test('keeps the most recently used threads in memory', async () => {
+    const storage = createStorage();
+    const cache = createThreadCache({ storage, now, maxMemoryEntries: 2, pruneEvery: 1000 });
+
+    await cache.set('t1', {});
+    await cache.set('t2', {});
+    await cache.getMany(['t1']);
+    await cache.set('t3', {});
+
+    storage.get.mockClear();
+    await cache.getMany(['t1', 't3']);
+    expect(storage.get).not.toHaveBeenCalled();
+    await cache.getMany(['t2']);
+    expect(storage.get).toHaveBeenCalledWith([key('t2')]);
+    expect(cache.getMetrics()).toMatchObject({ memoryEvictions: 2, memoryEntries: 2 });
+  });
+
+  test('prunes expired, least recently used and legacy entries from storage', async () => {
+    const storage = createStorage({
+      stampThreadCache: { t0: {} },
+      [key('old')]: { data: {}, fetchedAt: time - 8 * 24 * 60 * 60 * 1000, usedAt: time },
+      [key('a')]: { data: {}, fetchedAt: time, usedAt: time - 3 },
+      [key('b')]: { data: {}, fetchedAt: time, usedAt: time - 1 },
+      [key('c')]: { data: {}, fetchedAt: time, usedAt: time - 2 },
+      otherSetting: true
+    });
+    const cache = createThreadCache({ storage, now, maxStoredEntries: 2 });
+
+    await expect(cache.prune()).resolves.toBe(3);
+
+    expect(Object.keys(storage.items).sort()).toEqual(['otherSetting', key('b'), key('c'), 'stampThreadPrunedAt:']);
+    expect(cache.getMetrics()).toMatchObject({ expired: 1, storageEvictions: 1, storedEntries: 2 });
+  });
+
+  test('keeps stored threads within the byte budget, least recently used first', async () => {
+    const thread = (usedAt) => ({ data: { note: 'x'.repeat(100) }, fetchedAt: time, usedAt });
+    const storage = createStorage({ [key('a')]: thread(time - 3), [key('b')]: thread(time - 1), [key('c')]: thread(time - 2) });
+    const cache = createThreadCache({ storage, now, maxStoredBytes: 400 });
+
+    await expect(cache.prune()).resolves.toBe(1);
+
+    expect(storage.items[key('a')]).toBeUndefined();
+    expect(cache.getMetrics()).toMatchObject({ storageEvictions: 1, storedEntries: 2, storedBytes: expect.any(Number) });
+    expect(cache.getMetrics().storedBytes).toBeLessThanOrEqual(400);
+  });
+
+  test('only reads all of storage on the first write when no page pruned in the last day', async () => {
+    const storage = createStorage();
+    await createThreadCache({ storage, now }).prune();
+
+    time += 60 * 60 * 1000;
+    storage.get.mockClear();
+    await createThreadCache({ storage, now }).set('t1', {});
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(storage.get).not.toHaveBeenCalledWith(null);
+
+    time += 24 * 60 * 60 * 1000;
+    await createThreadCache({ storage, now }).set('t2', {});
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(storage.get).toHaveBeenCalledWith(null);
+  });
+
+  test('makes room when a write fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    const thread = (usedAt) => ({ data: { note: 'x'.repeat(100) }, fetchedAt: time, usedAt });
+    const storage = createStorage({ [key('a')]: thread(time - 2), [key('b')]: thread(time - 1) });
+    const cache = createThreadCache({ storage, now, maxStoredBytes: 400, pruneEvery: 1000 });
+    storage.set.mockRejectedValueOnce(new Error('QUOTA_BYTES quota exceeded'));
+
+    await cache.set('c', {});
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(Object.keys(storage.items).filter(item => item.startsWith(THREAD_CACHE_KEY_PREFIX))).toEqual([key('b')]);
+  });
+
+  test('treats expired entries as missing', async () => {
+    const storage = createStorage({ [key('old')]: { data: {}, fetchedAt: 0, usedAt: 0 } });
+    const cache = createThreadCache({ storage, now, maxAgeMs: 1000 });
+
+    expect((await cache.getMany(['old'])).size).toBe(0);
+    expect(storage.items[key('old')]).toBeUndefined();
+    expect(cache.getMetrics()).toMatchObject({ misses: 1, expired: 1 });
+  });
+
+  test('update keeps the fetch time and skips uncached threads and null updates', async () => {
+    const storage = createStorage();
+    const cache = createThreadCache({ storage, now, pruneEvery: 1000 });
+    await cache.set('t1', { threadLabels: ['pending'] }, { fetchedAt: 5 });
+
+    time += 10;
+    await expect(cache.update('t1', data => ({ ...data, threadLabels: ['paid'] }))).resolves.toEqual({ threadLabels: ['paid'] });
+    expect(storage.items[key('t1')]).toMatchObject({ fetchedAt: 5, usedAt: time });
+
+    storage.set.mockClear();
+    const updater = jest.fn(() => ({ threadLabels: ['paid'] }));
+    await expect(cache.update('t1', () => null)).resolves.toBeNull();
+    await expect(cache.update('local', updater)).resolves.toBeNull();
+    expect(updater).not.toHaveBeenCalled();
+    expect(storage.set).not.toHaveBeenCalled();
+    expect(cache.getMetrics()).toMatchObject({ memoryHits: 0, misses: 0 });
+
+    // The next read misses and fetches it
+    await expect(cache.getMany(['local'])).resolves.toEqual(new Map());
+    expect(cache.getMetrics()).toMatchObject({ misses: 1 });
+  });
+
+  test('clear empties memory and the thread keys only', async () => {
+    const storage = createStorage({ otherSetting: true });
+    const cache = createThreadCache({ storage, now, pruneEvery: 1000 });
+    await cache.set('t1', {});
+
+    await cache.clear();
+
+    expect(storage.items).toEqual({ otherSetting: true });
+    expect((await cache.getMany(['t1'])).size).toBe(0);
+  });
+
+  test('keeps each account\'s threads apart and drops entries cached before caches were scoped', async () => {
+    const storage = createStorage({ [key('t0')]: { data: {}, fetchedAt: time, usedAt: time } });
+    const work = createThreadCache({ account: 'ap@work.com', storage, now, pruneEvery: 1000 });
+    const personal = createThreadCache({ account: 'me@home.com', storage, now, pruneEvery: 1000 });
+
+    await work.set('t1', { threadLabels: ['paid'] });
+    expect(storage.items[`${THREAD_CACHE_KEY_PREFIX}ap@work.com:t1`]).toBeDefined();
+    expect((await personal.getMany(['t1', 't0'])).size).toBe(0);
+
+    await personal.set('t1', {});
+    await personal.prune();
+    await personal.clear();
+    expect(Object.keys(storage.items).filter(item => item.startsWith(THREAD_CACHE_KEY_PREFIX))).toEqual([`${THREAD_CACHE_KEY_PREFIX}ap@work.com:t1`]);
+  });
+});
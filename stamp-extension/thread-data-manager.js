@@ -1,7 +1,16 @@
 import { getMockAllInvoices } from './mock-api.js';
+import { createThreadCache } from './thread-cache.js';
+import { createBatchLoader } from './batch-loader.js';
+import { createProcessingPoller } from './processing-poller.js';
+import { getCurrentAccount } from './accounts.js';
+import { getPendingCorrections } from './corrections-queue.js';
+import { getDocumentId } from './duplicate-detection.js';
+import { applyInvolvementEntry, applyStatusToDocument, replaceStatusLabel } from './invoice-actions.js';
 
-const CACHE_KEY = 'stampThreadCache';
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_BATCH_SIZE = 50; // Thread IDs per batch-analysis request
+// batch-analysis result statuses of threads whose extraction hasn't finished yet
+const PROCESSING_STATUSES = ['processing', 'pending', 'queued'];
 
 /**
  * Manages fetching and caching of thread and invoice data.
@@ -9,46 +18,126 @@ const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
  * a real API client.
  */
 export class ThreadDataManager {
-    constructor(apiClient) {
+    /**
+     * @param {Object|null} apiClient
+     * @param {Object} [options]
+     * @param {Object} [options.cache] - From createThreadCache; by default a new one for the current Gmail account
+     * @param {Object} [options.processingPoll] - Options for createProcessingPoller
+     * @param {Function} [options.pendingCorrections] - Resolves to the corrections not sent yet; by default the current account's queued ones
+     * @param {Function} [options.isStatusLabel] - Label text => whether it is a status label; lets pending status
+     *   corrections replace the backend's status label too
+     */
+    constructor(apiClient, {
+        cache = createThreadCache({ account: getCurrentAccount() }),
+        processingPoll = {},
+        pendingCorrections = () => getPendingCorrections(),
+        isStatusLabel = null
+    } = {}) {
         this.apiClient = apiClient;
+        this.cache = cache;
+        this._pendingCorrections = pendingCorrections;
+        this._isStatusLabel = isStatusLabel;
+        this._listeners = new Set();
+        this._revalidating = new Set(); // Threads with a background refresh in flight
+        this._revalidationMetrics = { stale: 0, revalidations: 0, revalidationFailures: 0, changed: 0 };
+        // Every batch-analysis request goes through here, whoever asks
+        this._loader = createBatchLoader({ loadBatch: (ids) => this._requestBatch(ids), maxBatchSize: MAX_BATCH_SIZE });
+        // Threads the backend is still processing are asked for again until they are ready
+        this._poller = createProcessingPoller({ ...processingPoll, check: (ids) => this._checkProcessing(ids) });
         console.log('[ThreadDataManager] Initialized.');
     }
 
     /**
      * Retrieves data for a list of thread IDs, utilizing a cache to minimize requests.
+     * Cached threads are returned right away, even when older than the TTL: those are
+     * refreshed in the background and listeners registered with onThreadDataChanged hear
+     * about the ones that changed. Only threads that aren't cached at all wait for the backend.
+     * Concurrent callers share batched requests, see createBatchLoader.
      * @param {string[]} threadIds - An array of Gmail thread IDs.
+     * @param {object} [options]
+     * @param {'high'|'low'} [options.priority='low'] - 'high' for the open thread, ahead of list rows
      * @returns {Promise<object>} A promise that resolves to a map of threadId -> threadData.
      */
-    async getThreadData(threadIds) {
+    async getThreadData(threadIds, { priority = 'low' } = {}) {
         console.log('[ThreadDataManager] getThreadData called for:', threadIds);
-        const cache = await this._getCache();
+        const cached = await this.cache.getMany(threadIds);
         const now = Date.now();
         const threadsToFetch = [];
+        const staleThreads = [];
         const threadsFromCache = {};
 
         for (const id of threadIds) {
-            if (cache[id] && (now - cache[id].timestamp < CACHE_TTL_MS)) {
-                threadsFromCache[id] = cache[id].data;
-            } else {
+            const entry = cached.get(id);
+            if (!entry) {
                 threadsToFetch.push(id);
+                continue;
             }
+            threadsFromCache[id] = entry.data;
+            if (now - entry.fetchedAt >= CACHE_TTL_MS) staleThreads.push(id);
         }
 
-        console.log(`[ThreadDataManager] From cache: ${Object.keys(threadsFromCache).length}, To fetch: ${threadsToFetch.length}`);
+        console.log(`[ThreadDataManager] From cache: ${Object.keys(threadsFromCache).length} (${staleThreads.length} stale), To fetch: ${threadsToFetch.length}`);
+        if (staleThreads.length) this._revalidate(staleThreads, threadsFromCache, priority);
 
         if (threadsToFetch.length === 0) {
             return threadsFromCache;
         }
 
+        const newlyFetchedData = await this._loader.load(threadsToFetch, { priority });
+        return { ...threadsFromCache, ...newlyFetchedData };
+    }
+
+    /**
+     * @param {Function} callback - Called with (threadId, threadData) when a background refresh
+     *   brings different data for a thread that was served from the cache, or when a thread the
+     *   backend was still processing is ready
+     * @returns {Function} Stops listening
+     */
+    onThreadDataChanged(callback) {
+        this._listeners.add(callback);
+        return () => this._listeners.delete(callback);
+    }
+
+    /**
+     * @param {string} threadId
+     * @returns {boolean} Whether the backend is still processing the thread; its data arrives
+     *   through onThreadDataChanged once it is ready
+     */
+    isProcessing(threadId) {
+        return this._poller.isWatching(threadId);
+    }
+
+    /**
+     * @returns {Object} Cache counters (hits, misses, evictions, background refreshes) since the page loaded
+     */
+    getCacheMetrics() {
+        return { ...this.cache.getMetrics(), ...this._revalidationMetrics, loader: this._loader.getMetrics() };
+    }
+
+    /**
+     * Forgets every cached thread, in memory and in storage.
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        await this.cache.clear();
+        console.log('[ThreadDataManager] 🗑️ Thread cache cleared');
+    }
+
+    /**
+     * Sends one batch-analysis request and caches what comes back. Only called by the loader.
+     * @param {string[]} threadIds
+     * @returns {Promise<object>} threadId -> threadData; empty when the request failed
+     */
+    async _requestBatch(threadIds) {
         // --- REAL API CALL ---
         let newlyFetchedData = {};
         
         if (this.apiClient) {
             try {
-                console.log(`[ThreadDataManager] Making API call to /api/finops/threads/batch-analysis with ${threadsToFetch.length} thread IDs`);
+                console.log(`[ThreadDataManager] Making API call to /api/finops/threads/batch-analysis with ${threadIds.length} thread IDs`);
                 const response = await this.apiClient.makeAuthenticatedRequest('/api/finops/threads/batch-analysis', {
                     method: 'POST',
-                    body: JSON.stringify({ threadIds: threadsToFetch })
+                    body: JSON.stringify({ threadIds })
                 });
                 
                 const apiResponse = await response.json();
@@ -57,6 +146,15 @@ export class ThreadDataManager {
                 // Transform the new API response format to our expected format
                 newlyFetchedData = this._transformApiResponse(apiResponse);
                 console.log(`[ThreadDataManager] Transformed data:`, newlyFetchedData);
+
+                const processing = (apiResponse?.results || [])
+                    .filter(result => result.thread_id && PROCESSING_STATUSES.includes(result.status))
+                    .map(result => result.thread_id);
+                this._poller.unwatch(threadIds.filter(id => !processing.includes(id)));
+                if (processing.length) {
+                    console.log(`[ThreadDataManager] ⏳ ${processing.length} threads still processing`);
+                    this._poller.watch(processing);
+                }
             } catch (error) {
                 console.error('[ThreadDataManager] API call failed:', error);
                 // Return empty object on error - this means no labels will be applied
@@ -68,23 +166,96 @@ export class ThreadDataManager {
         }
         // --- END API CALL ---
 
-        // Update cache with new data
-        for (const id in newlyFetchedData) {
-            cache[id] = {
-                data: newlyFetchedData[id],
-                timestamp: now
-            };
-        }
-        await this._setCache(cache);
+        // The backend doesn't know about queued corrections yet; caching its copy as is would undo them
+        newlyFetchedData = await this._withPendingCorrections(newlyFetchedData);
 
-        return { ...threadsFromCache, ...newlyFetchedData };
+        // Update cache with new data
+        await Promise.all(Object.entries(newlyFetchedData).map(([id, data]) => this.cache.set(id, data)));
+        return newlyFetchedData;
     }
 
+    /**
+     * Refreshes stale threads in the background and notifies listeners of the ones that changed.
+     * A failed refresh keeps serving the cached data.
+     * @param {string[]} threadIds
+     * @param {object} cachedData - threadId -> the data that was served
+     * @param {'high'|'low'} priority
+     */
+    async _revalidate(threadIds, cachedData, priority) {
+        const ids = threadIds.filter(id => !this._revalidating.has(id));
+        if (!ids.length || !this.apiClient) return;
+        ids.forEach(id => this._revalidating.add(id));
+        this._revalidationMetrics.stale += ids.length;
+        this._revalidationMetrics.revalidations++;
 
+        try {
+            const fetched = await this._loader.load(ids, { priority });
+            if (!Object.keys(fetched).length) this._revalidationMetrics.revalidationFailures++;
+            Object.entries(fetched).forEach(([id, data]) => {
+                if (JSON.stringify(cachedData[id]) === JSON.stringify(data)) return;
+                this._revalidationMetrics.changed++;
+                console.log('[ThreadDataManager] 🔄 Thread changed since it was cached:', id);
+                this._notifyChanged(id, data);
+            });
+        } finally {
+            ids.forEach(id => this._revalidating.delete(id));
+        }
+    }
 
+    /**
+     * Asks again for threads that were still processing; the ones now ready go to listeners.
+     * @param {string[]} threadIds
+     */
+    async _checkProcessing(threadIds) {
+        const fetched = await this._loader.load(threadIds);
+        Object.entries(fetched).forEach(([id, data]) => {
+            console.log('[ThreadDataManager] ✅ Thread finished processing:', id);
+            this._notifyChanged(id, data);
+        });
+    }
 
+    /**
+     * Re-applies corrections still in the queue (approve, reject, tracker edits...) to threads
+     * fresh from the backend, so a refresh that lands before the queue is flushed shows the
+     * document as the user left it instead of reverting it.
+     * @param {object} threads - threadId -> threadData (changed in place)
+     * @returns {Promise<object>} The same threads
+     */
+    async _withPendingCorrections(threads) {
+        if (!Object.keys(threads).length) return threads;
+        let edits;
+        try {
+            edits = await this._pendingCorrections();
+        } catch (error) {
+            console.warn('[ThreadDataManager] Could not read pending corrections:', error);
+            return threads;
+        }
+        if (!edits?.length) return threads;
 
+        Object.values(threads).forEach(thread => {
+            let status = null;
+            (thread.processedEntities || []).forEach(entity => {
+                edits.filter(edit => edit.document_id && edit.document_id === getDocumentId(entity)).forEach(edit => {
+                    applyCorrection(entity, edit);
+                    if (edit.field_name === 'status') status = edit.new_value;
+                });
+            });
+            if (status && this._isStatusLabel) {
+                thread.threadLabels = replaceStatusLabel(thread.threadLabels, status, this._isStatusLabel);
+            }
+        });
+        return threads;
+    }
 
+    _notifyChanged(threadId, data) {
+        this._listeners.forEach(listener => {
+            try {
+                listener(threadId, data);
+            } catch (error) {
+                console.error('[ThreadDataManager] Thread change listener failed:', error);
+            }
+        });
+    }
 
     /**
      * Transforms the backend API response format to our expected format.
@@ -121,101 +292,179 @@ export class ThreadDataManager {
 
     /**
      * Retrieves all invoices for the Invoice Tracker view.
-     * @returns {Promise<Array<object>>} A promise that resolves to an array of all invoices.
+     * @returns {Promise<{invoices: Array<object>, partial: boolean}>} `partial` is true when a page
+     *   failed to load, so some (or all) documents are missing from `invoices`.
      */
     async getAllInvoices() {
+        const { invoices, error } = await this._loadAllInvoices();
+        return { invoices, partial: !!error };
+    }
+
+    /**
+     * Same as getAllInvoices(), but reuses the last result for a few minutes so features that
+     * look across all documents (vendor hover cards, duplicate badges) don't refetch per thread.
+     * Concurrent callers share one in-flight request. A failed or partial load is handed to the
+     * callers that were waiting for it but not kept, so the next call tries again.
+     * @param {object} [options]
+     * @param {boolean} [options.refresh=false] - Ignore the cached result
+     * @returns {Promise<{invoices: Array<object>, partial: boolean}>} As getAllInvoices()
+     */
+    async getAllInvoicesCached({ refresh = false } = {}) {
+        const fresh = this._allInvoices && (Date.now() - this._allInvoices.loadedAt < CACHE_TTL_MS);
+        if (!refresh && fresh) {
+            return this._allInvoices.promise;
+        }
+        const entry = { loadedAt: Date.now() };
+        entry.promise = this._loadAllInvoices().then(({ invoices, error }) => {
+            if (error && this._allInvoices === entry) {
+                this._allInvoices = null;
+            }
+            return { invoices, partial: !!error };
+        });
+        this._allInvoices = entry;
+        return entry.promise;
+    }
+
+    /**
+     * Loads every page of invoices without throwing.
+     * @returns {Promise<{invoices: Array<object>, error: Error|null}>} `error` is set when the
+     *   first page failed (invoices is empty) or a later page failed (invoices is partial).
+     */
+    async _loadAllInvoices() {
         console.log('[ThreadDataManager] 🎯 getAllInvoices called.');
         if (!this.apiClient) {
           console.warn('[ThreadDataManager] ⚠️ No API client available, returning empty data for invoices.');
-          return [];
+          return { invoices: [], error: null };
         }
         
+        let pageError = null;
         try {
           console.log('[ThreadDataManager] 📡 Fetching detailed documents from the backend...');
-          const invoices = await this.apiClient.getDetailedDocuments();
-          console.log('[ThreadDataManager] ✅ Received detailed documents response:', invoices);
-          console.log('[ThreadDataManager] 📊 Response type:', typeof invoices);
-          console.log('[ThreadDataManager] 📋 Invoices array length:', invoices?.length || 0);
-          
-          console.log('[ThreadDataManager] 🎯 Returning invoices array with', (invoices || []).length, 'items');
+          const invoices = await this.loadInvoicesInPages({
+            onPage: (documents, { error }) => { pageError = error || pageError; }
+          });
+          console.log('[ThreadDataManager] 🎯 Returning invoices array with', invoices.length, 'items');
           
           // Log first invoice structure for debugging
-          if (invoices && invoices.length > 0) {
+          if (invoices.length > 0) {
             console.log('[ThreadDataManager] 📝 Sample invoice structure:', invoices[0]);
           }
           
-          return invoices || [];
+          return { invoices, error: pageError };
         } catch (error) {
           console.error('[ThreadDataManager] ❌ Failed to fetch detailed documents:', error);
           console.error('[ThreadDataManager] ❌ Error details:', {
             message: error.message,
             stack: error.stack
           });
-          return []; // Return an empty array on error to prevent UI crashes
+          return { invoices: [], error }; // Empty rather than throwing, to prevent UI crashes
         }
     }
 
     /**
-     * Merges and persists labels for a given thread into the same cache used by both
-     * thread row labeling and open-thread labeling flows.
-     * @param {string} threadId
-     * @param {string[]} labels
+     * Walks the cursor-paged detailed documents endpoint, handing each page to `onPage`
+     * as soon as it arrives so the tracker can render incrementally.
+     * A failure on the first page is thrown; a failure on a later page stops paging and
+     * returns what was loaded so far. Aborting cancels the request in flight and returns
+     * what was loaded so far without reporting an error.
+     * @param {object} [options]
+     * @param {number} [options.pageSize=200] - Documents requested per page
+     * @param {Function} [options.onPage] - Awaited with (documents, { loaded, total, pageIndex, done, error })
+     * @param {AbortSignal} [options.signal] - Stops paging when aborted (e.g. the route was left)
+     * @returns {Promise<Array<object>>} Every invoice that was loaded.
      */
-    async addThreadLabels(threadId, labels) {
-        try {
-            if (!threadId || !Array.isArray(labels) || labels.length === 0) return;
-
-            const cache = await this._getCache();
-            const now = Date.now();
-
-            // Ensure a cache entry exists with expected shape
-            const existing = cache[threadId]?.data || {
-                threadId,
-                threadLabels: [],
-                processedEntities: [],
-                entities: []
-            };
-
-            const existingLabels = Array.isArray(existing.threadLabels) ? existing.threadLabels : [];
-            const merged = Array.from(new Set([...existingLabels, ...labels]));
-
-            const updatedEntry = {
-                data: {
-                    ...existing,
-                    threadLabels: merged
-                },
-                timestamp: now
-            };
-
-            cache[threadId] = updatedEntry;
-            await this._setCache(cache);
-            console.log('[ThreadDataManager] 🗂️ Cache labels updated for thread', threadId, merged);
-        } catch (err) {
-            console.warn('[ThreadDataManager] Failed to update cached thread labels:', err);
+    async loadInvoicesInPages({ pageSize = 200, onPage, signal } = {}) {
+        if (!this.apiClient) {
+            console.warn('[ThreadDataManager] ⚠️ No API client available, returning empty data for invoices.');
+            return [];
         }
+
+        const invoices = [];
+        const seenCursors = new Set();
+        let cursor = null;
+        let pageIndex = 0;
+
+        do {
+            let page;
+            try {
+                page = await this.apiClient.getDetailedDocumentsPage({ cursor, limit: pageSize, signal });
+            } catch (error) {
+                if (signal?.aborted) {
+                    console.log('[ThreadDataManager] Paging aborted');
+                    break;
+                }
+                if (pageIndex === 0) throw error;
+                console.error(`[ThreadDataManager] ❌ Failed to load page ${pageIndex + 1}, keeping ${invoices.length} invoices:`, error);
+                if (onPage) await onPage([], { loaded: invoices.length, total: null, pageIndex, done: true, error });
+                break;
+            }
+
+            if (signal?.aborted) {
+                console.log('[ThreadDataManager] Paging aborted');
+                break;
+            }
+
+            invoices.push(...page.documents);
+            seenCursors.add(cursor);
+            // Guard against a backend handing back the same cursor forever
+            cursor = page.nextCursor && !seenCursors.has(page.nextCursor) ? page.nextCursor : null;
+
+            console.log(`[ThreadDataManager] 📄 Page ${pageIndex + 1}: ${page.documents.length} invoices (${invoices.length}/${page.total ?? '?'})`);
+            if (onPage) {
+                await onPage(page.documents, { loaded: invoices.length, total: page.total, pageIndex, done: !cursor });
+            }
+            pageIndex++;
+        } while (cursor && !signal?.aborted);
+
+        return invoices;
     }
 
     /**
-     * Private helper to get the cache from chrome.storage.local.
+     * Applies a local change to a document in every cache that holds it (the thread cache
+     * behind the sidebar and labels, and the all-documents list) so the UI reflects an
+     * action before the backend reports it.
+     * @param {string} threadId - Thread whose cached entities contain the document
+     * @param {string} documentId - Backend document ID
+     * @param {Function} update - Called with each cached copy of the document
+     * @param {object} [options]
+     * @param {string[]} [options.threadLabels] - Replaces the thread's cached labels
      */
-    async _getCache() {
+    async updateCachedDocument(threadId, documentId, update, { threadLabels } = {}) {
+        const matches = (item) => (item?.document?.details?.id || item?.document?.id) === documentId;
         try {
-            const result = await chrome.storage.local.get([CACHE_KEY]);
-            return result[CACHE_KEY] || {};
-        } catch (error) {
-            console.error('[ThreadDataManager] Error reading from cache:', error);
-            return {};
+            await this.cache.update(threadId, (data) => {
+                (data.processedEntities || []).filter(matches).forEach(update);
+                return threadLabels ? { ...data, threadLabels } : data;
+            });
+
+            if (this._allInvoices) {
+                const { invoices } = await this._allInvoices.promise;
+                invoices.filter(matches).forEach(update);
+            }
+            console.log(`[ThreadDataManager] 🗂️ Updated cached document ${documentId} in thread ${threadId}`);
+        } catch (err) {
+            console.warn('[ThreadDataManager] Failed to update cached document:', err);
         }
     }
+}
 
-    /**
-     * Private helper to save the cache to chrome.storage.local.
-     */
-    async _setCache(cacheData) {
-        try {
-            await chrome.storage.local.set({ [CACHE_KEY]: cacheData });
-        } catch (error) {
-            console.error('[ThreadDataManager] Error writing to cache:', error);
-        }
+// Sets a corrected field on a document; tracker field names are paths into document.details (e.g. 'vendor.name')
+function applyCorrection(entity, edit) {
+    if (edit.field_name === 'status') {
+        applyStatusToDocument(entity, edit.new_value);
+        // The sidebar actions' involvementHistory entries, until the backend returns them
+        (edit.involvement || []).forEach(entry => {
+            const known = (entity.involvementHistory || []).some(item => item.timestamp === entry.timestamp && item.action_type === entry.action_type);
+            if (!known) applyInvolvementEntry(entity, entry);
+        });
+        return;
     }
-} 
\ No newline at end of file
+    if (!entity.document) return;
+    const path = edit.field_name.split('.');
+    let target = entity.document.details = entity.document.details || {};
+    path.slice(0, -1).forEach(key => {
+        if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+        target = target[key];
+    });
+    target[path[path.length - 1]] = edit.new_value;
+}
@@ -0,0 +1,313 @@
+// Unit tests for cursor paging, stale-while-revalidate and processing threads in thread-data-manager.js
+import { ThreadDataManager } from './thread-data-manager.js';
+import { createThreadCache } from './thread-cache.js';
+import { createFakeStorageArea } from './fake-chrome-storage.js';
+import { applyStatusToDocument } from './invoice-actions.js';
+
+const pagedClient = (pages) => ({
+  getDetailedDocumentsPage: jest.fn(async ({ cursor }) => {
+    const page = pages[cursor || 'start'];
+    if (page instanceof Error) throw page;
+    return page;
+  }),
+});
+
+describe('ThreadDataManager.loadInvoicesInPages', () => {
+  test('follows cursors and reports progress for every page', async () => {
+    const client = pagedClient({
+      start: { documents: [{ id: 1 }, { id: 2 }], nextCursor: 'c2', total: 3 },
+      c2: { documents: [{ id: 3 }], nextCursor: null, total: 3 },
+    });
+    const onPage = jest.fn();
+
+    const invoices = await new ThreadDataManager(client).loadInvoicesInPages({ pageSize: 2, onPage });
+
+    expect(invoices.map(invoice => invoice.id)).toEqual([1, 2, 3]);
+    expect(client.getDetailedDocumentsPage).toHaveBeenCalledWith({ cursor: null, limit: 2, signal: undefined });
+    expect(client.getDetailedDocumentsPage).toHaveBeenCalledWith({ cursor: 'c2', limit: 2, signal: undefined });
+    expect(onPage.mock.calls.map(([documents, progress]) => [documents.length, progress])).toEqual([
+      [2, { loaded: 2, total: 3, pageIndex: 0, done: false }],
+      [1, { loaded: 3, total: 3, pageIndex: 1, done: true }],
+    ]);
+  });
+
+  test('stops when the backend repeats a cursor', async () => {
+    const client = pagedClient({
+      start: { documents: [{ id: 1 }], nextCursor: 'same', total: null },
+      same: { documents: [{ id: 2 }], nextCursor: 'same', total: null },
+    });
+
+    const invoices = await new ThreadDataManager(client).loadInvoicesInPages();
+
+    expect(invoices).toHaveLength(2);
+    expect(client.getDetailedDocumentsPage).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps loaded pages when a later page fails, but throws on the first', async () => {
+    const failing = pagedClient({
+      start: { documents: [{ id: 1 }], nextCursor: 'c2', total: 2 },
+      c2: new Error('502'),
+    });
+    const onPage = jest.fn();
+
+    await expect(new ThreadDataManager(failing).loadInvoicesInPages({ onPage })).resolves.toHaveLength(1);
+    expect(onPage).toHaveBeenLastCalledWith([], expect.objectContaining({ done: true, error: expect.any(Error) }));
+
+    await expect(new ThreadDataManager(pagedClient({ start: new Error('401') })).loadInvoicesInPages()).rejects.toThrow('401');
+  });
+
+  test('stops paging once aborted', async () => {
+    const controller = new AbortController();
+    const client = pagedClient({
+      start: { documents: [{ id: 1 }], nextCursor: 'c2', total: 2 },
+      c2: { documents: [{ id: 2 }], nextCursor: null, total: 2 },
+    });
+
+    const invoices = await new ThreadDataManager(client).loadInvoicesInPages({
+      signal: controller.signal,
+      onPage: () => controller.abort(),
+    });
+
+    expect(invoices).toHaveLength(1);
+    expect(client.getDetailedDocumentsPage).toHaveBeenCalledTimes(1);
+  });
+
+  test('cancels the request in flight when aborted, without throwing', async () => {
+    const controller = new AbortController();
+    const client = {
+      getDetailedDocumentsPage: jest.fn(({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      })),
+    };
+    const onPage = jest.fn();
+
+    const loading = new ThreadDataManager(client).loadInvoicesInPages({ signal: controller.signal, onPage });
+    controller.abort();
+
+    await expect(loading).resolves.toEqual([]);
+    expect(client.getDetailedDocumentsPage).toHaveBeenCalledWith(expect.objectContaining({ signal: controller.signal }));
+    expect(onPage).not.toHaveBeenCalled();
+  });
+});
+
+describe('ThreadDataManager.getAllInvoicesCached', () => {
+  beforeEach(() => {
+    ['log', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => undefined));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('reuses a successful load but retries after a failed or partial one', async () => {
+    const client = pagedClient({ start: new Error('502') });
+    const manager = new ThreadDataManager(client);
+
+    await expect(manager.getAllInvoicesCached()).resolves.toEqual({ invoices: [], partial: true });
+    client.getDetailedDocumentsPage.mockImplementation(async ({ cursor }) => (cursor
+      ? Promise.reject(new Error('504'))
+      : { documents: [{ id: 1 }], nextCursor: 'c2', total: 2 }));
+    await expect(manager.getAllInvoicesCached()).resolves.toEqual({ invoices: [{ id: 1 }], partial: true });
+    client.getDetailedDocumentsPage.mockImplementation(async () => ({ documents: [{ id: 1 }, { id: 2 }], nextCursor: null, total: 2 }));
+    await expect(manager.getAllInvoicesCached()).resolves.toEqual({ invoices: [{ id: 1 }, { id: 2 }], partial: false });
+    await manager.getAllInvoicesCached();
+
+    expect(client.getDetailedDocumentsPage).toHaveBeenCalledTimes(4);
+  });
+
+  test('applies local changes to the cached documents', async () => {
+    const document = { document: { details: { id: 'd1', status: 'pending' } } };
+    const client = pagedClient({ start: { documents: [document], nextCursor: null, total: 1 } });
+    const manager = new ThreadDataManager(client, { cache: { update: async () => null } });
+
+    await manager.getAllInvoicesCached();
+    await manager.updateCachedDocument('t1', 'd1', item => { item.document.details.status = 'approved'; });
+
+    expect((await manager.getAllInvoicesCached()).invoices[0].document.details.status).toBe('approved');
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('ThreadDataManager.getThreadData', () => {
+  let time;
+  let labels;
+  let client;
+
+  // The batch analysis endpoint, answering with the current `labels` of each thread; null while processing
+  const analysisClient = () => ({
+    makeAuthenticatedRequest: jest.fn(async (path, { body }) => ({
+      json: async () => ({
+        results: JSON.parse(body).threadIds.map(id => (labels[id] === null
+          ? { status: 'processing', thread_id: id }
+          : { status: 'success', thread_id: id, data: { thread_labels: labels[id] } }))
+      })
+    }))
+  });
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    time = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => time);
+    ['log', 'warn'].forEach(level => jest.spyOn(console, level).mockImplementation(() => undefined));
+    labels = { t1: ['pending'], t2: ['paid'] };
+    client = analysisClient();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const manager = (options = {}) => new ThreadDataManager(client, {
+    cache: createThreadCache({ storage: createFakeStorageArea(), now: () => time }),
+    pendingCorrections: async () => [],
+    ...options
+  });
+
+  test('fetches uncached threads once and serves them from the cache while fresh', async () => {
+    const dataManager = manager();
+
+    const first = await dataManager.getThreadData(['t1', 't2']);
+    const second = await dataManager.getThreadData(['t1', 't2']);
+
+    expect(first.t1.threadLabels).toEqual(['pending']);
+    expect(second).toEqual(first);
+    expect(client.makeAuthenticatedRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('overlapping callers for the same thread share one request', async () => {
+    const dataManager = manager();
+
+    const [row, thread, message] = await Promise.all([
+      dataManager.getThreadData(['t1', 't2']),
+      dataManager.getThreadData(['t1'], { priority: 'high' }),
+      dataManager.getThreadData(['t1'], { priority: 'high' })
+    ]);
+
+    expect(client.makeAuthenticatedRequest).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(client.makeAuthenticatedRequest.mock.calls[0][1].body).threadIds).toEqual(['t1', 't2']);
+    expect(thread.t1).toBe(row.t1);
+    expect(message.t1).toBe(row.t1);
+  });
+
+  test('serves stale threads immediately and reports the ones a background refresh changed', async () => {
+    const dataManager = manager();
+    const changed = jest.fn();
+    dataManager.onThreadDataChanged(changed);
+    await dataManager.getThreadData(['t1', 't2']);
+
+    time += 6 * 60 * 1000;
+    labels.t1 = ['approved'];
+    const stale = await dataManager.getThreadData(['t1', 't2']);
+
+    expect(stale.t1.threadLabels).toEqual(['pending']);
+    await flush();
+    expect(client.makeAuthenticatedRequest).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(client.makeAuthenticatedRequest.mock.calls[1][1].body).threadIds).toEqual(['t1', 't2']);
+    expect(changed).toHaveBeenCalledTimes(1);
+    expect(changed).toHaveBeenCalledWith('t1', expect.objectContaining({ threadLabels: ['approved'] }));
+    expect((await dataManager.getThreadData(['t1'])).t1.threadLabels).toEqual(['approved']);
+    expect(dataManager.getCacheMetrics()).toMatchObject({ stale: 2, revalidations: 1, changed: 1 });
+  });
+
+  test('keeps queued corrections over a refresh that predates them', async () => {
+    const pending = [];
+    client = {
+      makeAuthenticatedRequest: jest.fn(async () => ({
+        json: async () => ({
+          results: [{ status: 'success', thread_id: 't1', data: {
+            thread_labels: ['Pending', 'Invoice'],
+            processed_entities: [{ document: { details: { id: 'd1', status: 'pending', vendor: { name: 'Acme' } } } }]
+          } }]
+        })
+      }))
+    };
+    const dataManager = manager({ pendingCorrections: async () => pending, isStatusLabel: label => label.toLowerCase() === 'pending' || label === 'approved' });
+    const changed = jest.fn();
+    dataManager.onThreadDataChanged(changed);
+    await dataManager.getThreadData(['t1']);
+
+    const approval = { action_type: 'approved', actor: { email: 'cfo@acme.com', name: null }, timestamp: '2025-03-01T10:00:00.000Z' };
+    pending.push({ document_id: 'd1', field_name: 'status', new_value: 'approved', involvement: [approval] }, { document_id: 'd1', field_name: 'vendor.name', new_value: 'Acme Corp' });
+    // What the sidebar and tracker already show
+    await dataManager.updateCachedDocument('t1', 'd1', item => {
+      applyStatusToDocument(item, 'approved', approval);
+      item.document.details.vendor.name = 'Acme Corp';
+    }, { threadLabels: ['Invoice', 'approved'] });
+    time += 6 * 60 * 1000;
+    await dataManager.getThreadData(['t1']);
+    await flush();
+
+    expect(client.makeAuthenticatedRequest).toHaveBeenCalledTimes(2);
+    expect(changed).not.toHaveBeenCalled();
+    const { t1 } = await dataManager.getThreadData(['t1']);
+    expect(t1.threadLabels).toEqual(['Invoice', 'approved']);
+    expect(t1.processedEntities[0].document.details).toMatchObject({ status: 'approved', vendor: { name: 'Acme Corp' } });
+    expect(t1.processedEntities[0].involvementHistory).toEqual([approval]);
+  });
+
+  test('keeps serving cached data when the refresh fails', async () => {
+    const dataManager = manager();
+    const changed = jest.fn();
+    dataManager.onThreadDataChanged(changed);
+    await dataManager.getThreadData(['t1']);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    client.makeAuthenticatedRequest.mockRejectedValueOnce(new Error('502'));
+
+    time += 6 * 60 * 1000;
+    await dataManager.getThreadData(['t1']);
+    await flush();
+
+    expect(changed).not.toHaveBeenCalled();
+    // Still stale, so this asks again
+    expect((await dataManager.getThreadData(['t1'])).t1.threadLabels).toEqual(['pending']);
+    await flush();
+    expect(dataManager.getCacheMetrics()).toMatchObject({ revalidations: 2, revalidationFailures: 1 });
+  });
+
+  test('backend labels replace the cached ones instead of adding to them', async () => {
+    const dataManager = manager();
+    const changed = jest.fn();
+    dataManager.onThreadDataChanged(changed);
+    await dataManager.getThreadData(['t1']);
+
+    // A local status change, then the backend's own answer
+    await dataManager.updateCachedDocument('t1', 'doc1', () => undefined, { threadLabels: ['approved', 'urgent_request'] });
+    expect((await dataManager.getThreadData(['t1'])).t1.threadLabels).toEqual(['approved', 'urgent_request']);
+
+    labels.t1 = ['paid'];
+    time += 6 * 60 * 1000;
+    await dataManager.getThreadData(['t1']);
+    await flush();
+
+    expect(changed).toHaveBeenCalledWith('t1', expect.objectContaining({ threadLabels: ['paid'] }));
+    expect((await dataManager.getThreadData(['t1'])).t1.threadLabels).toEqual(['paid']);
+  });
+
+  test('polls threads still processing and reports them once ready', async () => {
+    jest.useFakeTimers({ doNotFake: ['Date'] });
+    try {
+      const dataManager = new ThreadDataManager(client, {
+        cache: createThreadCache({ storage: createFakeStorageArea(), now: () => time }),
+        processingPoll: { initialDelayMs: 1000, isPaused: () => false, now: () => time }
+      });
+      const changed = jest.fn();
+      dataManager.onThreadDataChanged(changed);
+      labels.t3 = null;
+
+      const request = dataManager.getThreadData(['t1', 't3']);
+      await jest.advanceTimersByTimeAsync(0);
+      const first = await request;
+      expect(Object.keys(first)).toEqual(['t1']);
+      expect(dataManager.isProcessing('t3')).toBe(true);
+      expect(dataManager.isProcessing('t1')).toBe(false);
+
+      labels.t3 = ['pending'];
+      time += 1000;
+      await jest.advanceTimersByTimeAsync(1000);
+      await jest.advanceTimersByTimeAsync(1); // The loader's batching tick
+
+      expect(JSON.parse(client.makeAuthenticatedRequest.mock.calls[1][1].body).threadIds).toEqual(['t3']);
+      expect(changed).toHaveBeenCalledWith('t3', expect.objectContaining({ threadLabels: ['pending'] }));
+      expect(dataManager.isProcessing('t3')).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,106 @@
+// stamp-extension/thread-row-labels.js
+
+/**
+ * Keeps the labels on Gmail thread rows replaceable. ThreadRowView.addLabel has no removal
+ * handle, but it accepts an observable: a label fed from one can later be swapped or removed
+ * by emitting a new descriptor or null. Used to update a row right after an approval action
+ * instead of waiting for the next thread list render.
+ */
+
+import { uniqueLabels } from './label-taxonomy.js';
+
+/**
+ * A settable value that InboxSDK accepts as an Observable. InboxSDK converts observables with
+ * kefir-cast, which recognises RxJS 5 style observables by their `subscribe` and `lift` methods.
+ * @param {*} initial - First value emitted to subscribers
+ * @returns {{set: Function, subscribe: Function, lift: Function}}
+ */
+export function createValueStream(initial) {
+  let current = initial;
+  const observers = new Set();
+  return {
+    set(value) {
+      current = value;
+      observers.forEach(next => next(value));
+    },
+    subscribe(next) {
+      observers.add(next);
+      next(current);
+      return { unsubscribe: () => observers.delete(next) };
+    },
+    lift() {
+      throw new Error('createValueStream does not support operators');
+    }
+  };
+}
+
+/**
+ * @param {Function} toDescriptor - Label text => InboxSDK label descriptor, or null to skip it
+ * @param {Object} [options]
+ * @param {Function} [options.labelKey] - Label text => key of the taxonomy label it maps to; labels
+ *   with the same key get one label on the row
+ * @returns {{attach: Function, setLabels: Function, getLabels: Function, refresh: Function}}
+ */
+export function createThreadRowLabels(toDescriptor, { labelKey = (labelText) => labelText } = {}) {
+  const rows = new Map(); // threadId => { threadRowView, labelTexts, streams: Map<labelText, stream> }
+
+  /**
+   * Registers the row currently showing a thread. Gmail re-creates rows as the list
+   * re-renders, so the latest view replaces any earlier one.
+   */
+  const attach = (threadId, threadRowView) => {
+    if (rows.get(threadId)?.threadRowView === threadRowView) return;
+    rows.set(threadId, { threadRowView, labelTexts: [], streams: new Map() });
+    threadRowView.on('destroy', () => {
+      if (rows.get(threadId)?.threadRowView === threadRowView) rows.delete(threadId);
+    });
+  };
+
+  /**
+   * Shows exactly `labelTexts` on the thread's row: new labels are added, labels no longer
+   * listed are removed and unchanged labels are left alone.
+   * @returns {boolean} False when no live row is showing the thread
+   */
+  const setLabels = (threadId, labelTexts) => {
+    const row = rows.get(threadId);
+    if (!row || row.threadRowView.destroyed) return false;
+
+    row.labelTexts = labelTexts || [];
+    const wanted = new Set(uniqueLabels(row.labelTexts, labelKey));
+    row.streams.forEach((stream, labelText) => {
+      if (!wanted.has(labelText)) {
+        stream.set(null);
+        row.streams.delete(labelText);
+      }
+    });
+    wanted.forEach(labelText => {
+      if (row.streams.has(labelText)) return;
+      const descriptor = toDescriptor(labelText);
+      if (!descriptor) return;
+      const stream = createValueStream(descriptor);
+      row.streams.set(labelText, stream);
+      row.threadRowView.addLabel(stream);
+    });
+    return true;
+  };
+
+  const getLabels = (threadId) => Array.from(rows.get(threadId)?.streams.keys() || []);
+
+  /**
+   * Redraws every live row after `toDescriptor` changed, e.g. when the label taxonomy is
+   * edited: shown labels take their new look or disappear, and labels that now map are added.
+   */
+  const refresh = () => {
+    rows.forEach((row, threadId) => {
+      if (row.threadRowView.destroyed) return;
+      row.streams.forEach((stream, labelText) => {
+        const descriptor = toDescriptor(labelText);
+        stream.set(descriptor);
+        if (!descriptor) row.streams.delete(labelText);
+      });
+      setLabels(threadId, row.labelTexts);
+    });
+  };
+
+  return { attach, setLabels, getLabels, refresh };
+}
@@ -0,0 +1,72 @@
+// Unit tests for replaceable thread row labels in thread-row-labels.js
+import { createThreadRowLabels } from './thread-row-labels.js';
+
+// Mimics InboxSDK: each addLabel subscribes to the observable and shows its latest value
+function fakeThreadRowView() {
+  const listeners = {};
+  const view = {
+    destroyed: false,
+    shown: [],
+    on: (event, listener) => { listeners[event] = listener; },
+    addLabel: (observable) => {
+      const slot = { descriptor: null };
+      view.shown.push(slot);
+      observable.subscribe(descriptor => { slot.descriptor = descriptor; });
+    },
+    destroy: () => { view.destroyed = true; listeners.destroy?.(); },
+    titles: () => view.shown.filter(slot => slot.descriptor).map(slot => slot.descriptor.title),
+  };
+  return view;
+}
+
+const toDescriptor = (text) => (text === 'skip' ? null : { title: text });
+
+describe('thread row labels', () => {
+  test('adds, keeps and removes labels to match the latest list', () => {
+    const rowLabels = createThreadRowLabels(toDescriptor);
+    const row = fakeThreadRowView();
+    rowLabels.attach('t1', row);
+
+    rowLabels.setLabels('t1', ['pending', 'invoice_submission', 'skip']);
+    expect(row.titles()).toEqual(['pending', 'invoice_submission']);
+
+    rowLabels.setLabels('t1', ['invoice_submission', 'approved']);
+    expect(row.titles()).toEqual(['invoice_submission', 'approved']);
+    expect(row.shown).toHaveLength(3);
+  });
+
+  test('shows one label for backend labels that map to the same label', () => {
+    const rowLabels = createThreadRowLabels(toDescriptor, { labelKey: text => text.toLowerCase() });
+    const row = fakeThreadRowView();
+    rowLabels.attach('t1', row);
+
+    rowLabels.setLabels('t1', ['pending', 'Pending', 'approved']);
+    expect(row.titles()).toEqual(['pending', 'approved']);
+    expect(rowLabels.getLabels('t1')).toEqual(['pending', 'approved']);
+  });
+
+  test('forgets destroyed rows', () => {
+    const rowLabels = createThreadRowLabels(toDescriptor);
+    const row = fakeThreadRowView();
+    rowLabels.attach('t1', row);
+
+    row.destroy();
+
+    expect(rowLabels.setLabels('t1', ['approved'])).toBe(false);
+    expect(rowLabels.getLabels('t1')).toEqual([]);
+  });
+
+  test('redraws rows when the label mapping changes', () => {
+    let hidden = 'skip';
+    const rowLabels = createThreadRowLabels((text) => (text === hidden ? null : { title: text.toUpperCase() }));
+    const row = fakeThreadRowView();
+    rowLabels.attach('t1', row);
+    rowLabels.setLabels('t1', ['pending', 'skip']);
+    expect(row.titles()).toEqual(['PENDING']);
+
+    hidden = 'pending';
+    rowLabels.refresh();
+    expect(row.titles()).toEqual(['SKIP']);
+    expect(rowLabels.getLabels('t1')).toEqual(['skip']);
+  });
+});
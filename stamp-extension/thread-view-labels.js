@@ -0,0 +1,122 @@
+// stamp-extension/thread-view-labels.js
+
+/**
+ * Keeps Stamp's label pills in the open thread's header in step with the thread's labels.
+ * ThreadView.addLabel takes no descriptor: it returns a SimpleElementView whose empty element
+ * sits in the header's label container, and the pill is drawn into it here. Pills are tracked
+ * per label text, so new data only adds the labels the thread gained and destroys the ones it
+ * lost. The label container renders a moment after the thread view, so adding retries briefly.
+ */
+
+import { uniqueLabels } from './label-taxonomy.js';
+
+const PILL_STYLE = 'display:inline-block; padding:2px 8px; border-radius:12px; margin-left:6px; font-size:11px; font-weight:600; line-height:16px; white-space:nowrap; vertical-align:middle;';
+const RETRY_DELAYS_MS = [0, 120, 240, 400, 600, 900, 1200, 1600];
+
+function renderPill(el, descriptor) {
+  el.className = 'stamp-thread-label';
+  el.textContent = descriptor.title;
+  el.style.cssText = `${PILL_STYLE} background:${descriptor.backgroundColor}; color:${descriptor.textColor};`;
+}
+
+/**
+ * @param {Function} toDescriptor - Label text => InboxSDK label descriptor, or null to skip it
+ * @param {Object} [options]
+ * @param {number[]} [options.retryDelays] - Waits between attempts while the header isn't rendered
+ * @param {Function} [options.labelKey] - Label text => key of the taxonomy label it maps to; labels
+ *   with the same key get one pill
+ * @returns {{setLabels: Function, getLabels: Function, refresh: Function}}
+ */
+export function createThreadViewLabels(toDescriptor, { retryDelays = RETRY_DELAYS_MS, labelKey = (labelText) => labelText } = {}) {
+  const threads = new Map(); // threadId => { threadView, labelTexts, pills: Map<labelText, SimpleElementView>, order, attempt, timer }
+
+  const reconcile = (threadId) => {
+    const thread = threads.get(threadId);
+    if (!thread || thread.threadView.destroyed) return;
+    clearTimeout(thread.timer);
+
+    const wanted = uniqueLabels(thread.labelTexts.filter(labelText => toDescriptor(labelText)), labelKey);
+    thread.pills.forEach((pill, labelText) => {
+      if (wanted.includes(labelText)) return;
+      pill.destroy();
+      thread.pills.delete(labelText);
+    });
+
+    let added = false;
+    try {
+      wanted.forEach(labelText => {
+        if (thread.pills.has(labelText)) return;
+        const pill = thread.threadView.addLabel();
+        renderPill(pill.el, toDescriptor(labelText));
+        thread.pills.set(labelText, pill);
+        added = true;
+      });
+      thread.attempt = 0;
+    } catch (error) {
+      // Thrown while the header's label container isn't rendered yet
+      if (thread.attempt >= retryDelays.length) {
+        console.warn('[ThreadViewLabels] Giving up adding labels to the open thread:', error.message);
+        return;
+      }
+      thread.timer = setTimeout(() => reconcile(threadId), retryDelays[thread.attempt++]);
+    }
+
+    // New pills go last; move pills back into the order given
+    const order = wanted.join('\n');
+    if (added || thread.order !== order) {
+      wanted.forEach(labelText => {
+        const el = thread.pills.get(labelText)?.el;
+        if (el?.parentElement) el.parentElement.appendChild(el);
+      });
+      thread.order = order;
+    }
+  };
+
+  return {
+    /**
+     * Shows exactly `labelTexts` (in that order) in the thread's header.
+     * @param {Object} threadView - InboxSDK ThreadView
+     * @param {string} threadId
+     * @param {string[]} labelTexts
+     */
+    setLabels(threadView, threadId, labelTexts) {
+      let thread = threads.get(threadId);
+      if (thread && thread.threadView !== threadView) {
+        // Gmail re-opened the thread in a new view; pills of the old one went with it
+        clearTimeout(thread.timer);
+        thread = null;
+      }
+      if (!thread) {
+        thread = { threadView, labelTexts: [], pills: new Map(), order: '', attempt: 0, timer: null };
+        threads.set(threadId, thread);
+        threadView.on('destroy', () => {
+          if (threads.get(threadId)?.threadView !== threadView) return;
+          clearTimeout(threads.get(threadId).timer);
+          threads.delete(threadId);
+        });
+      }
+      thread.labelTexts = labelTexts || [];
+      thread.attempt = 0;
+      reconcile(threadId);
+    },
+
+    /**
+     * @param {string} threadId
+     * @returns {string[]} The labels last set for the thread, whether or not they are shown yet
+     */
+    getLabels: (threadId) => [...(threads.get(threadId)?.labelTexts || [])],
+
+    /**
+     * Redraws every pill after the label taxonomy changed, dropping labels it no longer shows.
+     */
+    refresh() {
+      threads.forEach((thread, threadId) => {
+        thread.pills.forEach((pill, labelText) => {
+          const descriptor = toDescriptor(labelText);
+          if (descriptor) renderPill(pill.el, descriptor);
+        });
+        reconcile(threadId);
+      });
+    }
+  };
+}
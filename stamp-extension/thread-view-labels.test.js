@@ -0,0 +1,88 @@
+// Unit tests for reconciling the open thread's label pills in thread-view-labels.js
+import { createThreadViewLabels } from './thread-view-labels.js';
+
+// Mimics InboxSDK: addLabel appends an empty element to the header, and throws until it renders
+function fakeThreadView({ ready = true } = {}) {
+  const listeners = {};
+  const container = document.createElement('div');
+  const view = {
+    destroyed: false,
+    ready,
+    container,
+    on: (event, listener) => { listeners[event] = listener; },
+    addLabel: jest.fn(() => {
+      if (!view.ready) throw new Error('Thread view label container not found');
+      const el = document.createElement('span');
+      container.appendChild(el);
+      return { el, destroy: () => el.remove() };
+    }),
+    destroy: () => { view.destroyed = true; listeners.destroy?.(); },
+    titles: () => [...container.children].map(el => el.textContent),
+  };
+  return view;
+}
+
+const colors = { title: '', backgroundColor: '#4CAF50', textColor: '#FFFFFF' };
+const toDescriptor = (text) => (text === 'skip' ? null : { ...colors, title: text.toUpperCase() });
+
+describe('thread view labels', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('adds the labels a thread gained and removes the ones it lost', () => {
+    const viewLabels = createThreadViewLabels(toDescriptor);
+    const view = fakeThreadView();
+
+    viewLabels.setLabels(view, 't1', ['pending', 'invoice_submission', 'skip']);
+    expect(view.titles()).toEqual(['PENDING', 'INVOICE_SUBMISSION']);
+    expect(view.container.firstElementChild.style.background).toBe('rgb(76, 175, 80)');
+
+    viewLabels.setLabels(view, 't1', ['paid', 'invoice_submission']);
+    expect(view.titles()).toEqual(['PAID', 'INVOICE_SUBMISSION']);
+    expect(view.addLabel).toHaveBeenCalledTimes(3);
+
+    viewLabels.setLabels(view, 't1', []);
+    expect(view.titles()).toEqual([]);
+  });
+
+  test('shows one pill for backend labels that map to the same label', () => {
+    const viewLabels = createThreadViewLabels(toDescriptor, { labelKey: text => text.toLowerCase() });
+    const view = fakeThreadView();
+
+    viewLabels.setLabels(view, 't1', ['pending', 'Pending', 'invoice_submission']);
+    expect(view.titles()).toEqual(['PENDING', 'INVOICE_SUBMISSION']);
+
+    viewLabels.setLabels(view, 't1', ['Pending', 'pending']);
+    expect(view.titles()).toEqual(['PENDING']);
+  });
+
+  test('retries until the header renders, with the latest labels', () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    const viewLabels = createThreadViewLabels(toDescriptor, { retryDelays: [100, 100] });
+    const view = fakeThreadView({ ready: false });
+
+    viewLabels.setLabels(view, 't1', ['pending']);
+    viewLabels.setLabels(view, 't1', ['paid']);
+    view.ready = true;
+    jest.advanceTimersByTime(100);
+
+    expect(view.titles()).toEqual(['PAID']);
+    expect(viewLabels.getLabels('t1')).toEqual(['paid']);
+  });
+
+  test('redraws pills for a new taxonomy and starts over for a new view', () => {
+    let hidden = false;
+    const viewLabels = createThreadViewLabels(text => (hidden && text === 'pending' ? null : toDescriptor(text)));
+    const first = fakeThreadView();
+    viewLabels.setLabels(first, 't1', ['pending', 'paid']);
+
+    hidden = true;
+    viewLabels.refresh();
+    expect(first.titles()).toEqual(['PAID']);
+
+    first.destroy();
+    const second = fakeThreadView();
+    viewLabels.setLabels(second, 't1', ['paid']);
+    expect(second.titles()).toEqual(['PAID']);
+  });
+});
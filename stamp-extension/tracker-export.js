@@ -0,0 +1,404 @@
+// stamp-extension/tracker-export.js
+
+/**
+ * Export helpers for the invoice tracker.
+ * Produces CSV, XLSX (a minimal OOXML workbook zipped without compression) and bill
+ * import files for QuickBooks Online and Xero from the rows currently shown in the grid.
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV (.csv)', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  xlsx: { label: 'Excel (.xlsx)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  quickbooks: { label: 'QuickBooks Online bills (.csv)', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  xero: { label: 'Xero bills (.csv)', extension: 'csv', mimeType: 'text/csv;charset=utf-8' }
+};
+
+// Column types that hold rendered HTML (icons, buttons) rather than data
+const NON_DATA_COLUMN_TYPES = ['html'];
+
+/**
+ * Returns the columns from the tracker definition that carry exportable data.
+ * @param {Object[]} columns - Column definitions from buildSpreadsheet
+ * @param {number[]} [hiddenColumns] - Column indexes the user has hidden
+ * @returns {{index: number, title: string, fieldName: string|null, type: string}[]}
+ */
+export function getExportColumns(columns, hiddenColumns = []) {
+  return columns
+    .map((column, index) => ({ index, title: column.title, fieldName: column.fieldName, type: column.type }))
+    .filter(column => !NON_DATA_COLUMN_TYPES.includes(column.type) && !hiddenColumns.includes(column.index));
+}
+
+/**
+ * Builds a plain table (header row + data rows) from tracker rows.
+ * @param {Object[]} exportColumns - Result of getExportColumns
+ * @param {{cells: Array}[]} rows - Visible rows in display order
+ * @returns {Array<Array<string|number>>}
+ */
+export function buildTable(exportColumns, rows) {
+  const header = exportColumns.map(column => column.title);
+  const body = rows.map(row => exportColumns.map(column => normalizeCell(row.cells[column.index], column.type)));
+  return [header, ...body];
+}
+
+/**
+ * Keeps text from being run as a formula when the file is opened in Excel or Sheets.
+ * Vendor names, descriptions and memos come from incoming email, so a cell starting with
+ * =, +, -, @, tab or CR is prefixed with an apostrophe. Numbers are left alone.
+ * @param {*} value - Cell value
+ * @returns {*}
+ */
+export function neutralizeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Serializes a table to RFC 4180 CSV.
+ * @param {Array<Array<*>>} table - Rows of cell values
+ * @returns {string}
+ */
+export function toCsv(table) {
+  const escapeCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(neutralizeFormula(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return table.map(row => row.map(escapeCell).join(',')).join('\r\n');
+}
+
+// === ACCOUNTING IMPORT TEMPLATES ===
+
+const QUICKBOOKS_HEADERS = ['Bill No', 'Supplier', 'Bill Date', 'Due Date', 'Terms', 'Memo', 'Account', 'Line Description', 'Line Amount', 'Currency'];
+const XERO_HEADERS = ['*ContactName', '*InvoiceNumber', '*InvoiceDate', '*DueDate', 'Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'Currency'];
+
+/**
+ * Builds a QuickBooks Online bill import table (one row per line item).
+ * @param {{cells: Array, invoice: Object}[]} rows - Visible rows in display order
+ * @param {Object[]} columns - Column definitions from buildSpreadsheet
+ * @returns {Array<Array<string|number>>}
+ */
+export function buildQuickBooksBills(rows, columns) {
+  const table = [QUICKBOOKS_HEADERS];
+  rows.forEach(row => {
+    const bill = readBillFields(row, columns);
+    getLineItems(row.invoice, bill).forEach(line => {
+      table.push([
+        bill.invoiceNumber,
+        bill.vendor,
+        formatDate(bill.issueDate, 'MM/DD/YYYY'),
+        formatDate(bill.dueDate, 'MM/DD/YYYY'),
+        bill.paymentTerms,
+        bill.notes,
+        line.accountCode,
+        line.description,
+        line.amount,
+        bill.currency
+      ]);
+    });
+  });
+  return table;
+}
+
+/**
+ * Builds a Xero bills import table (one row per line item).
+ * @param {{cells: Array, invoice: Object}[]} rows - Visible rows in display order
+ * @param {Object[]} columns - Column definitions from buildSpreadsheet
+ * @returns {Array<Array<string|number>>}
+ */
+export function buildXeroBills(rows, columns) {
+  const table = [XERO_HEADERS];
+  rows.forEach(row => {
+    const bill = readBillFields(row, columns);
+    getLineItems(row.invoice, bill).forEach(line => {
+      table.push([
+        bill.vendor,
+        bill.invoiceNumber,
+        formatDate(bill.issueDate, 'DD/MM/YYYY'),
+        formatDate(bill.dueDate, 'DD/MM/YYYY'),
+        line.description,
+        line.quantity,
+        line.unitAmount,
+        line.accountCode,
+        line.taxType,
+        bill.currency
+      ]);
+    });
+  });
+  return table;
+}
+
+// Reads bill header fields from the grid so user edits are exported, not the raw extraction
+function readBillFields(row, columns) {
+  const valueFor = (fieldName) => {
+    const index = columns.findIndex(column => column.fieldName === fieldName);
+    const value = index >= 0 ? row.cells[index] : '';
+    return value === null || value === undefined || value === 'N/A' ? '' : value;
+  };
+
+  return {
+    invoiceNumber: valueFor('invoiceNumber'),
+    vendor: valueFor('vendor.name'),
+    description: valueFor('description'),
+    amount: toNumber(valueFor('amount')),
+    currency: valueFor('currency'),
+    issueDate: valueFor('issueDate'),
+    dueDate: valueFor('dueDate'),
+    paymentTerms: valueFor('paymentTerms'),
+    notes: valueFor('notes')
+  };
+}
+
+// Normalizes document.details.lineItems; falls back to a single line for the bill total
+function getLineItems(invoice, bill) {
+  const lineItems = invoice?.document?.details?.lineItems;
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    return [{
+      description: bill.description || `Invoice ${bill.invoiceNumber}`,
+      quantity: 1,
+      unitAmount: bill.amount,
+      amount: bill.amount,
+      accountCode: '',
+      taxType: ''
+    }];
+  }
+
+  return lineItems.map(item => {
+    const quantity = toNumber(item.quantity ?? item.qty) || 1;
+    const amount = toNumber(item.amount ?? item.total ?? item.lineTotal);
+    const unitAmount = toNumber(item.unitPrice ?? item.unit_price ?? item.rate) || (amount !== '' ? amount / quantity : '');
+    return {
+      description: item.description || item.name || '',
+      quantity,
+      unitAmount,
+      amount: amount !== '' ? amount : (unitAmount !== '' ? unitAmount * quantity : ''),
+      accountCode: item.accountCode || item.account_code || item.glCode || '',
+      taxType: item.taxType || item.tax_type || ''
+    };
+  });
+}
+
+// === XLSX ===
+
+/**
+ * Builds a single-sheet XLSX workbook.
+ * @param {Array<Array<*>>} table - Rows of cell values; the first row is treated as the header
+ * @param {string} [sheetName='Invoices'] - Worksheet name
+ * @returns {Uint8Array} The zipped workbook bytes
+ */
+export function buildXlsx(table, sheetName = 'Invoices') {
+  const sheetRows = table.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${columnLetter(columnIndex)}${rowIndex + 1}`;
+      const style = rowIndex === 0 ? ' s="1"' : '';
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      }
+      const text = value === null || value === undefined ? '' : String(neutralizeFormula(value));
+      return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+      + '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+      + '</Relationships>',
+    'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+      + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+      + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+      + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+      + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+      + '</styleSheet>',
+    'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + `<sheetData>${sheetRows}</sheetData>`
+      + '</worksheet>'
+  };
+
+  return createZip(files);
+}
+
+// Stores files in a zip archive without compression (enough for XLSX readers)
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(8, 0, true); // method: store
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(10, 0, true); // method: store
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+}
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// === DOWNLOAD ===
+
+/**
+ * Builds the export for the given format and triggers a browser download.
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} params
+ * @param {Object[]} params.columns - Column definitions from buildSpreadsheet
+ * @param {{cells: Array, invoice: Object}[]} params.rows - Visible rows in display order
+ * @param {number[]} [params.hiddenColumns] - Column indexes hidden in the grid
+ * @returns {{filename: string, rowCount: number}}
+ */
+export function exportTrackerRows(format, { columns, rows, hiddenColumns = [] }) {
+  const config = EXPORT_FORMATS[format];
+  if (!config) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  let content;
+  if (format === 'csv') {
+    content = '\uFEFF' + toCsv(buildTable(getExportColumns(columns, hiddenColumns), rows));
+  } else if (format === 'xlsx') {
+    content = buildXlsx(buildTable(getExportColumns(columns, hiddenColumns), rows));
+  } else if (format === 'quickbooks') {
+    content = toCsv(buildQuickBooksBills(rows, columns));
+  } else {
+    content = toCsv(buildXeroBills(rows, columns));
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  const prefix = format === 'quickbooks' || format === 'xero' ? `stamp-${format}-bills` : 'stamp-invoices';
+  const filename = `${prefix}-${date}.${config.extension}`;
+
+  const url = URL.createObjectURL(new Blob([content], { type: config.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  console.log(`[EXPORT] ✅ Exported ${rows.length} rows as ${filename}`);
+  return { filename, rowCount: rows.length };
+}
+
+// === HELPERS ===
+
+function normalizeCell(value, type) {
+  if (value === null || value === undefined) return '';
+  if (type === 'numeric') {
+    const number = toNumber(value);
+    return number === '' ? '' : number;
+  }
+  return value;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number') return value;
+  const number = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(number) ? number : '';
+}
+
+function formatDate(value, pattern) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+  if (!match) return value || '';
+  const [, year, month, day] = match;
+  return pattern.replace('YYYY', year).replace('MM', month).replace('DD', day);
+}
+
+function columnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Strip control characters that are invalid in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
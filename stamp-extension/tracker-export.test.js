@@ -0,0 +1,93 @@
+// Unit tests for the invoice tracker exports in tracker-export.js
+import {
+  getExportColumns,
+  buildTable,
+  toCsv,
+  buildQuickBooksBills,
+  buildXeroBills,
+  buildXlsx,
+} from './tracker-export.js';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom does not provide TextEncoder/TextDecoder
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const columns = [
+  { title: '📄', type: 'html', fieldName: null },
+  { title: 'Invoice #', type: 'text', fieldName: 'invoiceNumber' },
+  { title: 'Vendor Name', type: 'text', fieldName: 'vendor.name' },
+  { title: 'Description', type: 'text', fieldName: 'description' },
+  { title: 'Amount', type: 'numeric', fieldName: 'amount' },
+  { title: 'Currency', type: 'text', fieldName: 'currency' },
+  { title: 'Issue Date', type: 'calendar', fieldName: 'issueDate' },
+  { title: 'Due Date', type: 'calendar', fieldName: 'dueDate' },
+  { title: 'Actions', type: 'html', fieldName: null },
+];
+
+const row = (cells, lineItems) => ({
+  cells,
+  invoice: { document: { details: { lineItems } } },
+});
+
+describe('tracker export', () => {
+  test('drops html columns and hidden columns from the table', () => {
+    const exportColumns = getExportColumns(columns, [3]);
+    const table = buildTable(exportColumns, [
+      row(['<span>📄</span>', 'INV-1', 'Acme', 'Widgets', '1,250.50', 'USD', '2025-01-05', '2025-02-04', '<button/>']),
+    ]);
+
+    expect(table).toEqual([
+      ['Invoice #', 'Vendor Name', 'Amount', 'Currency', 'Issue Date', 'Due Date'],
+      ['INV-1', 'Acme', 1250.5, 'USD', '2025-01-05', '2025-02-04'],
+    ]);
+  });
+
+  test('quotes CSV cells containing commas, quotes and newlines', () => {
+    expect(toCsv([['a,b', 'say "hi"', 'line\nbreak', 3]])).toBe('"a,b","say ""hi""","line\nbreak",3');
+  });
+
+  test('keeps hostile vendor names and descriptions from becoming formulas', () => {
+    const table = buildQuickBooksBills([
+      row(['', 'INV-9', '=HYPERLINK("http://evil.example","Pay")', '', -40, 'USD', '', '', ''], [
+        { description: '+cmd|\' /C calc\'!A0', amount: -40 },
+        { description: '\tTabbed', amount: 10 },
+      ]),
+    ], columns);
+
+    const csv = toCsv(table).split('\r\n');
+    expect(csv[1]).toBe(`INV-9,"'=HYPERLINK(""http://evil.example"",""Pay"")",,,,,,'+cmd|' /C calc'!A0,-40,USD`);
+    expect(csv[2]).toContain(`'\tTabbed,10`);
+    expect(new TextDecoder().decode(buildXlsx(table))).toContain(`'=HYPERLINK`);
+  });
+
+  test('writes one QuickBooks bill line per line item', () => {
+    const table = buildQuickBooksBills([
+      row(['', 'INV-1', 'Acme', 'Widgets', 300, 'USD', '2025-01-05', '2025-02-04', ''], [
+        { description: 'Widget A', quantity: 2, unitPrice: 100, amount: 200 },
+        { description: 'Widget B', amount: 100, accountCode: '5000' },
+      ]),
+    ], columns);
+
+    expect(table[0][0]).toBe('Bill No');
+    expect(table.slice(1)).toEqual([
+      ['INV-1', 'Acme', '01/05/2025', '02/04/2025', '', '', '', 'Widget A', 200, 'USD'],
+      ['INV-1', 'Acme', '01/05/2025', '02/04/2025', '', '', '5000', 'Widget B', 100, 'USD'],
+    ]);
+  });
+
+  test('falls back to a single Xero line for the bill total without line items', () => {
+    const table = buildXeroBills([
+      row(['', 'INV-2', 'Globex', '', 99.5, 'EUR', '2025-03-01', '2025-03-31', '']),
+    ], columns);
+
+    expect(table[1]).toEqual(['Globex', 'INV-2', '01/03/2025', '31/03/2025', 'Invoice INV-2', 1, 99.5, '', '', 'EUR']);
+  });
+
+  test('produces a zip archive for XLSX', () => {
+    const bytes = buildXlsx([['Invoice #'], ['INV-<1>']]);
+    // "PK\x03\x04" local file header signature
+    expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    expect(new TextDecoder().decode(bytes)).toContain('INV-&lt;1&gt;');
+  });
+});
@@ -0,0 +1,297 @@
+// stamp-extension/vendor-directory.js
+
+/**
+ * Vendor directory: every document grouped by vendor, with spend, open balance and
+ * payment speed. Backs the "vendor-directory-view" routes and the contact hover card
+ * shown when a sender address matches a known vendor email.
+ */
+
+import { CLOSED_STATUSES, daysBetween, formatAmount, getDocumentFields } from './ap-dashboard.js';
+import { escapeHtml } from './safe-html.js';
+
+const DIRECTORY_TTL_MS = 5 * 60 * 1000; // 5 minutes, like the thread cache
+const PAGE_STYLE = 'padding:24px; background:#f8f9fa; min-height:100%; box-sizing:border-box; font-family:-apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; font-size:13px; color:#3c4043;';
+
+/**
+ * Stable identifier for a vendor name (used in routes and for grouping).
+ * @param {string} name
+ * @returns {string}
+ */
+export function vendorKey(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Groups documents by vendor.
+ * Days-to-pay is measured from the issue date to the payment date, taken from
+ * `details.paidDate`/`details.paymentDate` or the first "paid" involvement entry.
+ * @param {Object[]} invoices - Documents from /api/finops/documents/detailed
+ * @param {Object} [options]
+ * @param {Date|string} [options.now] - Reference time for year-to-date spend
+ * @returns {Object[]} Vendors sorted by number of open documents, then name
+ *   (balances in different currencies can't be compared, so they don't decide the order)
+ */
+export function buildVendorDirectory(invoices, { now = new Date() } = {}) {
+  const year = new Date(now).toISOString().slice(0, 4);
+  const vendors = new Map();
+
+  (invoices || []).forEach(invoice => {
+    const fields = getDocumentFields(invoice);
+    if (fields.vendor === 'N/A') return;
+
+    const key = vendorKey(fields.vendor);
+    if (!vendors.has(key)) {
+      vendors.set(key, {
+        key,
+        name: fields.vendor,
+        emails: [],
+        documents: [],
+        spendYtd: {},
+        openBalance: {},
+        openCount: 0,
+        daysToPay: []
+      });
+    }
+    const vendor = vendors.get(key);
+    const amount = fields.amount || 0;
+
+    if (fields.vendorEmail && !vendor.emails.includes(fields.vendorEmail)) {
+      vendor.emails.push(fields.vendorEmail);
+    }
+    if (fields.issueDate.startsWith(year) && fields.status !== 'rejected' && fields.status !== 'duplicate') {
+      vendor.spendYtd[fields.currency] = (vendor.spendYtd[fields.currency] || 0) + amount;
+    }
+    if (!CLOSED_STATUSES.includes(fields.status)) {
+      vendor.openBalance[fields.currency] = (vendor.openBalance[fields.currency] || 0) + amount;
+      vendor.openCount++;
+    }
+
+    const paidDate = getPaidDate(invoice);
+    if (paidDate && fields.issueDate) {
+      vendor.daysToPay.push(Math.max(0, daysBetween(fields.issueDate, paidDate)));
+    }
+
+    vendor.documents.push({
+      ...fields,
+      threadId: invoice.document?.thread_id || '',
+      messageId: invoice.document?.message_id || ''
+    });
+  });
+
+  return Array.from(vendors.values())
+    .map(({ daysToPay, ...vendor }) => {
+      vendor.documents.sort((a, b) => b.issueDate.localeCompare(a.issueDate));
+      return {
+        ...vendor,
+        averageDaysToPay: daysToPay.length ? Math.round(daysToPay.reduce((sum, days) => sum + days, 0) / daysToPay.length) : null,
+        lastInvoice: vendor.documents[0] || null
+      };
+    })
+    .sort((a, b) => b.openCount - a.openCount || a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {Object[]} directory - Result of buildVendorDirectory
+ * @param {string} email - Sender address
+ * @returns {Object|null} The vendor that uses this address
+ */
+export function findVendorByEmail(directory, email) {
+  const address = String(email || '').trim().toLowerCase();
+  if (!address) return null;
+  return directory.find(vendor => vendor.emails.includes(address)) || null;
+}
+
+/**
+ * Caches the directory so hover cards don't refetch every document on each hover.
+ * @param {Function} loadInvoices - Resolves to all documents; called with { refresh: true }
+ *   when the directory must reflect the latest backend data
+ * @returns {{get: Function, refresh: Function}}
+ */
+export function createVendorDirectoryCache(loadInvoices) {
+  let pending = null;
+  let loadedAt = 0;
+
+  const load = (options) => {
+    loadedAt = Date.now();
+    pending = Promise.resolve()
+      .then(() => loadInvoices(options))
+      .then(invoices => buildVendorDirectory(invoices))
+      .catch(error => {
+        console.error('[VENDORS] ❌ Failed to build vendor directory:', error);
+        loadedAt = 0;
+        return [];
+      });
+    return pending;
+  };
+
+  return {
+    get: () => (pending && Date.now() - loadedAt < DIRECTORY_TTL_MS ? pending : load({})),
+    refresh: () => load({ refresh: true })
+  };
+}
+
+/**
+ * Renders the vendor list.
+ * @param {HTMLElement} container
+ * @param {Object[]} directory - Result of buildVendorDirectory
+ * @param {Object} [options]
+ * @param {Function} [options.onOpenVendor] - Called with the vendor when a row is clicked
+ */
+export function renderVendorList(container, directory, { onOpenVendor } = {}) {
+  const cellStyle = 'padding:8px 10px; border-bottom:1px solid #f1f3f4; white-space:nowrap;';
+  const rows = directory.map((vendor, index) => `
+    <tr class="stamp-vendor-row" data-index="${index}" style="cursor:pointer;">
+      <td style="${cellStyle}">
+        <div style="color:#1a73e8; font-weight:500;">${escapeHtml(vendor.name)}</div>
+        <div style="color:#5f6368; font-size:11px;">${escapeHtml(vendor.emails.join(', '))}</div>
+      </td>
+      <td style="${cellStyle} text-align:right;">${formatTotals(vendor.spendYtd)}</td>
+      <td style="${cellStyle} text-align:right;">${formatTotals(vendor.openBalance)}</td>
+      <td style="${cellStyle} text-align:right;">${vendor.averageDaysToPay === null ? '—' : `${vendor.averageDaysToPay} days`}</td>
+      <td style="${cellStyle}">${vendor.lastInvoice ? `${escapeHtml(vendor.lastInvoice.invoiceNumber)} <span style="color:#5f6368;">${escapeHtml(vendor.lastInvoice.issueDate)}</span>` : '—'}</td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="stamp-vendor-directory" style="${PAGE_STYLE}">
+      <h2 style="margin:0 0 16px 0; font-size:22px; font-weight:600; color:#1a1a1a;">Vendors <span style="color:#5f6368; font-size:14px; font-weight:400;">${directory.length}</span></h2>
+      <input class="stamp-vendor-search" type="search" placeholder="Search vendors" style="width:280px; padding:6px 10px; margin-bottom:12px; border:1px solid #dadce0; border-radius:4px; font-size:13px;">
+      <div style="background:#fff; border:1px solid #e5e7eb; border-radius:8px; overflow:auto;">
+        <table style="border-collapse:collapse; width:100%; font-size:13px;">
+          <thead><tr>
+            ${['Vendor', 'Spend YTD', 'Open balance', 'Avg. days to pay', 'Last invoice'].map((header, index) => `<th style="${cellStyle} text-align:${index === 0 || index === 4 ? 'left' : 'right'}; color:#5f6368; font-weight:500; border-bottom:1px solid #e5e7eb;">${header}</th>`).join('')}
+          </tr></thead>
+          <tbody>${rows || `<tr><td colspan="5" style="${cellStyle} color:#5f6368;">No vendors found in your documents yet.</td></tr>`}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+
+  container.querySelector('.stamp-vendor-search').addEventListener('input', (e) => {
+    const query = e.target.value.trim().toLowerCase();
+    container.querySelectorAll('.stamp-vendor-row').forEach(row => {
+      const vendor = directory[parseInt(row.getAttribute('data-index'))];
+      const matches = !query || vendor.key.includes(query) || vendor.emails.some(email => email.includes(query));
+      row.style.display = matches ? '' : 'none';
+    });
+  });
+  container.addEventListener('click', (e) => {
+    const row = e.target.closest('.stamp-vendor-row');
+    if (row && onOpenVendor) onOpenVendor(directory[parseInt(row.getAttribute('data-index'))]);
+  });
+}
+
+/**
+ * Renders one vendor's summary and invoice history.
+ * @param {HTMLElement} container
+ * @param {Object|null} vendor - Entry of buildVendorDirectory (null if unknown)
+ * @param {Object} [options]
+ * @param {Object} [options.statusColors] - INVOICE_STATUS_COLORS from content.js
+ * @param {Function} [options.getGmailLink] - Returns the Gmail URL for a document, or null
+ * @param {Function} [options.onBack] - Called when "All vendors" is clicked
+ */
+export function renderVendorDetail(container, vendor, { statusColors = {}, getGmailLink, onBack } = {}) {
+  const backLink = '<button class="stamp-vendor-back" style="border:none; background:none; color:#1a73e8; cursor:pointer; font-size:13px; padding:0; margin-bottom:12px;">← All vendors</button>';
+  if (!vendor) {
+    container.innerHTML = `<div style="${PAGE_STYLE}">${backLink}<div style="color:#5f6368;">This vendor has no documents.</div></div>`;
+  } else {
+    const cellStyle = 'padding:6px 10px; border-bottom:1px solid #f1f3f4; white-space:nowrap;';
+    const stat = (label, value) => `<div style="min-width:150px;"><div style="color:#5f6368; font-size:12px;">${label}</div><div style="font-size:18px; font-weight:600; color:#1a1a1a;">${value}</div></div>`;
+    const rows = vendor.documents.map(doc => {
+      const colors = statusColors[doc.status] || { backgroundColor: '#E0E0E0', textColor: '#000000' };
+      const gmailLink = getGmailLink ? getGmailLink(doc) : null;
+      return `
+        <tr>
+          <td style="${cellStyle}">${escapeHtml(doc.invoiceNumber)}</td>
+          <td style="${cellStyle}">${escapeHtml(doc.issueDate) || '—'}</td>
+          <td style="${cellStyle}">${escapeHtml(doc.dueDate) || '—'}</td>
+          <td style="${cellStyle} text-align:right;">${escapeHtml(formatAmount(doc.amount || 0, doc.currency))}</td>
+          <td style="${cellStyle}"><span style="background:${colors.backgroundColor}; color:${colors.textColor}; border-radius:10px; padding:2px 8px; font-size:11px;">${escapeHtml(doc.status)}</span></td>
+          <td style="${cellStyle}">${gmailLink ? `<a href="${escapeHtml(gmailLink)}" title="Open in Gmail" style="color:#1a73e8; text-decoration:none;">📤 Open</a>` : '<span style="color:#ccc;">-</span>'}</td>
+        </tr>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <div class="stamp-vendor-detail" style="${PAGE_STYLE}">
+        ${backLink}
+        <h2 style="margin:0 0 4px 0; font-size:22px; font-weight:600; color:#1a1a1a;">${escapeHtml(vendor.name)}</h2>
+        <div style="color:#5f6368; margin-bottom:16px;">${escapeHtml(vendor.emails.join(', ')) || 'No email on file'}</div>
+        <section style="display:flex; gap:24px; flex-wrap:wrap; background:#fff; border:1px solid #e5e7eb; border-radius:8px; padding:16px; margin-bottom:16px;">
+          ${stat('Spend YTD', formatTotals(vendor.spendYtd))}
+          ${stat(`Open balance (${vendor.openCount})`, formatTotals(vendor.openBalance))}
+          ${stat('Avg. days to pay', vendor.averageDaysToPay === null ? '—' : `${vendor.averageDaysToPay} days`)}
+          ${stat('Documents', vendor.documents.length)}
+        </section>
+        <div style="background:#fff; border:1px solid #e5e7eb; border-radius:8px; overflow:auto;">
+          <table style="border-collapse:collapse; width:100%; font-size:13px;">
+            <thead><tr>
+              ${['Invoice #', 'Issued', 'Due', 'Amount', 'Status', 'Gmail'].map(header => `<th style="${cellStyle} text-align:${header === 'Amount' ? 'right' : 'left'}; color:#5f6368; font-weight:500; border-bottom:1px solid #e5e7eb;">${header}</th>`).join('')}
+            </tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  container.querySelector('.stamp-vendor-back').addEventListener('click', () => onBack && onBack());
+}
+
+/**
+ * Shows a small card with the vendor's open balance next to a hovered contact.
+ * The card goes away shortly after the pointer leaves both the contact and the card.
+ * @param {HTMLElement} anchor - The hovered contact element
+ * @param {Object} vendor - Entry of buildVendorDirectory
+ * @param {Object} [options]
+ * @param {Function} [options.onOpenVendor] - Called when "View vendor" is clicked
+ */
+export function showVendorHoverCard(anchor, vendor, { onOpenVendor } = {}) {
+  document.querySelectorAll('.stamp-vendor-hover-card').forEach(el => el.remove());
+
+  const rect = anchor.getBoundingClientRect();
+  const card = document.createElement('div');
+  card.className = 'stamp-vendor-hover-card';
+  card.style.cssText = `position:fixed; z-index:2147483646; top:${Math.round(rect.bottom + 6)}px; left:${Math.round(rect.left)}px; width:260px; background:#fff; border:1px solid #e0e0e0; border-radius:8px; box-shadow:0 8px 24px rgba(60,64,67,0.3); padding:12px; font-family:-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size:12px; color:#3c4043;`;
+  card.innerHTML = `
+    <div style="font-weight:600; font-size:13px; color:#1a1a1a; margin-bottom:6px;">🏢 ${escapeHtml(vendor.name)}</div>
+    <div style="display:flex; justify-content:space-between; margin-bottom:4px;"><span style="color:#5f6368;">Open balance</span><span style="font-weight:600;">${formatTotals(vendor.openBalance)}</span></div>
+    <div style="display:flex; justify-content:space-between; margin-bottom:4px;"><span style="color:#5f6368;">Open documents</span><span>${vendor.openCount}</span></div>
+    <div style="display:flex; justify-content:space-between; margin-bottom:8px;"><span style="color:#5f6368;">Avg. days to pay</span><span>${vendor.averageDaysToPay === null ? '—' : vendor.averageDaysToPay}</span></div>
+    <button class="stamp-vendor-hover-open" style="border:none; background:none; color:#1a73e8; cursor:pointer; font-size:12px; padding:0;">View vendor →</button>
+  `;
+  document.body.appendChild(card);
+
+  let hideTimer = null;
+  const scheduleHide = () => {
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(() => {
+      card.remove();
+      anchor.removeEventListener('mouseleave', scheduleHide);
+    }, 400);
+  };
+  anchor.addEventListener('mouseleave', scheduleHide);
+  card.addEventListener('mouseleave', scheduleHide);
+  card.addEventListener('mouseenter', () => clearTimeout(hideTimer));
+  card.querySelector('.stamp-vendor-hover-open').addEventListener('click', () => {
+    card.remove();
+    if (onOpenVendor) onOpenVendor(vendor);
+  });
+}
+
+function getPaidDate(invoice) {
+  const details = invoice.document?.details || {};
+  const explicit = details.paidDate || details.paymentDate || details.paid_at;
+  if (explicit) return String(explicit).slice(0, 10);
+  const paidEntry = (invoice.involvementHistory || [])
+    .filter(entry => /paid|payment_confirmed/i.test(entry.action_type || '') && entry.timestamp)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))[0];
+  return paidEntry ? new Date(paidEntry.timestamp).toISOString().slice(0, 10) : null;
+}
+
+// Per-currency totals are listed side by side, never summed across currencies
+function formatTotals(totals) {
+  const currencies = Object.keys(totals).filter(currency => totals[currency]);
+  if (!currencies.length) return '—';
+  return currencies.sort().map(currency => escapeHtml(formatAmount(totals[currency], currency))).join('<br>');
+}
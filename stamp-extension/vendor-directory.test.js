@@ -0,0 +1,67 @@
+// Unit tests for vendor aggregation in vendor-directory.js
+import { buildVendorDirectory, createVendorDirectoryCache, findVendorByEmail, vendorKey } from './vendor-directory.js';
+
+const now = '2025-06-15T12:00:00Z';
+const doc = (details, extra = {}) => ({ documentType: 'invoice', document: { details, thread_id: 't1', message_id: 'm1' }, ...extra });
+
+describe('vendor directory', () => {
+  const directory = buildVendorDirectory([
+    doc({ invoiceNumber: 'A-1', vendor: { name: 'Acme Corp', email: 'AR@acme.com' }, amount: 100, currency: 'USD', issueDate: '2025-01-10', status: 'paid', paidDate: '2025-02-09' }),
+    doc({ invoiceNumber: 'A-2', vendor: { name: ' acme  corp ' }, amount: 250, currency: 'USD', issueDate: '2025-05-01', status: 'pending' }),
+    doc({ invoiceNumber: 'A-3', vendor: { name: 'Acme Corp', email: 'billing@acme.com' }, amount: 80, currency: 'EUR', issueDate: '2024-12-20', status: 'approved' },
+      { involvementHistory: [{ action_type: 'marked_paid', timestamp: '2024-12-30T09:00:00Z' }] }),
+    doc({ invoiceNumber: 'G-1', vendor: { name: 'Globex', email: 'ap@globex.com' }, amount: 40, currency: 'USD', issueDate: '2025-03-01', status: 'pending' }),
+    doc({ invoiceNumber: 'X-1', amount: 999, currency: 'USD', status: 'pending' }),
+  ], { now });
+
+  test('groups documents by normalized vendor name', () => {
+    expect(directory.map(vendor => vendor.key)).toEqual(['acme corp', 'globex']);
+    expect(vendorKey(' Acme   Corp ')).toBe('acme corp');
+
+    const acme = directory[0];
+    expect(acme.documents.map(item => item.invoiceNumber)).toEqual(['A-2', 'A-1', 'A-3']);
+    expect(acme.emails).toEqual(['ar@acme.com', 'billing@acme.com']);
+    expect(acme.lastInvoice.invoiceNumber).toBe('A-2');
+  });
+
+  test('keeps spend and open balance per currency', () => {
+    const acme = directory[0];
+    expect(acme.spendYtd).toEqual({ USD: 350 });
+    expect(acme.openBalance).toEqual({ USD: 250, EUR: 80 });
+    expect(acme.openCount).toBe(2);
+  });
+
+  test('averages days to pay from paid dates and paid involvement entries', () => {
+    // 30 days (explicit paidDate) and 10 days (involvement history)
+    expect(directory[0].averageDaysToPay).toBe(20);
+    expect(directory[1].averageDaysToPay).toBeNull();
+  });
+
+  test('orders vendors by open documents instead of adding up currencies', () => {
+    const mixed = buildVendorDirectory([
+      doc({ vendor: { name: 'Yamato' }, amount: 500000, currency: 'JPY', issueDate: '2025-04-01', status: 'pending' }),
+      doc({ vendor: { name: 'Initech' }, amount: 300, currency: 'USD', issueDate: '2025-04-01', status: 'pending' }),
+      doc({ vendor: { name: 'Initech' }, amount: 200, currency: 'EUR', issueDate: '2025-04-02', status: 'approved' }),
+    ], { now });
+
+    expect(mixed.map(vendor => vendor.name)).toEqual(['Initech', 'Yamato']);
+    expect(mixed[0].openBalance).toEqual({ USD: 300, EUR: 200 });
+  });
+
+  test('finds vendors by sender address', () => {
+    expect(findVendorByEmail(directory, 'Billing@Acme.com').name).toBe('Acme Corp');
+    expect(findVendorByEmail(directory, 'someone@else.com')).toBeNull();
+  });
+
+  test('cache loads invoices once until refreshed', async () => {
+    const loadInvoices = jest.fn(async () => [doc({ vendor: { name: 'Globex' }, status: 'pending' })]);
+    const cache = createVendorDirectoryCache(loadInvoices);
+
+    await cache.get();
+    await cache.get();
+    expect(loadInvoices).toHaveBeenCalledTimes(1);
+
+    await cache.refresh();
+    expect(loadInvoices).toHaveBeenCalledTimes(2);
+  });
+});